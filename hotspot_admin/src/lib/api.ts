@@ -194,11 +194,19 @@ export interface ZoneFilters {
   page_size?: number
 }
 
+// GeoJSON shape drawn for a zone; zones without one are a circle of radius_meters
+export interface ZoneBoundary {
+  type: 'Polygon' | 'MultiPolygon'
+  coordinates: number[][][] | number[][][][]
+}
+
 export interface ZoneCreateInput {
-  zone_type: 'hijacking' | 'mugging' | 'accident'
+  // Key of an incident type
+  zone_type: string
   latitude: number
   longitude: number
   radius_meters: number
+  boundary?: ZoneBoundary | null
   risk_level?: 'low' | 'medium' | 'high' | 'critical'
   incident_count?: number
   is_active?: boolean
@@ -208,6 +216,7 @@ export interface ZoneUpdateInput {
   latitude?: number
   longitude?: number
   radius_meters?: number
+  boundary?: ZoneBoundary | null
   risk_level?: 'low' | 'medium' | 'high' | 'critical'
   is_active?: boolean
   incident_count?: number
@@ -254,6 +263,26 @@ export const zonesApi = {
   },
 }
 
+// Incident Types API
+export interface IncidentType {
+  key: string
+  label: string
+  icon: string
+  color: string
+  severity: string
+  position: number
+  is_active: boolean
+  sub_types: { key: string; label: string }[]
+}
+
+export const incidentTypesApi = {
+  // Every type, including deactivated ones, in display order
+  list: async (): Promise<{ data: IncidentType[] }> => {
+    const response = await apiClient.get('/api/admin/incident-types')
+    return response.data
+  },
+}
+
 // Analytics API
 export interface AnalyticsDateRange {
   start_date?: string
@@ -7,7 +7,7 @@ import { Label } from '@/components/ui/label'
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs'
 import { Download, TrendingUp, Users, DollarSign, Clock } from 'lucide-react'
-import { analyticsApi } from '@/lib/api'
+import { analyticsApi, incidentTypesApi, type IncidentType } from '@/lib/api'
 import { format, subDays } from 'date-fns'
 import {
   LineChart,
@@ -30,6 +30,11 @@ interface DateRange {
   end_date: string
 }
 
+interface TypeCounts {
+  counts_by_type: Record<string, number>
+  total_count: number
+}
+
 export function AnalyticsPage() {
   const [dateRange, setDateRange] = useState<DateRange>({
     start_date: format(subDays(new Date(), 30), 'yyyy-MM-dd'),
@@ -65,6 +70,11 @@ export function AnalyticsPage() {
     queryFn: () => analyticsApi.getRevenue(dateRange),
   })
 
+  const { data: incidentTypesData } = useQuery({
+    queryKey: ['incident-types'],
+    queryFn: incidentTypesApi.list,
+  })
+
   const handleExport = async () => {
     try {
       const blob = await analyticsApi.export(exportType, exportFormat, dateRange)
@@ -90,34 +100,25 @@ export function AnalyticsPage() {
     }))
   }
 
-  // Format trends data for chart
-  const trendsChartData = trendsData?.data?.map((item: {
-    date: string
-    hijacking_count: number
-    mugging_count: number
-    accident_count: number
-    total_count: number
-  }) => ({
+  // Format trends data for chart, one series per incident type
+  const trendsChartData = trendsData?.data?.map((item: TypeCounts & { date: string }) => ({
+    ...item.counts_by_type,
     date: format(new Date(item.date), 'MMM dd'),
-    Hijacking: item.hijacking_count,
-    Mugging: item.mugging_count,
-    Accident: item.accident_count,
   })) || []
 
   // Format peak hours data for chart
-  const peakHoursChartData = peakHoursData?.data?.map((item: {
-    hour: number
-    hijacking_count: number
-    mugging_count: number
-    accident_count: number
-    total_count: number
-  }) => ({
+  const peakHoursChartData = peakHoursData?.data?.map((item: TypeCounts & { hour: number }) => ({
+    ...item.counts_by_type,
     hour: `${item.hour}:00`,
-    Hijacking: item.hijacking_count,
-    Mugging: item.mugging_count,
-    Accident: item.accident_count,
   })) || []
 
+  // Only chart the types that had incidents in the selected period
+  const chartTypes = (incidentTypesData?.data || []).filter((type: IncidentType) =>
+    [...(trendsData?.data || []), ...(peakHoursData?.data || [])].some(
+      (item: TypeCounts) => item.counts_by_type[type.key]
+    )
+  )
+
   return (
     <div className="space-y-6">
       <div className="flex items-center justify-between">
@@ -376,9 +377,16 @@ export function AnalyticsPage() {
                     <YAxis />
                     <Tooltip />
                     <Legend />
-                    <Line type="monotone" dataKey="Hijacking" stroke="#dc2626" strokeWidth={2} />
-                    <Line type="monotone" dataKey="Mugging" stroke="#ea580c" strokeWidth={2} />
-                    <Line type="monotone" dataKey="Accident" stroke="#2563eb" strokeWidth={2} />
+                    {chartTypes.map((type: IncidentType) => (
+                      <Line
+                        key={type.key}
+                        type="monotone"
+                        dataKey={(item) => item[type.key] ?? 0}
+                        name={type.label}
+                        stroke={type.color}
+                        strokeWidth={2}
+                      />
+                    ))}
                   </LineChart>
                 </ResponsiveContainer>
               ) : (
@@ -408,9 +416,14 @@ export function AnalyticsPage() {
                     <YAxis />
                     <Tooltip />
                     <Legend />
-                    <Bar dataKey="Hijacking" fill="#dc2626" />
-                    <Bar dataKey="Mugging" fill="#ea580c" />
-                    <Bar dataKey="Accident" fill="#2563eb" />
+                    {chartTypes.map((type: IncidentType) => (
+                      <Bar
+                        key={type.key}
+                        dataKey={(item) => item[type.key] ?? 0}
+                        name={type.label}
+                        fill={type.color}
+                      />
+                    ))}
                   </BarChart>
                 </ResponsiveContainer>
               ) : (
@@ -1,9 +1,17 @@
 import { useState, useRef, useEffect } from 'react'
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
-import { zonesApi, type ZoneFilters, type ZoneCreateInput, type ZoneUpdateInput } from '@/lib/api'
+import {
+  zonesApi,
+  incidentTypesApi,
+  type ZoneFilters,
+  type ZoneCreateInput,
+  type ZoneUpdateInput,
+  type ZoneBoundary,
+} from '@/lib/api'
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
 import { Button } from '@/components/ui/button'
 import { Input } from '@/components/ui/input'
+import { Textarea } from '@/components/ui/textarea'
 import {
   Select,
   SelectContent,
@@ -33,12 +41,14 @@ import { toast } from 'sonner'
 
 interface Zone {
   id: string
-  zone_type: 'hijacking' | 'mugging' | 'accident'
+  zone_type: string
   center_location: {
     latitude: number
     longitude: number
   }
   radius_meters: number
+  boundary?: ZoneBoundary | null
+  boundary_drawn?: boolean
   incident_count: number
   risk_level: 'low' | 'medium' | 'high' | 'critical'
   is_active: boolean
@@ -47,7 +57,22 @@ interface Zone {
   updated_at: string
 }
 
+// Blank means a circle; anything else must be a GeoJSON Polygon or MultiPolygon.
+// Returns undefined when the text isn't one.
+function parseBoundary(text: string): ZoneBoundary | null | undefined {
+  if (!text.trim()) return null
+  try {
+    const geometry = JSON.parse(text)
+    if (geometry?.type === 'Polygon' || geometry?.type === 'MultiPolygon') return geometry
+  } catch {
+    // Not JSON
+  }
+  return undefined
+}
 
+function boundaryText(zone: Zone): string {
+  return zone.boundary ? JSON.stringify(zone.boundary, null, 2) : ''
+}
 
 export function ZonesPage() {
   const queryClient = useQueryClient()
@@ -64,18 +89,28 @@ export function ZonesPage() {
   const [showStatsDialog, setShowStatsDialog] = useState(false)
   const [createMode, setCreateMode] = useState(false)
   const [newZoneData, setNewZoneData] = useState<Partial<ZoneCreateInput>>({
-    zone_type: 'hijacking',
     radius_meters: 1000,
     risk_level: 'low',
     is_active: true,
   })
   const [editZoneData, setEditZoneData] = useState<Partial<ZoneUpdateInput>>({})
+  const [newBoundaryText, setNewBoundaryText] = useState('')
+  const [editBoundaryText, setEditBoundaryText] = useState('')
 
   const { data, isLoading } = useQuery({
     queryKey: ['zones', filters],
     queryFn: () => zonesApi.list(filters),
   })
 
+  const { data: incidentTypesData } = useQuery({
+    queryKey: ['incident-types'],
+    queryFn: incidentTypesApi.list,
+  })
+  const incidentTypes = incidentTypesData?.data ?? []
+  // Deactivated types still label existing zones, but new zones need a reportable type
+  const activeIncidentTypes = incidentTypes.filter((type) => type.is_active)
+  const newZoneType = newZoneData.zone_type ?? activeIncidentTypes[0]?.key
+
   const { data: zoneStats } = useQuery({
     queryKey: ['zone-stats', selectedZone?.id],
     queryFn: () => zonesApi.getStats(selectedZone!.id),
@@ -89,8 +124,8 @@ export function ZonesPage() {
       toast.success('Zone created successfully')
       setShowCreateDialog(false)
       setCreateMode(false)
+      setNewBoundaryText('')
       setNewZoneData({
-        zone_type: 'hijacking',
         radius_meters: 1000,
         risk_level: 'low',
         is_active: true,
@@ -160,20 +195,39 @@ export function ZonesPage() {
   }
 
   const handleCreateZone = () => {
-    if (!newZoneData.latitude || !newZoneData.longitude || !newZoneData.zone_type || !newZoneData.radius_meters) {
+    if (!newZoneData.latitude || !newZoneData.longitude || !newZoneType || !newZoneData.radius_meters) {
       toast.error('Please fill in all required fields')
       return
     }
 
-    createMutation.mutate(newZoneData as ZoneCreateInput)
+    const boundary = parseBoundary(newBoundaryText)
+    if (boundary === undefined) {
+      toast.error('Boundary must be a GeoJSON Polygon or MultiPolygon')
+      return
+    }
+
+    createMutation.mutate({
+      ...newZoneData,
+      zone_type: newZoneType,
+      ...(boundary && { boundary }),
+    } as ZoneCreateInput)
   }
 
   const handleUpdateZone = () => {
     if (!selectedZone) return
 
+    const boundary = parseBoundary(editBoundaryText)
+    if (boundary === undefined) {
+      toast.error('Boundary must be a GeoJSON Polygon or MultiPolygon')
+      return
+    }
+
+    // Only send the boundary when it was edited, so a clustered shape isn't saved as drawn
+    const boundaryChanged = editBoundaryText !== boundaryText(selectedZone)
+
     updateMutation.mutate({
       id: selectedZone.id,
-      data: editZoneData,
+      data: boundaryChanged ? { ...editZoneData, boundary } : editZoneData,
     })
   }
 
@@ -190,6 +244,7 @@ export function ZonesPage() {
       risk_level: zone.risk_level,
       is_active: zone.is_active,
     })
+    setEditBoundaryText(boundaryText(zone))
     setShowEditDialog(true)
   }
 
@@ -208,19 +263,15 @@ export function ZonesPage() {
     }
   }
 
-  const getZoneTypeColor = (type: string) => {
-    switch (type) {
-      case 'hijacking':
-        return 'bg-red-100 text-red-800'
-      case 'mugging':
-        return 'bg-orange-100 text-orange-800'
-      case 'accident':
-        return 'bg-blue-100 text-blue-800'
-      default:
-        return 'bg-gray-100 text-gray-800'
-    }
+  // The type's own colour, on a light tint of itself
+  const getZoneTypeStyle = (key: string) => {
+    const color = incidentTypes.find((type) => type.key === key)?.color
+    return color ? { backgroundColor: `${color}22`, color } : undefined
   }
 
+  const getZoneTypeLabel = (key: string) =>
+    incidentTypes.find((type) => type.key === key)?.label ?? key
+
 
 
   return (
@@ -310,9 +361,11 @@ export function ZonesPage() {
                   </SelectTrigger>
                   <SelectContent>
                     <SelectItem value="all">All Types</SelectItem>
-                    <SelectItem value="hijacking">Hijacking</SelectItem>
-                    <SelectItem value="mugging">Mugging</SelectItem>
-                    <SelectItem value="accident">Accident</SelectItem>
+                    {incidentTypes.map((type) => (
+                      <SelectItem key={type.key} value={type.key}>
+                        {type.icon} {type.label}
+                      </SelectItem>
+                    ))}
                   </SelectContent>
                 </Select>
                 <Select
@@ -355,8 +408,11 @@ export function ZonesPage() {
                     <div className="flex items-start justify-between">
                       <div className="flex-1">
                         <div className="flex items-center gap-2 mb-2">
-                          <span className={`px-2 py-1 rounded-full text-xs font-medium ${getZoneTypeColor(zone.zone_type)}`}>
-                            {zone.zone_type}
+                          <span
+                            className="px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-800"
+                            style={getZoneTypeStyle(zone.zone_type)}
+                          >
+                            {getZoneTypeLabel(zone.zone_type)}
                           </span>
                           <span className={`px-2 py-1 rounded-full text-xs font-medium ${getRiskLevelColor(zone.risk_level)}`}>
                             {zone.risk_level}
@@ -374,7 +430,10 @@ export function ZonesPage() {
                           </div>
                           <div className="mt-1">
                             <AlertTriangle className="inline h-3 w-3 mr-1" />
-                            {zone.incident_count} incidents • {(zone.radius_meters / 1000).toFixed(1)} km radius
+                            {zone.incident_count} incidents •{' '}
+                            {zone.boundary
+                              ? zone.boundary_drawn ? 'drawn boundary' : 'clustered boundary'
+                              : `${(zone.radius_meters / 1000).toFixed(1)} km radius`}
                           </div>
                         </div>
                       </div>
@@ -467,18 +526,18 @@ export function ZonesPage() {
             <div>
               <label className="text-sm font-medium">Zone Type</label>
               <Select
-                value={newZoneData.zone_type}
-                onValueChange={(value: 'hijacking' | 'mugging' | 'accident') =>
-                  setNewZoneData((prev) => ({ ...prev, zone_type: value }))
-                }
+                value={newZoneType}
+                onValueChange={(value) => setNewZoneData((prev) => ({ ...prev, zone_type: value }))}
               >
                 <SelectTrigger>
                   <SelectValue />
                 </SelectTrigger>
                 <SelectContent>
-                  <SelectItem value="hijacking">Hijacking</SelectItem>
-                  <SelectItem value="mugging">Mugging</SelectItem>
-                  <SelectItem value="accident">Accident</SelectItem>
+                  {activeIncidentTypes.map((type) => (
+                    <SelectItem key={type.key} value={type.key}>
+                      {type.icon} {type.label}
+                    </SelectItem>
+                  ))}
                 </SelectContent>
               </Select>
             </div>
@@ -514,6 +573,19 @@ export function ZonesPage() {
                 }
               />
             </div>
+            <div>
+              <label className="text-sm font-medium">Boundary (GeoJSON, optional)</label>
+              <Textarea
+                className="font-mono text-xs"
+                rows={4}
+                placeholder='{"type": "Polygon", "coordinates": [[[28.04, -26.20], ...]]}'
+                value={newBoundaryText}
+                onChange={(e) => setNewBoundaryText(e.target.value)}
+              />
+              <p className="mt-1 text-xs text-gray-500">
+                Draw corridors and irregular areas as a Polygon or MultiPolygon. Leave blank for a circle.
+              </p>
+            </div>
             <div>
               <label className="text-sm font-medium">Risk Level</label>
               <Select
@@ -565,6 +637,18 @@ export function ZonesPage() {
                 }
               />
             </div>
+            <div>
+              <label className="text-sm font-medium">Boundary (GeoJSON)</label>
+              <Textarea
+                className="font-mono text-xs"
+                rows={6}
+                value={editBoundaryText}
+                onChange={(e) => setEditBoundaryText(e.target.value)}
+              />
+              <p className="mt-1 text-xs text-gray-500">
+                Clear it to let clustering shape the zone again.
+              </p>
+            </div>
             <div>
               <label className="text-sm font-medium">Risk Level</label>
               <Select
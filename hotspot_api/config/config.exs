@@ -49,7 +49,11 @@ config :hotspot_api, Oban,
        # Run incident expiry worker every hour
        {"0 * * * *", HotspotApi.Workers.IncidentExpiryWorker},
        # Run zone update worker every 10 minutes
-       {"*/10 * * * *", HotspotApi.Workers.ZoneUpdateWorker}
+       {"*/10 * * * *", HotspotApi.Workers.ZoneUpdateWorker},
+       # Clear out expired revoked refresh tokens daily
+       {"30 3 * * *", HotspotApi.Workers.RevokedTokenCleanupWorker},
+       # Clear out stored responses to idempotent requests daily
+       {"45 3 * * *", HotspotApi.Workers.IdempotentResponseCleanupWorker}
      ]}
   ],
   queues: [default: 10, zone_updates: 5, notifications: 20]
@@ -60,6 +64,13 @@ config :hotspot_api,
   appwrite_project_id: System.get_env("APPWRITE_PROJECT_ID"),
   appwrite_api_key: System.get_env("APPWRITE_API_KEY")
 
+# App links: the web domain shared links point at, and the apps allowed to open them
+config :hotspot_api, :app_links,
+  base_url: "https://hotspot.app",
+  ios_app_ids: [],
+  android_package: "app.hotspot.mobile",
+  android_cert_fingerprints: []
+
 # Import environment specific config. This must remain at the bottom
 # of this file so it overrides the configuration defined above.
 import_config "#{config_env()}.exs"
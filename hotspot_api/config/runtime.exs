@@ -69,6 +69,19 @@ if config_env() == :prod do
     paystack_public_key: System.get_env("PAYSTACK_PUBLIC_KEY"),
     paystack_callback_url: paystack_callback_url
 
+  # App link verification (comma-separated lists)
+  split_env = fn name ->
+    (System.get_env(name) || "")
+    |> String.split(",", trim: true)
+    |> Enum.map(&String.trim/1)
+  end
+
+  config :hotspot_api, :app_links,
+    base_url: System.get_env("APP_LINK_BASE_URL") || "https://hotspot.app",
+    ios_app_ids: split_env.("APPLE_APP_IDS"),
+    android_package: System.get_env("ANDROID_PACKAGE") || "app.hotspot.mobile",
+    android_cert_fingerprints: split_env.("ANDROID_CERT_FINGERPRINTS")
+
   # The secret key base is used to sign/encrypt cookies and other secrets.
   # A default value is used in config/dev.exs and config/test.exs but you
   # want to use a different value for prod and you most likely don't want
@@ -6,7 +6,7 @@ defmodule HotspotApi.Accounts do
   import Ecto.Query, warn: false
   alias HotspotApi.Repo
 
-  alias HotspotApi.Accounts.{User, OtpCode, AdminUser, AdminAuditLog, EmergencyContact, PanicEvent}
+  alias HotspotApi.Accounts.{User, OtpCode, AdminUser, AdminAuditLog, EmergencyContact, PanicEvent, RevokedRefreshToken}
 
   @doc """
   Returns the list of users.
@@ -239,6 +239,43 @@ defmodule HotspotApi.Accounts do
     twilio_client.send_sms(phone_number, message)
   end
 
+  ## Refresh Tokens
+
+  @doc """
+  Marks a refresh token as used, from its decoded claims, so it can only be
+  exchanged once. Two refreshes racing with the same token get one winner.
+
+  ## Examples
+
+      iex> revoke_refresh_token(%{"jti" => "...", "sub" => "user-id", "exp" => 1_767_225_600})
+      :ok
+
+      iex> revoke_refresh_token(already_used_claims)
+      {:error, :revoked}
+
+  """
+  def revoke_refresh_token(%{"jti" => jti, "sub" => user_id, "exp" => exp}) do
+    %RevokedRefreshToken{}
+    |> RevokedRefreshToken.changeset(%{jti: jti, user_id: user_id, expires_at: DateTime.from_unix!(exp)})
+    |> Repo.insert()
+    |> case do
+      {:ok, _revoked} -> :ok
+      {:error, _changeset} -> {:error, :revoked}
+    end
+  end
+
+  @doc """
+  Deletes revoked refresh tokens that have expired, since they would be
+  rejected anyway.
+  """
+  def delete_expired_revoked_tokens do
+    now = DateTime.utc_now()
+
+    RevokedRefreshToken
+    |> where([t], t.expires_at <= ^now)
+    |> Repo.delete_all()
+  end
+
   ## Admin Users
 
   @doc """
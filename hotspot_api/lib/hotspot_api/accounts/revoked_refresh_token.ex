@@ -0,0 +1,22 @@
+defmodule HotspotApi.Accounts.RevokedRefreshToken do
+  use Ecto.Schema
+  import Ecto.Changeset
+
+  @primary_key {:jti, :string, autogenerate: false}
+  @foreign_key_type :binary_id
+  schema "revoked_refresh_tokens" do
+    field :expires_at, :utc_datetime
+
+    belongs_to :user, HotspotApi.Accounts.User
+
+    timestamps(type: :utc_datetime, updated_at: false)
+  end
+
+  @doc false
+  def changeset(revoked_token, attrs) do
+    revoked_token
+    |> cast(attrs, [:jti, :user_id, :expires_at])
+    |> validate_required([:jti, :user_id, :expires_at])
+    |> unique_constraint(:jti, name: :revoked_refresh_tokens_pkey)
+  end
+end
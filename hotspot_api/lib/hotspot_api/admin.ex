@@ -5,6 +5,7 @@ defmodule HotspotApi.Admin do
 
   import Ecto.Query, warn: false
   alias HotspotApi.Repo
+  alias HotspotApi.Analytics
   alias HotspotApi.Admin.AdminUser
 
   @doc """
@@ -639,27 +640,20 @@ defmodule HotspotApi.Admin do
     query = """
     SELECT
       date_trunc('day', inserted_at) AS date,
-      COUNT(*) FILTER (WHERE type = 'hijacking') AS hijacking_count,
-      COUNT(*) FILTER (WHERE type = 'mugging') AS mugging_count,
-      COUNT(*) FILTER (WHERE type = 'accident') AS accident_count,
-      COUNT(*) AS total_count
+      type,
+      COUNT(*) AS count
     FROM incidents
     WHERE inserted_at >= $1 AND inserted_at <= $2
-    GROUP BY date
+    GROUP BY date, type
     ORDER BY date
     """
 
     case Ecto.Adapters.SQL.query(Repo, query, [start_date, end_date]) do
       {:ok, %{rows: rows}} ->
-        Enum.map(rows, fn [date, hijacking, mugging, accident, total] ->
-          %{
-            date: date,
-            hijacking_count: hijacking,
-            mugging_count: mugging,
-            accident_count: accident,
-            total_count: total
-          }
-        end)
+        rows
+        |> Enum.group_by(&hd/1, fn [_, type, count] -> {type, count} end)
+        |> Enum.sort_by(&elem(&1, 0), NaiveDateTime)
+        |> Enum.map(fn {date, counts} -> Map.put(Analytics.type_counts(counts), :date, date) end)
 
       {:error, _} ->
         []
@@ -725,27 +719,20 @@ defmodule HotspotApi.Admin do
     query = """
     SELECT
       EXTRACT(HOUR FROM inserted_at)::integer AS hour,
-      COUNT(*) FILTER (WHERE type = 'hijacking') AS hijacking_count,
-      COUNT(*) FILTER (WHERE type = 'mugging') AS mugging_count,
-      COUNT(*) FILTER (WHERE type = 'accident') AS accident_count,
-      COUNT(*) AS total_count
+      type,
+      COUNT(*) AS count
     FROM incidents
     WHERE inserted_at >= $1 AND inserted_at <= $2
-    GROUP BY hour
+    GROUP BY hour, type
     ORDER BY hour
     """
 
     case Ecto.Adapters.SQL.query(Repo, query, [start_date, end_date]) do
       {:ok, %{rows: rows}} ->
-        Enum.map(rows, fn [hour, hijacking, mugging, accident, total] ->
-          %{
-            hour: hour,
-            hijacking_count: hijacking,
-            mugging_count: mugging,
-            accident_count: accident,
-            total_count: total
-          }
-        end)
+        rows
+        |> Enum.group_by(&hd/1, fn [_, type, count] -> {type, count} end)
+        |> Enum.sort_by(&elem(&1, 0))
+        |> Enum.map(fn {hour, counts} -> Map.put(Analytics.type_counts(counts), :hour, hour) end)
 
       {:error, _} ->
         []
@@ -885,10 +872,19 @@ defmodule HotspotApi.Admin do
   Exports analytics data to CSV format.
   """
   def export_analytics_csv(data_type, start_date, end_date) do
+    # One column per incident type, deactivated ones included since they
+    # can still have incidents in range
+    incident_types = HotspotApi.Incidents.list_all_incident_types()
+    type_header = Enum.map_join(incident_types, ",", & &1.label)
+
+    type_columns = fn counts ->
+      Enum.map_join(incident_types, ",", &Map.get(counts.counts_by_type, &1.key, 0))
+    end
+
     case data_type do
       "trends" ->
         trends = get_analytics_trends(start_date, end_date)
-        csv_header = "Date,Hijacking,Mugging,Accident,Total\n"
+        csv_header = "Date,#{type_header},Total\n"
         csv_rows = Enum.map(trends, fn trend ->
           date_str = case trend.date do
             %DateTime{} = dt -> dt |> DateTime.to_date() |> Date.to_string()
@@ -896,15 +892,15 @@ defmodule HotspotApi.Admin do
             %Date{} = d -> Date.to_string(d)
             _ -> to_string(trend.date)
           end
-          "#{date_str},#{trend.hijacking_count},#{trend.mugging_count},#{trend.accident_count},#{trend.total_count}"
+          "#{date_str},#{type_columns.(trend)},#{trend.total_count}"
         end)
         csv_header <> Enum.join(csv_rows, "\n")
 
       "peak_hours" ->
         peak_hours = get_analytics_peak_hours(start_date, end_date)
-        csv_header = "Hour,Hijacking,Mugging,Accident,Total\n"
+        csv_header = "Hour,#{type_header},Total\n"
         csv_rows = Enum.map(peak_hours, fn hour_data ->
-          "#{hour_data.hour},#{hour_data.hijacking_count},#{hour_data.mugging_count},#{hour_data.accident_count},#{hour_data.total_count}"
+          "#{hour_data.hour},#{type_columns.(hour_data)},#{hour_data.total_count}"
         end)
         csv_header <> Enum.join(csv_rows, "\n")
 
@@ -81,7 +81,8 @@ defmodule HotspotApi.Analytics do
 
   @doc """
   Returns time pattern analysis showing peak hours for each incident type.
-  Analyzes incidents from the past 30 days.
+  Analyzes incidents from the past 30 days, by the hour they happened rather
+  than the hour they were reported.
 
   ## Examples
 
@@ -92,6 +93,7 @@ defmodule HotspotApi.Analytics do
           hijacking_count: 15,
           mugging_count: 8,
           accident_count: 12,
+          counts_by_type: %{"hijacking" => 15, "mugging" => 8, "accident" => 12},
           total_count: 35
         },
         ...
@@ -104,29 +106,22 @@ defmodule HotspotApi.Analytics do
 
     query = """
     SELECT
-      EXTRACT(HOUR FROM inserted_at)::integer AS hour,
-      COUNT(*) FILTER (WHERE type = 'hijacking') AS hijacking_count,
-      COUNT(*) FILTER (WHERE type = 'mugging') AS mugging_count,
-      COUNT(*) FILTER (WHERE type = 'accident') AS accident_count,
-      COUNT(*) AS total_count
+      EXTRACT(HOUR FROM reported_at)::integer AS hour,
+      type,
+      COUNT(*) AS count
     FROM incidents
     WHERE inserted_at >= $1
       AND expires_at > $2
-    GROUP BY hour
+    GROUP BY hour, type
     ORDER BY hour
     """
 
     case Ecto.Adapters.SQL.query(Repo, query, [thirty_days_ago, now]) do
       {:ok, %{rows: rows}} ->
-        Enum.map(rows, fn [hour, hijacking, mugging, accident, total] ->
-          %{
-            hour: hour,
-            hijacking_count: hijacking,
-            mugging_count: mugging,
-            accident_count: accident,
-            total_count: total
-          }
-        end)
+        rows
+        |> Enum.group_by(&hd/1, fn [_hour, type, count] -> {type, count} end)
+        |> Enum.sort_by(&elem(&1, 0))
+        |> Enum.map(fn {hour, counts} -> Map.put(type_counts(counts), :hour, hour) end)
 
       {:error, _} ->
         []
@@ -150,6 +145,7 @@ defmodule HotspotApi.Analytics do
           hijacking_count: 45,
           mugging_count: 32,
           accident_count: 28,
+          counts_by_type: %{"hijacking" => 45, "mugging" => 32, "accident" => 28},
           total_count: 105
         },
         ...
@@ -163,28 +159,24 @@ defmodule HotspotApi.Analytics do
     query = """
     SELECT
       date_trunc('week', inserted_at) AS week_start,
-      COUNT(*) FILTER (WHERE type = 'hijacking') AS hijacking_count,
-      COUNT(*) FILTER (WHERE type = 'mugging') AS mugging_count,
-      COUNT(*) FILTER (WHERE type = 'accident') AS accident_count,
-      COUNT(*) AS total_count
+      type,
+      COUNT(*) AS count
     FROM incidents
     WHERE inserted_at >= $1
       AND expires_at > $2
-    GROUP BY week_start
+    GROUP BY week_start, type
     ORDER BY week_start
     """
 
     case Ecto.Adapters.SQL.query(Repo, query, [start_date, now]) do
       {:ok, %{rows: rows}} ->
-        Enum.map(rows, fn [week_start, hijacking, mugging, accident, total] ->
-          %{
-            week_start: week_start,
-            week_label: format_week_label(week_start),
-            hijacking_count: hijacking,
-            mugging_count: mugging,
-            accident_count: accident,
-            total_count: total
-          }
+        rows
+        |> Enum.group_by(&hd/1, fn [_week_start, type, count] -> {type, count} end)
+        |> Enum.sort_by(&elem(&1, 0), NaiveDateTime)
+        |> Enum.map(fn {week_start, counts} ->
+          counts
+          |> type_counts()
+          |> Map.merge(%{week_start: week_start, week_label: format_week_label(week_start)})
         end)
 
       {:error, _} ->
@@ -192,6 +184,24 @@ defmodule HotspotApi.Analytics do
     end
   end
 
+  @doc """
+  Builds the per-type counts for one bucket from `{type, count}` pairs.
+
+  Incident types are data-driven, so every type is in `counts_by_type`; the
+  original three keep their flat fields for older clients.
+  """
+  def type_counts(counts) do
+    counts_by_type = Map.new(counts)
+
+    %{
+      hijacking_count: Map.get(counts_by_type, "hijacking", 0),
+      mugging_count: Map.get(counts_by_type, "mugging", 0),
+      accident_count: Map.get(counts_by_type, "accident", 0),
+      counts_by_type: counts_by_type,
+      total_count: counts_by_type |> Map.values() |> Enum.sum()
+    }
+  end
+
   @doc """
   Returns comprehensive analytics summary including total counts, verification rate, and active users.
 
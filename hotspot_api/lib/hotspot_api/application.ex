@@ -14,6 +14,8 @@ defmodule HotspotApi.Application do
       {Phoenix.PubSub, name: HotspotApi.PubSub},
       # Start cache for performance optimization
       HotspotApi.Cache,
+      # Recent channel events, replayed to clients after a reconnect
+      HotspotApiWeb.EventLog,
       # Start Oban for background jobs
       {Oban, Application.fetch_env!(:hotspot_api, Oban)},
       # Start a worker by calling: HotspotApi.Worker.start_link(arg)
@@ -303,6 +303,63 @@ defmodule HotspotApi.Communities do
     end
   end
 
+  # ============================================================================
+  # Group Invites
+  # ============================================================================
+
+  @invite_salt "group invite"
+  @invite_max_age_seconds 7 * 24 * 60 * 60
+
+  @doc """
+  Creates a signed invite token for a group.
+  Anyone holding the token can join the group, including private groups, until it expires.
+  """
+  def create_invite_token(group_id) do
+    Phoenix.Token.sign(HotspotApiWeb.Endpoint, @invite_salt, group_id)
+  end
+
+  @doc """
+  How long invite tokens stay valid, in seconds.
+  """
+  def invite_max_age, do: @invite_max_age_seconds
+
+  @doc """
+  Resolves an invite token to its group.
+  Returns `{:error, :expired}` for expired tokens and `{:error, :invalid}` for tampered
+  tokens or groups that no longer exist.
+  """
+  def get_group_by_invite(token) do
+    case Phoenix.Token.verify(HotspotApiWeb.Endpoint, @invite_salt, token, max_age: @invite_max_age_seconds) do
+      {:ok, group_id} ->
+        case get_group(group_id) do
+          nil -> {:error, :invalid}
+          group -> {:ok, group}
+        end
+
+      {:error, :expired} ->
+        {:error, :expired}
+
+      {:error, _reason} ->
+        {:error, :invalid}
+    end
+  end
+
+  @doc """
+  Joins the group an invite token points at. Already being a member is not an error.
+  """
+  def accept_invite(token, user_id) do
+    with {:ok, group} <- get_group_by_invite(token) do
+      if member?(group.id, user_id) do
+        {:ok, group}
+      else
+        case join_group(group.id, user_id) do
+          {:ok, _member} -> {:ok, get_group(group.id)}
+          error -> error
+        end
+      end
+    end
+  end
+
   # ============================================================================
   # Group Incidents
   # ============================================================================
@@ -399,6 +456,24 @@ defmodule HotspotApi.Communities do
     }
   end
 
+  @doc """
+  Active incidents explicitly linked to each of the given groups, as incident ids
+  keyed by group id. Together with each group's radius this is the "my groups"
+  map filter's rule, which the app applies to markers.
+  """
+  def linked_incident_ids(group_ids) do
+    now = DateTime.utc_now()
+
+    from(gi in GroupIncident,
+      join: i in Incident,
+      on: i.id == gi.incident_id,
+      where: gi.group_id in ^group_ids and i.expires_at > ^now,
+      select: {gi.group_id, gi.incident_id}
+    )
+    |> Repo.all()
+    |> Enum.group_by(fn {group_id, _} -> group_id end, fn {_, incident_id} -> incident_id end)
+  end
+
   @doc """
   Removes an incident from a group.
   """
@@ -9,7 +9,12 @@ defmodule HotspotApi.Geofencing do
 
   alias HotspotApi.Geofencing.HotspotZone
   alias HotspotApi.Geofencing.UserZoneTracking
-  alias HotspotApi.Incidents
+  alias HotspotApi.Incidents.Incident
+
+  # Clustered zones are drawn this far around their outermost incidents
+  @zone_boundary_buffer_meters 250
+  # A change in incident count smaller than this share reads as steady
+  @trend_margin 0.25
 
   @doc """
   Returns the list of active hotspot zones.
@@ -95,6 +100,23 @@ defmodule HotspotApi.Geofencing do
     Repo.delete(zone)
   end
 
+  @doc """
+  Returns a zone's boundary as a GeoJSON Polygon or MultiPolygon, or nil when
+  the zone is a circle of `radius_meters` around its center.
+
+  ## Examples
+
+      iex> zone_geometry(zone)
+      %{"type" => "Polygon", "coordinates" => [[[28.04, -26.20], ...]]}
+
+  """
+  def zone_geometry(%HotspotZone{boundary: nil}), do: nil
+
+  def zone_geometry(%HotspotZone{boundary: boundary}) do
+    # Coordinates are always WGS84, which GeoJSON assumes without a crs member
+    boundary |> Geo.JSON.encode!() |> Map.delete("crs")
+  end
+
   @doc """
   Updates hotspot zones based on incident clustering.
   This function should be called periodically (every 10 minutes) by the ZoneUpdateWorker.
@@ -102,7 +124,8 @@ defmodule HotspotApi.Geofencing do
   ## Algorithm:
   1. Get incidents from past 7 days
   2. Cluster incidents by type using ST_ClusterDBSCAN (1km radius, min 5 incidents)
-  3. Create or update zones for each cluster
+  3. Create or update zones for each cluster, shaped to the cluster's incidents
+     (unless an admin drew the zone's boundary)
   4. Calculate risk levels based on incident count
   5. Dissolve zones with < 3 incidents in past 7 days
 
@@ -135,6 +158,7 @@ defmodule HotspotApi.Geofencing do
         cluster_id,
         COUNT(*) AS incident_count,
         ST_Centroid(ST_Collect(location)) AS center,
+        ST_Buffer(ST_ConvexHull(ST_Collect(location))::geography, $3)::geometry AS boundary,
         MAX(inserted_at) AS last_incident_at
       FROM clustered_incidents
       WHERE cluster_id IS NOT NULL
@@ -146,17 +170,18 @@ defmodule HotspotApi.Geofencing do
       ST_Y(center) AS latitude,
       ST_X(center) AS longitude,
       incident_count,
-      last_incident_at
+      last_incident_at,
+      boundary
     FROM cluster_stats
     ORDER BY incident_count DESC
     """
 
-    case Ecto.Adapters.SQL.query(Repo, query, [seven_days_ago, now]) do
+    case Ecto.Adapters.SQL.query(Repo, query, [seven_days_ago, now, @zone_boundary_buffer_meters]) do
       {:ok, %{rows: rows}} ->
         stats = %{created: 0, updated: 0, dissolved: 0}
 
         # Process each cluster
-        stats = Enum.reduce(rows, stats, fn [zone_type, lat, lng, count, last_incident_at], acc ->
+        stats = Enum.reduce(rows, stats, fn [zone_type, lat, lng, count, last_incident_at, boundary], acc ->
           risk_level = calculate_risk_level(count)
 
           # Check if a zone already exists at this location
@@ -170,6 +195,7 @@ defmodule HotspotApi.Geofencing do
                 latitude: lat,
                 longitude: lng,
                 radius_meters: 1000,
+                boundary: boundary,
                 incident_count: count,
                 risk_level: risk_level,
                 is_active: true,
@@ -178,13 +204,17 @@ defmodule HotspotApi.Geofencing do
               %{acc | created: acc.created + 1}
 
             zone ->
-              # Update existing zone
-              {:ok, _zone} = update_zone(zone, %{
+              # Update existing zone, following the cluster's shape as it grows
+              attrs = %{
                 incident_count: count,
                 risk_level: risk_level,
                 is_active: true,
                 last_incident_at: last_incident_at
-              })
+              }
+
+              attrs = if zone.boundary_drawn, do: attrs, else: Map.put(attrs, :boundary, boundary)
+
+              {:ok, _zone} = update_zone(zone, attrs)
               %{acc | updated: acc.updated + 1}
           end
         end)
@@ -243,16 +273,15 @@ defmodule HotspotApi.Geofencing do
     # For each active zone, count incidents in past 7 days
     active_zones = list_active_zones()
 
-    Enum.reduce(active_zones, 0, fn zone, count ->
-      %Geo.Point{coordinates: {lng, lat}} = zone.center_location
+    now = DateTime.utc_now()
 
-      # Count incidents near this zone from past 7 days
-      incident_count = Incidents.list_nearby(lat, lng, zone.radius_meters)
-        |> Enum.filter(fn incident ->
-          incident.type == zone.zone_type &&
-          DateTime.compare(incident.inserted_at, seven_days_ago) == :gt
-        end)
-        |> length()
+    Enum.reduce(active_zones, 0, fn zone, count ->
+      # Count active incidents in this zone from past 7 days
+      incident_count = zone
+        |> zone_incidents_query()
+        |> where([i], i.expires_at > ^now)
+        |> where([i], i.type == ^zone.zone_type and i.inserted_at > ^seven_days_ago)
+        |> Repo.aggregate(:count, :id)
 
       if incident_count < 3 do
         # Dissolve zone by marking as inactive
@@ -279,10 +308,92 @@ defmodule HotspotApi.Geofencing do
 
     HotspotZone
     |> where([z], z.is_active == true)
-    |> where([z], st_dwithin_in_meters(z.center_location, ^point, z.radius_meters))
+    |> within_zone(point, 0)
     |> Repo.all()
   end
 
+  # Zones within `distance` meters of a point: of the zone's boundary, or of
+  # its circle when it has none
+  defp within_zone(query, point, distance) do
+    where(
+      query,
+      [z],
+      (is_nil(z.boundary) and st_dwithin_in_meters(z.center_location, ^point, z.radius_meters + ^distance)) or
+        (not is_nil(z.boundary) and st_dwithin_in_meters(z.boundary, ^point, ^distance))
+    )
+  end
+
+  # Incidents inside a zone's boundary, or its circle when it has none
+  defp zone_incidents_query(%HotspotZone{boundary: nil} = zone) do
+    where(Incident, [i], st_dwithin_in_meters(i.location, ^zone.center_location, ^zone.radius_meters))
+  end
+
+  defp zone_incidents_query(%HotspotZone{boundary: boundary}) do
+    where(Incident, [i], st_intersects(i.location, ^boundary))
+  end
+
+  @doc """
+  Summarises the incidents inside a zone for the map's zone details: how many
+  happened in the past 7 days and of which types, the latest one, and whether
+  the count is rising or falling against the 7 days before. Expired incidents
+  count too, since most expire long before a week is up.
+
+  ## Examples
+
+      iex> get_zone_summary(zone)
+      %{incident_count: 8, previous_incident_count: 3, dominant_type: "hijacking", trend: "rising", ...}
+
+  """
+  def get_zone_summary(%HotspotZone{} = zone) do
+    now = DateTime.utc_now()
+    week_ago = DateTime.add(now, -7, :day)
+    two_weeks_ago = DateTime.add(now, -14, :day)
+
+    rows =
+      zone
+      |> zone_incidents_query()
+      |> where([i], i.reported_at >= ^two_weeks_ago and i.status != "retracted")
+      |> group_by([i], i.type)
+      |> select([i], {
+        i.type,
+        filter(count(i.id), i.reported_at >= ^week_ago),
+        filter(count(i.id), i.reported_at < ^week_ago),
+        max(i.reported_at)
+      })
+      |> Repo.all()
+
+    type_counts = for {type, count, _previous, _last} <- rows, count > 0, into: %{}, do: {type, count}
+    incident_count = type_counts |> Map.values() |> Enum.sum()
+    previous_incident_count = rows |> Enum.map(&elem(&1, 2)) |> Enum.sum()
+
+    dominant_type =
+      case Enum.max_by(type_counts, &elem(&1, 1), fn -> nil end) do
+        {type, _count} -> type
+        nil -> zone.zone_type
+      end
+
+    %{
+      zone_id: zone.id,
+      incident_count: incident_count,
+      previous_incident_count: previous_incident_count,
+      type_counts: type_counts,
+      dominant_type: dominant_type,
+      last_incident_at: rows |> Enum.map(&elem(&1, 3)) |> Enum.max(DateTime, fn -> zone.last_incident_at end),
+      trend: zone_trend(incident_count, previous_incident_count)
+    }
+  end
+
+  defp zone_trend(current, previous) do
+    # Small counts swing a lot, so it takes at least two incidents either way
+    margin = max(2, previous * @trend_margin)
+
+    cond do
+      current - previous >= margin -> "rising"
+      previous - current >= margin -> "falling"
+      true -> "steady"
+    end
+  end
+
   @doc """
   Track user entry into a zone.
   Creates a tracking record if the user is not already in the zone.
@@ -379,7 +490,7 @@ defmodule HotspotApi.Geofencing do
 
   @doc """
   Check for zones that user is approaching (within 500m for premium users).
-  Returns zones within 500m but outside the zone radius.
+  Returns zones within 500m of their edge that the user is not inside.
 
   ## Examples
 
@@ -391,37 +502,15 @@ defmodule HotspotApi.Geofencing do
     if is_premium do
       point = %Geo.Point{coordinates: {longitude, latitude}, srid: 4326}
 
-      # Find zones within 500m + zone radius
+      # Filter to only zones user is NOT already in (approaching but not entered)
+      inside_ids = latitude |> check_location(longitude) |> Enum.map(& &1.id)
+
       HotspotZone
-      |> where([z], z.is_active == true)
-      |> where([z], st_dwithin_in_meters(z.center_location, ^point, z.radius_meters + 500))
+      |> where([z], z.is_active == true and z.id not in ^inside_ids)
+      |> within_zone(point, 500)
       |> Repo.all()
-      |> Enum.filter(fn zone ->
-        # Filter to only zones user is NOT already in (approaching but not entered)
-        %Geo.Point{coordinates: {lng, lat}} = zone.center_location
-        distance = calculate_distance(latitude, longitude, lat, lng)
-        distance > zone.radius_meters && distance <= zone.radius_meters + 500
-      end)
     else
       []
     end
   end
-
-  # Calculate distance in meters using Haversine formula
-  defp calculate_distance(lat1, lng1, lat2, lng2) do
-    r = 6371000 # Earth's radius in meters
-
-    phi1 = lat1 * :math.pi() / 180
-    phi2 = lat2 * :math.pi() / 180
-    delta_phi = (lat2 - lat1) * :math.pi() / 180
-    delta_lambda = (lng2 - lng1) * :math.pi() / 180
-
-    a = :math.sin(delta_phi / 2) * :math.sin(delta_phi / 2) +
-        :math.cos(phi1) * :math.cos(phi2) *
-        :math.sin(delta_lambda / 2) * :math.sin(delta_lambda / 2)
-
-    c = 2 * :math.atan2(:math.sqrt(a), :math.sqrt(1 - a))
-
-    round(r * c)
-  end
 end
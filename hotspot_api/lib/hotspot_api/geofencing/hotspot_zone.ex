@@ -7,6 +7,9 @@ defmodule HotspotApi.Geofencing.HotspotZone do
   schema "hotspot_zones" do
     field :zone_type, :string
     field :center_location, Geo.PostGIS.Geometry
+    # Polygon or MultiPolygon; nil means a circle of radius_meters
+    field :boundary, Geo.PostGIS.Geometry
+    field :boundary_drawn, :boolean, default: false
     field :radius_meters, :integer, default: 1000
     field :incident_count, :integer, default: 0
     field :risk_level, :string
@@ -16,16 +19,20 @@ defmodule HotspotApi.Geofencing.HotspotZone do
     timestamps(type: :utc_datetime)
   end
 
-  @valid_types ~w(hijacking mugging accident)
   @valid_risk_levels ~w(low medium high critical)
 
   @doc false
   def changeset(hotspot_zone, attrs) do
     hotspot_zone
-    |> cast(attrs, [:zone_type, :radius_meters, :incident_count, :risk_level, :is_active, :last_incident_at])
+    |> cast(attrs, [:zone_type, :radius_meters, :incident_count, :risk_level, :is_active, :last_incident_at, :boundary_drawn])
     |> cast_center_location(attrs)
+    |> cast_boundary(attrs)
     |> validate_required([:zone_type, :center_location, :radius_meters, :incident_count, :risk_level])
-    |> validate_inclusion(:zone_type, @valid_types, message: "must be one of: hijacking, mugging, accident")
+    |> validate_change(:zone_type, fn :zone_type, zone_type ->
+      if zone_type in HotspotApi.Incidents.incident_type_keys(),
+        do: [],
+        else: [zone_type: "is not a known incident type"]
+    end)
     |> validate_inclusion(:risk_level, @valid_risk_levels, message: "must be one of: low, medium, high, critical")
     |> validate_number(:radius_meters, greater_than: 0)
     |> validate_number(:incident_count, greater_than_or_equal_to: 0)
@@ -42,4 +49,34 @@ defmodule HotspotApi.Geofencing.HotspotZone do
   end
 
   defp cast_center_location(changeset, _), do: changeset
+
+  # Accepts a GeoJSON map (from the admin API) or a Geo struct (from clustering)
+  defp cast_boundary(changeset, attrs) do
+    case fetch_boundary(attrs) do
+      :error ->
+        changeset
+
+      {:ok, nil} ->
+        put_change(changeset, :boundary, nil)
+
+      {:ok, %struct{} = boundary} when struct in [Geo.Polygon, Geo.MultiPolygon] ->
+        put_change(changeset, :boundary, %{boundary | srid: 4326})
+
+      {:ok, %{} = geojson} when not is_struct(geojson) ->
+        case Geo.JSON.decode(geojson) do
+          {:ok, %struct{} = boundary} when struct in [Geo.Polygon, Geo.MultiPolygon] ->
+            put_change(changeset, :boundary, %{boundary | srid: 4326})
+
+          _ ->
+            add_error(changeset, :boundary, "must be a GeoJSON Polygon or MultiPolygon")
+        end
+
+      {:ok, _} ->
+        add_error(changeset, :boundary, "must be a GeoJSON Polygon or MultiPolygon")
+    end
+  end
+
+  defp fetch_boundary(%{boundary: boundary}), do: {:ok, boundary}
+  defp fetch_boundary(%{"boundary" => boundary}), do: {:ok, boundary}
+  defp fetch_boundary(_), do: :error
 end
@@ -10,6 +10,7 @@ defmodule HotspotApi.Incidents do
 
   alias HotspotApi.Incidents.Incident
   alias HotspotApi.Incidents.IncidentVerification
+  alias HotspotApi.Incidents.IncidentType
 
   @doc """
   Returns the list of incidents that haven't expired.
@@ -46,25 +47,46 @@ defmodule HotspotApi.Incidents do
   def get_incident!(id), do: Repo.get!(Incident, id)
 
   @doc """
-  Gets an incident by idempotency_key.
+  Gets a single incident.
+  Returns nil if no incident is found, it was retracted, or the id is not a valid UUID.
+
+  ## Examples
+
+      iex> get_incident("0b7e...")
+      %Incident{}
+
+      iex> get_incident("not-a-uuid")
+      nil
+
+  """
+  def get_incident(id) do
+    case Ecto.UUID.cast(id) do
+      {:ok, uuid} -> Incident |> where([i], i.status != "retracted") |> Repo.get(uuid)
+      :error -> nil
+    end
+  end
+
+  @doc """
+  Gets a user's incident by idempotency_key. Keys are only unique per user,
+  so another user's report with the same key is never returned.
   Returns nil if no incident is found.
 
   ## Examples
 
-      iex> get_by_idempotency_key("key-456")
+      iex> get_by_idempotency_key(user_id, "key-456")
       %Incident{}
 
-      iex> get_by_idempotency_key("nonexistent")
+      iex> get_by_idempotency_key(user_id, "nonexistent")
       nil
 
   """
-  def get_by_idempotency_key(idempotency_key) when is_binary(idempotency_key) do
+  def get_by_idempotency_key(user_id, idempotency_key) when is_binary(idempotency_key) do
     Incident
-    |> where([i], i.idempotency_key == ^idempotency_key)
+    |> where([i], i.user_id == ^user_id and i.idempotency_key == ^idempotency_key)
     |> Repo.one()
   end
 
-  def get_by_idempotency_key(_), do: nil
+  def get_by_idempotency_key(_user_id, _), do: nil
 
   @doc """
   Creates an incident with automatic expiration set to 48 hours from now.
@@ -79,11 +101,15 @@ defmodule HotspotApi.Incidents do
 
   """
   def create_incident(attrs) do
-    # Normalize to string keys and set expiration to 48 hours from now if not provided
+    # Normalize to string keys and set expiration to 48 hours from now if not provided;
+    # reports without a time are of something happening now
+    now = DateTime.utc_now()
+
     attrs =
       attrs
       |> normalize_keys()
-      |> Map.put_new("expires_at", DateTime.add(DateTime.utc_now(), 48, :hour))
+      |> Map.put_new("expires_at", DateTime.add(now, 48, :hour))
+      |> Map.update("reported_at", now, &(&1 || now))
 
     result =
       %Incident{}
@@ -135,6 +161,40 @@ defmodule HotspotApi.Incidents do
     |> Enum.map(&add_distance(&1, point))
   end
 
+  @max_bounds_incidents 500
+
+  @doc """
+  Lists active incidents inside a map viewport, newest first. Capped at
+  #{@max_bounds_incidents} so a busy, zoomed-out city stays quick to load;
+  `truncated` is true when the cap left some out.
+
+  ## Examples
+
+      iex> list_in_bounds(-26.3, 27.9, -26.1, 28.2)
+      %{incidents: [%Incident{}, ...], truncated: false}
+
+  """
+  def list_in_bounds(min_lat, min_lng, max_lat, max_lng) do
+    now = DateTime.utc_now()
+
+    incidents =
+      Incident
+      |> where([i], i.expires_at > ^now)
+      |> where(
+        [i],
+        fragment("? && ST_MakeEnvelope(?, ?, ?, ?, 4326)", i.location, ^min_lng, ^min_lat, ^max_lng, ^max_lat)
+      )
+      |> order_by([i], desc: i.inserted_at)
+      # One past the cap tells us whether anything was left out
+      |> limit(^(@max_bounds_incidents + 1))
+      |> Repo.all()
+
+    %{
+      incidents: Enum.take(incidents, @max_bounds_incidents),
+      truncated: length(incidents) > @max_bounds_incidents
+    }
+  end
+
   @doc """
   Lists incidents near a given location with pagination and filtering.
 
@@ -143,7 +203,7 @@ defmodule HotspotApi.Incidents do
     - longitude: Longitude of the center point
     - radius_meters: Search radius in meters (default: 5000)
     - opts: Keyword list with optional filters
-      - :type - Filter by incident type (hijacking, mugging, accident)
+      - :type - Filter by incident type key, e.g. "hijacking" (see list_incident_types/0)
       - :time_range - Filter by time range (24h, 7d, all)
       - :page - Page number (default: 1)
       - :page_size - Items per page (default: 20)
@@ -259,6 +319,163 @@ defmodule HotspotApi.Incidents do
     Incident.changeset(incident, attrs)
   end
 
+  # Resolved incidents stay on maps a little longer, marked as cleared
+  @resolved_visible_hours 2
+
+  @doc """
+  Lists the incidents a user has reported, newest first, including expired ones.
+
+  ## Examples
+
+      iex> list_user_incidents("user-id")
+      [%Incident{}, ...]
+
+  """
+  def list_user_incidents(user_id, limit \\ 50) do
+    Incident
+    |> where([i], i.user_id == ^user_id and i.status != "retracted")
+    |> order_by([i], desc: i.inserted_at)
+    |> limit(^limit)
+    |> Repo.all()
+  end
+
+  @doc """
+  Updates the description or photo of the user's own incident and broadcasts
+  the change as `incident:updated`.
+
+  ## Examples
+
+      iex> update_report(incident, "reporter-id", %{"description" => "Suspects fled north"})
+      {:ok, %Incident{}}
+
+      iex> update_report(incident, "someone-else", %{"description" => "..."})
+      {:error, :forbidden}
+
+  """
+  def update_report(%Incident{} = incident, user_id, attrs) do
+    with :ok <- authorize_reporter(incident, user_id),
+         {:ok, incident} <- incident |> Incident.follow_up_changeset(attrs) |> Repo.update() do
+      HotspotApiWeb.IncidentChannel.broadcast_incident_updated(incident)
+      {:ok, incident}
+    end
+  end
+
+  @doc """
+  Marks the user's own incident as resolved and broadcasts `incident:updated`.
+  It expires #{@resolved_visible_hours} hours later, or sooner if it was due to.
+
+  ## Examples
+
+      iex> resolve_incident(incident, "reporter-id")
+      {:ok, %Incident{status: "resolved"}}
+
+  """
+  def resolve_incident(%Incident{status: "resolved"} = incident, user_id) do
+    with :ok <- authorize_reporter(incident, user_id), do: {:ok, incident}
+  end
+
+  def resolve_incident(%Incident{} = incident, user_id) do
+    visible_until = DateTime.add(DateTime.utc_now(), @resolved_visible_hours, :hour) |> DateTime.truncate(:second)
+    expires_at = Enum.min([incident.expires_at, visible_until], DateTime)
+
+    with :ok <- authorize_reporter(incident, user_id),
+         {:ok, incident} <- incident |> Incident.resolve_changeset(expires_at) |> Repo.update() do
+      HotspotApiWeb.IncidentChannel.broadcast_incident_updated(incident)
+      {:ok, incident}
+    end
+  end
+
+  @doc """
+  Retracts the user's own incident and broadcasts `incident:removed`. The
+  incident is kept with status "retracted" and hidden everywhere, so a
+  reporter cannot wipe their moderation history by retracting flagged reports.
+
+  ## Examples
+
+      iex> retract_incident(incident, "reporter-id")
+      {:ok, %Incident{}}
+
+  """
+  def retract_incident(%Incident{} = incident, user_id) do
+    with :ok <- authorize_reporter(incident, user_id),
+         {:ok, incident} <- incident |> Incident.retract_changeset() |> Repo.update() do
+      HotspotApiWeb.IncidentChannel.broadcast_incident_removed(incident, "retracted")
+      {:ok, incident}
+    end
+  end
+
+  defp authorize_reporter(%Incident{user_id: user_id}, user_id), do: :ok
+  defp authorize_reporter(_incident, _user_id), do: {:error, :forbidden}
+
+  @incident_types_cache_key "incident_types"
+
+  @doc """
+  Returns the active incident types in display order, with their icon, colour,
+  severity and sub-types. Cached, since every report is validated against it.
+
+  ## Examples
+
+      iex> list_incident_types()
+      [%IncidentType{key: "hijacking"}, ...]
+
+  """
+  def list_incident_types do
+    Cache.fetch(@incident_types_cache_key, fn ->
+      IncidentType
+      |> where([t], t.is_active)
+      |> order_by([t], asc: t.position, asc: t.key)
+      |> Repo.all()
+    end, :timer.minutes(10))
+  end
+
+  @doc """
+  Returns the keys of the active incident types, e.g. `["hijacking", "mugging", ...]`.
+  """
+  def incident_type_keys do
+    Enum.map(list_incident_types(), & &1.key)
+  end
+
+  @doc """
+  Returns all incident types, including deactivated ones, for admin screens.
+  """
+  def list_all_incident_types do
+    IncidentType
+    |> order_by([t], asc: t.position, asc: t.key)
+    |> Repo.all()
+  end
+
+  @doc """
+  Gets an incident type by key, including inactive ones. Returns nil if not found.
+  """
+  def get_incident_type(key), do: Repo.get(IncidentType, key)
+
+  @doc """
+  Adds an incident type.
+
+  ## Examples
+
+      iex> create_incident_type(%{key: "break_in", label: "Break-in", icon: "🏠", color: "#8B5CF6"})
+      {:ok, %IncidentType{}}
+
+  """
+  def create_incident_type(attrs) do
+    %IncidentType{}
+    |> IncidentType.changeset(attrs)
+    |> Repo.insert()
+    |> tap(fn _ -> Cache.delete(@incident_types_cache_key) end)
+  end
+
+  @doc """
+  Updates an incident type, e.g. its colour or sub-types. Deactivate a type
+  with `is_active: false`; its existing incidents keep their type.
+  """
+  def update_incident_type(%IncidentType{} = incident_type, attrs) do
+    incident_type
+    |> IncidentType.changeset(Map.drop(attrs, [:key, "key"]))
+    |> Repo.update()
+    |> tap(fn _ -> Cache.delete(@incident_types_cache_key) end)
+  end
+
   # Private helper to add distance to incident
   defp add_distance(%Incident{location: location} = incident, point) do
     distance = calculate_distance(location, point)
@@ -294,6 +511,7 @@ defmodule HotspotApi.Incidents do
   ## Returns
     - {:ok, %IncidentVerification{}} on success
     - {:error, %Ecto.Changeset{}} if validation fails (duplicate vote, self-verification, etc.)
+    - {:error, :not_found} if the incident does not exist or was retracted
 
   ## Examples
 
@@ -305,37 +523,57 @@ defmodule HotspotApi.Incidents do
 
   """
   def verify_incident(incident_id, user_id) do
-    Repo.transaction(fn ->
-      # Create the verification record
-      verification_result =
-        %IncidentVerification{}
-        |> IncidentVerification.changeset(%{incident_id: incident_id, user_id: user_id})
-        |> Repo.insert()
-
-      case verification_result do
-        {:ok, verification} ->
-          # Increment verification count
-          incident = Repo.get!(Incident, incident_id)
-          new_count = incident.verification_count + 1
-
-          # Check if incident should be auto-verified (3+ upvotes within 2 hours)
-          two_hours_ago = DateTime.add(DateTime.utc_now(), -2, :hour)
-          should_verify = new_count >= 3 && DateTime.compare(incident.inserted_at, two_hours_ago) == :gt
-
-          # Update incident
-          incident
-          |> Incident.changeset(%{
-            verification_count: new_count,
-            is_verified: should_verify || incident.is_verified
-          })
-          |> Repo.update!()
-
-          verification
-
-        {:error, changeset} ->
-          Repo.rollback(changeset)
-      end
-    end)
+    # Retracted incidents are hidden, so they can't be verified either
+    case get_incident(incident_id) do
+      %Incident{} -> insert_verification(incident_id, user_id)
+      nil -> {:error, :not_found}
+    end
+  end
+
+  defp insert_verification(incident_id, user_id) do
+    result =
+      Repo.transaction(fn ->
+        # Create the verification record
+        verification_result =
+          %IncidentVerification{}
+          |> IncidentVerification.changeset(%{incident_id: incident_id, user_id: user_id})
+          |> Repo.insert()
+
+        case verification_result do
+          {:ok, verification} ->
+            # Increment verification count
+            incident = Repo.get!(Incident, incident_id)
+            new_count = incident.verification_count + 1
+
+            # Check if incident should be auto-verified (3+ upvotes within 2 hours)
+            two_hours_ago = DateTime.add(DateTime.utc_now(), -2, :hour)
+            should_verify = new_count >= 3 && DateTime.compare(incident.inserted_at, two_hours_ago) == :gt
+
+            # Update incident
+            updated_incident =
+              incident
+              |> Incident.changeset(%{
+                verification_count: new_count,
+                is_verified: should_verify || incident.is_verified
+              })
+              |> Repo.update!()
+
+            {verification, updated_incident}
+
+          {:error, changeset} ->
+            Repo.rollback(changeset)
+        end
+      end)
+
+    # Broadcast the new count to Phoenix Channels
+    case result do
+      {:ok, {verification, incident}} ->
+        HotspotApiWeb.IncidentChannel.broadcast_incident_verified(incident, verification)
+        {:ok, verification}
+
+      error ->
+        error
+    end
   end
 
   @doc """
@@ -368,8 +606,13 @@ defmodule HotspotApi.Incidents do
     |> Repo.exists?()
   end
 
+  # Expired incidents stay this long so the longest playback period can replay them
+  @expired_retention_days 30
+
   @doc """
-  Deletes expired incidents (those with zero verifications after 48 hours).
+  Deletes expired incidents (those with zero verifications after 48 hours)
+  once they are older than the #{@expired_retention_days} day playback.
+  Until then they are only hidden from the live map.
   This function is meant to be called by the IncidentExpiryWorker.
 
   ## Examples
@@ -379,19 +622,34 @@ defmodule HotspotApi.Incidents do
 
   """
   def delete_expired_incidents do
-    now = DateTime.utc_now()
+    cutoff = DateTime.add(DateTime.utc_now(), -@expired_retention_days, :day)
 
-    # Delete incidents that have expired and have zero verifications
+    # Delete incidents that have expired and have zero verifications. Retracted
+    # ones are kept for moderation.
     Incident
-    |> where([i], i.expires_at <= ^now and i.verification_count == 0)
+    |> where([i], i.expires_at <= ^cutoff and i.verification_count == 0)
+    |> where([i], i.status != "retracted")
     |> Repo.delete_all()
   end
 
+  # Heat zones are drawn this far around their outermost incidents
+  @heat_zone_buffer_meters 200
+
   @doc """
   Generates heatmap data by clustering incidents from the past 7 days using PostGIS ST_ClusterDBSCAN.
-  Returns cluster centers with incident counts and dominant incident type.
+  Returns cluster centers with incident counts and dominant incident type,
+  plus each cluster's shape as a GeoJSON polygon around its incidents.
   Only returns clusters with 5 or more incidents.
-  Results are cached for 5 minutes to improve performance.
+  Results are cached for 5 minutes to improve performance, per set of filters.
+
+  Filters match the map's filter sheet, so heat zones are built from the
+  same incidents as the markers:
+    - :types - Only these incident type keys
+    - :max_age_hours - Only incidents that happened within this many hours
+    - :verified_only - Only verified incidents
+    - :min_verifications - Only incidents with at least this many verifications
+    - :group_user_id - Only incidents in the groups this user belongs to,
+      either linked to the group or inside its area
 
   ## Examples
 
@@ -401,40 +659,73 @@ defmodule HotspotApi.Incidents do
           center: %{latitude: -26.2041, longitude: 28.0473},
           incident_count: 12,
           dominant_type: "hijacking",
-          radius: 500
+          radius: 500,
+          geometry: %{"type" => "Polygon", "coordinates" => [...]}
         },
         ...
       ]
 
+      iex> get_heatmap_data(%{types: ["hijacking"], verified_only: true})
+      [%{dominant_type: "hijacking", ...}]
+
   """
-  def get_heatmap_data do
+  def get_heatmap_data(filters \\ %{}) do
+    filters = filters |> Enum.reject(fn {_key, value} -> value in [nil, false, 0, []] end) |> Map.new()
+
+    cache_key =
+      if filters == %{}, do: "heatmap_data", else: "heatmap_data:#{:erlang.phash2(filters)}"
+
     # Cache heatmap data for 5 minutes
-    Cache.fetch("heatmap_data", fn -> compute_heatmap_data() end, :timer.minutes(5))
+    Cache.fetch(cache_key, fn -> compute_heatmap_data(filters) end, :timer.minutes(5))
   end
 
-  defp compute_heatmap_data do
+  defp compute_heatmap_data(filters) do
     seven_days_ago = DateTime.add(DateTime.utc_now(), -7, :day)
     now = DateTime.utc_now()
 
+    happened_after =
+      if filters[:max_age_hours], do: DateTime.add(now, -filters[:max_age_hours], :hour)
+
+    group_user_id = if filters[:group_user_id], do: Ecto.UUID.dump!(filters[:group_user_id])
+
     # Query incidents from past 7 days using PostGIS ST_ClusterDBSCAN
     # eps = 0.01 degrees (~1.1km at equator)
     # minpoints = 5 (minimum incidents to form a cluster)
     query = """
     WITH clustered_incidents AS (
       SELECT
-        id,
-        type,
-        location,
-        ST_ClusterDBSCAN(location, eps := 0.01, minpoints := 5) OVER () AS cluster_id
-      FROM incidents
-      WHERE inserted_at >= $1
-        AND expires_at > $2
+        i.id,
+        i.type,
+        i.location,
+        ST_ClusterDBSCAN(i.location, eps := 0.01, minpoints := 5) OVER () AS cluster_id
+      FROM incidents i
+      WHERE i.inserted_at >= $1
+        AND i.expires_at > $2
+        AND ($3::text[] IS NULL OR i.type = ANY($3::text[]))
+        AND ($4::timestamp IS NULL OR i.reported_at >= $4::timestamp)
+        AND (NOT $5::boolean OR i.is_verified)
+        AND i.verification_count >= $6::integer
+        AND ($7::uuid IS NULL OR EXISTS (
+          SELECT 1
+          FROM group_members m
+          JOIN community_groups g ON g.id = m.group_id
+          WHERE m.user_id = $7::uuid
+            AND (
+              EXISTS (SELECT 1 FROM group_incidents gi WHERE gi.group_id = g.id AND gi.incident_id = i.id)
+              OR ST_DWithin(
+                i.location::geography,
+                ST_SetSRID(ST_MakePoint(g.center_longitude, g.center_latitude), 4326)::geography,
+                g.radius_meters
+              )
+            )
+        ))
     ),
     cluster_stats AS (
       SELECT
         cluster_id,
         COUNT(*) AS incident_count,
         ST_Centroid(ST_Collect(location)) AS center,
+        ST_Buffer(ST_ConvexHull(ST_Collect(location))::geography, $8)::geometry AS boundary,
         MODE() WITHIN GROUP (ORDER BY type) AS dominant_type
       FROM clustered_incidents
       WHERE cluster_id IS NOT NULL
@@ -445,14 +736,26 @@ defmodule HotspotApi.Incidents do
       ST_Y(center) AS latitude,
       ST_X(center) AS longitude,
       incident_count,
-      dominant_type
+      dominant_type,
+      boundary
     FROM cluster_stats
     ORDER BY incident_count DESC
     """
 
-    case Ecto.Adapters.SQL.query(Repo, query, [seven_days_ago, now]) do
+    params = [
+      seven_days_ago,
+      now,
+      filters[:types],
+      happened_after,
+      filters[:verified_only] || false,
+      filters[:min_verifications] || 0,
+      group_user_id,
+      @heat_zone_buffer_meters
+    ]
+
+    case Ecto.Adapters.SQL.query(Repo, query, params) do
       {:ok, %{rows: rows}} ->
-        Enum.map(rows, fn [lat, lng, count, type] ->
+        Enum.map(rows, fn [lat, lng, count, type, boundary] ->
           %{
             center: %{
               latitude: lat,
@@ -460,7 +763,8 @@ defmodule HotspotApi.Incidents do
             },
             incident_count: count,
             dominant_type: type,
-            radius: calculate_cluster_radius(count)
+            radius: calculate_cluster_radius(count),
+            geometry: heat_zone_geometry(boundary)
           }
         end)
 
@@ -469,6 +773,186 @@ defmodule HotspotApi.Incidents do
     end
   end
 
+  # Period => {length, frame length} in seconds
+  @playback_periods %{
+    "24h" => {24 * 3600, 3600},
+    "7d" => {7 * 86_400, 6 * 3600},
+    "30d" => {30 * 86_400, 86_400}
+  }
+  @max_playback_incidents 5000
+  # A single frame holds far fewer incidents than the 7 day heatmap
+  @playback_heat_min_points 3
+
+  @doc """
+  Returns the periods accepted by `get_playback/3`.
+  """
+  def playback_periods, do: Map.keys(@playback_periods)
+
+  @doc """
+  Replays incidents inside a map area over a past period, for the map's time
+  slider. The period is split into frames (hourly over 24h, four a day over
+  7d, daily over 30d) and each frame gets its own heat zones, clustered the
+  same way as `get_heatmap_data/1`, so hotspots can be seen moving.
+
+  Unlike the live map this includes incidents that have since expired or
+  been resolved, placed at the time they happened (`reported_at`). In a busy
+  area only the newest #{@max_playback_incidents} are returned and
+  `truncated` is true; heat zones still count every incident.
+
+  Options:
+    - :type - Only replay one incident type
+
+  ## Examples
+
+      iex> get_playback({-26.3, 27.9, -26.1, 28.2}, "24h")
+      {:ok, %{period: "24h", frame_seconds: 3600, frames: [%{starts_at: ~U[...], heat_zones: [...]}, ...], incidents: [...], truncated: false}}
+
+      iex> get_playback({-26.3, 27.9, -26.1, 28.2}, "1y")
+      {:error, :invalid_period}
+
+  """
+  def get_playback(bounds, period, opts \\ []) do
+    case Map.fetch(@playback_periods, period) do
+      {:ok, {period_seconds, frame_seconds}} ->
+        ends_at = DateTime.utc_now() |> DateTime.truncate(:second)
+        starts_at = DateTime.add(ends_at, -period_seconds, :second)
+        type = if opts[:type] in [nil, "", "all"], do: nil, else: opts[:type]
+
+        heat_zones = playback_heat_zones(bounds, starts_at, ends_at, frame_seconds, type)
+        {incidents, truncated} = playback_incidents(bounds, starts_at, ends_at, type)
+
+        frames =
+          for index <- 0..(div(period_seconds, frame_seconds) - 1) do
+            %{
+              starts_at: DateTime.add(starts_at, index * frame_seconds, :second),
+              heat_zones: Map.get(heat_zones, index, [])
+            }
+          end
+
+        {:ok,
+         %{
+           period: period,
+           frame_seconds: frame_seconds,
+           starts_at: starts_at,
+           ends_at: ends_at,
+           frames: frames,
+           incidents: incidents,
+           truncated: truncated
+         }}
+
+      :error ->
+        {:error, :invalid_period}
+    end
+  end
+
+  defp playback_incidents({min_lat, min_lng, max_lat, max_lng}, starts_at, ends_at, type) do
+    query =
+      Incident
+      |> where([i], i.reported_at >= ^starts_at and i.reported_at <= ^ends_at)
+      |> where([i], i.status != "retracted")
+      |> where(
+        [i],
+        fragment("? && ST_MakeEnvelope(?, ?, ?, ?, 4326)", i.location, ^min_lng, ^min_lat, ^max_lng, ^max_lat)
+      )
+
+    query = if type, do: where(query, [i], i.type == ^type), else: query
+
+    # One extra row tells us whether the cap cut anything off
+    rows =
+      query
+      |> order_by([i], desc: i.reported_at)
+      |> limit(^(@max_playback_incidents + 1))
+      |> Repo.all()
+
+    incidents =
+      rows
+      |> Enum.take(@max_playback_incidents)
+      |> Enum.reverse()
+      |> Enum.map(&playback_incident/1)
+
+    {incidents, length(rows) > @max_playback_incidents}
+  end
+
+  defp playback_incident(%Incident{location: %Geo.Point{coordinates: {lng, lat}}} = incident) do
+    %{
+      id: incident.id,
+      type: incident.type,
+      sub_type: incident.sub_type,
+      severity: incident.severity,
+      latitude: lat,
+      longitude: lng,
+      reported_at: incident.reported_at
+    }
+  end
+
+  # Heat zones keyed by frame index
+  defp playback_heat_zones({min_lat, min_lng, max_lat, max_lng}, starts_at, ends_at, frame_seconds, type) do
+    query = """
+    WITH framed_incidents AS (
+      SELECT
+        type,
+        location,
+        FLOOR(EXTRACT(EPOCH FROM (reported_at - $1)) / $3::integer)::integer AS frame
+      FROM incidents
+      WHERE reported_at >= $1
+        AND reported_at < $2
+        AND location && ST_MakeEnvelope($4, $5, $6, $7, 4326)
+        AND ($8::text IS NULL OR type = $8::text)
+        AND status != 'retracted'
+    ),
+    clustered_incidents AS (
+      SELECT
+        frame,
+        type,
+        location,
+        ST_ClusterDBSCAN(location, eps := 0.01, minpoints := $9) OVER (PARTITION BY frame) AS cluster_id
+      FROM framed_incidents
+    )
+    SELECT
+      frame,
+      ST_Y(ST_Centroid(ST_Collect(location))) AS latitude,
+      ST_X(ST_Centroid(ST_Collect(location))) AS longitude,
+      COUNT(*) AS incident_count,
+      MODE() WITHIN GROUP (ORDER BY type) AS dominant_type,
+      ST_Buffer(ST_ConvexHull(ST_Collect(location))::geography, $10)::geometry AS boundary
+    FROM clustered_incidents
+    WHERE cluster_id IS NOT NULL
+    GROUP BY frame, cluster_id
+    ORDER BY frame, incident_count DESC
+    """
+
+    params = [
+      starts_at,
+      ends_at,
+      frame_seconds,
+      min_lng,
+      min_lat,
+      max_lng,
+      max_lat,
+      type,
+      @playback_heat_min_points,
+      @heat_zone_buffer_meters
+    ]
+
+    case Ecto.Adapters.SQL.query(Repo, query, params) do
+      {:ok, %{rows: rows}} ->
+        Enum.group_by(rows, &hd/1, fn [_frame, lat, lng, count, dominant_type, boundary] ->
+          %{
+            center: %{latitude: lat, longitude: lng},
+            incident_count: count,
+            dominant_type: dominant_type,
+            radius: calculate_cluster_radius(count),
+            geometry: heat_zone_geometry(boundary)
+          }
+        end)
+
+      {:error, _} ->
+        %{}
+    end
+  end
+
+  defp heat_zone_geometry(boundary), do: boundary |> Geo.JSON.encode!() |> Map.delete("crs")
+
   # Calculate visual radius for heat zone based on incident count
   # More incidents = larger circle
   defp calculate_cluster_radius(count) when count >= 20, do: 1000
@@ -6,6 +6,7 @@ defmodule HotspotApi.Incidents.Incident do
   @foreign_key_type :binary_id
   schema "incidents" do
     field :type, :string
+    field :sub_type, :string
     field :description, :string
     field :photo_url, :string
     field :verification_count, :integer, default: 0
@@ -13,6 +14,16 @@ defmodule HotspotApi.Incidents.Incident do
     field :expires_at, :utc_datetime
     field :location, Geo.PostGIS.Geometry
     field :idempotency_key, :string
+    field :status, :string, default: "active"
+    field :resolved_at, :utc_datetime
+    field :severity, :string
+    field :has_injuries, :boolean
+    field :suspect_count, :integer
+    field :is_ongoing, :boolean
+    field :vehicle_make, :string
+    field :vehicle_color, :string
+    field :vehicle_plate, :string
+    field :reported_at, :utc_datetime
 
     belongs_to :user, HotspotApi.Accounts.User
     has_many :verifications, HotspotApi.Incidents.IncidentVerification
@@ -21,20 +32,122 @@ defmodule HotspotApi.Incidents.Incident do
     timestamps(type: :utc_datetime)
   end
 
-  @valid_types ~w(hijacking mugging accident)
+  @statuses ~w(active resolved retracted)
+  @severities ~w(minor moderate serious life_threatening)
+  @detail_fields [:severity, :has_injuries, :suspect_count, :is_ongoing, :vehicle_make, :vehicle_color, :vehicle_plate]
+  # Phone clocks drift, so a report can be slightly ahead of ours
+  @clock_skew_seconds 300
+
+  @doc """
+  The fields a reporter fills in, as string keys; the rest of an incident is set by the server.
+  """
+  def report_fields do
+    ~w(type sub_type description photo_url latitude longitude reported_at) ++ Enum.map(@detail_fields, &Atom.to_string/1)
+  end
 
   @doc false
   def changeset(incident, attrs) do
     incident
-    |> cast(attrs, [:type, :description, :photo_url, :verification_count, :is_verified, :expires_at, :user_id, :idempotency_key])
+    |> cast(attrs, [:type, :sub_type, :description, :photo_url, :verification_count, :is_verified, :expires_at, :user_id, :idempotency_key, :reported_at] ++ @detail_fields)
     |> cast_location(attrs)
     |> validate_required([:type, :location, :expires_at, :user_id])
-    |> validate_inclusion(:type, @valid_types, message: "must be one of: hijacking, mugging, accident")
+    |> validate_incident_type()
     |> validate_length(:description, max: 280)
+    |> validate_details()
+    |> validate_reported_at()
     |> unique_constraint([:user_id, :idempotency_key], name: :incidents_user_id_idempotency_key_index)
     |> foreign_key_constraint(:user_id)
   end
 
+  @doc """
+  Changeset for the reporter's own follow-ups: a new description or photo.
+  """
+  def follow_up_changeset(incident, attrs) do
+    incident
+    |> cast(attrs, [:description, :photo_url])
+    |> validate_length(:description, max: 280)
+  end
+
+  @doc """
+  Changeset marking an incident as resolved, e.g. an accident that has been cleared.
+  """
+  def resolve_changeset(incident, expires_at) do
+    now = DateTime.utc_now() |> DateTime.truncate(:second)
+
+    incident
+    |> change(status: "resolved", resolved_at: now, expires_at: expires_at)
+    |> validate_inclusion(:status, @statuses)
+  end
+
+  @doc """
+  Changeset for a reporter taking their incident back. It expires at once but
+  the row stays, so moderation records and image hashes that point at it survive.
+  """
+  def retract_changeset(incident) do
+    now = DateTime.utc_now() |> DateTime.truncate(:second)
+
+    incident
+    |> change(status: "retracted", expires_at: now)
+    |> validate_inclusion(:status, @statuses)
+  end
+
+  @doc """
+  Severity levels a reporter can pick, from least to most serious.
+  """
+  def severities, do: @severities
+
+  # Structured fields from the report form; all optional
+  defp validate_details(changeset) do
+    changeset
+    |> validate_inclusion(:severity, @severities, message: "must be one of: #{Enum.join(@severities, ", ")}")
+    |> validate_number(:suspect_count, greater_than_or_equal_to: 0, less_than_or_equal_to: 50)
+    |> validate_length(:vehicle_make, max: 40)
+    |> validate_length(:vehicle_color, max: 30)
+    |> update_change(:vehicle_plate, &normalize_plate/1)
+    |> validate_format(:vehicle_plate, ~r/^[A-Z0-9]{1,10}$/, message: "must be up to 10 letters and digits")
+  end
+
+  # When it happened, which can be well before the report when it was made
+  # after the fact or waited in the offline queue; only the future is wrong
+  defp validate_reported_at(changeset) do
+    validate_change(changeset, :reported_at, fn :reported_at, reported_at ->
+      latest = DateTime.add(DateTime.utc_now(), @clock_skew_seconds, :second)
+
+      if DateTime.compare(reported_at, latest) == :gt,
+        do: [reported_at: "can't be in the future"],
+        else: []
+    end)
+  end
+
+  # "ca 123-45" and "CA12345" are the same plate fragment
+  defp normalize_plate(plate), do: plate |> String.upcase() |> String.replace(~r/[\s-]/, "")
+
+  # Types come from the incident_types table, so new ones need no deploy
+  defp validate_incident_type(changeset) do
+    changeset
+    |> validate_change(:type, fn :type, type ->
+      if type in HotspotApi.Incidents.incident_type_keys() do
+        []
+      else
+        [type: "is not a known incident type"]
+      end
+    end)
+    |> validate_change(:sub_type, fn :sub_type, sub_type ->
+      type = get_field(changeset, :type)
+
+      case Enum.find(HotspotApi.Incidents.list_incident_types(), &(&1.key == type)) do
+        %{sub_types: sub_types} ->
+          if Enum.any?(sub_types, &(&1.key == sub_type)),
+            do: [],
+            else: [sub_type: "is not a sub-type of #{type}"]
+
+        # The type itself is already invalid
+        nil ->
+          []
+      end
+    end)
+  end
+
   defp cast_location(changeset, %{"latitude" => lat, "longitude" => lng}) when is_number(lat) and is_number(lng) do
     point = %Geo.Point{coordinates: {lng, lat}, srid: 4326}
     put_change(changeset, :location, point)
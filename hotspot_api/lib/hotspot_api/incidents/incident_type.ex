@@ -0,0 +1,42 @@
+defmodule HotspotApi.Incidents.IncidentType do
+  use Ecto.Schema
+  import Ecto.Changeset
+
+  @primary_key {:key, :string, autogenerate: false}
+  schema "incident_types" do
+    field :label, :string
+    field :icon, :string
+    field :color, :string
+    field :severity, :string, default: "medium"
+    field :position, :integer, default: 0
+    field :is_active, :boolean, default: true
+
+    embeds_many :sub_types, SubType, primary_key: false, on_replace: :delete do
+      field :key, :string
+      field :label, :string
+    end
+
+    timestamps(type: :utc_datetime)
+  end
+
+  @severities ~w(low medium high critical)
+
+  @doc false
+  def changeset(incident_type, attrs) do
+    incident_type
+    |> cast(attrs, [:key, :label, :icon, :color, :severity, :position, :is_active])
+    |> cast_embed(:sub_types, with: &sub_type_changeset/2)
+    |> validate_required([:key, :label, :icon, :color, :severity])
+    |> validate_format(:key, ~r/^[a-z][a-z0-9_]*$/, message: "must be lowercase letters, digits and underscores")
+    |> validate_format(:color, ~r/^#[0-9A-Fa-f]{6}$/, message: "must be a hex colour like #EF4444")
+    |> validate_inclusion(:severity, @severities, message: "must be one of: low, medium, high, critical")
+    |> unique_constraint(:key, name: :incident_types_pkey)
+  end
+
+  defp sub_type_changeset(sub_type, attrs) do
+    sub_type
+    |> cast(attrs, [:key, :label])
+    |> validate_required([:key, :label])
+    |> validate_format(:key, ~r/^[a-z][a-z0-9_]*$/, message: "must be lowercase letters, digits and underscores")
+  end
+end
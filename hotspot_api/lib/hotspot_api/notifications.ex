@@ -174,7 +174,7 @@ defmodule HotspotApi.Notifications do
     notification_title = "⚠️ #{format_incident_type(incident.type)} Alert"
 
     notification_body =
-      "A #{incident.type} was reported #{distance}. Stay alert and be cautious."
+      "A #{String.downcase(format_incident_type(incident.type))} was reported #{distance}. Stay alert and be cautious."
 
     # Calculate time ago
     time_ago = format_time_ago(incident.inserted_at)
@@ -257,10 +257,12 @@ defmodule HotspotApi.Notifications do
   end
 
   # Helper functions
-  defp format_incident_type("hijacking"), do: "Hijacking"
-  defp format_incident_type("mugging"), do: "Mugging"
-  defp format_incident_type("accident"), do: "Accident"
-  defp format_incident_type(type), do: String.capitalize(type)
+  defp format_incident_type(type) do
+    case Enum.find(HotspotApi.Incidents.list_incident_types(), &(&1.key == type)) do
+      %{label: label} -> label
+      nil -> type |> String.replace("_", " ") |> String.capitalize()
+    end
+  end
 
   defp format_time_ago(datetime) do
     diff = DateTime.diff(DateTime.utc_now(), datetime, :second)
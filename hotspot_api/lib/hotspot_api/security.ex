@@ -5,7 +5,7 @@ defmodule HotspotApi.Security do
 
   import Ecto.Query, warn: false
   alias HotspotApi.Repo
-  alias HotspotApi.Security.{IPBlocklist, AuthAttempt, IntrusionAlert, SecurityEvent}
+  alias HotspotApi.Security.{IPBlocklist, AuthAttempt, IntrusionAlert, SecurityEvent, IdempotentResponse}
 
   ## IP Blocklist
 
@@ -363,4 +363,35 @@ defmodule HotspotApi.Security do
         query
     end)
   end
+
+  ## Idempotent Requests
+
+  @doc """
+  Gets the stored response to a user's request with the given idempotency key, or nil.
+  """
+  def get_idempotent_response(user_id, key) do
+    Repo.get_by(IdempotentResponse, user_id: user_id, key: key)
+  end
+
+  @doc """
+  Stores the response to a request so a replay with the same key gets it back.
+  A key that is already stored keeps its first response.
+  """
+  def store_idempotent_response(user_id, key, status, body) do
+    %IdempotentResponse{}
+    |> IdempotentResponse.changeset(%{user_id: user_id, key: key, status: status, body: body})
+    |> Repo.insert(on_conflict: :nothing, conflict_target: [:user_id, :key])
+  end
+
+  @doc """
+  Deletes stored responses older than `max_age_days`. Queued requests are
+  replayed or given up on well within that.
+  """
+  def delete_old_idempotent_responses(max_age_days \\ 7) do
+    cutoff = DateTime.add(DateTime.utc_now(), -max_age_days, :day)
+
+    IdempotentResponse
+    |> where([r], r.inserted_at < ^cutoff)
+    |> Repo.delete_all()
+  end
 end
@@ -0,0 +1,26 @@
+defmodule HotspotApi.Security.IdempotentResponse do
+  use Ecto.Schema
+  import Ecto.Changeset
+
+  @primary_key {:id, :binary_id, autogenerate: true}
+  @foreign_key_type :binary_id
+
+  schema "idempotent_responses" do
+    field :key, :string
+    field :status, :integer
+    field :body, :string
+
+    belongs_to :user, HotspotApi.Accounts.User
+
+    timestamps(type: :utc_datetime, updated_at: false)
+  end
+
+  @doc false
+  def changeset(response, attrs) do
+    response
+    |> cast(attrs, [:user_id, :key, :status, :body])
+    |> validate_required([:user_id, :key, :status])
+    |> validate_length(:key, max: 255)
+    |> unique_constraint([:user_id, :key])
+  end
+end
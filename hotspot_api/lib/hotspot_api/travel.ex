@@ -74,6 +74,7 @@ defmodule HotspotApi.Travel do
         mugging: Map.get(incident_counts, "mugging", 0),
         accident: Map.get(incident_counts, "accident", 0)
       },
+      incident_counts_by_type: incident_counts,
       hotspot_zones: %{
         total: length(route_zones),
         critical: Map.get(zone_counts, "critical", 0),
@@ -0,0 +1,16 @@
+defmodule HotspotApi.Workers.IdempotentResponseCleanupWorker do
+  @moduledoc """
+  Oban worker that runs daily to delete stored responses to idempotent requests
+  once no queued request could still be replayed with their key.
+  """
+  use Oban.Worker, queue: :default, max_attempts: 3
+
+  alias HotspotApi.Security
+
+  @impl Oban.Worker
+  def perform(_job) do
+    {count, _} = Security.delete_old_idempotent_responses()
+    IO.puts("Deleted #{count} stored idempotent responses")
+    :ok
+  end
+end
@@ -1,7 +1,8 @@
 defmodule HotspotApi.Workers.IncidentExpiryWorker do
   @moduledoc """
   Oban worker that runs every hour to delete expired incidents with zero verifications.
-  Incidents expire 48 hours after creation if they have not been verified by the community.
+  Incidents expire 48 hours after creation if they have not been verified by the community,
+  and are deleted once they are too old for playback.
   """
   use Oban.Worker, queue: :default, max_attempts: 3
 
@@ -0,0 +1,16 @@
+defmodule HotspotApi.Workers.RevokedTokenCleanupWorker do
+  @moduledoc """
+  Oban worker that runs daily to delete revoked refresh tokens past their expiry.
+  An expired refresh token is rejected on its own, so its record is no longer needed.
+  """
+  use Oban.Worker, queue: :default, max_attempts: 3
+
+  alias HotspotApi.Accounts
+
+  @impl Oban.Worker
+  def perform(_job) do
+    {count, _} = Accounts.delete_expired_revoked_tokens()
+    IO.puts("Deleted #{count} expired revoked refresh tokens")
+    :ok
+  end
+end
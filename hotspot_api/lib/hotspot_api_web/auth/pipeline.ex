@@ -4,7 +4,7 @@ defmodule HotspotApiWeb.Auth.Pipeline do
     module: HotspotApi.Guardian,
     error_handler: HotspotApiWeb.Auth.ErrorHandler
 
-  plug Guardian.Plug.VerifyHeader, scheme: "Bearer"
+  plug Guardian.Plug.VerifyHeader, scheme: "Bearer", claims: %{"typ" => "access"}
   plug Guardian.Plug.EnsureAuthenticated
   plug Guardian.Plug.LoadResource
 end
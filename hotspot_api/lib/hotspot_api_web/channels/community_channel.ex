@@ -3,6 +3,7 @@ defmodule HotspotApiWeb.CommunityChannel do
 
   alias HotspotApi.Communities
   alias HotspotApi.Guardian
+  alias HotspotApiWeb.EventLog
 
   @impl true
   def join("community:" <> group_id, _payload, socket) do
@@ -14,7 +15,7 @@ defmodule HotspotApiWeb.CommunityChannel do
       user_id ->
         # Check if user is a member of the group
         if Communities.member?(group_id, user_id) do
-          {:ok, assign(socket, :group_id, group_id)}
+          {:ok, %{cursor: EventLog.current_cursor()}, assign(socket, :group_id, group_id)}
         else
           {:error, %{reason: "not_a_member"}}
         end
@@ -26,12 +27,17 @@ defmodule HotspotApiWeb.CommunityChannel do
     {:reply, {:ok, %{status: "pong"}}, socket}
   end
 
+  @impl true
+  def handle_in("events:replay", %{"since" => since}, socket) do
+    {:reply, EventLog.replay(socket.topic, since), socket}
+  end
+
   @doc """
   Broadcast a new incident to all group members.
   Called when an incident is created within the group's area or explicitly added to the group.
   """
   def broadcast_new_incident(group_id, incident) do
-    HotspotApiWeb.Endpoint.broadcast("community:#{group_id}", "incident:new", %{
+    EventLog.broadcast("community:#{group_id}", "incident:new", %{
       incident: %{
         id: incident.id,
         type: incident.type,
@@ -49,7 +55,7 @@ defmodule HotspotApiWeb.CommunityChannel do
   Broadcast when a member joins the group.
   """
   def broadcast_member_joined(group_id, member) do
-    HotspotApiWeb.Endpoint.broadcast("community:#{group_id}", "member:joined", %{
+    EventLog.broadcast("community:#{group_id}", "member:joined", %{
       member: %{
         id: member.id,
         user_id: member.user_id,
@@ -63,7 +69,7 @@ defmodule HotspotApiWeb.CommunityChannel do
   Broadcast when a member leaves the group.
   """
   def broadcast_member_left(group_id, user_id) do
-    HotspotApiWeb.Endpoint.broadcast("community:#{group_id}", "member:left", %{
+    EventLog.broadcast("community:#{group_id}", "member:left", %{
       user_id: user_id
     })
   end
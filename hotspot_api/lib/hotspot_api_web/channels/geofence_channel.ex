@@ -4,14 +4,25 @@ defmodule HotspotApiWeb.GeofenceChannel do
   alias HotspotApi.Geofencing
   alias HotspotApi.Accounts
   alias HotspotApi.Notifications
+  alias HotspotApiWeb.EventLog
+
+  # Zone events come from one device's location, so each socket only gets its own
+  @zone_events ["zone:entered", "zone:exited", "zone:approaching"]
+  intercept @zone_events
 
   @impl true
-  def join("geofence:user:" <> user_id, _payload, socket) do
+  def join("geofence:user:" <> user_id, payload, socket) do
     # Verify that the user_id matches the authenticated user
     case socket.assigns[:user_id] do
       ^user_id ->
-        socket = assign(socket, :user_id, user_id)
-        {:ok, socket}
+        device_id = Map.get(payload, "device_id") || Ecto.UUID.generate()
+
+        socket =
+          socket
+          |> assign(:user_id, user_id)
+          |> assign(:device_id, device_id)
+
+        {:ok, %{cursor: EventLog.current_cursor()}, socket}
 
       _ ->
         {:error, %{reason: "unauthorized"}}
@@ -54,7 +65,7 @@ defmodule HotspotApiWeb.GeofenceChannel do
       end
 
       # Broadcast zone entry event to client
-      push(socket, "zone:entered", format_zone_event(zone, "entered"))
+      EventLog.broadcast(socket.topic, "zone:entered", format_zone_event(zone, "entered", socket))
     end)
 
     # Handle zone exits
@@ -63,7 +74,7 @@ defmodule HotspotApiWeb.GeofenceChannel do
       Geofencing.track_zone_exit(user_id, zone.id)
 
       # Broadcast zone exit event to client
-      push(socket, "zone:exited", format_zone_event(zone, "exited"))
+      EventLog.broadcast(socket.topic, "zone:exited", format_zone_event(zone, "exited", socket))
 
       # Send exit notification
       send_zone_exit_notification(user, zone)
@@ -80,7 +91,7 @@ defmodule HotspotApiWeb.GeofenceChannel do
 
       # Send approaching notifications
       Enum.each(new_approaching, fn zone ->
-        push(socket, "zone:approaching", format_zone_event(zone, "approaching"))
+        EventLog.broadcast(socket.topic, "zone:approaching", format_zone_event(zone, "approaching", socket))
         send_zone_approaching_notification(user, zone)
       end)
     end
@@ -93,8 +104,30 @@ defmodule HotspotApiWeb.GeofenceChannel do
     {:reply, {:error, %{reason: "missing latitude or longitude"}}, socket}
   end
 
+  @impl true
+  def handle_in("events:replay", %{"since" => since}, socket) do
+    reply =
+      case EventLog.replay(socket.topic, since) do
+        {:ok, %{events: events} = replay} ->
+          {:ok, %{replay | events: Enum.filter(events, &own_event?(&1.payload, socket))}}
+
+        error ->
+          error
+      end
+
+    {:reply, reply, socket}
+  end
+
+  @impl true
+  def handle_out(event, payload, socket) when event in @zone_events do
+    if own_event?(payload, socket), do: push(socket, event, payload)
+    {:noreply, socket}
+  end
+
+  defp own_event?(payload, socket), do: payload[:device_id] == socket.assigns.device_id
+
   # Format zone data for client
-  defp format_zone_event(zone, action) do
+  defp format_zone_event(zone, action, socket) do
     %Geo.Point{coordinates: {lng, lat}} = zone.center_location
 
     %{
@@ -107,8 +140,10 @@ defmodule HotspotApiWeb.GeofenceChannel do
         longitude: lng
       },
       radius_meters: zone.radius_meters,
+      geometry: Geofencing.zone_geometry(zone),
       action: action,
-      message: format_zone_message(zone, action)
+      message: format_zone_message(zone, action),
+      device_id: socket.assigns.device_id
     }
   end
 
@@ -1,11 +1,14 @@
 defmodule HotspotApiWeb.IncidentChannel do
   use HotspotApiWeb, :channel
 
+  alias HotspotApiWeb.EventLog
+  alias HotspotApiWeb.IncidentsJSON
+
   @impl true
   def join("incidents:" <> geohash, _payload, socket) do
     # Validate geohash format (should be 5-7 characters)
     if valid_geohash?(geohash) do
-      {:ok, socket}
+      {:ok, %{cursor: EventLog.current_cursor()}, socket}
     else
       {:error, %{reason: "invalid geohash"}}
     end
@@ -30,11 +33,60 @@ defmodule HotspotApiWeb.IncidentChannel do
     {:reply, {:error, %{reason: "missing latitude or longitude"}}, socket}
   end
 
+  @impl true
+  def handle_in("events:replay", %{"since" => since}, socket) do
+    {:reply, EventLog.replay(socket.topic, since), socket}
+  end
+
   @doc """
   Broadcast a new incident to all affected geohash topics.
   This should be called from the Incidents context after creating an incident.
   """
   def broadcast_new_incident(incident) do
+    broadcast_to_cells(incident, "incident:new", incident_payload(incident))
+  end
+
+  @doc """
+  Broadcast a reporter's follow-up (new description or photo, or resolved)
+  with the incident's current fields.
+  """
+  def broadcast_incident_updated(incident) do
+    broadcast_to_cells(incident, "incident:updated", incident_payload(incident))
+  end
+
+  @doc """
+  Tell clients to drop an incident from their maps, e.g. after the reporter retracted it.
+  """
+  def broadcast_incident_removed(incident, reason) do
+    broadcast_to_cells(incident, "incident:removed", %{incident_id: incident.id, reason: reason})
+  end
+
+  @doc """
+  Broadcast a new verification with the incident's updated counts, so open
+  incident screens can update live.
+  """
+  def broadcast_incident_verified(incident, verification) do
+    broadcast_to_cells(incident, "incident:verified", %{
+      incident_id: incident.id,
+      verification_count: incident.verification_count,
+      is_verified: incident.is_verified,
+      verification: %{
+        id: verification.id,
+        user_id: verification.user_id,
+        verified_at: verification.inserted_at
+      }
+    })
+  end
+
+  # Distance is relative to whoever asked, so it has no place in a broadcast
+  defp incident_payload(incident) do
+    incident
+    |> IncidentsJSON.data()
+    |> Map.delete(:distance)
+  end
+
+  # Send an event to every geohash topic that can see the incident
+  defp broadcast_to_cells(incident, event, payload) do
     # Get the geohash for the incident location
     %Geo.Point{coordinates: {lng, lat}} = incident.location
     incident_geohash = Geohash.encode(lat, lng, 6)
@@ -42,25 +94,14 @@ defmodule HotspotApiWeb.IncidentChannel do
     # Get neighboring geohashes to cover border cases
     neighbors_map = Geohash.neighbors(incident_geohash)
     neighbor_list = Map.values(neighbors_map)
-    all_geohashes = [incident_geohash | neighbor_list]
+
+    # Clients with a wide alert radius subscribe to coarser precision 5 cells
+    parent_geohash = String.slice(incident_geohash, 0, 5)
+    all_geohashes = [incident_geohash, parent_geohash | neighbor_list]
 
     # Broadcast to all affected geohash topics
     Enum.each(all_geohashes, fn geohash ->
-      HotspotApiWeb.Endpoint.broadcast(
-        "incidents:#{geohash}",
-        "incident:new",
-        %{
-          id: incident.id,
-          type: incident.type,
-          latitude: lat,
-          longitude: lng,
-          description: incident.description,
-          photo_url: incident.photo_url,
-          verification_count: incident.verification_count,
-          is_verified: incident.is_verified,
-          inserted_at: incident.inserted_at
-        }
-      )
+      EventLog.broadcast("incidents:#{geohash}", event, payload)
     end)
 
     :ok
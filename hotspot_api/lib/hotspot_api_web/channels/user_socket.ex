@@ -9,7 +9,7 @@ defmodule HotspotApiWeb.UserSocket do
   @impl true
   def connect(%{"token" => token}, socket, _connect_info) do
     # Verify Guardian JWT token
-    case HotspotApi.Guardian.decode_and_verify(token) do
+    case HotspotApi.Guardian.decode_and_verify(token, %{"typ" => "access"}) do
       {:ok, claims} ->
         user_id = claims["sub"]
         {:ok, assign(socket, :user_id, user_id)}
@@ -0,0 +1,76 @@
+defmodule HotspotApiWeb.Admin.IncidentTypesController do
+  use HotspotApiWeb, :controller
+
+  alias HotspotApi.Incidents
+  alias HotspotApi.Admin
+  alias HotspotApi.Guardian
+  alias HotspotApiWeb.IncidentTypesJSON
+
+  action_fallback HotspotApiWeb.FallbackController
+
+  @doc """
+  List all incident types, including deactivated ones
+  GET /api/admin/incident-types
+  """
+  def index(conn, _params) do
+    conn
+    |> put_status(:ok)
+    |> json(%{data: Enum.map(Incidents.list_all_incident_types(), &IncidentTypesJSON.data/1)})
+  end
+
+  @doc """
+  Add an incident type. It is reportable as soon as it is created.
+  POST /api/admin/incident-types
+  """
+  def create(conn, params) do
+    admin = Guardian.Plug.current_resource(conn)
+
+    case Incidents.create_incident_type(params) do
+      {:ok, incident_type} ->
+        Admin.log_audit(admin.id, "create_incident_type", "incident_type", nil, params, get_ip_address(conn))
+
+        conn
+        |> put_status(:created)
+        |> json(%{data: IncidentTypesJSON.data(incident_type)})
+
+      {:error, %Ecto.Changeset{} = changeset} ->
+        conn
+        |> put_status(:unprocessable_entity)
+        |> json(%{error: "Validation failed", details: translate_errors(changeset)})
+    end
+  end
+
+  @doc """
+  Update an incident type's label, icon, colour, severity, sub-types or order.
+  Set is_active to false to stop new reports of that type.
+  PUT /api/admin/incident-types/:key
+  """
+  def update(conn, %{"key" => key} = params) do
+    admin = Guardian.Plug.current_resource(conn)
+    attrs = Map.delete(params, "key")
+
+    with %{} = incident_type <- Incidents.get_incident_type(key) || {:error, :not_found},
+         {:ok, updated} <- Incidents.update_incident_type(incident_type, attrs) do
+      Admin.log_audit(admin.id, "update_incident_type", "incident_type", nil, Map.put(attrs, "key", key), get_ip_address(conn))
+
+      conn
+      |> put_status(:ok)
+      |> json(%{data: IncidentTypesJSON.data(updated)})
+    end
+  end
+
+  defp translate_errors(changeset) do
+    Ecto.Changeset.traverse_errors(changeset, fn {msg, opts} ->
+      Enum.reduce(opts, msg, fn {key, value}, acc ->
+        String.replace(acc, "%{#{key}}", to_string(value))
+      end)
+    end)
+  end
+
+  defp get_ip_address(conn) do
+    case Plug.Conn.get_req_header(conn, "x-forwarded-for") do
+      [ip | _] -> ip
+      [] -> to_string(:inet.ntoa(conn.remote_ip))
+    end
+  end
+end
@@ -306,7 +306,7 @@ defmodule HotspotApiWeb.Admin.ZonesController do
         is_active: parse_boolean(params["is_active"]) || true
       }
 
-      {:ok, attrs}
+      {:ok, put_boundary(attrs, params)}
     else
       {:error, "Missing required fields: #{Enum.join(missing_fields, ", ")}"}
     end
@@ -322,9 +322,17 @@ defmodule HotspotApiWeb.Admin.ZonesController do
     attrs = if Map.has_key?(params, "is_active"), do: Map.put(attrs, :is_active, parse_boolean(params["is_active"])), else: attrs
     attrs = if Map.has_key?(params, "incident_count"), do: Map.put(attrs, :incident_count, parse_integer(params["incident_count"])), else: attrs
 
-    attrs
+    put_boundary(attrs, params)
   end
 
+  # A drawn boundary (GeoJSON Polygon or MultiPolygon) is kept as drawn;
+  # clearing it hands the zone's shape back to clustering
+  defp put_boundary(attrs, %{"boundary" => boundary}) do
+    Map.merge(attrs, %{boundary: boundary, boundary_drawn: not is_nil(boundary)})
+  end
+
+  defp put_boundary(attrs, _params), do: attrs
+
   defp check_zone_overlap(attrs, exclude_zone_id \\ nil) do
     import Ecto.Query
     import Geo.PostGIS
@@ -432,6 +440,8 @@ defmodule HotspotApiWeb.Admin.ZonesController do
         longitude: lng
       },
       radius_meters: zone.radius_meters,
+      boundary: Geofencing.zone_geometry(zone),
+      boundary_drawn: zone.boundary_drawn,
       incident_count: zone.incident_count,
       risk_level: zone.risk_level,
       is_active: zone.is_active,
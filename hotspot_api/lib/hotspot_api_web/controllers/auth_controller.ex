@@ -7,6 +7,10 @@ defmodule HotspotApiWeb.AuthController do
 
   action_fallback HotspotApiWeb.FallbackController
 
+  # Access tokens are short-lived; clients rotate them with the refresh token
+  @access_token_ttl {1, :hour}
+  @refresh_token_ttl {30, :days}
+
   @doc """
   POST /api/auth/send-otp
   Sends an OTP code to the provided phone number.
@@ -114,20 +118,19 @@ defmodule HotspotApiWeb.AuthController do
           success: true
         })
 
-        {:ok, token, _claims} = Guardian.encode_and_sign(user, %{}, ttl: {90, :days})
-
         conn
         |> put_status(:ok)
-        |> json(%{
-          token: token,
-          user: %{
-            id: user.id,
-            phone_number: user.phone_number,
-            is_premium: user.is_premium,
-            alert_radius: user.alert_radius,
-            notification_config: user.notification_config
-          }
-        })
+        |> json(
+          Map.merge(issue_tokens(user), %{
+            user: %{
+              id: user.id,
+              phone_number: user.phone_number,
+              is_premium: user.is_premium,
+              alert_radius: user.alert_radius,
+              notification_config: user.notification_config
+            }
+          })
+        )
 
       {:error, :invalid_or_expired_otp} ->
         # Record failed attempt
@@ -201,6 +204,43 @@ defmodule HotspotApiWeb.AuthController do
     })
   end
 
+  @doc """
+  POST /api/auth/refresh
+  Exchanges a refresh token for a new access token and a new refresh token.
+  Each refresh token works once; the old one is revoked when it is exchanged.
+  """
+  def refresh(conn, %{"refresh_token" => refresh_token}) do
+    with {:ok, user, claims} <- Guardian.resource_from_token(refresh_token, %{"typ" => "refresh"}),
+         :ok <- Accounts.revoke_refresh_token(claims) do
+      conn
+      |> put_status(:ok)
+      |> json(issue_tokens(user))
+    else
+      {:error, _reason} ->
+        conn
+        |> put_status(:unauthorized)
+        |> json(%{
+          error: %{
+            code: "invalid_refresh_token",
+            message: "Session expired. Please sign in again.",
+            timestamp: DateTime.utc_now() |> DateTime.to_iso8601()
+          }
+        })
+    end
+  end
+
+  def refresh(conn, _params) do
+    conn
+    |> put_status(:bad_request)
+    |> json(%{
+      error: %{
+        code: "missing_parameter",
+        message: "refresh_token is required",
+        timestamp: DateTime.utc_now() |> DateTime.to_iso8601()
+      }
+    })
+  end
+
   @doc """
   GET /api/auth/me
   Returns the current authenticated user's information.
@@ -222,6 +262,22 @@ defmodule HotspotApiWeb.AuthController do
     })
   end
 
+  defp issue_tokens(user) do
+    {:ok, token, _claims} =
+      Guardian.encode_and_sign(user, %{}, token_type: "access", ttl: @access_token_ttl)
+
+    {:ok, refresh_token, _claims} =
+      Guardian.encode_and_sign(user, %{}, token_type: "refresh", ttl: @refresh_token_ttl)
+
+    %{
+      token: token,
+      refresh_token: refresh_token,
+      expires_in: ttl_seconds(@access_token_ttl)
+    }
+  end
+
+  defp ttl_seconds({hours, :hour}), do: hours * 3600
+
   defp get_user_agent(conn) do
     case get_req_header(conn, "user-agent") do
       [user_agent | _] -> user_agent
@@ -25,12 +25,13 @@ defmodule HotspotApiWeb.CommunitiesController do
   end
 
   @doc """
-  List groups that the current user is a member of
+  List groups that the current user is a member of, with the incidents linked to each
   """
   def my_groups(conn, _params) do
     user = Guardian.Plug.current_resource(conn)
     groups = Communities.list_user_groups(user.id)
-    render(conn, :index, groups: groups)
+    linked_incident_ids = Communities.linked_incident_ids(Enum.map(groups, & &1.id))
+    render(conn, :mine, groups: groups, linked_incident_ids: linked_incident_ids)
   end
 
   @doc """
@@ -230,6 +231,84 @@ defmodule HotspotApiWeb.CommunitiesController do
     end
   end
 
+  # ============================================================================
+  # Group Invites
+  # ============================================================================
+
+  @doc """
+  Create an invite link for a group (members only)
+  """
+  def create_invite(conn, %{"id" => group_id}) do
+    user = Guardian.Plug.current_resource(conn)
+
+    unless Communities.member?(group_id, user.id) do
+      conn
+      |> put_status(:forbidden)
+      |> put_view(json: HotspotApiWeb.ErrorJSON)
+      |> render(:"403")
+      |> halt()
+    else
+      token = Communities.create_invite_token(group_id)
+      base_url = Application.get_env(:hotspot_api, :app_links, []) |> Keyword.get(:base_url, "https://hotspot.app")
+
+      conn
+      |> put_status(:created)
+      |> json(%{
+        data: %{
+          token: token,
+          url: "#{base_url}/invite/#{token}",
+          expires_at: DateTime.utc_now() |> DateTime.add(Communities.invite_max_age(), :second)
+        }
+      })
+    end
+  end
+
+  @doc """
+  Preview the group an invite points at
+  """
+  def show_invite(conn, %{"token" => token}) do
+    case Communities.get_group_by_invite(token) do
+      {:ok, group} ->
+        render(conn, :show, group: group)
+
+      {:error, reason} ->
+        invite_error(conn, reason)
+    end
+  end
+
+  @doc """
+  Join the group an invite points at
+  """
+  def accept_invite(conn, %{"token" => token}) do
+    user = Guardian.Plug.current_resource(conn)
+
+    case Communities.accept_invite(token, user.id) do
+      {:ok, group} ->
+        render(conn, :show, group: group)
+
+      {:error, %Ecto.Changeset{} = changeset} ->
+        conn
+        |> put_status(:unprocessable_entity)
+        |> put_view(json: HotspotApiWeb.ChangesetJSON)
+        |> render(:error, changeset: changeset)
+
+      {:error, reason} ->
+        invite_error(conn, reason)
+    end
+  end
+
+  defp invite_error(conn, :expired) do
+    conn
+    |> put_status(:gone)
+    |> json(%{error: "This invite has expired"})
+  end
+
+  defp invite_error(conn, _reason) do
+    conn
+    |> put_status(:not_found)
+    |> json(%{error: "This invite is not valid"})
+  end
+
   # ============================================================================
   # Group Incidents
   # ============================================================================
@@ -1,6 +1,6 @@
 defmodule HotspotApiWeb.CommunitiesJSON do
   alias HotspotApi.Communities.{CommunityGroup, GroupMember}
-  alias HotspotApi.Incidents.Incident
+  alias HotspotApiWeb.IncidentsJSON
 
   @doc """
   Renders a list of groups.
@@ -9,6 +9,20 @@ defmodule HotspotApiWeb.CommunitiesJSON do
     %{data: for(group <- groups, do: data(group))}
   end
 
+  @doc """
+  Renders the user's own groups, each with the active incidents linked to it.
+  """
+  def mine(%{groups: groups, linked_incident_ids: linked_incident_ids}) do
+    %{
+      data:
+        for group <- groups do
+          group
+          |> data()
+          |> Map.put(:linked_incident_ids, Map.get(linked_incident_ids, group.id, []))
+        end
+    }
+  end
+
   @doc """
   Renders a single group.
   """
@@ -35,7 +49,7 @@ defmodule HotspotApiWeb.CommunitiesJSON do
   """
   def incidents(%{incidents: incidents, page: page, page_size: page_size, total_count: total_count, total_pages: total_pages}) do
     %{
-      data: for(incident <- incidents, do: incident_data(incident)),
+      data: for(incident <- incidents, do: IncidentsJSON.data(incident)),
       pagination: %{
         page: page,
         page_size: page_size,
@@ -87,19 +101,4 @@ defmodule HotspotApiWeb.CommunitiesJSON do
       is_premium: user.is_premium
     }
   end
-
-  defp incident_data(%Incident{} = incident) do
-    %{
-      id: incident.id,
-      type: incident.type,
-      latitude: incident.location.coordinates |> elem(1),
-      longitude: incident.location.coordinates |> elem(0),
-      description: incident.description,
-      photo_url: incident.photo_url,
-      verification_count: incident.verification_count,
-      is_verified: incident.is_verified,
-      inserted_at: incident.inserted_at,
-      expires_at: incident.expires_at
-    }
-  end
 end
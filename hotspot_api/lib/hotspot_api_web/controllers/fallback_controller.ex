@@ -25,6 +25,18 @@ defmodule HotspotApiWeb.FallbackController do
     })
   end
 
+  def call(conn, {:error, :forbidden}) do
+    conn
+    |> put_status(:forbidden)
+    |> json(%{
+      error: %{
+        code: "forbidden",
+        message: "You are not allowed to change this resource",
+        timestamp: DateTime.utc_now() |> DateTime.to_iso8601()
+      }
+    })
+  end
+
   def call(conn, {:error, %Ecto.Changeset{} = changeset}) do
     conn
     |> put_status(:unprocessable_entity)
@@ -25,6 +25,16 @@ defmodule HotspotApiWeb.GeofenceController do
     render(conn, :show, zone: zone)
   end
 
+  @doc """
+  GET /api/geofence/zones/:id/summary
+  Incident count, dominant type, last incident and trend for a zone.
+  """
+  def summary(conn, %{"id" => id}) do
+    zone = Geofencing.get_zone!(id)
+
+    render(conn, :summary, summary: Geofencing.get_zone_summary(zone))
+  end
+
   @doc """
   POST /api/geofence/check-location
   Check if a location is within any active hotspot zones.
@@ -1,4 +1,5 @@
 defmodule HotspotApiWeb.GeofenceJSON do
+  alias HotspotApi.Geofencing
   alias HotspotApi.Geofencing.HotspotZone
 
   @doc """
@@ -15,6 +16,13 @@ defmodule HotspotApiWeb.GeofenceJSON do
     %{data: data(zone)}
   end
 
+  @doc """
+  Renders a zone's incident summary.
+  """
+  def summary(%{summary: summary}) do
+    %{data: summary}
+  end
+
   defp data(%HotspotZone{} = zone) do
     %Geo.Point{coordinates: {lng, lat}} = zone.center_location
 
@@ -26,6 +34,7 @@ defmodule HotspotApiWeb.GeofenceJSON do
         longitude: lng
       },
       radius_meters: zone.radius_meters,
+      geometry: Geofencing.zone_geometry(zone),
       incident_count: zone.incident_count,
       risk_level: zone.risk_level,
       is_active: zone.is_active,
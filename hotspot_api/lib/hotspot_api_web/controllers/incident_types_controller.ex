@@ -0,0 +1,14 @@
+defmodule HotspotApiWeb.IncidentTypesController do
+  use HotspotApiWeb, :controller
+
+  alias HotspotApi.Incidents
+
+  @doc """
+  Lists the active incident types with their icon, colour, severity and sub-types.
+  Public, so the app can refresh its cached taxonomy before sign-in.
+  GET /api/v1/incident-types
+  """
+  def index(conn, _params) do
+    render(conn, :index, incident_types: Incidents.list_incident_types())
+  end
+end
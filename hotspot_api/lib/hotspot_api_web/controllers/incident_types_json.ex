@@ -0,0 +1,31 @@
+defmodule HotspotApiWeb.IncidentTypesJSON do
+  alias HotspotApi.Incidents.IncidentType
+
+  @doc """
+  Renders a list of incident types.
+  """
+  def index(%{incident_types: incident_types}) do
+    %{data: for(incident_type <- incident_types, do: data(incident_type))}
+  end
+
+  @doc """
+  Renders a single incident type.
+  """
+  def show(%{incident_type: incident_type}) do
+    %{data: data(incident_type)}
+  end
+
+  @doc false
+  def data(%IncidentType{} = incident_type) do
+    %{
+      key: incident_type.key,
+      label: incident_type.label,
+      icon: incident_type.icon,
+      color: incident_type.color,
+      severity: incident_type.severity,
+      position: incident_type.position,
+      is_active: incident_type.is_active,
+      sub_types: Enum.map(incident_type.sub_types, &%{key: &1.key, label: &1.label})
+    }
+  end
+end
@@ -4,6 +4,7 @@ defmodule HotspotApiWeb.IncidentsController do
   alias HotspotApi.Incidents
   alias HotspotApi.Incidents.Incident
   alias HotspotApi.Storage.Appwrite
+  alias HotspotApiWeb.IncidentsJSON
 
   action_fallback HotspotApiWeb.FallbackController
 
@@ -109,7 +110,7 @@ defmodule HotspotApiWeb.IncidentsController do
 
   defp create_or_get_incident(user_id, incident_params, idempotency_key) do
     # Check if incident with this idempotency key already exists
-    case Incidents.get_incident_by_idempotency_key(user_id, idempotency_key) do
+    case Incidents.get_by_idempotency_key(user_id, idempotency_key) do
       nil ->
         # Create new incident with idempotency key
         incident_params =
@@ -217,6 +218,95 @@ defmodule HotspotApiWeb.IncidentsController do
     end
   end
 
+  # Widest area answered, in degrees. The app stops loading past a 2 degree
+  # viewport, but rounds the area out to whole map tiles before asking
+  @max_bounds_span 5.0
+
+  @doc """
+  List incidents inside the visible map area
+  """
+  def in_bounds(conn, params) do
+    with {:ok, min_lat} <- parse_float(params["min_lat"], "min_lat"),
+         {:ok, min_lng} <- parse_float(params["min_lng"], "min_lng"),
+         {:ok, max_lat} <- parse_float(params["max_lat"], "max_lat"),
+         {:ok, max_lng} <- parse_float(params["max_lng"], "max_lng"),
+         :ok <- validate_bounds(min_lat, min_lng, max_lat, max_lng) do
+      %{incidents: incidents, truncated: truncated} =
+        Incidents.list_in_bounds(min_lat, min_lng, max_lat, max_lng)
+
+      render(conn, :in_bounds, incidents: incidents, truncated: truncated)
+    else
+      {:error, field} ->
+        conn
+        |> put_status(:bad_request)
+        |> json(%{error: "Invalid #{field} parameter"})
+    end
+  end
+
+  @doc """
+  Get a single incident, e.g. when opening one from a link
+  """
+  def show(conn, %{"id" => id}) do
+    case Incidents.get_incident(id) do
+      nil -> {:error, :not_found}
+      incident -> render(conn, :show, incident: incident)
+    end
+  end
+
+  @doc """
+  List the current user's own reports, for managing follow-ups
+  """
+  def mine(conn, _params) do
+    user_id = Guardian.Plug.current_resource(conn).id
+    render(conn, :index, incidents: Incidents.list_user_incidents(user_id))
+  end
+
+  @doc """
+  Reporter follow-up: update the description or photo of their own incident
+  """
+  def update(conn, %{"id" => id, "incident" => incident_params}) do
+    user_id = Guardian.Plug.current_resource(conn).id
+    attrs = Map.take(incident_params, ["description", "photo_url"])
+
+    with %Incident{} = incident <- Incidents.get_incident(id) || {:error, :not_found},
+         :ok <- validate_description(attrs["description"]),
+         {:ok, incident} <- Incidents.update_report(incident, user_id, attrs) do
+      render(conn, :show, incident: incident)
+    else
+      {:error, :text_validation_failed, message} ->
+        conn
+        |> put_status(:unprocessable_entity)
+        |> json(%{error: message})
+
+      error ->
+        error
+    end
+  end
+
+  @doc """
+  Reporter follow-up: mark their own incident as resolved
+  """
+  def resolve(conn, %{"id" => id}) do
+    user_id = Guardian.Plug.current_resource(conn).id
+
+    with %Incident{} = incident <- Incidents.get_incident(id) || {:error, :not_found},
+         {:ok, incident} <- Incidents.resolve_incident(incident, user_id) do
+      render(conn, :show, incident: incident)
+    end
+  end
+
+  @doc """
+  Reporter follow-up: retract their own incident, removing it from every map
+  """
+  def retract(conn, %{"id" => id}) do
+    user_id = Guardian.Plug.current_resource(conn).id
+
+    with %Incident{} = incident <- Incidents.get_incident(id) || {:error, :not_found},
+         {:ok, _incident} <- Incidents.retract_incident(incident, user_id) do
+      send_resp(conn, :no_content, "")
+    end
+  end
+
   @doc """
   Verify an incident (upvote)
   """
@@ -236,6 +326,9 @@ defmodule HotspotApiWeb.IncidentsController do
           is_verified: incident.is_verified
         })
 
+      {:error, :not_found} ->
+        {:error, :not_found}
+
       {:error, %Ecto.Changeset{} = changeset} ->
         errors = Ecto.Changeset.traverse_errors(changeset, fn {msg, _opts} -> msg end)
 
@@ -284,7 +377,7 @@ defmodule HotspotApiWeb.IncidentsController do
 
       conn
       |> json(%{
-        incidents: Enum.map(result.incidents, &format_incident/1),
+        incidents: Enum.map(result.incidents, &IncidentsJSON.data/1),
         pagination: %{
           total_count: result.total_count,
           page: result.page,
@@ -304,9 +397,12 @@ defmodule HotspotApiWeb.IncidentsController do
   Get heatmap data showing incident clusters from the past 7 days.
   Returns cluster centers with incident counts and dominant type.
   Only includes clusters with 5+ incidents.
+
+  Accepts the map's filters: `types` (comma separated), `max_age_hours`,
+  `verified_only`, `min_verifications` and `my_groups`.
   """
-  def heatmap(conn, _params) do
-    heatmap_data = Incidents.get_heatmap_data()
+  def heatmap(conn, params) do
+    heatmap_data = Incidents.get_heatmap_data(parse_map_filters(conn, params))
 
     conn
     |> json(%{
@@ -315,6 +411,36 @@ defmodule HotspotApiWeb.IncidentsController do
     })
   end
 
+  @doc """
+  Replay incidents and heat zones inside a map area over the past 24h, 7d or
+  30d, for the map's time slider. Optionally limited to one type.
+  """
+  def playback(conn, params) do
+    with {:ok, min_lat} <- parse_float(params["min_lat"], "min_lat"),
+         {:ok, min_lng} <- parse_float(params["min_lng"], "min_lng"),
+         {:ok, max_lat} <- parse_float(params["max_lat"], "max_lat"),
+         {:ok, max_lng} <- parse_float(params["max_lng"], "max_lng"),
+         :ok <- validate_bounds(min_lat, min_lng, max_lat, max_lng),
+         {:ok, playback} <-
+           Incidents.get_playback(
+             {min_lat, min_lng, max_lat, max_lng},
+             params["period"] || "24h",
+             type: params["type"]
+           ) do
+      json(conn, %{data: playback})
+    else
+      {:error, :invalid_period} ->
+        conn
+        |> put_status(:bad_request)
+        |> json(%{error: "Invalid period parameter, expected one of: #{Enum.join(Incidents.playback_periods(), ", ")}"})
+
+      {:error, field} ->
+        conn
+        |> put_status(:bad_request)
+        |> json(%{error: "Invalid #{field} parameter"})
+    end
+  end
+
   defp parse_float(nil, field), do: {:error, field}
   defp parse_float(value, _field) when is_float(value), do: {:ok, value}
   defp parse_float(value, field) when is_binary(value) do
@@ -325,6 +451,39 @@ defmodule HotspotApiWeb.IncidentsController do
   end
   defp parse_float(_value, field), do: {:error, field}
 
+  defp validate_bounds(min_lat, min_lng, max_lat, max_lng) do
+    cond do
+      min_lat >= max_lat or min_lng >= max_lng -> {:error, "bounds"}
+      max_lat - min_lat > @max_bounds_span or max_lng - min_lng > @max_bounds_span -> {:error, "bounds"}
+      true -> :ok
+    end
+  end
+
+  defp parse_map_filters(conn, params) do
+    %{
+      types: parse_types(params["types"]),
+      max_age_hours: parse_positive_integer(params["max_age_hours"]),
+      verified_only: params["verified_only"] == "true",
+      min_verifications: parse_positive_integer(params["min_verifications"]),
+      group_user_id: if(params["my_groups"] == "true", do: Guardian.Plug.current_resource(conn).id)
+    }
+  end
+
+  defp parse_types(types) when is_binary(types) and types != "" do
+    String.split(types, ",", trim: true)
+  end
+
+  defp parse_types(_), do: nil
+
+  defp parse_positive_integer(value) when is_binary(value) do
+    case Integer.parse(value) do
+      {int, _} when int > 0 -> int
+      _ -> nil
+    end
+  end
+
+  defp parse_positive_integer(_), do: nil
+
   defp parse_radius(nil), do: 5000
   defp parse_radius(radius) when is_integer(radius), do: radius
   defp parse_radius(radius) when is_binary(radius) do
@@ -355,24 +514,6 @@ defmodule HotspotApiWeb.IncidentsController do
   end
   defp parse_page_size(_), do: 20
 
-  defp format_incident(%Incident{location: %Geo.Point{coordinates: {lng, lat}}} = incident) do
-    %{
-      id: incident.id,
-      type: incident.type,
-      description: incident.description,
-      photo_url: incident.photo_url,
-      verification_count: incident.verification_count,
-      is_verified: incident.is_verified,
-      location: %{
-        latitude: lat,
-        longitude: lng
-      },
-      distance: Map.get(incident, :distance),
-      inserted_at: incident.inserted_at,
-      expires_at: incident.expires_at
-    }
-  end
-
   defp format_error(errors) when is_map(errors) do
     errors
     |> Enum.map(fn {field, messages} ->
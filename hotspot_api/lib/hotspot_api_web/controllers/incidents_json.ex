@@ -8,6 +8,13 @@ defmodule HotspotApiWeb.IncidentsJSON do
     %{data: for(incident <- incidents, do: data(incident))}
   end
 
+  @doc """
+  Renders the incidents in a map viewport, flagging when the list was capped.
+  """
+  def in_bounds(%{incidents: incidents, truncated: truncated}) do
+    %{data: for(incident <- incidents, do: data(incident)), truncated: truncated}
+  end
+
   @doc """
   Renders a single incident.
   """
@@ -15,14 +22,29 @@ defmodule HotspotApiWeb.IncidentsJSON do
     %{data: data(incident)}
   end
 
-  defp data(%Incident{} = incident) do
+  @doc """
+  Renders one incident. Shared by every endpoint and channel that sends
+  incidents, so clients always get the same shape.
+  """
+  def data(%Incident{} = incident) do
     %{
       id: incident.id,
       type: incident.type,
+      sub_type: incident.sub_type,
+      severity: incident.severity,
+      has_injuries: incident.has_injuries,
+      suspect_count: incident.suspect_count,
+      is_ongoing: incident.is_ongoing,
+      vehicle_make: incident.vehicle_make,
+      vehicle_color: incident.vehicle_color,
+      vehicle_plate: incident.vehicle_plate,
+      reported_at: incident.reported_at,
       description: incident.description,
       photo_url: incident.photo_url,
       verification_count: incident.verification_count,
       is_verified: incident.is_verified,
+      status: incident.status,
+      resolved_at: incident.resolved_at,
       location: format_location(incident.location),
       distance: Map.get(incident, :distance),
       expires_at: incident.expires_at,
@@ -1,6 +1,7 @@
 defmodule HotspotApiWeb.SyncController do
   use HotspotApiWeb, :controller
   alias HotspotApi.Incidents
+  alias HotspotApi.Incidents.Incident
   alias HotspotApi.Accounts
 
   plug :authenticate_user when action in [:sync_reports]
@@ -28,13 +29,21 @@ defmodule HotspotApiWeb.SyncController do
       sync_single_report(user, report)
     end)
 
-    {successful, failed} = Enum.split_with(results, fn {status, _} -> status == :ok end)
+    # Rejected reports come back as 3-tuples carrying their client_id
+    {successful, failed} = Enum.split_with(results, &match?({:ok, _}, &1))
 
     json(conn, %{
       synced: length(successful),
       failed: length(failed),
       results: Enum.map(results, fn
-        {:ok, incident} -> %{status: "success", id: incident.id, client_id: incident.client_id}
+        {:ok, incident} ->
+          %{
+            status: "success",
+            id: incident.id,
+            client_id: incident.client_id,
+            duplicate: Map.get(incident, :duplicate, false)
+          }
+
         {:error, reason, client_id} -> %{status: "error", reason: reason, client_id: client_id}
       end)
     })
@@ -50,31 +59,31 @@ defmodule HotspotApiWeb.SyncController do
     idempotency_key = Map.get(report, "idempotency_key")
     client_id = Map.get(report, "client_id")
 
-    # Check if report already exists using idempotency key
-    if idempotency_key && Incidents.get_by_idempotency_key(idempotency_key) do
-      {:error, "duplicate_submission", client_id}
-    else
-      params = prepare_incident_params(report, idempotency_key, user.id)
-      case Incidents.create_incident(params) do
-        {:ok, incident} ->
-          {:ok, Map.put(incident, :client_id, client_id)}
-        {:error, changeset} ->
-          {:error, format_errors(changeset), client_id}
-      end
+    # A report we already have was accepted on an earlier attempt whose
+    # response never reached the client, so hand back the existing incident
+    case Incidents.get_by_idempotency_key(user.id, idempotency_key) do
+      %{} = existing ->
+        {:ok, existing |> Map.put(:client_id, client_id) |> Map.put(:duplicate, true)}
+
+      nil ->
+        params = prepare_incident_params(report, idempotency_key, user.id)
+        case Incidents.create_incident(params) do
+          {:ok, incident} ->
+            {:ok, Map.put(incident, :client_id, client_id)}
+          {:error, changeset} ->
+            {:error, format_errors(changeset), client_id}
+        end
     end
   end
 
   defp prepare_incident_params(report, idempotency_key, user_id) do
-    %{
-      "type" => Map.get(report, "type"),
-      "latitude" => Map.get(report, "latitude"),
-      "longitude" => Map.get(report, "longitude"),
-      "description" => Map.get(report, "description"),
-      "photo_url" => Map.get(report, "photo_url"),
+    report
+    |> Map.take(Incident.report_fields())
+    |> Map.merge(%{
       "idempotency_key" => idempotency_key,
       "user_id" => user_id,
       "reported_at" => Map.get(report, "reported_at") || DateTime.utc_now()
-    }
+    })
   end
 
   defp format_errors(changeset) do
@@ -0,0 +1,48 @@
+defmodule HotspotApiWeb.WellKnownController do
+  use HotspotApiWeb, :controller
+
+  # Paths on the link domain that open in the app instead of the browser
+  @app_link_paths ["/incidents/*", "/zones/*", "/groups/*", "/invite/*"]
+
+  @doc """
+  GET /.well-known/apple-app-site-association
+  Lets iOS open links to incidents, zones, groups and invites in the app.
+  """
+  def apple_app_site_association(conn, _params) do
+    config = app_links_config()
+
+    json(conn, %{
+      applinks: %{
+        details: [
+          %{
+            appIDs: Keyword.get(config, :ios_app_ids, []),
+            components: Enum.map(@app_link_paths, &%{"/" => &1})
+          }
+        ]
+      }
+    })
+  end
+
+  @doc """
+  GET /.well-known/assetlinks.json
+  Verifies the Android app for the same links.
+  """
+  def assetlinks(conn, _params) do
+    config = app_links_config()
+
+    json(conn, [
+      %{
+        relation: ["delegate_permission/common.handle_all_urls"],
+        target: %{
+          namespace: "android_app",
+          package_name: Keyword.get(config, :android_package),
+          sha256_cert_fingerprints: Keyword.get(config, :android_cert_fingerprints, [])
+        }
+      }
+    ])
+  end
+
+  defp app_links_config do
+    Application.get_env(:hotspot_api, :app_links, [])
+  end
+end
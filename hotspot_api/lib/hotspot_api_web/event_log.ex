@@ -0,0 +1,196 @@
+defmodule HotspotApiWeb.EventLog do
+  @moduledoc """
+  Short-lived, per-topic log of channel events so clients can catch up after a reconnect.
+
+  Every event broadcast through `broadcast/3` gets a `cursor` (an increasing integer)
+  added to its payload. A client that rejoins sends the last cursor it saw to
+  `replay/2` and receives the events it missed, or a `gap_too_large` error when the
+  log no longer reaches back that far and it should refetch over REST instead.
+
+  The log lives in ETS on the local node and is lost on restart. Broadcasting
+  processes write to it directly, so appends never wait on the owning process.
+  Topics that go quiet are cleared by a periodic sweep rather than on their next event.
+  """
+
+  use GenServer
+
+  @events_table :hotspot_event_log
+  @floors_table :hotspot_event_log_floors
+  @max_events_per_topic 100
+  @max_age_ms :timer.minutes(30)
+  @sweep_interval_ms :timer.minutes(5)
+
+  # Client API
+
+  def start_link(_opts) do
+    GenServer.start_link(__MODULE__, [], name: __MODULE__)
+  end
+
+  @doc """
+  Record an event and broadcast it to the topic with its cursor.
+  """
+  def broadcast(topic, event, payload) do
+    cursor = :ets.update_counter(@floors_table, :cursor, 1)
+    :ets.insert(@events_table, {{topic, cursor}, event, payload, System.monotonic_time(:millisecond)})
+    prune(topic)
+
+    HotspotApiWeb.Endpoint.broadcast(topic, event, Map.put(payload, :cursor, cursor))
+  end
+
+  @doc """
+  The most recent cursor handed out. Clients start from here on their first join.
+  """
+  def current_cursor do
+    :ets.lookup_element(@floors_table, :cursor, 2)
+  end
+
+  @doc """
+  Events for a topic after the given cursor, oldest first.
+  Returns `{:error, :gap_too_large}` when events after the cursor may have been dropped.
+  """
+  def since(topic, cursor) when is_integer(cursor) do
+    if cursor < replay_floor(topic) do
+      {:error, :gap_too_large}
+    else
+      events =
+        :ets.select(@events_table, [
+          {{{topic, :"$1"}, :"$2", :"$3", :_}, [{:>, :"$1", cursor}], [{{:"$1", :"$2", :"$3"}}]}
+        ])
+        |> Enum.sort_by(fn {event_cursor, _event, _payload} -> event_cursor end)
+        |> Enum.map(fn {event_cursor, event, payload} ->
+          %{event: event, payload: Map.put(payload, :cursor, event_cursor)}
+        end)
+
+      {:ok, events}
+    end
+  end
+
+  @doc """
+  Build a channel reply for a `events:replay` request.
+  """
+  def replay(topic, cursor) when is_integer(cursor) do
+    case since(topic, cursor) do
+      {:ok, events} ->
+        {:ok, %{events: events, cursor: current_cursor()}}
+
+      {:error, :gap_too_large} ->
+        {:error, %{reason: "gap_too_large", cursor: current_cursor()}}
+    end
+  end
+
+  def replay(_topic, _cursor), do: {:error, %{reason: "invalid cursor"}}
+
+  @doc """
+  Drop events older than `max_age_ms` from every topic, and the per-topic
+  floors the new global floor makes redundant. Runs every few minutes.
+  """
+  def sweep(max_age_ms \\ @max_age_ms) do
+    GenServer.call(__MODULE__, {:sweep, max_age_ms})
+  end
+
+  # Server callbacks
+
+  @impl true
+  def init(_) do
+    table_opts = [:named_table, :public, read_concurrency: true, write_concurrency: true]
+    :ets.new(@events_table, [:ordered_set | table_opts])
+    :ets.new(@floors_table, [:set | table_opts])
+
+    # Nothing before boot is in the log, so cursors from an earlier run are always a gap.
+    # Sweeps move this global floor up past everything they drop. The cursor counter
+    # starts at the boot time so cursors keep increasing across restarts.
+    boot_cursor = System.system_time(:microsecond)
+    :ets.insert(@floors_table, [{:global, boot_cursor}, {:cursor, boot_cursor}])
+
+    schedule_sweep()
+    {:ok, %{}}
+  end
+
+  @impl true
+  def handle_call({:sweep, max_age_ms}, _from, state) do
+    {:reply, sweep_all(max_age_ms), state}
+  end
+
+  @impl true
+  def handle_info(:sweep, state) do
+    sweep_all(@max_age_ms)
+    schedule_sweep()
+    {:noreply, state}
+  end
+
+  defp schedule_sweep do
+    Process.send_after(self(), :sweep, @sweep_interval_ms)
+  end
+
+  # Age out every topic at once. Cursors are timestamps, so after this no topic
+  # holds anything at or below the newest dropped cursor, and one global floor
+  # covers them all; topic floors at or below it are deleted.
+  defp sweep_all(max_age_ms) do
+    oldest_allowed = System.monotonic_time(:millisecond) - max_age_ms
+
+    dropped =
+      :ets.select(@events_table, [
+        {{{:"$1", :"$2"}, :_, :_, :"$3"}, [{:"=<", :"$3", oldest_allowed}], [{{:"$1", :"$2"}}]}
+      ])
+
+    if dropped != [] do
+      Enum.each(dropped, &:ets.delete(@events_table, &1))
+
+      newest_dropped = dropped |> Enum.map(fn {_topic, cursor} -> cursor end) |> Enum.max()
+      floor = max(global_floor(), newest_dropped)
+      :ets.insert(@floors_table, {:global, floor})
+
+      :ets.select_delete(@floors_table, [
+        {{:"$1", :"$2"}, [{:is_binary, :"$1"}, {:"=<", :"$2", floor}], [true]}
+      ])
+    end
+
+    length(dropped)
+  end
+
+  # Drop old events past the size and age limits, remembering the newest dropped cursor.
+  # Broadcasts to the same topic can prune at once, so the floor only ever moves up.
+  defp prune(topic) do
+    entries =
+      :ets.select(@events_table, [
+        {{{topic, :"$1"}, :_, :_, :"$2"}, [], [{{:"$1", :"$2"}}]}
+      ])
+      |> Enum.sort_by(fn {cursor, _inserted} -> cursor end, :desc)
+
+    oldest_allowed = System.monotonic_time(:millisecond) - @max_age_ms
+
+    dropped =
+      entries
+      |> Enum.with_index()
+      |> Enum.filter(fn {{_cursor, inserted}, index} ->
+        index >= @max_events_per_topic or inserted < oldest_allowed
+      end)
+      |> Enum.map(fn {{cursor, _inserted}, _index} -> cursor end)
+
+    if dropped != [] do
+      Enum.each(dropped, &:ets.delete(@events_table, {topic, &1}))
+      raise_topic_floor(topic, Enum.max(dropped))
+    end
+  end
+
+  defp raise_topic_floor(topic, floor) do
+    unless :ets.insert_new(@floors_table, {topic, floor}) do
+      :ets.select_replace(@floors_table, [
+        {{topic, :"$1"}, [{:<, :"$1", floor}], [{{topic, floor}}]}
+      ])
+    end
+  end
+
+  # Oldest cursor the log can replay from; topics use the global floor until they drop something
+  defp replay_floor(topic) do
+    case :ets.lookup(@floors_table, topic) do
+      [{^topic, floor}] -> max(floor, global_floor())
+      [] -> global_floor()
+    end
+  end
+
+  defp global_floor do
+    [{:global, floor}] = :ets.lookup(@floors_table, :global)
+    floor
+  end
+end
@@ -0,0 +1,49 @@
+defmodule HotspotApiWeb.Plugs.Idempotency do
+  @moduledoc """
+  Answers a repeated `Idempotency-Key` with the response the first request got.
+
+  The app's offline outbox sends each mutating call with a key and replays it
+  when no answer came back, so a request that went through but whose response
+  was lost must not be applied again. Only successful responses are kept; a
+  request that failed changed nothing and is safe to run again.
+  """
+
+  import Plug.Conn
+
+  alias HotspotApi.Guardian
+  alias HotspotApi.Security
+
+  @mutating_methods ~w(POST PUT PATCH DELETE)
+
+  def init(opts), do: opts
+
+  def call(%Plug.Conn{method: method} = conn, _opts) when method in @mutating_methods do
+    user = Guardian.Plug.current_resource(conn)
+    key = conn |> get_req_header("idempotency-key") |> List.first()
+
+    if user && key do
+      case Security.get_idempotent_response(user.id, key) do
+        nil ->
+          register_before_send(conn, &store_response(&1, user.id, key))
+
+        stored ->
+          conn
+          |> put_resp_content_type("application/json")
+          |> put_resp_header("idempotent-replayed", "true")
+          |> send_resp(stored.status, stored.body || "")
+          |> halt()
+      end
+    else
+      conn
+    end
+  end
+
+  def call(conn, _opts), do: conn
+
+  defp store_response(%Plug.Conn{status: status} = conn, user_id, key) when status in 200..299 do
+    Security.store_idempotent_response(user_id, key, status, IO.iodata_to_binary(conn.resp_body || ""))
+    conn
+  end
+
+  defp store_response(conn, _user_id, _key), do: conn
+end
@@ -15,6 +15,11 @@ defmodule HotspotApiWeb.Router do
     plug HotspotApiWeb.Auth.Pipeline
   end
 
+  # Replays of queued requests get the first response back
+  pipeline :idempotent do
+    plug HotspotApiWeb.Plugs.Idempotency
+  end
+
   pipeline :rate_limit_incident do
     plug HotspotApiWeb.Plugs.RateLimiter
   end
@@ -31,6 +36,14 @@ defmodule HotspotApiWeb.Router do
     plug HotspotApiWeb.Plugs.RateLimiter, limit: 100, window_ms: 60_000
   end
 
+  # App link verification files for iOS universal links and Android app links
+  scope "/.well-known", HotspotApiWeb do
+    pipe_through :api
+
+    get "/apple-app-site-association", WellKnownController, :apple_app_site_association
+    get "/assetlinks.json", WellKnownController, :assetlinks
+  end
+
   # Health check endpoint (no auth required)
   scope "/api", HotspotApiWeb do
     pipe_through :api
@@ -45,10 +58,14 @@ defmodule HotspotApiWeb.Router do
     # Public auth endpoints
     post "/auth/send-otp", AuthController, :send_otp
     post "/auth/verify-otp", AuthController, :verify_otp
+    post "/auth/refresh", AuthController, :refresh
+
+    # Incident taxonomy (public so it can be cached before sign-in)
+    get "/incident-types", IncidentTypesController, :index
   end
 
   scope "/api/v1", HotspotApiWeb do
-    pipe_through [:api_v1, :auth]
+    pipe_through [:api_v1, :auth, :idempotent]
 
     # Protected endpoints
     get "/auth/me", AuthController, :me
@@ -56,8 +73,15 @@ defmodule HotspotApiWeb.Router do
     # Incident endpoints (without rate limiting for photo upload)
     post "/incidents/upload-photo", IncidentsController, :upload_photo
     get "/incidents/nearby", IncidentsController, :nearby
+    get "/incidents/in-bounds", IncidentsController, :in_bounds
     get "/incidents/feed", IncidentsController, :feed
     get "/incidents/heatmap", IncidentsController, :heatmap
+    get "/incidents/playback", IncidentsController, :playback
+    get "/incidents/mine", IncidentsController, :mine
+    get "/incidents/:id", IncidentsController, :show
+    patch "/incidents/:id", IncidentsController, :update
+    delete "/incidents/:id", IncidentsController, :retract
+    post "/incidents/:id/resolve", IncidentsController, :resolve
     post "/incidents/:id/verify", IncidentsController, :verify
     get "/incidents/:id/verifications", IncidentsController, :verifications
 
@@ -73,6 +97,7 @@ defmodule HotspotApiWeb.Router do
     # Geofence endpoints
     get "/geofence/zones", GeofenceController, :index
     get "/geofence/zones/:id", GeofenceController, :show
+    get "/geofence/zones/:id/summary", GeofenceController, :summary
     post "/geofence/check-location", GeofenceController, :check_location
     get "/geofence/user-zones", GeofenceController, :user_zones
 
@@ -105,11 +130,14 @@ defmodule HotspotApiWeb.Router do
     # Community groups endpoints
     get "/communities", CommunitiesController, :index
     get "/communities/my-groups", CommunitiesController, :my_groups
+    get "/communities/invites/:token", CommunitiesController, :show_invite
+    post "/communities/invites/:token/accept", CommunitiesController, :accept_invite
     get "/communities/:id", CommunitiesController, :show
     post "/communities", CommunitiesController, :create
     put "/communities/:id", CommunitiesController, :update
     delete "/communities/:id", CommunitiesController, :delete
     post "/communities/:id/join", CommunitiesController, :join
+    post "/communities/:id/invites", CommunitiesController, :create_invite
     delete "/communities/:id/leave", CommunitiesController, :leave
     get "/communities/:id/members", CommunitiesController, :members
     put "/communities/:id/members/:user_id/role", CommunitiesController, :update_member_role
@@ -155,17 +183,28 @@ defmodule HotspotApiWeb.Router do
     # Public auth endpoints
     post "/auth/send-otp", AuthController, :send_otp
     post "/auth/verify-otp", AuthController, :verify_otp
+    post "/auth/refresh", AuthController, :refresh
+
+    # Incident taxonomy (public so it can be cached before sign-in)
+    get "/incident-types", IncidentTypesController, :index
   end
 
   scope "/api", HotspotApiWeb do
-    pipe_through [:api, :auth]
+    pipe_through [:api, :auth, :idempotent]
 
     # Protected endpoints
     get "/auth/me", AuthController, :me
     post "/incidents/upload-photo", IncidentsController, :upload_photo
     get "/incidents/nearby", IncidentsController, :nearby
+    get "/incidents/in-bounds", IncidentsController, :in_bounds
     get "/incidents/feed", IncidentsController, :feed
     get "/incidents/heatmap", IncidentsController, :heatmap
+    get "/incidents/playback", IncidentsController, :playback
+    get "/incidents/mine", IncidentsController, :mine
+    get "/incidents/:id", IncidentsController, :show
+    patch "/incidents/:id", IncidentsController, :update
+    delete "/incidents/:id", IncidentsController, :retract
+    post "/incidents/:id/resolve", IncidentsController, :resolve
     post "/incidents/:id/verify", IncidentsController, :verify
     get "/incidents/:id/verifications", IncidentsController, :verifications
     post "/notifications/register-token", NotificationsController, :register_token
@@ -175,6 +214,7 @@ defmodule HotspotApiWeb.Router do
     post "/moderation/validate-text", ModerationController, :validate_text
     get "/geofence/zones", GeofenceController, :index
     get "/geofence/zones/:id", GeofenceController, :show
+    get "/geofence/zones/:id/summary", GeofenceController, :summary
     post "/geofence/check-location", GeofenceController, :check_location
     get "/geofence/user-zones", GeofenceController, :user_zones
     get "/analytics/hotspots", AnalyticsController, :hotspots
@@ -197,11 +237,14 @@ defmodule HotspotApiWeb.Router do
     get "/emergency-services/hospitals", EmergencyServicesController, :hospitals
     get "/communities", CommunitiesController, :index
     get "/communities/my-groups", CommunitiesController, :my_groups
+    get "/communities/invites/:token", CommunitiesController, :show_invite
+    post "/communities/invites/:token/accept", CommunitiesController, :accept_invite
     get "/communities/:id", CommunitiesController, :show
     post "/communities", CommunitiesController, :create
     put "/communities/:id", CommunitiesController, :update
     delete "/communities/:id", CommunitiesController, :delete
     post "/communities/:id/join", CommunitiesController, :join
+    post "/communities/:id/invites", CommunitiesController, :create_invite
     delete "/communities/:id/leave", CommunitiesController, :leave
     get "/communities/:id/members", CommunitiesController, :members
     put "/communities/:id/members/:user_id/role", CommunitiesController, :update_member_role
@@ -280,6 +323,11 @@ defmodule HotspotApiWeb.Router do
     get "/zones/:id/incidents", ZonesController, :incidents
     get "/zones/:id/stats", ZonesController, :stats
 
+    # Incident type management endpoints
+    get "/incident-types", IncidentTypesController, :index
+    post "/incident-types", IncidentTypesController, :create
+    put "/incident-types/:key", IncidentTypesController, :update
+
     # Analytics endpoints
     get "/analytics/trends", AnalyticsController, :trends
     get "/analytics/heatmap", AnalyticsController, :heatmap
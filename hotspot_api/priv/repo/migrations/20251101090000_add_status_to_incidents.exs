@@ -0,0 +1,10 @@
+defmodule HotspotApi.Repo.Migrations.AddStatusToIncidents do
+  use Ecto.Migration
+
+  def change do
+    alter table(:incidents) do
+      add :status, :string, default: "active", null: false
+      add :resolved_at, :utc_datetime
+    end
+  end
+end
@@ -0,0 +1,53 @@
+defmodule HotspotApi.Repo.Migrations.CreateIncidentTypes do
+  use Ecto.Migration
+
+  def up do
+    create table(:incident_types, primary_key: false) do
+      add :key, :string, primary_key: true
+      add :label, :string, null: false
+      add :icon, :string, null: false
+      add :color, :string, null: false
+      add :severity, :string, null: false, default: "medium"
+      add :sub_types, :map, null: false, default: fragment("'[]'::jsonb")
+      add :position, :integer, null: false, default: 0
+      add :is_active, :boolean, null: false, default: true
+
+      timestamps(type: :utc_datetime)
+    end
+
+    types = [
+      {"hijacking", "Hijacking", "🚗", "#EF4444", "critical",
+       [{"vehicle", "Vehicle hijacking"}, {"attempted", "Attempted hijacking"}, {"smash_and_grab", "Smash and grab"}]},
+      {"mugging", "Mugging", "👤", "#F97316", "high",
+       [{"armed_robbery", "Armed robbery"}, {"bag_snatching", "Bag snatching"}, {"pickpocketing", "Pickpocketing"}]},
+      {"accident", "Accident", "⚠️", "#3B82F6", "medium",
+       [{"collision", "Vehicle collision"}, {"pedestrian", "Pedestrian struck"}, {"road_hazard", "Road hazard"}]},
+      {"break_in", "Break-in", "🏠", "#8B5CF6", "high",
+       [{"residential", "Home"}, {"business", "Business"}, {"vehicle", "Vehicle"}]},
+      {"protest", "Protest", "📢", "#EAB308", "medium",
+       [{"gathering", "Peaceful gathering"}, {"unrest", "Violent unrest"}, {"blockade", "Road blockade"}]},
+      {"road_closure", "Road Closure", "🚧", "#64748B", "low",
+       [{"roadblock", "Police roadblock"}, {"roadworks", "Roadworks"}, {"flooding", "Flooding"}]},
+      {"load_shedding", "Load-shedding Outage", "🔌", "#0EA5E9", "low",
+       [{"scheduled", "Scheduled outage"}, {"unscheduled", "Unscheduled outage"}, {"traffic_lights", "Traffic lights out"}]}
+    ]
+
+    types
+    |> Enum.with_index()
+    |> Enum.each(fn {{key, label, icon, color, severity, sub_types}, position} ->
+      sub_types_json =
+        sub_types
+        |> Enum.map(fn {sub_key, sub_label} -> %{key: sub_key, label: sub_label} end)
+        |> Jason.encode!()
+
+      execute("""
+      INSERT INTO incident_types (key, label, icon, color, severity, sub_types, position, is_active, inserted_at, updated_at)
+      VALUES ('#{key}', '#{label}', '#{icon}', '#{color}', '#{severity}', '#{sub_types_json}'::jsonb, #{position}, true, NOW(), NOW())
+      """)
+    end)
+  end
+
+  def down do
+    drop table(:incident_types)
+  end
+end
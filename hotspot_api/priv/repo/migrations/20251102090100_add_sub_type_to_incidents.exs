@@ -0,0 +1,9 @@
+defmodule HotspotApi.Repo.Migrations.AddSubTypeToIncidents do
+  use Ecto.Migration
+
+  def change do
+    alter table(:incidents) do
+      add :sub_type, :string
+    end
+  end
+end
@@ -0,0 +1,18 @@
+defmodule HotspotApi.Repo.Migrations.AddReportDetailsToIncidents do
+  use Ecto.Migration
+
+  def change do
+    alter table(:incidents) do
+      add :severity, :string
+      add :has_injuries, :boolean
+      add :suspect_count, :integer
+      add :is_ongoing, :boolean
+      add :vehicle_make, :string
+      add :vehicle_color, :string
+      add :vehicle_plate, :string
+    end
+
+    # Lets the map surface serious incidents first
+    create index(:incidents, [:severity])
+  end
+end
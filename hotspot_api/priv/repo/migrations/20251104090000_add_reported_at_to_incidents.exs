@@ -0,0 +1,18 @@
+defmodule HotspotApi.Repo.Migrations.AddReportedAtToIncidents do
+  use Ecto.Migration
+
+  def up do
+    alter table(:incidents) do
+      add :reported_at, :utc_datetime
+    end
+
+    # Existing reports were all made on the spot
+    execute "UPDATE incidents SET reported_at = inserted_at"
+  end
+
+  def down do
+    alter table(:incidents) do
+      remove :reported_at
+    end
+  end
+end
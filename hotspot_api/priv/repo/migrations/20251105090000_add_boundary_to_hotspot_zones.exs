@@ -0,0 +1,15 @@
+defmodule HotspotApi.Repo.Migrations.AddBoundaryToHotspotZones do
+  use Ecto.Migration
+
+  def change do
+    alter table(:hotspot_zones) do
+      # Polygon or MultiPolygon (SRID 4326); zones without one are a circle
+      # of radius_meters around center_location
+      add :boundary, :geometry
+      # Set when an admin drew the shape, so clustering doesn't redraw it
+      add :boundary_drawn, :boolean, null: false, default: false
+    end
+
+    create index(:hotspot_zones, [:boundary], using: "GIST")
+  end
+end
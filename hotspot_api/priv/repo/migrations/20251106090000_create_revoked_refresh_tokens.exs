@@ -0,0 +1,17 @@
+defmodule HotspotApi.Repo.Migrations.CreateRevokedRefreshTokens do
+  use Ecto.Migration
+
+  def change do
+    # Refresh tokens that have been exchanged; rows can go once the token
+    # would have expired anyway
+    create table(:revoked_refresh_tokens, primary_key: false) do
+      add :jti, :string, primary_key: true
+      add :user_id, references(:users, type: :binary_id, on_delete: :delete_all), null: false
+      add :expires_at, :utc_datetime, null: false
+
+      timestamps(type: :utc_datetime, updated_at: false)
+    end
+
+    create index(:revoked_refresh_tokens, [:expires_at])
+  end
+end
@@ -0,0 +1,20 @@
+defmodule HotspotApi.Repo.Migrations.CreateIdempotentResponses do
+  use Ecto.Migration
+
+  def change do
+    # Responses to requests sent with an Idempotency-Key, so a replay of a
+    # request that already went through gets the same answer back
+    create table(:idempotent_responses, primary_key: false) do
+      add :id, :binary_id, primary_key: true
+      add :user_id, references(:users, type: :binary_id, on_delete: :delete_all), null: false
+      add :key, :string, null: false
+      add :status, :integer, null: false
+      add :body, :text
+
+      timestamps(type: :utc_datetime, updated_at: false)
+    end
+
+    create unique_index(:idempotent_responses, [:user_id, :key])
+    create index(:idempotent_responses, [:inserted_at])
+  end
+end
@@ -463,6 +463,11 @@ defmodule HotspotApi.AdminTest do
       assert is_list(trends)
       # Should have data for today at least
       assert length(trends) >= 1
+
+      today = List.last(trends)
+      assert today.counts_by_type == %{"hijacking" => 1, "mugging" => 1, "accident" => 1}
+      assert today.hijacking_count == 1
+      assert today.total_count == 3
     end
 
     test "get_analytics_heatmap/2 returns heatmap data" do
@@ -481,6 +486,18 @@ defmodule HotspotApi.AdminTest do
       peak_hours = Admin.get_analytics_peak_hours(start_date, end_date)
 
       assert is_list(peak_hours)
+
+      assert peak_hours |> Enum.map(& &1.total_count) |> Enum.sum() == 3
+      assert Enum.all?(peak_hours, &Map.has_key?(&1, :counts_by_type))
+    end
+
+    test "get_analytics_trends/2 counts every incident type", %{user: user} do
+      incident_fixture(%{user_id: user.id, type: "break_in"})
+
+      trends =
+        Admin.get_analytics_trends(DateTime.utc_now() |> DateTime.add(-7, :day), DateTime.utc_now())
+
+      assert %{counts_by_type: %{"break_in" => 1}, total_count: 4} = List.last(trends)
     end
 
     test "get_analytics_user_metrics/2 returns user engagement metrics" do
@@ -515,7 +532,9 @@ defmodule HotspotApi.AdminTest do
       csv = Admin.export_analytics_csv("trends", start_date, end_date)
 
       assert is_binary(csv)
-      assert csv =~ "Date,Hijacking,Mugging,Accident,Total"
+      assert csv =~ "Date,Hijacking,Mugging,Accident,Break-in,"
+      assert csv =~ ",Total\n"
+      assert csv =~ ",1,1,1,0,"
     end
 
     test "export_analytics_csv/3 exports peak hours data as CSV" do
@@ -525,7 +544,8 @@ defmodule HotspotApi.AdminTest do
       csv = Admin.export_analytics_csv("peak_hours", start_date, end_date)
 
       assert is_binary(csv)
-      assert csv =~ "Hour,Hijacking,Mugging,Accident,Total"
+      assert csv =~ "Hour,Hijacking,Mugging,Accident,Break-in,"
+      assert csv =~ ",Total\n"
     end
 
     test "export_analytics_csv/3 exports heatmap data as CSV" do
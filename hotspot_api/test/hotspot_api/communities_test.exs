@@ -265,6 +265,17 @@ defmodule HotspotApi.CommunitiesTest do
       assert hd(result.incidents).id == incident.id
     end
 
+    test "linked_incident_ids/1 groups active linked incidents by group", %{group: group, user: user, incident: incident} do
+      expired =
+        incident_fixture(%{user_id: user.id, expires_at: DateTime.add(DateTime.utc_now(), -1, :hour)})
+
+      {:ok, _} = Communities.add_incident_to_group(group.id, incident.id)
+      {:ok, _} = Communities.add_incident_to_group(group.id, expired.id)
+
+      assert Communities.linked_incident_ids([group.id]) == %{group.id => [incident.id]}
+      assert Communities.linked_incident_ids([]) == %{}
+    end
+
     test "add_incident_to_group/2 prevents duplicate links", %{group: group, incident: incident} do
       {:ok, _} = Communities.add_incident_to_group(group.id, incident.id)
 
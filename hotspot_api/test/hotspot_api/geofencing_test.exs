@@ -0,0 +1,106 @@
+defmodule HotspotApi.GeofencingTest do
+  use HotspotApi.DataCase
+
+  alias HotspotApi.Geofencing
+  alias HotspotApi.Incidents
+
+  import HotspotApi.GeofencingFixtures
+  import HotspotApi.AccountsFixtures
+
+  # A thin east-west corridor about 10km long, centred on the fixture's zone center
+  @corridor %{
+    "type" => "Polygon",
+    "coordinates" => [
+      [[28.0, -26.2051], [28.1, -26.2051], [28.1, -26.2031], [28.0, -26.2031], [28.0, -26.2051]]
+    ]
+  }
+
+  describe "zone boundaries" do
+    test "create_zone/1 accepts a GeoJSON polygon boundary" do
+      zone = hotspot_zone_fixture(%{boundary: @corridor, boundary_drawn: true})
+
+      assert %Geo.Polygon{srid: 4326} = zone.boundary
+      assert zone.boundary_drawn
+      assert %{"type" => "Polygon", "coordinates" => [ring]} = Geofencing.zone_geometry(zone)
+      assert length(ring) == 5
+    end
+
+    test "create_zone/1 rejects a boundary that is not a polygon" do
+      assert {:error, changeset} =
+               Geofencing.create_zone(%{
+                 zone_type: "hijacking",
+                 latitude: -26.2041,
+                 longitude: 28.0473,
+                 risk_level: "low",
+                 incident_count: 0,
+                 boundary: %{"type" => "Point", "coordinates" => [28.0473, -26.2041]}
+               })
+
+      assert "must be a GeoJSON Polygon or MultiPolygon" in errors_on(changeset).boundary
+    end
+
+    test "zone_geometry/1 is nil for circular zones" do
+      assert Geofencing.zone_geometry(hotspot_zone_fixture()) == nil
+    end
+
+    test "check_location/2 follows a zone's boundary instead of its radius" do
+      zone = hotspot_zone_fixture(%{boundary: @corridor})
+
+      # 4km along the corridor, well outside the 1km radius
+      assert [%{id: id}] = Geofencing.check_location(-26.2041, 28.09)
+      assert id == zone.id
+
+      # About 450m off the corridor, but inside the 1km radius
+      assert [] = Geofencing.check_location(-26.2091, 28.0473)
+    end
+
+    test "check_approaching_zones/3 measures from the boundary" do
+      zone = hotspot_zone_fixture(%{boundary: @corridor})
+
+      # About 330m off the corridor
+      assert [%{id: id}] = Geofencing.check_approaching_zones(-26.2081, 28.09, true)
+      assert id == zone.id
+
+      # Already inside
+      assert [] = Geofencing.check_approaching_zones(-26.2041, 28.09, true)
+    end
+  end
+
+  describe "get_zone_summary/1" do
+    test "counts this week's incidents by type and compares them with the week before" do
+      user = user_fixture()
+      zone = hotspot_zone_fixture()
+
+      report = fn type, attrs ->
+        {:ok, _} =
+          attrs
+          |> Enum.into(%{type: type, latitude: -26.2041, longitude: 28.0473, user_id: user.id})
+          |> Incidents.create_incident()
+      end
+
+      report.("hijacking", %{})
+      report.("hijacking", %{})
+      report.("hijacking", %{})
+      report.("mugging", %{})
+      report.("hijacking", %{reported_at: DateTime.add(DateTime.utc_now(), -10, :day)})
+      # Outside the zone
+      report.("hijacking", %{latitude: -25.7479, longitude: 28.2293})
+
+      summary = Geofencing.get_zone_summary(zone)
+
+      assert summary.incident_count == 4
+      assert summary.previous_incident_count == 1
+      assert summary.type_counts == %{"hijacking" => 3, "mugging" => 1}
+      assert summary.dominant_type == "hijacking"
+      assert summary.trend == "rising"
+      assert %DateTime{} = summary.last_incident_at
+    end
+
+    test "falls back to the zone's type when nothing happened recently" do
+      zone = hotspot_zone_fixture(%{zone_type: "accident"})
+
+      assert %{incident_count: 0, dominant_type: "accident", trend: "steady"} =
+               Geofencing.get_zone_summary(zone)
+    end
+  end
+end
@@ -55,6 +55,92 @@ defmodule HotspotApi.IncidentsTest do
       assert {:error, %Ecto.Changeset{}} = Incidents.create_incident(invalid_attrs)
     end
 
+    test "create_incident/1 stores the structured report details" do
+      user = user_fixture()
+
+      assert {:ok, incident} =
+               Incidents.create_incident(%{
+                 type: "hijacking",
+                 latitude: -26.2041,
+                 longitude: 28.0473,
+                 user_id: user.id,
+                 severity: "serious",
+                 has_injuries: false,
+                 suspect_count: 3,
+                 is_ongoing: true,
+                 vehicle_make: "Toyota Hilux",
+                 vehicle_color: "White",
+                 vehicle_plate: "ca 123-4"
+               })
+
+      assert incident.severity == "serious"
+      assert incident.suspect_count == 3
+      assert incident.is_ongoing
+      assert incident.vehicle_plate == "CA1234"
+    end
+
+    test "create_incident/1 rejects an unknown severity or a negative suspect count" do
+      user = user_fixture()
+
+      assert {:error, changeset} =
+               Incidents.create_incident(%{
+                 type: "mugging",
+                 latitude: -26.2041,
+                 longitude: 28.0473,
+                 user_id: user.id,
+                 severity: "catastrophic",
+                 suspect_count: -1
+               })
+
+      assert %{severity: [_], suspect_count: [_]} = errors_on(changeset)
+    end
+
+    test "create_incident/1 records when the incident happened" do
+      user = user_fixture()
+      earlier = DateTime.utc_now() |> DateTime.add(-90, :minute) |> DateTime.truncate(:second)
+
+      assert {:ok, incident} =
+               Incidents.create_incident(%{
+                 type: "accident",
+                 latitude: -26.2041,
+                 longitude: 28.0473,
+                 user_id: user.id,
+                 reported_at: earlier
+               })
+
+      assert incident.reported_at == earlier
+    end
+
+    test "create_incident/1 defaults reported_at to now" do
+      user = user_fixture()
+
+      assert {:ok, incident} =
+               Incidents.create_incident(%{
+                 type: "accident",
+                 latitude: -26.2041,
+                 longitude: 28.0473,
+                 user_id: user.id,
+                 reported_at: nil
+               })
+
+      assert DateTime.diff(DateTime.utc_now(), incident.reported_at) < 5
+    end
+
+    test "create_incident/1 rejects a reported_at in the future" do
+      user = user_fixture()
+
+      assert {:error, changeset} =
+               Incidents.create_incident(%{
+                 type: "accident",
+                 latitude: -26.2041,
+                 longitude: 28.0473,
+                 user_id: user.id,
+                 reported_at: DateTime.add(DateTime.utc_now(), 1, :hour)
+               })
+
+      assert %{reported_at: ["can't be in the future"]} = errors_on(changeset)
+    end
+
     test "create_incident/1 with invalid data returns error changeset" do
       assert {:error, %Ecto.Changeset{}} = Incidents.create_incident(@invalid_attrs)
     end
@@ -85,6 +171,115 @@ defmodule HotspotApi.IncidentsTest do
       assert hd(nearby).type == "mugging"
     end
 
+    test "list_in_bounds/4 returns active incidents inside the box" do
+      user = user_fixture()
+
+      {:ok, inside} = Incidents.create_incident(%{
+        type: "mugging",
+        latitude: -26.2041,
+        longitude: 28.0473,
+        user_id: user.id
+      })
+
+      {:ok, _outside} = Incidents.create_incident(%{
+        type: "accident",
+        latitude: -26.3041,
+        longitude: 28.1473,
+        user_id: user.id
+      })
+
+      {:ok, _expired} = Incidents.create_incident(%{
+        type: "accident",
+        latitude: -26.2,
+        longitude: 28.05,
+        user_id: user.id,
+        expires_at: DateTime.add(DateTime.utc_now(), -1, :hour)
+      })
+
+      assert %{incidents: [%{id: id}], truncated: false} = Incidents.list_in_bounds(-26.25, 28.0, -26.15, 28.1)
+      assert id == inside.id
+    end
+
+    test "get_playback/3 places incidents and heat zones in their frames" do
+      user = user_fixture()
+      three_hours_ago = DateTime.utc_now() |> DateTime.add(-3, :hour) |> DateTime.truncate(:second)
+
+      for offset <- [0.001, 0.002, 0.003] do
+        {:ok, _} = Incidents.create_incident(%{
+          type: "hijacking",
+          latitude: -26.2041 + offset,
+          longitude: 28.0473,
+          user_id: user.id,
+          reported_at: three_hours_ago
+        })
+      end
+
+      # Expired incidents are still replayed
+      {:ok, _} = Incidents.create_incident(%{
+        type: "accident",
+        latitude: -26.21,
+        longitude: 28.05,
+        user_id: user.id,
+        reported_at: three_hours_ago,
+        expires_at: DateTime.add(DateTime.utc_now(), -1, :hour)
+      })
+
+      assert {:ok, playback} = Incidents.get_playback({-26.3, 27.9, -26.1, 28.2}, "24h")
+      assert playback.frame_seconds == 3600
+      assert length(playback.frames) == 24
+      assert length(playback.incidents) == 4
+      refute playback.truncated
+
+      assert [%{incident_count: 3, dominant_type: "hijacking"}] =
+               playback.frames |> Enum.flat_map(& &1.heat_zones)
+
+      assert {:ok, %{incidents: [%{type: "accident"}]}} =
+               Incidents.get_playback({-26.3, 27.9, -26.1, 28.2}, "24h", type: "accident")
+    end
+
+    test "get_heatmap_data/1 builds heat zones from filtered incidents only" do
+      user = user_fixture()
+
+      for offset <- [0.001, 0.002, 0.003, 0.004, 0.005] do
+        {:ok, _} = Incidents.create_incident(%{
+          type: "hijacking",
+          latitude: -26.2041 + offset,
+          longitude: 28.0473,
+          user_id: user.id,
+          verification_count: 3,
+          is_verified: true
+        })
+
+        {:ok, _} = Incidents.create_incident(%{
+          type: "accident",
+          latitude: -25.7479 + offset,
+          longitude: 28.2293,
+          user_id: user.id
+        })
+      end
+
+      assert [%{dominant_type: "hijacking", incident_count: 5, geometry: %{"type" => "Polygon"}}] =
+               Incidents.get_heatmap_data(%{types: ["hijacking"]})
+
+      assert [%{dominant_type: "hijacking"}] = Incidents.get_heatmap_data(%{verified_only: true})
+      assert [] = Incidents.get_heatmap_data(%{min_verifications: 4})
+
+      {:ok, _group} =
+        HotspotApi.Communities.create_group(%{
+          name: "Pretoria Patrol",
+          center_latitude: -25.7479,
+          center_longitude: 28.2293,
+          radius_meters: 2000,
+          created_by_id: user.id
+        })
+
+      assert [%{dominant_type: "accident"}] = Incidents.get_heatmap_data(%{group_user_id: user.id})
+    end
+
+    test "get_playback/3 rejects an unknown period" do
+      assert {:error, :invalid_period} = Incidents.get_playback({-26.3, 27.9, -26.1, 28.2}, "1y")
+    end
+
     test "list_nearby/3 includes distance in results" do
       user = user_fixture()
 
@@ -238,6 +433,17 @@ defmodule HotspotApi.IncidentsTest do
       assert changeset.errors[:incident_id] != nil || changeset.errors[:user_id] != nil
     end
 
+    test "verify_incident/2 rejects retracted incidents" do
+      user1 = user_fixture()
+      user2 = user_fixture()
+
+      incident = incident_fixture(user: user1)
+      {:ok, _} = Incidents.retract_incident(incident, user1.id)
+
+      assert {:error, :not_found} = Incidents.verify_incident(incident.id, user2.id)
+      assert Incidents.get_incident!(incident.id).verification_count == 0
+    end
+
     test "verify_incident/2 prevents self-verification" do
       user = user_fixture()
       incident = incident_fixture(user: user)
@@ -320,11 +526,20 @@ defmodule HotspotApi.IncidentsTest do
       assert Incidents.user_verified_incident?(incident.id, user2.id) == true
     end
 
-    test "delete_expired_incidents/0 deletes incidents with zero verifications past expiry" do
+    test "delete_expired_incidents/0 deletes incidents with zero verifications once too old for playback" do
       user = user_fixture()
 
-      # Create expired incident with zero verifications
+      # Create incident that expired with zero verifications before the playback period
       {:ok, expired_incident} = Incidents.create_incident(%{
+        type: "mugging",
+        latitude: -26.2041,
+        longitude: 28.0473,
+        user_id: user.id,
+        expires_at: DateTime.add(DateTime.utc_now(), -31, :day)
+      })
+
+      # Recently expired, still replayed (should not be deleted)
+      {:ok, recently_expired} = Incidents.create_incident(%{
         type: "mugging",
         latitude: -26.2041,
         longitude: 28.0473,
@@ -361,6 +576,187 @@ defmodule HotspotApi.IncidentsTest do
       assert_raise Ecto.NoResultsError, fn -> Incidents.get_incident!(expired_incident.id) end
       assert Incidents.get_incident!(verified_incident.id) != nil
       assert Incidents.get_incident!(active_incident.id) != nil
+      assert Incidents.get_incident!(recently_expired.id) != nil
+    end
+  end
+
+  describe "reporter follow-ups" do
+    alias HotspotApi.Incidents.Incident
+
+    import HotspotApi.IncidentsFixtures
+    import HotspotApi.AccountsFixtures
+
+    test "list_user_incidents/1 returns only the user's reports" do
+      user = user_fixture()
+      other = user_fixture()
+      incident = incident_fixture(user: user)
+      _other_incident = incident_fixture(user: other)
+
+      assert [%Incident{id: id}] = Incidents.list_user_incidents(user.id)
+      assert id == incident.id
+    end
+
+    test "update_report/3 updates the description for the reporter" do
+      user = user_fixture()
+      incident = incident_fixture(user: user)
+
+      assert {:ok, %Incident{} = updated} =
+               Incidents.update_report(incident, user.id, %{"description" => "Suspects fled north"})
+
+      assert updated.description == "Suspects fled north"
+    end
+
+    test "update_report/3 rejects other users" do
+      incident = incident_fixture(user: user_fixture())
+
+      assert {:error, :forbidden} =
+               Incidents.update_report(incident, user_fixture().id, %{"description" => "Not mine"})
+    end
+
+    test "resolve_incident/2 marks the incident resolved and shortens its expiry" do
+      user = user_fixture()
+      incident = incident_fixture(user: user)
+
+      assert {:ok, %Incident{} = resolved} = Incidents.resolve_incident(incident, user.id)
+      assert resolved.status == "resolved"
+      assert resolved.resolved_at
+      assert DateTime.compare(resolved.expires_at, incident.expires_at) == :lt
+    end
+
+    test "retract_incident/2 hides the incident but keeps the row" do
+      user = user_fixture()
+      incident = incident_fixture(user: user)
+
+      assert {:ok, %Incident{status: "retracted"}} = Incidents.retract_incident(incident, user.id)
+      assert Incidents.get_incident(incident.id) == nil
+      assert Incidents.list_user_incidents(user.id) == []
+      refute Enum.any?(Incidents.list_incidents(), &(&1.id == incident.id))
+      assert Incidents.get_incident!(incident.id).status == "retracted"
+    end
+
+    test "retract_incident/2 keeps the incident's moderation records" do
+      user = user_fixture()
+      incident = incident_fixture(user: user)
+
+      flagged =
+        HotspotApi.ModerationFixtures.flagged_content_fixture(%{
+          incident_id: incident.id,
+          user_id: user.id,
+          status: "rejected"
+        })
+
+      assert {:ok, _} = Incidents.retract_incident(incident, user.id)
+      assert HotspotApi.Repo.get(HotspotApi.Moderation.FlaggedContent, flagged.id)
+
+      Incidents.delete_expired_incidents()
+      assert Incidents.get_incident!(incident.id)
+    end
+
+    test "retract_incident/2 rejects other users" do
+      incident = incident_fixture(user: user_fixture())
+
+      assert {:error, :forbidden} = Incidents.retract_incident(incident, user_fixture().id)
+      assert Incidents.get_incident(incident.id)
+    end
+  end
+
+  describe "incident types" do
+    alias HotspotApi.Incidents.IncidentType
+
+    import HotspotApi.AccountsFixtures
+
+    # The type list is cached outside the sandbox, so don't let one test's
+    # types leak into the next
+    setup do
+      on_exit(fn -> HotspotApi.Cache.delete("incident_types") end)
+    end
+
+    test "list_incident_types/0 returns the seeded taxonomy in display order" do
+      keys = Incidents.incident_type_keys()
+
+      assert Enum.take(keys, 3) == ["hijacking", "mugging", "accident"]
+      assert "load_shedding" in keys
+
+      hijacking = hd(Incidents.list_incident_types())
+      assert hijacking.color == "#EF4444"
+      assert hijacking.severity == "critical"
+      assert Enum.any?(hijacking.sub_types, &(&1.key == "smash_and_grab"))
+    end
+
+    test "create_incident/1 accepts one of the newer types" do
+      user = user_fixture()
+
+      assert {:ok, incident} =
+               Incidents.create_incident(%{
+                 type: "break_in",
+                 latitude: -26.2041,
+                 longitude: 28.0473,
+                 user_id: user.id
+               })
+
+      assert incident.type == "break_in"
+    end
+
+    test "create_incident/1 accepts a sub-type of the incident's type only" do
+      user = user_fixture()
+      attrs = %{type: "hijacking", latitude: -26.2041, longitude: 28.0473, user_id: user.id}
+
+      assert {:ok, incident} = Incidents.create_incident(Map.put(attrs, :sub_type, "smash_and_grab"))
+      assert incident.sub_type == "smash_and_grab"
+
+      assert {:error, changeset} = Incidents.create_incident(Map.put(attrs, :sub_type, "roadworks"))
+      assert %{sub_type: ["is not a sub-type of hijacking"]} = errors_on(changeset)
+    end
+
+    test "create_incident_type/1 makes the type reportable straight away" do
+      user = user_fixture()
+
+      assert {:ok, %IncidentType{key: "power_line_down"}} =
+               Incidents.create_incident_type(%{
+                 key: "power_line_down",
+                 label: "Power Line Down",
+                 icon: "⚡",
+                 color: "#FACC15",
+                 severity: "high",
+                 sub_types: [%{key: "sparking", label: "Sparking"}]
+               })
+
+      assert "power_line_down" in Incidents.incident_type_keys()
+
+      assert {:ok, _incident} =
+               Incidents.create_incident(%{
+                 type: "power_line_down",
+                 latitude: -26.2041,
+                 longitude: 28.0473,
+                 user_id: user.id
+               })
+    end
+
+    test "create_incident_type/1 rejects a bad key or colour" do
+      assert {:error, changeset} =
+               Incidents.create_incident_type(%{key: "Bad Key", label: "Bad", icon: "❓", color: "red"})
+
+      assert %{key: [_], color: [_]} = errors_on(changeset)
+    end
+
+    test "update_incident_type/2 with is_active false stops new reports of that type" do
+      user = user_fixture()
+      protest = Incidents.get_incident_type("protest")
+
+      assert {:ok, %IncidentType{is_active: false}} =
+               Incidents.update_incident_type(protest, %{is_active: false})
+
+      refute "protest" in Incidents.incident_type_keys()
+
+      assert {:error, changeset} =
+               Incidents.create_incident(%{
+                 type: "protest",
+                 latitude: -26.2041,
+                 longitude: 28.0473,
+                 user_id: user.id
+               })
+
+      assert %{type: ["is not a known incident type"]} = errors_on(changeset)
     end
   end
 end
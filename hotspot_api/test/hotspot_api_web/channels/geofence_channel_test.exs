@@ -0,0 +1,43 @@
+defmodule HotspotApiWeb.GeofenceChannelTest do
+  use HotspotApiWeb.ChannelCase
+
+  alias HotspotApiWeb.GeofenceChannel
+  alias HotspotApiWeb.EventLog
+
+  setup do
+    user = HotspotApi.AccountsFixtures.user_fixture()
+    topic = "geofence:user:#{user.id}"
+
+    # Two devices signed in as the same user
+    phone = join_as(user, topic, "phone")
+    tablet = join_as(user, topic, "tablet")
+
+    %{phone: phone, tablet: tablet, topic: topic}
+  end
+
+  defp join_as(user, topic, device_id) do
+    {:ok, _, socket} =
+      HotspotApiWeb.UserSocket
+      |> socket("user_id", %{user_id: user.id})
+      |> subscribe_and_join(GeofenceChannel, topic, %{"device_id" => device_id})
+
+    socket
+  end
+
+  test "zone events are pushed only to the device that sent the location", %{topic: topic} do
+    EventLog.broadcast(topic, "zone:entered", %{zone_id: "z", device_id: "phone"})
+
+    # Both sockets push to this test process, so a second push would be the tablet's
+    assert_push "zone:entered", %{zone_id: "z", device_id: "phone"}
+    refute_push "zone:entered", _
+  end
+
+  test "events:replay leaves out zone events from other devices", %{tablet: tablet, topic: topic} do
+    since = EventLog.current_cursor()
+    EventLog.broadcast(topic, "zone:entered", %{zone_id: "mine", device_id: "tablet"})
+    EventLog.broadcast(topic, "zone:exited", %{zone_id: "theirs", device_id: "phone"})
+
+    ref = push(tablet, "events:replay", %{"since" => since})
+    assert_reply ref, :ok, %{events: [%{event: "zone:entered", payload: %{zone_id: "mine"}}]}
+  end
+end
@@ -38,6 +38,112 @@ defmodule HotspotApiWeb.IncidentChannelTest do
     assert_reply ref, :error, %{reason: "missing latitude or longitude"}
   end
 
+  test "join replies with the current event cursor", %{user: user} do
+    {:ok, %{cursor: cursor}, _socket} =
+      HotspotApiWeb.UserSocket
+      |> socket("user_id", %{user_id: user.id})
+      |> subscribe_and_join(IncidentChannel, "incidents:kegxs7")
+
+    assert is_integer(cursor)
+  end
+
+  test "events:replay returns events missed since a cursor", %{socket: socket, geohash: geohash} do
+    since = HotspotApiWeb.EventLog.current_cursor()
+    HotspotApiWeb.EventLog.broadcast("incidents:#{geohash}", "incident:new", %{id: "missed"})
+
+    ref = push(socket, "events:replay", %{"since" => since})
+    assert_reply ref, :ok, %{events: [%{event: "incident:new", payload: %{id: "missed"}}]}
+  end
+
+  test "events:replay reports a gap for cursors the log no longer covers", %{socket: socket} do
+    ref = push(socket, "events:replay", %{"since" => 0})
+    assert_reply ref, :error, %{reason: "gap_too_large", cursor: cursor}
+    assert is_integer(cursor)
+  end
+
+  test "broadcast_new_incident reaches the incident cell, its neighbours and its precision 5 parent" do
+    user = HotspotApi.AccountsFixtures.user_fixture()
+    cell = Geohash.encode(-26.2041, 28.0473, 6)
+    neighbour = Geohash.neighbors(cell) |> Map.values() |> hd()
+    parent = String.slice(cell, 0, 5)
+
+    Enum.each([cell, neighbour, parent], &HotspotApiWeb.Endpoint.subscribe("incidents:#{&1}"))
+
+    {:ok, incident} = HotspotApi.Incidents.create_incident(%{
+      "user_id" => user.id,
+      "type" => "mugging",
+      "latitude" => -26.2041,
+      "longitude" => 28.0473,
+      "description" => "Test incident"
+    })
+
+    for geohash <- [cell, neighbour, parent] do
+      topic = "incidents:#{geohash}"
+      id = incident.id
+      assert_receive %Phoenix.Socket.Broadcast{topic: ^topic, event: "incident:new", payload: %{id: ^id}}
+    end
+  end
+
+  test "verifying an incident broadcasts the new count to its cells" do
+    reporter = HotspotApi.AccountsFixtures.user_fixture()
+    verifier = HotspotApi.AccountsFixtures.user_fixture(%{phone_number: "+27987654321"})
+
+    {:ok, incident} = HotspotApi.Incidents.create_incident(%{
+      "user_id" => reporter.id,
+      "type" => "mugging",
+      "latitude" => -26.2041,
+      "longitude" => 28.0473
+    })
+
+    topic = "incidents:#{Geohash.encode(-26.2041, 28.0473, 6)}"
+    HotspotApiWeb.Endpoint.subscribe(topic)
+
+    {:ok, verification} = HotspotApi.Incidents.verify_incident(incident.id, verifier.id)
+    incident_id = incident.id
+    verification_id = verification.id
+
+    assert_receive %Phoenix.Socket.Broadcast{
+      topic: ^topic,
+      event: "incident:verified",
+      payload: %{
+        incident_id: ^incident_id,
+        verification_count: 1,
+        verification: %{id: ^verification_id}
+      }
+    }
+  end
+
+  test "resolving and retracting an incident broadcast to its cells" do
+    reporter = HotspotApi.AccountsFixtures.user_fixture()
+
+    {:ok, incident} = HotspotApi.Incidents.create_incident(%{
+      "user_id" => reporter.id,
+      "type" => "accident",
+      "latitude" => -26.2041,
+      "longitude" => 28.0473
+    })
+
+    topic = "incidents:#{Geohash.encode(-26.2041, 28.0473, 6)}"
+    HotspotApiWeb.Endpoint.subscribe(topic)
+    incident_id = incident.id
+
+    {:ok, resolved} = HotspotApi.Incidents.resolve_incident(incident, reporter.id)
+
+    assert_receive %Phoenix.Socket.Broadcast{
+      topic: ^topic,
+      event: "incident:updated",
+      payload: %{id: ^incident_id, status: "resolved"}
+    }
+
+    {:ok, _} = HotspotApi.Incidents.retract_incident(resolved, reporter.id)
+
+    assert_receive %Phoenix.Socket.Broadcast{
+      topic: ^topic,
+      event: "incident:removed",
+      payload: %{incident_id: ^incident_id, reason: "retracted"}
+    }
+  end
+
   test "broadcast_new_incident sends to channel subscribers" do
     # Create a test incident
     user = HotspotApi.AccountsFixtures.user_fixture()
@@ -55,6 +55,8 @@ defmodule HotspotApiWeb.AuthControllerTest do
 
       response = json_response(conn, 200)
       assert response["token"]
+      assert response["refresh_token"]
+      assert response["expires_in"] == 3600
       assert response["user"]["phone_number"] == @valid_phone
       assert response["user"]["is_premium"] == false
       assert response["user"]["alert_radius"] == 2000
@@ -162,4 +164,54 @@ defmodule HotspotApiWeb.AuthControllerTest do
       assert json_response(conn, 401)["error"]["code"] == "invalid_token"
     end
   end
+
+  describe "POST /api/auth/refresh" do
+    setup do
+      {:ok, user} = Accounts.create_user(%{phone_number: @valid_phone})
+      {:ok, refresh_token, _claims} = Guardian.encode_and_sign(user, %{}, token_type: "refresh")
+      %{user: user, refresh_token: refresh_token}
+    end
+
+    test "issues a new token pair with a valid refresh token", %{conn: conn, user: user, refresh_token: refresh_token} do
+      conn = post(conn, ~p"/api/auth/refresh", %{refresh_token: refresh_token})
+
+      response = json_response(conn, 200)
+      assert response["token"]
+      assert response["refresh_token"]
+      assert response["expires_in"] == 3600
+
+      {:ok, claims} = Guardian.decode_and_verify(response["token"], %{"typ" => "access"})
+      assert claims["sub"] == user.id
+    end
+
+    test "rejects a refresh token that was already exchanged", %{conn: conn, refresh_token: refresh_token} do
+      assert json_response(post(conn, ~p"/api/auth/refresh", %{refresh_token: refresh_token}), 200)
+
+      conn = post(conn, ~p"/api/auth/refresh", %{refresh_token: refresh_token})
+
+      assert json_response(conn, 401)["error"]["code"] == "invalid_refresh_token"
+    end
+
+    test "rejects an access token", %{conn: conn, user: user} do
+      {:ok, access_token, _claims} = Guardian.encode_and_sign(user)
+
+      conn = post(conn, ~p"/api/auth/refresh", %{refresh_token: access_token})
+
+      assert json_response(conn, 401)["error"]["code"] == "invalid_refresh_token"
+    end
+
+    test "returns error when refresh_token is missing", %{conn: conn} do
+      conn = post(conn, ~p"/api/auth/refresh", %{})
+
+      assert json_response(conn, 400)["error"]["code"] == "missing_parameter"
+    end
+
+    test "refresh token cannot be used to call protected endpoints", %{conn: conn, refresh_token: refresh_token} do
+      conn = conn
+        |> put_req_header("authorization", "Bearer #{refresh_token}")
+        |> get(~p"/api/auth/me")
+
+      assert json_response(conn, 401)
+    end
+  end
 end
@@ -0,0 +1,88 @@
+defmodule HotspotApiWeb.CommunitiesControllerTest do
+  use HotspotApiWeb.ConnCase
+
+  import HotspotApi.AccountsFixtures
+
+  alias HotspotApi.Communities
+  alias HotspotApi.Guardian
+
+  setup %{conn: conn} do
+    creator = user_fixture()
+    user = user_fixture(%{phone_number: "+27987654321"})
+    {:ok, token, _claims} = Guardian.encode_and_sign(user)
+
+    {:ok, group} =
+      Communities.create_group(%{
+        name: "Private Watch",
+        description: "Invite only",
+        is_public: false,
+        center_latitude: -26.2041,
+        center_longitude: 28.0473,
+        created_by_id: creator.id
+      })
+
+    conn =
+      conn
+      |> put_req_header("accept", "application/json")
+      |> put_req_header("authorization", "Bearer #{token}")
+
+    {:ok, conn: conn, user: user, creator: creator, group: group}
+  end
+
+  describe "POST /api/communities/:id/invites" do
+    test "creates an invite link for members", %{conn: conn, user: user, group: group} do
+      {:ok, _member} = Communities.join_group(group.id, user.id)
+
+      conn = post(conn, ~p"/api/communities/#{group.id}/invites")
+      assert %{"data" => %{"token" => token, "url" => url}} = json_response(conn, 201)
+      assert url == "https://hotspot.app/invite/#{token}"
+      assert {:ok, _group} = Communities.get_group_by_invite(token)
+    end
+
+    test "rejects non-members", %{conn: conn, group: group} do
+      conn = post(conn, ~p"/api/communities/#{group.id}/invites")
+      assert json_response(conn, 403)
+    end
+  end
+
+  describe "GET /api/communities/invites/:token" do
+    test "previews the invited group", %{conn: conn, group: group} do
+      token = Communities.create_invite_token(group.id)
+
+      conn = get(conn, ~p"/api/communities/invites/#{token}")
+      assert %{"data" => %{"id" => id, "name" => "Private Watch"}} = json_response(conn, 200)
+      assert id == group.id
+    end
+
+    test "returns 404 for a tampered token", %{conn: conn} do
+      conn = get(conn, ~p"/api/communities/invites/not-a-token")
+      assert json_response(conn, 404)
+    end
+
+    test "returns 410 for an expired token", %{conn: conn, group: group} do
+      signed_at = System.system_time(:second) - Communities.invite_max_age() - 60
+      token = Phoenix.Token.sign(HotspotApiWeb.Endpoint, "group invite", group.id, signed_at: signed_at)
+
+      conn = get(conn, ~p"/api/communities/invites/#{token}")
+      assert json_response(conn, 410)
+    end
+  end
+
+  describe "POST /api/communities/invites/:token/accept" do
+    test "joins the invited group", %{conn: conn, user: user, group: group} do
+      token = Communities.create_invite_token(group.id)
+
+      conn = post(conn, ~p"/api/communities/invites/#{token}/accept")
+      assert %{"data" => %{"member_count" => 2}} = json_response(conn, 200)
+      assert Communities.member?(group.id, user.id)
+    end
+
+    test "is idempotent for existing members", %{conn: conn, user: user, group: group} do
+      {:ok, _member} = Communities.join_group(group.id, user.id)
+      token = Communities.create_invite_token(group.id)
+
+      conn = post(conn, ~p"/api/communities/invites/#{token}/accept")
+      assert %{"data" => %{"member_count" => 2}} = json_response(conn, 200)
+    end
+  end
+end
@@ -0,0 +1,26 @@
+defmodule HotspotApiWeb.IncidentTypesControllerTest do
+  use HotspotApiWeb.ConnCase
+
+  test "GET /api/v1/incident-types lists the taxonomy without auth", %{conn: conn} do
+    conn = get(conn, ~p"/api/v1/incident-types")
+
+    assert %{"data" => types} = json_response(conn, 200)
+
+    assert %{
+             "key" => "break_in",
+             "label" => "Break-in",
+             "icon" => "🏠",
+             "color" => "#8B5CF6",
+             "severity" => "high",
+             "sub_types" => [%{"key" => "residential", "label" => _} | _]
+           } = Enum.find(types, &(&1["key"] == "break_in"))
+  end
+
+  test "GET /api/incident-types is available on the legacy scope", %{conn: conn} do
+    conn = get(conn, ~p"/api/incident-types")
+
+    keys = Enum.map(json_response(conn, 200)["data"], & &1["key"])
+    assert "hijacking" in keys
+    assert "road_closure" in keys
+  end
+end
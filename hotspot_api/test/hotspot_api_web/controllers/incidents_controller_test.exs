@@ -35,6 +35,36 @@ defmodule HotspotApiWeb.IncidentsControllerTest do
       assert incident["description"] == "Test incident"
     end
 
+    test "creates incident with report details", %{conn: conn} do
+      incident_params = %{
+        "incident" => %{
+          "type" => "hijacking",
+          "latitude" => -26.2041,
+          "longitude" => 28.0473,
+          "severity" => "life_threatening",
+          "has_injuries" => true,
+          "suspect_count" => 2,
+          "is_ongoing" => true,
+          "vehicle_make" => "VW Polo",
+          "vehicle_color" => "Silver",
+          "vehicle_plate" => "GP 12"
+        }
+      }
+
+      conn = post(conn, ~p"/api/incidents", incident_params)
+      assert %{"data" => incident} = json_response(conn, 201)
+
+      assert %{
+               "severity" => "life_threatening",
+               "has_injuries" => true,
+               "suspect_count" => 2,
+               "is_ongoing" => true,
+               "vehicle_make" => "VW Polo",
+               "vehicle_color" => "Silver",
+               "vehicle_plate" => "GP12"
+             } = incident
+    end
+
     test "returns error with invalid incident type", %{conn: conn} do
       incident_params = %{
         "incident" => %{
@@ -96,6 +126,73 @@ defmodule HotspotApiWeb.IncidentsControllerTest do
     end
   end
 
+  describe "GET /api/incidents/in-bounds" do
+    test "returns incidents inside the viewport only", %{conn: conn, user: user} do
+      {:ok, _inside} = HotspotApi.Incidents.create_incident(%{
+        type: "mugging",
+        latitude: -26.2041,
+        longitude: 28.0473,
+        user_id: user.id
+      })
+
+      {:ok, _outside} = HotspotApi.Incidents.create_incident(%{
+        type: "accident",
+        latitude: -25.7479,
+        longitude: 28.2293,
+        user_id: user.id
+      })
+
+      conn = get(conn, ~p"/api/incidents/in-bounds?min_lat=-26.3&min_lng=27.9&max_lat=-26.1&max_lng=28.2")
+      assert %{"data" => [incident], "truncated" => false} = json_response(conn, 200)
+      assert incident["type"] == "mugging"
+    end
+
+    test "rejects an inverted or oversized viewport", %{conn: conn} do
+      conn1 = get(conn, ~p"/api/incidents/in-bounds?min_lat=-26.1&min_lng=27.9&max_lat=-26.3&max_lng=28.2")
+      assert json_response(conn1, 400)
+
+      conn2 = get(conn, ~p"/api/incidents/in-bounds?min_lat=-30&min_lng=20&max_lat=-22&max_lng=32")
+      assert json_response(conn2, 400)
+    end
+
+    test "returns error with a missing coordinate", %{conn: conn} do
+      conn = get(conn, ~p"/api/incidents/in-bounds?min_lat=-26.3&min_lng=27.9&max_lat=-26.1")
+      assert %{"error" => "Invalid max_lng parameter"} = json_response(conn, 400)
+    end
+  end
+
+  describe "GET /api/incidents/heatmap" do
+    test "accepts the map filters", %{conn: conn} do
+      conn = get(conn, ~p"/api/incidents/heatmap?types=hijacking,mugging&max_age_hours=24&verified_only=true&min_verifications=2&my_groups=true")
+      assert %{"clusters" => clusters} = json_response(conn, 200)
+      assert is_list(clusters)
+    end
+  end
+
+  describe "GET /api/incidents/playback" do
+    test "returns frames and incidents for the period", %{conn: conn, user: user} do
+      {:ok, _incident} = HotspotApi.Incidents.create_incident(%{
+        type: "mugging",
+        latitude: -26.2041,
+        longitude: 28.0473,
+        user_id: user.id,
+        reported_at: DateTime.add(DateTime.utc_now(), -2, :day)
+      })
+
+      conn = get(conn, ~p"/api/incidents/playback?min_lat=-26.3&min_lng=27.9&max_lat=-26.1&max_lng=28.2&period=7d")
+      assert %{"data" => data} = json_response(conn, 200)
+      assert data["period"] == "7d"
+      assert length(data["frames"]) == 28
+      assert [%{"type" => "mugging"}] = data["incidents"]
+      assert data["truncated"] == false
+    end
+
+    test "rejects an unknown period", %{conn: conn} do
+      conn = get(conn, ~p"/api/incidents/playback?min_lat=-26.3&min_lng=27.9&max_lat=-26.1&max_lng=28.2&period=1y")
+      assert %{"error" => "Invalid period parameter" <> _} = json_response(conn, 400)
+    end
+  end
+
   describe "GET /api/incidents/feed" do
     test "returns paginated incident feed", %{conn: conn, user: user} do
       # Create multiple incidents
@@ -118,6 +215,10 @@ defmodule HotspotApiWeb.IncidentsControllerTest do
       assert pagination["page"] == 1
       assert pagination["page_size"] == 3
       assert pagination["total_pages"] == 2
+
+      # Same shape as every other incident endpoint
+      assert %{"location" => %{"latitude" => -26.2041, "longitude" => 28.0473}, "updated_at" => _} =
+               hd(incidents)
     end
 
     test "filters incidents by type", %{conn: conn, user: user} do
@@ -183,4 +284,101 @@ defmodule HotspotApiWeb.IncidentsControllerTest do
       assert json_response(conn, 400)
     end
   end
+
+  describe "GET /api/incidents/:id" do
+    test "returns the incident", %{conn: conn, user: user} do
+      incident = incident_fixture(%{user: user})
+
+      conn = get(conn, ~p"/api/incidents/#{incident.id}")
+      assert %{"data" => data} = json_response(conn, 200)
+      assert data["id"] == incident.id
+      assert data["location"] == %{"latitude" => -26.2041, "longitude" => 28.0473}
+    end
+
+    test "returns 404 for an unknown incident", %{conn: conn} do
+      conn = get(conn, ~p"/api/incidents/#{Ecto.UUID.generate()}")
+      assert json_response(conn, 404)
+    end
+
+    test "returns 404 for a malformed id", %{conn: conn} do
+      conn = get(conn, ~p"/api/incidents/not-a-uuid")
+      assert json_response(conn, 404)
+    end
+  end
+
+  describe "GET /api/incidents/mine" do
+    test "returns the user's own reports", %{conn: conn, user: user} do
+      incident = incident_fixture(%{user: user})
+      _other = incident_fixture()
+
+      conn = get(conn, ~p"/api/incidents/mine")
+      assert %{"data" => [data]} = json_response(conn, 200)
+      assert data["id"] == incident.id
+      assert data["status"] == "active"
+    end
+  end
+
+  describe "PATCH /api/incidents/:id" do
+    test "updates the reporter's description", %{conn: conn, user: user} do
+      incident = incident_fixture(%{user: user})
+
+      conn =
+        patch(conn, ~p"/api/incidents/#{incident.id}", %{
+          "incident" => %{"description" => "Suspects fled north on foot"}
+        })
+
+      assert %{"data" => data} = json_response(conn, 200)
+      assert data["description"] == "Suspects fled north on foot"
+    end
+
+    test "returns 403 for someone else's incident", %{conn: conn} do
+      incident = incident_fixture()
+
+      conn =
+        patch(conn, ~p"/api/incidents/#{incident.id}", %{
+          "incident" => %{"description" => "Suspects fled north on foot"}
+        })
+
+      assert json_response(conn, 403)
+    end
+
+    test "returns 404 for an unknown incident", %{conn: conn} do
+      conn =
+        patch(conn, ~p"/api/incidents/#{Ecto.UUID.generate()}", %{
+          "incident" => %{"description" => "Suspects fled north on foot"}
+        })
+
+      assert json_response(conn, 404)
+    end
+  end
+
+  describe "POST /api/incidents/:id/resolve" do
+    test "marks the incident resolved", %{conn: conn, user: user} do
+      incident = incident_fixture(%{user: user})
+
+      conn = post(conn, ~p"/api/incidents/#{incident.id}/resolve")
+      assert %{"data" => data} = json_response(conn, 200)
+      assert data["status"] == "resolved"
+      assert data["resolved_at"]
+    end
+  end
+
+  describe "DELETE /api/incidents/:id" do
+    test "retracts the reporter's incident", %{conn: conn, user: user} do
+      incident = incident_fixture(%{user: user})
+
+      conn = delete(conn, ~p"/api/incidents/#{incident.id}")
+      assert response(conn, 204)
+      assert HotspotApi.Incidents.get_incident(incident.id) == nil
+      assert HotspotApi.Incidents.get_incident!(incident.id).status == "retracted"
+    end
+
+    test "returns 403 for someone else's incident", %{conn: conn} do
+      incident = incident_fixture()
+
+      conn = delete(conn, ~p"/api/incidents/#{incident.id}")
+      assert json_response(conn, 403)
+      assert HotspotApi.Incidents.get_incident(incident.id)
+    end
+  end
 end
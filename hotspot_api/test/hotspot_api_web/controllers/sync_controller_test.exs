@@ -0,0 +1,175 @@
+defmodule HotspotApiWeb.SyncControllerTest do
+  use HotspotApiWeb.ConnCase
+
+  import HotspotApi.AccountsFixtures
+  import HotspotApi.IncidentsFixtures
+
+  alias HotspotApi.Guardian
+
+  setup %{conn: conn} do
+    user = user_fixture()
+    {:ok, token, _claims} = Guardian.encode_and_sign(user)
+
+    conn =
+      conn
+      |> put_req_header("accept", "application/json")
+      |> put_req_header("authorization", "Bearer #{token}")
+
+    {:ok, conn: conn, user: user}
+  end
+
+  describe "POST /api/sync/reports" do
+    test "returns the server id for each client id", %{conn: conn} do
+      params = %{
+        "reports" => [
+          %{
+            "type" => "mugging",
+            "latitude" => -26.2041,
+            "longitude" => 28.0473,
+            "idempotency_key" => "sync-key-1",
+            "client_id" => "client-1"
+          }
+        ]
+      }
+
+      conn = post(conn, ~p"/api/sync/reports", params)
+      assert %{"synced" => 1, "failed" => 0, "results" => [result]} = json_response(conn, 200)
+      assert result["status"] == "success"
+      assert result["client_id"] == "client-1"
+      assert result["duplicate"] == false
+      assert result["id"]
+    end
+
+    test "keeps report details on queued reports", %{conn: conn} do
+      params = %{
+        "reports" => [
+          %{
+            "type" => "accident",
+            "latitude" => -26.2041,
+            "longitude" => 28.0473,
+            "severity" => "moderate",
+            "has_injuries" => true,
+            "is_ongoing" => false,
+            "idempotency_key" => "sync-key-details",
+            "client_id" => "client-details"
+          }
+        ]
+      }
+
+      conn = post(conn, ~p"/api/sync/reports", params)
+      assert %{"synced" => 1, "results" => [%{"id" => id}]} = json_response(conn, 200)
+
+      incident = HotspotApi.Incidents.get_incident!(id)
+      assert incident.severity == "moderate"
+      assert incident.has_injuries
+      assert incident.is_ongoing == false
+    end
+
+    test "ignores fields the server sets itself", %{conn: conn} do
+      params = %{
+        "reports" => [
+          %{
+            "type" => "accident",
+            "latitude" => -26.2041,
+            "longitude" => 28.0473,
+            "verification_count" => 10,
+            "is_verified" => true,
+            "idempotency_key" => "sync-key-server-fields",
+            "client_id" => "client-server-fields"
+          }
+        ]
+      }
+
+      conn = post(conn, ~p"/api/sync/reports", params)
+      assert %{"synced" => 1, "results" => [%{"id" => id}]} = json_response(conn, 200)
+
+      incident = HotspotApi.Incidents.get_incident!(id)
+      assert incident.verification_count == 0
+      refute incident.is_verified
+    end
+
+    test "keeps the time a queued report was made", %{conn: conn} do
+      reported_at = DateTime.utc_now() |> DateTime.add(-3, :hour) |> DateTime.truncate(:second)
+
+      params = %{
+        "reports" => [
+          %{
+            "type" => "mugging",
+            "latitude" => -26.2041,
+            "longitude" => 28.0473,
+            "reported_at" => DateTime.to_iso8601(reported_at),
+            "idempotency_key" => "sync-key-reported-at",
+            "client_id" => "client-reported-at"
+          }
+        ]
+      }
+
+      conn = post(conn, ~p"/api/sync/reports", params)
+      assert %{"synced" => 1, "results" => [%{"id" => id}]} = json_response(conn, 200)
+
+      assert HotspotApi.Incidents.get_incident!(id).reported_at == reported_at
+    end
+
+    test "returns the existing incident for a replayed idempotency key", %{conn: conn, user: user} do
+      incident = incident_fixture(%{user: user, idempotency_key: "sync-key-2"})
+
+      params = %{
+        "reports" => [
+          %{
+            "type" => "hijacking",
+            "latitude" => -26.2041,
+            "longitude" => 28.0473,
+            "idempotency_key" => "sync-key-2",
+            "client_id" => "client-2"
+          }
+        ]
+      }
+
+      conn = post(conn, ~p"/api/sync/reports", params)
+      assert %{"synced" => 1, "results" => [result]} = json_response(conn, 200)
+      assert result["id"] == incident.id
+      assert result["client_id"] == "client-2"
+      assert result["duplicate"] == true
+    end
+
+    test "does not hand back another user's incident with the same idempotency key", %{conn: conn} do
+      other = incident_fixture(%{idempotency_key: "sync-key-shared"})
+
+      params = %{
+        "reports" => [
+          %{
+            "type" => "mugging",
+            "latitude" => -26.2041,
+            "longitude" => 28.0473,
+            "idempotency_key" => "sync-key-shared",
+            "client_id" => "client-shared"
+          }
+        ]
+      }
+
+      conn = post(conn, ~p"/api/sync/reports", params)
+      assert %{"synced" => 1, "results" => [result]} = json_response(conn, 200)
+      assert result["id"] != other.id
+      assert result["duplicate"] == false
+    end
+
+    test "reports the reason for rejected reports", %{conn: conn} do
+      params = %{
+        "reports" => [
+          %{
+            "type" => "invalid_type",
+            "latitude" => -26.2041,
+            "longitude" => 28.0473,
+            "client_id" => "client-3"
+          }
+        ]
+      }
+
+      conn = post(conn, ~p"/api/sync/reports", params)
+      assert %{"failed" => 1, "results" => [result]} = json_response(conn, 200)
+      assert result["status"] == "error"
+      assert result["client_id"] == "client-3"
+      assert result["reason"] =~ "type"
+    end
+  end
+end
@@ -0,0 +1,17 @@
+defmodule HotspotApiWeb.WellKnownControllerTest do
+  use HotspotApiWeb.ConnCase
+
+  test "GET /.well-known/apple-app-site-association lists the app link paths", %{conn: conn} do
+    conn = get(conn, ~p"/.well-known/apple-app-site-association")
+
+    assert %{"applinks" => %{"details" => [%{"components" => components}]}} = json_response(conn, 200)
+    assert %{"/" => "/incidents/*"} in components
+    assert %{"/" => "/invite/*"} in components
+  end
+
+  test "GET /.well-known/assetlinks.json names the Android package", %{conn: conn} do
+    conn = get(conn, ~p"/.well-known/assetlinks.json")
+
+    assert [%{"target" => %{"package_name" => "app.hotspot.mobile"}}] = json_response(conn, 200)
+  end
+end
@@ -0,0 +1,78 @@
+defmodule HotspotApiWeb.EventLogTest do
+  use ExUnit.Case, async: false
+
+  alias HotspotApiWeb.EventLog
+
+  # Each test uses its own topic so the shared log does not leak between tests
+  defp unique_topic, do: "incidents:test#{System.unique_integer([:positive])}"
+
+  test "broadcast adds an increasing cursor to the payload" do
+    topic = unique_topic()
+    HotspotApiWeb.Endpoint.subscribe(topic)
+
+    EventLog.broadcast(topic, "incident:new", %{id: "a"})
+    EventLog.broadcast(topic, "incident:new", %{id: "b"})
+
+    assert_receive %Phoenix.Socket.Broadcast{event: "incident:new", payload: %{id: "a", cursor: first}}
+    assert_receive %Phoenix.Socket.Broadcast{event: "incident:new", payload: %{id: "b", cursor: second}}
+    assert second > first
+    assert EventLog.current_cursor() >= second
+  end
+
+  test "since returns only the events after the cursor, oldest first" do
+    topic = unique_topic()
+    start = EventLog.current_cursor()
+
+    EventLog.broadcast(topic, "incident:new", %{id: "a"})
+    EventLog.broadcast(topic, "incident:new", %{id: "b"})
+    EventLog.broadcast(unique_topic(), "incident:new", %{id: "other"})
+
+    assert {:ok, [%{payload: %{id: "a", cursor: cursor_a}}, %{payload: %{id: "b"}}]} =
+             EventLog.since(topic, start)
+
+    assert {:ok, [%{event: "incident:new", payload: %{id: "b"}}]} = EventLog.since(topic, cursor_a)
+  end
+
+  test "a cursor from before the log started is a gap" do
+    assert {:error, :gap_too_large} = EventLog.since(unique_topic(), 0)
+  end
+
+  test "a cursor older than the retained events is a gap" do
+    topic = unique_topic()
+    HotspotApiWeb.Endpoint.subscribe(topic)
+    start = EventLog.current_cursor()
+
+    Enum.each(1..101, fn i -> EventLog.broadcast(topic, "incident:new", %{id: i}) end)
+    assert_receive %Phoenix.Socket.Broadcast{payload: %{id: 1, cursor: first_dropped}}
+
+    assert {:error, :gap_too_large} = EventLog.since(topic, start)
+    assert {:ok, events} = EventLog.since(topic, first_dropped)
+    assert length(events) == 100
+    assert %{payload: %{id: 2}} = hd(events)
+  end
+
+  test "sweep ages out quiet topics and their floors" do
+    topic = unique_topic()
+    HotspotApiWeb.Endpoint.subscribe(topic)
+
+    Enum.each(1..101, fn i -> EventLog.broadcast(topic, "incident:new", %{id: i}) end)
+    assert_receive %Phoenix.Socket.Broadcast{payload: %{id: 101, cursor: last}}
+    assert [_floor] = :ets.lookup(:hotspot_event_log_floors, topic)
+
+    assert EventLog.sweep(0) >= 100
+    assert :ets.lookup(:hotspot_event_log_floors, topic) == []
+    assert {:ok, []} = EventLog.since(topic, last)
+    assert {:error, :gap_too_large} = EventLog.since(topic, last - 1)
+  end
+
+  test "replay builds a channel reply" do
+    topic = unique_topic()
+    start = EventLog.current_cursor()
+    EventLog.broadcast(topic, "zone:entered", %{zone_id: "z"})
+
+    assert {:ok, %{events: [%{event: "zone:entered"}], cursor: cursor}} = EventLog.replay(topic, start)
+    assert cursor >= start
+    assert {:error, %{reason: "gap_too_large"}} = EventLog.replay(topic, 0)
+    assert {:error, %{reason: "invalid cursor"}} = EventLog.replay(topic, "abc")
+  end
+end
@@ -0,0 +1,69 @@
+defmodule HotspotApiWeb.Plugs.IdempotencyTest do
+  use HotspotApiWeb.ConnCase
+
+  import HotspotApi.AccountsFixtures
+
+  alias HotspotApi.Accounts
+  alias HotspotApi.Guardian
+
+  @contact %{"emergency_contact" => %{"name" => "Thandi", "phone_number" => "+27821234567"}}
+
+  setup %{conn: conn} do
+    user = user_fixture()
+    {:ok, token, _claims} = Guardian.encode_and_sign(user)
+
+    conn =
+      conn
+      |> put_req_header("accept", "application/json")
+      |> put_req_header("authorization", "Bearer #{token}")
+
+    {:ok, conn: conn, user: user}
+  end
+
+  test "a replayed key gets the first response without applying the request again", %{conn: conn, user: user} do
+    keyed = put_req_header(conn, "idempotency-key", "contact-key-1")
+
+    first = post(keyed, ~p"/api/emergency-contacts", @contact)
+    assert %{"data" => %{"id" => id}} = json_response(first, 201)
+
+    replay = post(keyed, ~p"/api/emergency-contacts", @contact)
+    assert %{"data" => %{"id" => ^id}} = json_response(replay, 201)
+    assert get_resp_header(replay, "idempotent-replayed") == ["true"]
+
+    assert length(Accounts.list_emergency_contacts(user.id)) == 1
+  end
+
+  test "requests without a key are not deduplicated", %{conn: conn, user: user} do
+    post(conn, ~p"/api/emergency-contacts", @contact)
+    post(conn, ~p"/api/emergency-contacts", @contact)
+
+    assert length(Accounts.list_emergency_contacts(user.id)) == 2
+  end
+
+  test "keys are scoped to the user", %{conn: conn} do
+    post(put_req_header(conn, "idempotency-key", "shared-key"), ~p"/api/emergency-contacts", @contact)
+
+    other = user_fixture()
+    {:ok, token, _claims} = Guardian.encode_and_sign(other)
+
+    conn =
+      build_conn()
+      |> put_req_header("accept", "application/json")
+      |> put_req_header("authorization", "Bearer #{token}")
+      |> put_req_header("idempotency-key", "shared-key")
+      |> post(~p"/api/emergency-contacts", @contact)
+
+    assert json_response(conn, 201)
+    assert length(Accounts.list_emergency_contacts(other.id)) == 1
+  end
+
+  test "failed requests are not stored, so a retry runs again", %{conn: conn, user: user} do
+    keyed = put_req_header(conn, "idempotency-key", "contact-key-2")
+    invalid = %{"emergency_contact" => %{"name" => "Thandi", "phone_number" => "not a number"}}
+
+    assert json_response(post(keyed, ~p"/api/emergency-contacts", invalid), 422)
+    assert json_response(post(keyed, ~p"/api/emergency-contacts", @contact), 201)
+
+    assert length(Accounts.list_emergency_contacts(user.id)) == 1
+  end
+end
@@ -2,7 +2,7 @@ import React, { useEffect, useState, useRef } from 'react';
 import { NavigationContainer } from '@react-navigation/native';
 import { createStackNavigator } from '@react-navigation/stack';
 import { StatusBar } from 'expo-status-bar';
-import { ActivityIndicator, View, StyleSheet } from 'react-native';
+import { ActivityIndicator, View, StyleSheet, Alert } from 'react-native';
 
 import PhoneAuthScreen from './src/screens/PhoneAuthScreen';
 import OTPVerificationScreen from './src/screens/OTPVerificationScreen';
@@ -11,6 +11,11 @@ import NotificationBanner from './src/components/NotificationBanner';
 import ErrorBoundary from './src/components/ErrorBoundary';
 import { authService } from './src/services/authService';
 import notificationService from './src/services/notificationService';
+import linking from './src/navigation/linking';
+import { ROUTES, ROOT_NAVIGATOR_ID } from './src/navigation/routes';
+import deepLinkService from './src/services/deepLinkService';
+import incidentTypeService from './src/services/incidentTypeService';
+import geofenceEngine from './src/services/geofenceEngine';
 
 const Stack = createStackNavigator();
 
@@ -23,12 +28,30 @@ export default function App() {
   useEffect(() => {
     checkAuth();
     setupNotifications();
+    incidentTypeService.load();
+    const unsubscribeSessionExpired = authService.onSessionExpired(handleSessionExpired);
 
     return () => {
       notificationService.removeListeners();
+      unsubscribeSessionExpired();
     };
   }, []);
 
+  const handleSessionExpired = () => {
+    setIsAuthenticated(false);
+    geofenceEngine.reset();
+
+    // Send the user back to the login stack
+    if (navigationRef.current) {
+      navigationRef.current.reset({
+        index: 0,
+        routes: [{ name: ROUTES.PHONE_AUTH }],
+      });
+    }
+
+    Alert.alert('Session Expired', 'Please sign in again to continue.');
+  };
+
   const checkAuth = async () => {
     try {
       const authenticated = await authService.isAuthenticated();
@@ -53,33 +76,15 @@ export default function App() {
         setCurrentNotification(notification);
       },
       (data) => {
-        // Handle notification tap - navigate to incident on map
-        if (data.incident_id && navigationRef.current) {
-          navigationRef.current.navigate('Main', {
-            screen: 'Map',
-            params: {
-              incidentId: data.incident_id,
-              latitude: parseFloat(data.latitude),
-              longitude: parseFloat(data.longitude),
-            },
-          });
-        }
+        // Handle notification tap - open what it is about, after login if needed
+        deepLinkService.openNotification(data);
       }
     );
   };
 
   const handleNotificationPress = (notification) => {
     const data = notification.request?.content?.data || notification.data;
-    if (data?.incident_id && navigationRef.current) {
-      navigationRef.current.navigate('Main', {
-        screen: 'Map',
-        params: {
-          incidentId: data.incident_id,
-          latitude: parseFloat(data.latitude),
-          longitude: parseFloat(data.longitude),
-        },
-      });
-    }
+    deepLinkService.openNotification(data);
     setCurrentNotification(null);
   };
 
@@ -105,16 +110,17 @@ export default function App() {
       showReportButton={true}
     >
       <StatusBar style="auto" />
-      <NavigationContainer ref={navigationRef}>
+      <NavigationContainer ref={navigationRef} linking={linking}>
         <Stack.Navigator
-          initialRouteName={isAuthenticated ? 'Main' : 'PhoneAuth'}
+          id={ROOT_NAVIGATOR_ID}
+          initialRouteName={isAuthenticated ? ROUTES.MAIN : ROUTES.PHONE_AUTH}
           screenOptions={{
             headerShown: false,
           }}
         >
-          <Stack.Screen name="PhoneAuth" component={PhoneAuthScreen} />
-          <Stack.Screen name="OTPVerification" component={OTPVerificationScreen} />
-          <Stack.Screen name="Main" component={MainScreen} />
+          <Stack.Screen name={ROUTES.PHONE_AUTH} component={PhoneAuthScreen} />
+          <Stack.Screen name={ROUTES.OTP_VERIFICATION} component={OTPVerificationScreen} />
+          <Stack.Screen name={ROUTES.MAIN} component={MainScreen} />
         </Stack.Navigator>
       </NavigationContainer>
       <NotificationBanner
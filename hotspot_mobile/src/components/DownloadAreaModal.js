@@ -0,0 +1,250 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  TouchableOpacity,
+  TextInput,
+  StyleSheet,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import tilePackService, { MAX_TILES_PER_PACK, MAX_PACK_ZOOM } from '../services/tilePackService';
+import { formatBytes } from '../utils/format';
+
+// How many zoom levels past the current one the user can include
+const EXTRA_ZOOM_OPTIONS = [1, 2, 3, 4];
+
+const regionToBounds = (region) => ({
+  minLat: region.latitude - region.latitudeDelta / 2,
+  maxLat: region.latitude + region.latitudeDelta / 2,
+  minLng: region.longitude - region.longitudeDelta / 2,
+  maxLng: region.longitude + region.longitudeDelta / 2,
+});
+
+/**
+ * Lets the user save the visible map area, at a chosen zoom range, for offline use
+ */
+const DownloadAreaModal = ({ visible, onClose, region, zoom }) => {
+  const [name, setName] = useState('');
+  const [extraZoom, setExtraZoom] = useState(2);
+  const [starting, setStarting] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      setName(`Area saved ${new Date().toLocaleDateString()}`);
+    }
+  }, [visible]);
+
+  if (!region) {
+    return null;
+  }
+
+  const bounds = regionToBounds(region);
+  const minZoom = Math.max(1, Math.min(zoom, MAX_PACK_ZOOM));
+  const maxZoom = Math.min(minZoom + extraZoom, MAX_PACK_ZOOM);
+  const estimate = tilePackService.estimate(bounds, minZoom, maxZoom);
+  const tooLarge = estimate.tiles > MAX_TILES_PER_PACK;
+
+  const handleDownload = async () => {
+    setStarting(true);
+    try {
+      await tilePackService.createPack({
+        name: name.trim() || 'Offline area',
+        bounds,
+        minZoom,
+        maxZoom,
+      });
+      onClose();
+      Alert.alert(
+        'Download Started',
+        'You can follow progress on the map and manage offline areas in Settings.'
+      );
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to start download');
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent={true} onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={styles.content}>
+          <Text style={styles.title}>Save Area for Offline Use</Text>
+          <Text style={styles.description}>
+            The area currently visible on the map will be downloaded.
+          </Text>
+
+          <Text style={styles.label}>Name</Text>
+          <TextInput style={styles.input} value={name} onChangeText={setName} maxLength={40} />
+
+          <Text style={styles.label}>Detail level</Text>
+          <View style={styles.zoomOptions}>
+            {EXTRA_ZOOM_OPTIONS.map((option) => (
+              <TouchableOpacity
+                key={option}
+                style={[styles.zoomOption, extraZoom === option && styles.zoomOptionActive]}
+                onPress={() => setExtraZoom(option)}
+              >
+                <Text style={[styles.zoomOptionText, extraZoom === option && styles.zoomOptionTextActive]}>
+                  +{option}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <Text style={styles.hint}>
+            Zoom levels {minZoom}–{maxZoom}
+          </Text>
+
+          <View style={styles.estimate}>
+            <Text style={styles.estimateText}>
+              {estimate.tiles} tiles · about {formatBytes(estimate.bytes)}
+            </Text>
+            {tooLarge && (
+              <Text style={styles.errorText}>
+                Too large. Zoom in on the map or pick a lower detail level.
+              </Text>
+            )}
+          </View>
+
+          <View style={styles.buttons}>
+            <TouchableOpacity style={styles.cancelButton} onPress={onClose}>
+              <Text style={styles.cancelButtonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.downloadButton, (tooLarge || starting) && styles.downloadButtonDisabled]}
+              onPress={handleDownload}
+              disabled={tooLarge || starting}
+            >
+              {starting ? (
+                <ActivityIndicator color="#FFFFFF" />
+              ) : (
+                <Text style={styles.downloadButtonText}>Download</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  content: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    paddingBottom: 40,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '700',
+    color: '#1F2937',
+    marginBottom: 8,
+  },
+  description: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginBottom: 16,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    marginBottom: 16,
+  },
+  zoomOptions: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  zoomOption: {
+    flex: 1,
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    alignItems: 'center',
+  },
+  zoomOptionActive: {
+    backgroundColor: '#007AFF',
+    borderColor: '#007AFF',
+  },
+  zoomOptionText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  zoomOptionTextActive: {
+    color: '#FFFFFF',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#9CA3AF',
+    marginTop: 6,
+  },
+  estimate: {
+    backgroundColor: '#F3F4F6',
+    borderRadius: 8,
+    padding: 12,
+    marginTop: 16,
+  },
+  estimateText: {
+    fontSize: 14,
+    color: '#374151',
+  },
+  errorText: {
+    fontSize: 13,
+    color: '#DC2626',
+    marginTop: 6,
+  },
+  buttons: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 20,
+  },
+  cancelButton: {
+    flex: 1,
+    paddingVertical: 14,
+    borderRadius: 8,
+    backgroundColor: '#F3F4F6',
+    alignItems: 'center',
+  },
+  cancelButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  downloadButton: {
+    flex: 1,
+    paddingVertical: 14,
+    borderRadius: 8,
+    backgroundColor: '#007AFF',
+    alignItems: 'center',
+  },
+  downloadButtonDisabled: {
+    opacity: 0.5,
+  },
+  downloadButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#FFFFFF',
+  },
+});
+
+export default DownloadAreaModal;
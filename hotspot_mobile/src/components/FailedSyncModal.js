@@ -0,0 +1,185 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, Modal, TouchableOpacity, ScrollView, StyleSheet, Alert } from 'react-native';
+import offlineService, { OUTBOX_TYPES } from '../services/offlineService';
+import { formatTimeAgo } from '../utils/format';
+
+const ACTION_LABELS = {
+  [OUTBOX_TYPES.INCIDENT_CREATE]: 'Incident report',
+  [OUTBOX_TYPES.INCIDENT_VERIFY]: 'Verification',
+  [OUTBOX_TYPES.INCIDENT_UPDATE]: 'Report follow-up',
+  [OUTBOX_TYPES.INCIDENT_RESOLVE]: 'Mark report resolved',
+  [OUTBOX_TYPES.INCIDENT_RETRACT]: 'Retract report',
+  [OUTBOX_TYPES.GROUP_JOIN]: 'Join group',
+  [OUTBOX_TYPES.GROUP_LEAVE]: 'Leave group',
+  [OUTBOX_TYPES.CONTACT_CREATE]: 'Add emergency contact',
+  [OUTBOX_TYPES.CONTACT_UPDATE]: 'Edit emergency contact',
+  [OUTBOX_TYPES.CONTACT_DELETE]: 'Remove emergency contact',
+  [OUTBOX_TYPES.PANIC_RESOLVE]: 'Resolve panic alert',
+};
+
+const describeError = (lastError) => {
+  if (!lastError) return 'Unknown error';
+  if (lastError.status) return `Server said ${lastError.status}${lastError.message ? `: ${lastError.message}` : ''}`;
+  return lastError.message || 'Network error';
+};
+
+/**
+ * Lists queued actions that gave up syncing, so each can be retried or discarded
+ */
+const FailedSyncModal = ({ visible, onClose }) => {
+  // null until the first load, so the sheet doesn't close before it has anything
+  const [items, setItems] = useState(null);
+
+  useEffect(() => {
+    if (!visible) {
+      setItems(null);
+      return undefined;
+    }
+
+    const refresh = () => offlineService.getDeadLetters().then(setItems);
+    refresh();
+    return offlineService.onQueueChange(refresh);
+  }, [visible]);
+
+  useEffect(() => {
+    // Nothing left to review
+    if (visible && items && items.length === 0) {
+      onClose();
+    }
+  }, [visible, items]);
+
+  const handleRetry = async (item) => {
+    try {
+      await offlineService.retryDeadLetter(item.id);
+    } catch (error) {
+      Alert.alert('Error', 'Failed to retry this action');
+    }
+  };
+
+  const handleDiscard = (item) => {
+    Alert.alert('Discard Action', `"${ACTION_LABELS[item.type] || item.type}" will not be sent.`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Discard',
+        style: 'destructive',
+        onPress: () => offlineService.discardDeadLetter(item.id),
+      },
+    ]);
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent={true} onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={styles.content}>
+          <Text style={styles.title}>Failed to Sync</Text>
+          <Text style={styles.description}>
+            These actions could not be sent. Retry them or discard the ones you no longer need.
+          </Text>
+
+          <ScrollView style={styles.list}>
+            {(items || []).map((item) => (
+              <View key={item.id} style={styles.row}>
+                <View style={styles.info}>
+                  <Text style={styles.label}>{ACTION_LABELS[item.type] || item.type}</Text>
+                  <Text style={styles.details}>
+                    Queued {formatTimeAgo(item.queued_at)} · {describeError(item.last_error)}
+                  </Text>
+                </View>
+                <View style={styles.actions}>
+                  <TouchableOpacity onPress={() => handleRetry(item)}>
+                    <Text style={styles.actionText}>Retry</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity onPress={() => handleDiscard(item)}>
+                    <Text style={[styles.actionText, styles.discardText]}>Discard</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            ))}
+          </ScrollView>
+
+          <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+            <Text style={styles.closeButtonText}>Close</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  content: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    paddingBottom: 40,
+    maxHeight: '80%',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '700',
+    color: '#1F2937',
+    marginBottom: 8,
+  },
+  description: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginBottom: 16,
+  },
+  list: {
+    flexGrow: 0,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F3F4F6',
+  },
+  info: {
+    flex: 1,
+    marginRight: 16,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginBottom: 4,
+  },
+  details: {
+    fontSize: 13,
+    color: '#9CA3AF',
+  },
+  actions: {
+    alignItems: 'flex-end',
+    gap: 8,
+  },
+  actionText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#007AFF',
+  },
+  discardText: {
+    color: '#EF4444',
+  },
+  closeButton: {
+    paddingVertical: 14,
+    borderRadius: 8,
+    backgroundColor: '#F3F4F6',
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  closeButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#374151',
+  },
+});
+
+export default FailedSyncModal;
@@ -0,0 +1,316 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import { incidentService } from '../services/incidentService';
+import incidentTypeService from '../services/incidentTypeService';
+import locationManager from '../services/locationManager';
+import voiceReportService from '../services/voiceReportService';
+import { parseVoiceReport, parseConfirmation } from '../utils/voiceReportParser';
+import { summarizeDetails } from '../utils/incidentDetails';
+import { reportSubmittedHaptic, errorHaptic } from '../utils/haptics';
+
+// Attempts at hearing a recognisable incident type before giving up
+const MAX_ATTEMPTS = 3;
+// Shorter descriptions are rejected by the server, so they are left off
+const MIN_DESCRIPTION_LENGTH = 10;
+
+const PHASE_ICONS = {
+  listening: '🎙️',
+  confirming: '❓',
+  sending: '📤',
+  done: '✅',
+  failed: '⚠️',
+};
+
+const buildIncident = ({ type, subType, details, description }, coords) => ({
+  type: type.key,
+  sub_type: subType || undefined,
+  ...details,
+  latitude: coords.latitude,
+  longitude: coords.longitude,
+  description: description.length >= MIN_DESCRIPTION_LENGTH ? description : undefined,
+});
+
+// What gets read back before sending, e.g. "Hijacking, smash and grab. Injuries, 2 suspects."
+const describeReport = ({ type, subType, details }) => {
+  const what = [type.label, incidentTypeService.getSubTypeLabel(type.key, subType)].filter(Boolean).join(', ');
+  const facts = summarizeDetails(details);
+  return facts.length > 0 ? `${what}. ${facts.join(', ')}.` : `${what}.`;
+};
+
+/**
+ * Voice-driven report flow for use while driving: listen, match the
+ * transcript to a type, read it back, and send on a spoken "yes".
+ * Every step also has a large button for when speech fails.
+ */
+const HandsFreeReportModal = ({ visible, onClose, onReportSuccess }) => {
+  const [phase, setPhase] = useState('listening');
+  const [message, setMessage] = useState('');
+  const [transcript, setTranscript] = useState('');
+  const [report, setReport] = useState(null);
+  const activeRef = useRef(false);
+  const submittedRef = useRef(false);
+  const locationRef = useRef(null);
+
+  useEffect(() => {
+    if (!visible) return undefined;
+
+    activeRef.current = true;
+    // Start the fix now so it is ready by the time the report is confirmed
+    locationRef.current = locationManager.getCurrentPosition().catch((error) => {
+      console.error('Error getting location for hands-free report:', error);
+      return null;
+    });
+    run();
+
+    return () => {
+      activeRef.current = false;
+      voiceReportService.stopSpeaking();
+      voiceReportService.stopListening();
+    };
+  }, [visible]);
+
+  const speak = async (text) => {
+    setMessage(text);
+    if (activeRef.current) {
+      await voiceReportService.say(text);
+    }
+  };
+
+  // Resolves with what was said, or null once the modal has been closed
+  const hear = async () => {
+    setTranscript('');
+    let text = '';
+    try {
+      text = await voiceReportService.listen({ onPartial: setTranscript });
+    } catch (error) {
+      console.error('Error listening for hands-free report:', error);
+    }
+    return activeRef.current ? text : null;
+  };
+
+  const run = async () => {
+    submittedRef.current = false;
+    setReport(null);
+    setPhase('listening');
+    setMessage('');
+
+    const granted = await voiceReportService.requestPermissions();
+    if (!activeRef.current) return;
+    if (!granted) {
+      setPhase('failed');
+      setMessage('Microphone access is needed for hands-free reports. You can allow it in Settings.');
+      return;
+    }
+
+    const parsed = await captureReport();
+    if (!parsed) return;
+
+    setReport(parsed);
+    setPhase('confirming');
+    await speak(`Reporting ${describeReport(parsed)} Say yes to send, or no to cancel.`);
+
+    const answer = await hear();
+    if (answer === null) return;
+
+    const decision = parseConfirmation(answer);
+    if (decision === 'yes') {
+      await submit(parsed);
+    } else if (decision === 'no') {
+      await speak('Cancelled.');
+      onClose();
+    }
+    // Anything else leaves the Send and Cancel buttons up
+  };
+
+  const captureReport = async () => {
+    const examples = incidentTypeService.getTypes().slice(0, 3).map(type => type.label.toLowerCase());
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt += 1) {
+      setPhase('listening');
+      await speak(attempt === 0
+        ? 'What happened?'
+        : `Sorry, I didn't catch that. Say something like ${examples.join(', or ')}.`);
+
+      const text = await hear();
+      if (text === null) return null;
+
+      const parsed = parseVoiceReport(text, incidentTypeService.getTypes());
+      if (parsed.type) return parsed;
+    }
+
+    setPhase('failed');
+    errorHaptic();
+    await speak("I couldn't tell what happened. Please report it when it's safe to use the screen.");
+    return null;
+  };
+
+  const submit = async (parsed) => {
+    // A spoken "yes" and a tap on Send can both arrive
+    if (submittedRef.current) return;
+    submittedRef.current = true;
+    voiceReportService.stopListening();
+    setPhase('sending');
+    setMessage('Sending your report…');
+
+    const coords = await locationRef.current;
+    if (!coords) {
+      setPhase('failed');
+      errorHaptic();
+      await speak("I couldn't find your location, so the report was not sent.");
+      return;
+    }
+
+    try {
+      // Goes through the offline queue like any other report
+      const incident = await incidentService.create(buildIncident(parsed, coords));
+      reportSubmittedHaptic();
+      if (onReportSuccess) onReportSuccess(incident);
+      setPhase('done');
+      await speak(incident.queued
+        ? "Saved. It will be sent when you're back online."
+        : 'Report sent. Thank you.');
+      onClose();
+    } catch (error) {
+      console.error('Error submitting hands-free report:', error);
+      setPhase('failed');
+      errorHaptic();
+      await speak(error.status === 429
+        ? "You've reached the limit of reports for this hour."
+        : 'Sorry, the report could not be sent.');
+    }
+  };
+
+  const handleCancel = () => {
+    voiceReportService.stopSpeaking();
+    voiceReportService.stopListening();
+    onClose();
+  };
+
+  const renderActions = () => {
+    switch (phase) {
+      case 'listening':
+        return (
+          <TouchableOpacity style={[styles.bigButton, styles.secondaryButton]} onPress={() => voiceReportService.stopListening()}>
+            <Text style={styles.bigButtonText}>Done speaking</Text>
+          </TouchableOpacity>
+        );
+      case 'confirming':
+        return (
+          <TouchableOpacity style={[styles.bigButton, styles.sendButton]} onPress={() => submit(report)}>
+            <Text style={styles.bigButtonText}>Send</Text>
+          </TouchableOpacity>
+        );
+      case 'failed':
+        return (
+          <TouchableOpacity style={[styles.bigButton, styles.secondaryButton]} onPress={run}>
+            <Text style={styles.bigButtonText}>Try again</Text>
+          </TouchableOpacity>
+        );
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="fade"
+      onRequestClose={handleCancel}
+    >
+      <View style={styles.container}>
+        <View style={styles.status}>
+          {phase === 'sending' ? (
+            <ActivityIndicator size="large" color="#fff" />
+          ) : (
+            <Text style={styles.phaseIcon}>{PHASE_ICONS[phase]}</Text>
+          )}
+          <Text style={styles.message}>{message}</Text>
+          {report && phase === 'confirming' && (
+            <Text style={styles.reportSummary}>
+              {report.type.icon} {describeReport(report)}
+            </Text>
+          )}
+          {transcript.length > 0 && phase === 'listening' && (
+            <Text style={styles.transcript}>"{transcript}"</Text>
+          )}
+        </View>
+
+        <View style={styles.actions}>
+          {renderActions()}
+          {phase !== 'done' && (
+            <TouchableOpacity style={[styles.bigButton, styles.cancelButton]} onPress={handleCancel}>
+              <Text style={styles.bigButtonText}>Cancel</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#111827',
+    padding: 24,
+    justifyContent: 'space-between',
+  },
+  status: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: 20,
+  },
+  phaseIcon: {
+    fontSize: 72,
+  },
+  message: {
+    fontSize: 24,
+    fontWeight: '700',
+    color: '#fff',
+    textAlign: 'center',
+  },
+  reportSummary: {
+    fontSize: 20,
+    color: '#E5E7EB',
+    textAlign: 'center',
+  },
+  transcript: {
+    fontSize: 18,
+    color: '#9CA3AF',
+    fontStyle: 'italic',
+    textAlign: 'center',
+  },
+  actions: {
+    gap: 16,
+    paddingBottom: 24,
+  },
+  bigButton: {
+    paddingVertical: 28,
+    borderRadius: 16,
+    alignItems: 'center',
+  },
+  bigButtonText: {
+    color: '#fff',
+    fontSize: 24,
+    fontWeight: '700',
+  },
+  sendButton: {
+    backgroundColor: '#10B981',
+  },
+  secondaryButton: {
+    backgroundColor: '#3B82F6',
+  },
+  cancelButton: {
+    backgroundColor: '#374151',
+  },
+});
+
+export default HandsFreeReportModal;
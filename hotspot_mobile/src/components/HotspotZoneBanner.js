@@ -1,5 +1,6 @@
 import React from 'react';
-import { View, Text, StyleSheet, TouchableOpacity } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import incidentTypeService from '../services/incidentTypeService';
 
 const RISK_LEVEL_COLORS = {
   low: {
@@ -39,11 +40,11 @@ const HotspotZoneBanner = ({ zone, action, onDismiss }) => {
 
   const getMessage = () => {
     if (action === 'entered') {
-      return `Entering ${zone.risk_level.toUpperCase()} RISK zone - ${zone.incident_count} ${zone.zone_type} reported in this area in the past 7 days. Stay alert.`;
+      return `Entering ${zone.risk_level.toUpperCase()} RISK zone - ${zone.incident_count} ${incidentTypeService.getLabel(zone.zone_type).toLowerCase()} reported in this area in the past 7 days. Stay alert.`;
     } else if (action === 'exited') {
       return 'You have left the hotspot zone. Stay safe.';
     } else if (action === 'approaching') {
-      return `Approaching ${zone.risk_level.toUpperCase()} RISK zone ahead - ${zone.incident_count} ${zone.zone_type} reported`;
+      return `Approaching ${zone.risk_level.toUpperCase()} RISK zone ahead - ${zone.incident_count} ${incidentTypeService.getLabel(zone.zone_type).toLowerCase()} reported`;
     }
     return zone.message || 'Hotspot zone alert';
   };
@@ -0,0 +1,269 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Image,
+  StyleSheet,
+  ActivityIndicator,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import * as ImagePicker from 'expo-image-picker';
+import * as ImageManipulator from 'expo-image-manipulator';
+import { incidentService } from '../services/incidentService';
+
+const MAX_DESCRIPTION_LENGTH = 280;
+
+/**
+ * Lets a reporter add to their own report: edit the description or attach a photo
+ */
+const IncidentFollowUpModal = ({ visible, incident, onClose, onSaved }) => {
+  const [description, setDescription] = useState('');
+  const [photo, setPhoto] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (visible && incident) {
+      setDescription(incident.description || '');
+      setPhoto(null);
+    }
+  }, [visible, incident?.id]);
+
+  const pickPhoto = async (fromCamera) => {
+    try {
+      const { status } = fromCamera
+        ? await ImagePicker.requestCameraPermissionsAsync()
+        : await ImagePicker.requestMediaLibraryPermissionsAsync();
+      if (status !== 'granted') {
+        Alert.alert('Permission Denied', fromCamera
+          ? 'Camera permission is required to take photos'
+          : 'Photo library permission is required');
+        return;
+      }
+
+      const options = {
+        mediaTypes: ImagePicker.MediaTypeOptions.Images,
+        allowsEditing: true,
+        aspect: [4, 3],
+        quality: 0.8,
+      };
+      const result = fromCamera
+        ? await ImagePicker.launchCameraAsync(options)
+        : await ImagePicker.launchImageLibraryAsync(options);
+      if (result.canceled) return;
+
+      // Same compression as new reports
+      const compressed = await ImageManipulator.manipulateAsync(
+        result.assets[0].uri,
+        [{ resize: { width: 1024 } }],
+        { compress: 0.7, format: ImageManipulator.SaveFormat.JPEG }
+      );
+      setPhoto({
+        uri: compressed.uri,
+        type: 'image/jpeg',
+        fileName: `incident_${Date.now()}.jpg`,
+      });
+    } catch (error) {
+      console.error('Error picking photo:', error);
+      Alert.alert('Error', 'Failed to add photo');
+    }
+  };
+
+  const handleSave = async () => {
+    const changes = {};
+    if (description.trim() !== (incident.description || '')) {
+      changes.description = description.trim();
+    }
+
+    try {
+      setSaving(true);
+
+      if (photo) {
+        // Photos upload straight away; only the follow-up itself can wait in the outbox
+        const { photo_url } = await incidentService.uploadPhoto(photo);
+        changes.photo_url = photo_url;
+      }
+
+      if (Object.keys(changes).length === 0) {
+        onClose();
+        return;
+      }
+
+      const result = await incidentService.updateIncident(incident.id, changes);
+      if (result.queued) {
+        Alert.alert('Update queued', 'Your update will be sent when you are back online.');
+        onSaved({ ...incident, ...changes });
+      } else {
+        onSaved(result);
+      }
+    } catch (error) {
+      Alert.alert(
+        'Error',
+        error.response?.data?.error || error.userMessage || 'Failed to update your report'
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!incident) return null;
+
+  const photoUri = photo?.uri || incident.photo_url;
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={onClose}>
+      <KeyboardAvoidingView
+        style={styles.overlay}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <View style={styles.sheet}>
+          <Text style={styles.title}>Update Your Report</Text>
+
+          <Text style={styles.label}>What's the latest?</Text>
+          <TextInput
+            style={styles.input}
+            value={description}
+            onChangeText={setDescription}
+            placeholder="e.g. Suspects fled north on foot"
+            maxLength={MAX_DESCRIPTION_LENGTH}
+            multiline
+          />
+          <Text style={styles.counter}>
+            {description.length}/{MAX_DESCRIPTION_LENGTH}
+          </Text>
+
+          <Text style={styles.label}>Photo</Text>
+          {photoUri && <Image source={{ uri: photoUri }} style={styles.photo} />}
+          <View style={styles.photoButtons}>
+            <TouchableOpacity style={styles.photoButton} onPress={() => pickPhoto(true)}>
+              <Text style={styles.photoButtonText}>📷 Take Photo</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.photoButton} onPress={() => pickPhoto(false)}>
+              <Text style={styles.photoButtonText}>🖼️ Choose Photo</Text>
+            </TouchableOpacity>
+          </View>
+
+          <View style={styles.actions}>
+            <TouchableOpacity style={styles.cancelButton} onPress={onClose} disabled={saving}>
+              <Text style={styles.cancelButtonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.saveButton, saving && styles.saveButtonDisabled]}
+              onPress={handleSave}
+              disabled={saving}
+            >
+              {saving ? (
+                <ActivityIndicator size="small" color="#FFFFFF" />
+              ) : (
+                <Text style={styles.saveButtonText}>Save</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+  sheet: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    paddingBottom: 32,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '700',
+    color: '#1F2937',
+    marginBottom: 16,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    minHeight: 90,
+    textAlignVertical: 'top',
+  },
+  counter: {
+    fontSize: 12,
+    color: '#9CA3AF',
+    textAlign: 'right',
+    marginTop: 4,
+    marginBottom: 12,
+  },
+  photo: {
+    width: '100%',
+    height: 160,
+    borderRadius: 8,
+    marginBottom: 8,
+  },
+  photoButtons: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  photoButton: {
+    flex: 1,
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    alignItems: 'center',
+  },
+  photoButtonText: {
+    fontSize: 14,
+    color: '#374151',
+  },
+  actions: {
+    flexDirection: 'row',
+    marginTop: 20,
+    gap: 12,
+  },
+  cancelButton: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    backgroundColor: '#F3F4F6',
+  },
+  cancelButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  saveButton: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    backgroundColor: '#3B82F6',
+  },
+  saveButtonDisabled: {
+    backgroundColor: '#9CA3AF',
+  },
+  saveButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#FFFFFF',
+  },
+});
+
+export default IncidentFollowUpModal;
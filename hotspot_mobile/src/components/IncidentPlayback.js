@@ -0,0 +1,418 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import { incidentService } from '../services/incidentService';
+import incidentTypeService, { useIncidentTypes } from '../services/incidentTypeService';
+import { regionToBounds, isRegionTooWide } from '../services/viewportLoader';
+
+export const PLAYBACK_PERIODS = [
+  { key: '24h', label: '24h' },
+  { key: '7d', label: '7 days' },
+  { key: '30d', label: '30 days' },
+];
+const SPEEDS = [1, 2, 4];
+// How long each frame stays on screen at 1×
+const FRAME_MS = 1000;
+
+const frameLabel = (startsAt, period) =>
+  new Date(startsAt).toLocaleString('en-ZA', period === '30d'
+    ? { weekday: 'short', day: 'numeric', month: 'short' }
+    : { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+
+/**
+ * Time-slider playback of past incidents and heat zones for a map area.
+ * The area is fixed when playback opens (or on reload) so panning around
+ * doesn't refetch the whole period.
+ * @param {Object|null} region - Current map region
+ * @param {Object} options
+ * @param {boolean} options.enabled - Whether playback is open
+ * @param {string} options.period - 24h, 7d or 30d
+ * @param {string} options.type - Incident type key, or 'all'
+ * @returns {Object} Playback data, the current frame's incidents and heat zones, and the player controls
+ */
+export const useIncidentPlayback = (region, { enabled, period, type }) => {
+  const [playback, setPlayback] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [frame, setFrame] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(SPEEDS[0]);
+  const [reloadCount, setReloadCount] = useState(0);
+
+  useEffect(() => {
+    setPlaying(false);
+    setError(null);
+    if (!enabled || !region) {
+      setPlayback(null);
+      return undefined;
+    }
+    if (isRegionTooWide(region)) {
+      setPlayback(null);
+      setError('Zoom in to replay incidents for this area.');
+      return undefined;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+
+    incidentService.getPlayback(regionToBounds(region), { period, type })
+      .then((data) => {
+        if (cancelled) return;
+        setPlayback(data);
+        // Start on the most recent frame, which matches the live map
+        setFrame(data.frames.length - 1);
+      })
+      .catch((loadError) => {
+        if (!cancelled) setError(loadError.userMessage || 'Could not load playback for this area.');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [enabled, period, type, reloadCount]);
+
+  // Incidents bucketed by frame, in the same frames the server used for heat zones
+  const incidentsByFrame = useMemo(() => {
+    if (!playback) return [];
+
+    const startsAt = new Date(playback.starts_at).getTime();
+    const frames = playback.frames.map(() => []);
+    playback.incidents.forEach((incident) => {
+      const index = Math.floor((new Date(incident.reported_at).getTime() - startsAt) / (playback.frame_seconds * 1000));
+      frames[Math.min(Math.max(index, 0), frames.length - 1)].push(incident);
+    });
+    return frames;
+  }, [playback]);
+
+  useEffect(() => {
+    if (!playing || !playback) return undefined;
+
+    const last = playback.frames.length - 1;
+    const timer = setInterval(() => {
+      setFrame(current => Math.min(current + 1, last));
+    }, FRAME_MS / speed);
+
+    return () => clearInterval(timer);
+  }, [playing, speed, playback]);
+
+  // Stop on the last frame
+  useEffect(() => {
+    if (playing && playback && frame >= playback.frames.length - 1) {
+      setPlaying(false);
+    }
+  }, [frame]);
+
+  const togglePlaying = useCallback(() => {
+    if (!playback) return;
+    // Playing from the last frame starts over
+    if (!playing && frame >= playback.frames.length - 1) {
+      setFrame(0);
+    }
+    setPlaying(!playing);
+  }, [playback, playing, frame]);
+
+  const scrubTo = useCallback((index) => {
+    setPlaying(false);
+    setFrame(index);
+  }, []);
+
+  return {
+    playback,
+    loading,
+    error,
+    frame,
+    playing,
+    speed,
+    incidentsByFrame,
+    frameIncidents: incidentsByFrame[frame] || [],
+    frameHeatZones: playback?.frames[frame]?.heat_zones || [],
+    togglePlaying,
+    scrubTo,
+    setSpeed,
+    reload: () => setReloadCount(count => count + 1),
+  };
+};
+
+// Bar per frame, sized by its incident count; drag or tap to scrub
+const Scrubber = ({ counts, frame, onScrub }) => {
+  const [width, setWidth] = useState(0);
+  const max = Math.max(1, ...counts);
+
+  const handleTouch = (event) => {
+    if (width === 0) return;
+    const index = Math.floor((event.nativeEvent.locationX / width) * counts.length);
+    onScrub(Math.min(Math.max(index, 0), counts.length - 1));
+  };
+
+  return (
+    <View
+      style={styles.scrubber}
+      pointerEvents="box-only"
+      onLayout={(event) => setWidth(event.nativeEvent.layout.width)}
+      onStartShouldSetResponder={() => true}
+      onMoveShouldSetResponder={() => true}
+      onResponderGrant={handleTouch}
+      onResponderMove={handleTouch}
+    >
+      {counts.map((count, index) => (
+        <View key={index} style={styles.barSlot}>
+          <View
+            style={[
+              styles.bar,
+              { height: `${Math.max(6, (count / max) * 100)}%` },
+              index === frame && styles.barCurrent,
+              index > frame && styles.barUpcoming,
+            ]}
+          />
+        </View>
+      ))}
+    </View>
+  );
+};
+
+const Chip = ({ label, active, onPress }) => (
+  <TouchableOpacity style={[styles.chip, active && styles.chipActive]} onPress={onPress}>
+    <Text style={[styles.chipText, active && styles.chipTextActive]}>{label}</Text>
+  </TouchableOpacity>
+);
+
+/**
+ * Player shown over the map during playback
+ */
+const PlaybackPanel = ({ player, period, onPeriodChange, type, onTypeChange, onClose }) => {
+  const incidentTypes = useIncidentTypes();
+  const { playback, loading, error, frame, playing, speed, incidentsByFrame, frameIncidents, frameHeatZones } = player;
+
+  const counts = useMemo(() => incidentsByFrame.map(incidents => incidents.length), [incidentsByFrame]);
+  const nextSpeed = SPEEDS[(SPEEDS.indexOf(speed) + 1) % SPEEDS.length];
+
+  const renderBody = () => {
+    if (loading) {
+      return <ActivityIndicator style={styles.status} color="#fff" />;
+    }
+    if (error || !playback) {
+      return (
+        <TouchableOpacity style={styles.status} onPress={player.reload}>
+          <Text style={styles.statusText}>{error || 'Nothing to replay.'} Tap to retry.</Text>
+        </TouchableOpacity>
+      );
+    }
+
+    return (
+      <>
+        <View style={styles.frameRow}>
+          <Text style={styles.frameLabel}>{frameLabel(playback.frames[frame].starts_at, period)}</Text>
+          <Text style={styles.frameSummary}>
+            {frameIncidents.length} {frameIncidents.length === 1 ? 'incident' : 'incidents'}
+            {frameHeatZones.length > 0 ? ` · ${frameHeatZones.length} hotspot${frameHeatZones.length === 1 ? '' : 's'}` : ''}
+          </Text>
+        </View>
+
+        <Scrubber counts={counts} frame={frame} onScrub={player.scrubTo} />
+
+        {playback.truncated && (
+          <Text style={styles.note}>Too many incidents to show them all; the oldest are left out. Zoom in for the full picture.</Text>
+        )}
+
+        <View style={styles.controls}>
+          <TouchableOpacity style={styles.playButton} onPress={player.togglePlaying}>
+            <Text style={styles.playButtonText}>{playing ? '⏸' : '▶'}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.speedButton} onPress={() => player.setSpeed(nextSpeed)}>
+            <Text style={styles.speedButtonText}>{speed}×</Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={player.reload}>
+            <Text style={styles.reloadText}>↻ This area</Text>
+          </TouchableOpacity>
+        </View>
+      </>
+    );
+  };
+
+  return (
+    <View style={styles.panel}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Playback</Text>
+        <View style={styles.periods}>
+          {PLAYBACK_PERIODS.map(option => (
+            <Chip
+              key={option.key}
+              label={option.label}
+              active={period === option.key}
+              onPress={() => onPeriodChange(option.key)}
+            />
+          ))}
+        </View>
+        <TouchableOpacity onPress={onClose}>
+          <Text style={styles.closeText}>✕</Text>
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.types}>
+        <Chip label="All" active={type === 'all'} onPress={() => onTypeChange('all')} />
+        {incidentTypes.map(incidentType => (
+          <Chip
+            key={incidentType.key}
+            label={`${incidentTypeService.getIcon(incidentType.key)} ${incidentType.label}`}
+            active={type === incidentType.key}
+            onPress={() => onTypeChange(incidentType.key)}
+          />
+        ))}
+      </ScrollView>
+
+      {renderBody()}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  panel: {
+    position: 'absolute',
+    left: 12,
+    right: 12,
+    bottom: 24,
+    backgroundColor: 'rgba(17, 24, 39, 0.94)',
+    borderRadius: 16,
+    padding: 14,
+    gap: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.3,
+    shadowRadius: 6,
+    elevation: 8,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  title: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  periods: {
+    flex: 1,
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 6,
+  },
+  closeText: {
+    color: '#9CA3AF',
+    fontSize: 18,
+    paddingLeft: 6,
+  },
+  types: {
+    gap: 6,
+  },
+  chip: {
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    borderRadius: 14,
+    backgroundColor: '#374151',
+  },
+  chipActive: {
+    backgroundColor: '#3B82F6',
+  },
+  chipText: {
+    color: '#D1D5DB',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  chipTextActive: {
+    color: '#fff',
+  },
+  status: {
+    paddingVertical: 16,
+    alignItems: 'center',
+  },
+  statusText: {
+    color: '#D1D5DB',
+    fontSize: 13,
+    textAlign: 'center',
+  },
+  note: {
+    color: '#FCD34D',
+    fontSize: 12,
+  },
+  frameRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'baseline',
+  },
+  frameLabel: {
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: '700',
+  },
+  frameSummary: {
+    color: '#9CA3AF',
+    fontSize: 12,
+  },
+  scrubber: {
+    height: 44,
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    gap: 1,
+  },
+  barSlot: {
+    flex: 1,
+    height: '100%',
+    justifyContent: 'flex-end',
+  },
+  bar: {
+    borderRadius: 2,
+    backgroundColor: '#9CA3AF',
+  },
+  barCurrent: {
+    backgroundColor: '#F59E0B',
+  },
+  barUpcoming: {
+    backgroundColor: '#4B5563',
+  },
+  controls: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
+  playButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: '#3B82F6',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  playButtonText: {
+    color: '#fff',
+    fontSize: 18,
+  },
+  speedButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 14,
+    backgroundColor: '#374151',
+  },
+  speedButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '700',
+  },
+  reloadText: {
+    color: '#93C5FD',
+    fontSize: 13,
+    fontWeight: '600',
+    marginLeft: 'auto',
+  },
+});
+
+export default PlaybackPanel;
@@ -0,0 +1,225 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import MapView, { Marker, PROVIDER_GOOGLE } from 'react-native-maps';
+import * as Location from 'expo-location';
+import { distanceInMeters } from '../utils/geo';
+import { formatDistance } from '../utils/format';
+
+const REGION_DELTA = 0.01;
+// Closer than this to the reporter counts as "here"
+const HERE_M = 50;
+
+const formatAddress = (address) =>
+  [address.name || address.street, address.district || address.city]
+    .filter(Boolean)
+    .join(', ');
+
+/**
+ * Small map for placing a report: drag the pin, tap the map or search for
+ * an address. Starts on the reporter's position.
+ */
+const LocationPicker = ({ value, userLocation, onChange, disabled }) => {
+  const mapRef = useRef(null);
+  const [query, setQuery] = useState('');
+  const [searching, setSearching] = useState(false);
+  const [address, setAddress] = useState(null);
+
+  const distanceFromUser = value && userLocation
+    ? distanceInMeters(userLocation.latitude, userLocation.longitude, value.latitude, value.longitude)
+    : 0;
+
+  // Label the pin with the nearest address so a wrong spot is easy to notice
+  useEffect(() => {
+    if (!value) return undefined;
+
+    let cancelled = false;
+    Location.reverseGeocodeAsync(value)
+      .then((results) => {
+        if (!cancelled) setAddress(results.length > 0 ? formatAddress(results[0]) : null);
+      })
+      .catch((error) => {
+        // Offline; the coordinates are still shown
+        console.error('Error looking up address:', error);
+        if (!cancelled) setAddress(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [value?.latitude, value?.longitude]);
+
+  const moveTo = (coords) => {
+    onChange(coords);
+    mapRef.current?.animateToRegion({
+      ...coords,
+      latitudeDelta: REGION_DELTA,
+      longitudeDelta: REGION_DELTA,
+    });
+  };
+
+  const handleSearch = async () => {
+    if (!query.trim()) return;
+
+    try {
+      setSearching(true);
+      const results = await Location.geocodeAsync(query.trim());
+
+      if (results.length === 0) {
+        Alert.alert('Not Found', 'Could not find that address. Try adding the suburb or city.');
+        return;
+      }
+
+      moveTo({ latitude: results[0].latitude, longitude: results[0].longitude });
+    } catch (error) {
+      console.error('Geocoding error:', error);
+      Alert.alert('Error', 'Address search needs a connection. Drag the pin instead.');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  if (!value) {
+    return (
+      <View style={[styles.map, styles.mapPlaceholder]}>
+        <ActivityIndicator color="#6B7280" />
+        <Text style={styles.placeholderText}>Finding your location…</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.searchRow}>
+        <TextInput
+          style={styles.searchInput}
+          placeholder="Search for an address"
+          value={query}
+          onChangeText={setQuery}
+          onSubmitEditing={handleSearch}
+          returnKeyType="search"
+          editable={!disabled}
+        />
+        <TouchableOpacity
+          style={styles.searchButton}
+          onPress={handleSearch}
+          disabled={disabled || searching}
+        >
+          {searching ? (
+            <ActivityIndicator size="small" color="#fff" />
+          ) : (
+            <Text style={styles.searchButtonText}>Search</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+
+      <MapView
+        ref={mapRef}
+        style={styles.map}
+        provider={PROVIDER_GOOGLE}
+        initialRegion={{ ...value, latitudeDelta: REGION_DELTA, longitudeDelta: REGION_DELTA }}
+        showsUserLocation
+        onPress={(event) => !disabled && onChange(event.nativeEvent.coordinate)}
+      >
+        <Marker
+          coordinate={value}
+          draggable={!disabled}
+          onDragEnd={(event) => onChange(event.nativeEvent.coordinate)}
+        />
+      </MapView>
+
+      <View style={styles.footer}>
+        <View style={styles.footerText}>
+          <Text style={styles.address} numberOfLines={1}>
+            📍 {address || `${value.latitude.toFixed(5)}, ${value.longitude.toFixed(5)}`}
+          </Text>
+          <Text style={styles.hint}>
+            {distanceFromUser > HERE_M
+              ? `${formatDistance(distanceFromUser)} from you`
+              : 'Drag the pin or tap the map if it happened elsewhere'}
+          </Text>
+        </View>
+        {userLocation && distanceFromUser > HERE_M && (
+          <TouchableOpacity onPress={() => moveTo(userLocation)} disabled={disabled}>
+            <Text style={styles.resetText}>Use my location</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    gap: 8,
+  },
+  searchRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  searchInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 15,
+  },
+  searchButton: {
+    backgroundColor: '#374151',
+    borderRadius: 8,
+    paddingHorizontal: 14,
+    justifyContent: 'center',
+  },
+  searchButtonText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  map: {
+    height: 180,
+    borderRadius: 12,
+  },
+  mapPlaceholder: {
+    backgroundColor: '#F3F4F6',
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: 8,
+  },
+  placeholderText: {
+    color: '#6B7280',
+    fontSize: 14,
+  },
+  footer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  footerText: {
+    flex: 1,
+  },
+  address: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  resetText: {
+    color: '#2563EB',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+});
+
+export default LocationPicker;
@@ -0,0 +1,232 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  Switch,
+  TouchableOpacity,
+  ScrollView,
+  StyleSheet,
+} from 'react-native';
+import incidentTypeService, { useIncidentTypes } from '../services/incidentTypeService';
+import {
+  AGE_OPTIONS,
+  MIN_VERIFICATION_OPTIONS,
+  DEFAULT_MAP_FILTERS,
+} from '../services/mapFilterService';
+
+const Option = ({ label, active, onPress }) => (
+  <TouchableOpacity style={[styles.option, active && styles.optionActive]} onPress={onPress}>
+    <Text style={[styles.optionText, active && styles.optionTextActive]}>{label}</Text>
+  </TouchableOpacity>
+);
+
+/**
+ * Bottom sheet for the map filters. Changes apply straight away and are
+ * saved for next time.
+ */
+const MapFilterSheet = ({ visible, onClose, filters, onChange, groupAreas }) => {
+  const incidentTypes = useIncidentTypes();
+
+  const update = (changes) => onChange({ ...filters, ...changes });
+
+  const toggleType = (key) => {
+    const types = filters.types.includes(key)
+      ? filters.types.filter(type => type !== key)
+      : [...filters.types, key];
+    // Every type picked is the same as no type filter
+    update({ types: types.length === incidentTypes.length ? [] : types });
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent={true} onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={styles.content}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Filter Map</Text>
+            <TouchableOpacity onPress={() => onChange(DEFAULT_MAP_FILTERS)}>
+              <Text style={styles.resetText}>Reset</Text>
+            </TouchableOpacity>
+          </View>
+          <Text style={styles.description}>
+            Applies to incident markers, clusters and heat zones.
+          </Text>
+
+          <ScrollView>
+            <Text style={styles.label}>Type</Text>
+            <View style={styles.options}>
+              <Option label="All" active={filters.types.length === 0} onPress={() => update({ types: [] })} />
+              {incidentTypes.map(type => (
+                <Option
+                  key={type.key}
+                  label={`${incidentTypeService.getIcon(type.key)} ${type.label}`}
+                  active={filters.types.includes(type.key)}
+                  onPress={() => toggleType(type.key)}
+                />
+              ))}
+            </View>
+
+            <Text style={styles.label}>Happened within</Text>
+            <View style={styles.options}>
+              {AGE_OPTIONS.map(option => (
+                <Option
+                  key={option.label}
+                  label={option.label}
+                  active={filters.maxAgeHours === option.hours}
+                  onPress={() => update({ maxAgeHours: option.hours })}
+                />
+              ))}
+            </View>
+
+            <Text style={styles.label}>Minimum verifications</Text>
+            <View style={styles.options}>
+              {MIN_VERIFICATION_OPTIONS.map(count => (
+                <Option
+                  key={count}
+                  label={count === 0 ? 'Any' : `${count}+`}
+                  active={filters.minVerifications === count}
+                  onPress={() => update({ minVerifications: count })}
+                />
+              ))}
+            </View>
+
+            <View style={styles.switchRow}>
+              <View style={styles.switchText}>
+                <Text style={styles.switchLabel}>Verified only</Text>
+                <Text style={styles.hint}>Confirmed by enough people nearby</Text>
+              </View>
+              <Switch
+                value={filters.verifiedOnly}
+                onValueChange={(value) => update({ verifiedOnly: value })}
+                trackColor={{ false: '#D1D5DB', true: '#10B981' }}
+                thumbColor="#FFFFFF"
+              />
+            </View>
+
+            <View style={styles.switchRow}>
+              <View style={styles.switchText}>
+                <Text style={styles.switchLabel}>My groups only</Text>
+                <Text style={styles.hint}>
+                  {filters.myGroupsOnly && groupAreas.length === 0
+                    ? "You're not in any group with an area yet"
+                    : 'Incidents shared with or inside the areas of groups you belong to'}
+                </Text>
+              </View>
+              <Switch
+                value={filters.myGroupsOnly}
+                onValueChange={(value) => update({ myGroupsOnly: value })}
+                trackColor={{ false: '#D1D5DB', true: '#007AFF' }}
+                thumbColor="#FFFFFF"
+              />
+            </View>
+          </ScrollView>
+
+          <TouchableOpacity style={styles.doneButton} onPress={onClose}>
+            <Text style={styles.doneButtonText}>Done</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  content: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    paddingBottom: 40,
+    maxHeight: '85%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '700',
+    color: '#1F2937',
+  },
+  resetText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#007AFF',
+  },
+  description: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginBottom: 8,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  options: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  option: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+  },
+  optionActive: {
+    backgroundColor: '#007AFF',
+    borderColor: '#007AFF',
+  },
+  optionText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  optionTextActive: {
+    color: '#FFFFFF',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  switchText: {
+    flex: 1,
+    marginRight: 12,
+  },
+  switchLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#9CA3AF',
+    marginTop: 2,
+  },
+  doneButton: {
+    marginTop: 20,
+    backgroundColor: '#007AFF',
+    borderRadius: 8,
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  doneButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default MapFilterSheet;
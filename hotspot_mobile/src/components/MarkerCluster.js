@@ -1,147 +1,245 @@
-import React, { useMemo } from 'react';
+import React, { useMemo, useState, useEffect, useCallback } from 'react';
 import { View, Text, StyleSheet } from 'react-native';
-import { Marker } from 'react-map-gl';
+import { Marker } from 'react-native-maps';
+import Svg, { Circle } from 'react-native-svg';
+import Supercluster from 'supercluster';
+import incidentTypeService from '../services/incidentTypeService';
+import { getIncidentCoordinates } from '../utils/geo';
+
+// Marker diameter by reported severity; unrated reports use the default size
+const SEVERITY_SIZES = {
+  minor: 30,
+  moderate: 36,
+  serious: 42,
+  life_threatening: 48,
+};
+const DEFAULT_SIZE = 36;
+
+const isActiveOngoing = (incident) => incident.is_ongoing && incident.status !== 'resolved';
 
 /**
  * Clusters nearby markers to improve map performance.
- * Uses a simple grid-based clustering algorithm.
+ * Incidents go into a hierarchical spatial index (supercluster) once per
+ * dataset; each pan or zoom is then a cheap lookup of the visible clusters
+ * instead of comparing every incident against every other one.
  */
 
-const CLUSTER_RADIUS = 50; // pixels
-
-export const useMarkerClustering = (incidents, zoom) => {
-  return useMemo(() => {
-    if (!incidents || incidents.length === 0) return [];
-    
-    // Don't cluster at high zoom levels
-    if (zoom >= 14) {
-      return incidents.map(incident => ({
-        type: 'single',
-        incident,
-        latitude: incident.latitude,
-        longitude: incident.longitude
-      }));
-    }
+const CLUSTER_RADIUS = 60; // pixels
+// Past this zoom everything is shown individually
+const MAX_CLUSTER_ZOOM = 16;
+// Children of a cluster that zooming can't separate are fanned out this far
+const SPREAD_RADIUS_PX = 40;
+const RING_WIDTH = 5;
 
-    const clusters = [];
-    const processed = new Set();
-
-    incidents.forEach((incident, index) => {
-      if (processed.has(index)) return;
-
-      const cluster = {
-        type: 'cluster',
-        incidents: [incident],
-        latitude: incident.latitude,
-        longitude: incident.longitude,
-        dominantType: incident.type
-      };
-
-      // Find nearby incidents to cluster
-      incidents.forEach((other, otherIndex) => {
-        if (index === otherIndex || processed.has(otherIndex)) return;
-
-        const distance = calculatePixelDistance(
-          incident.latitude,
-          incident.longitude,
-          other.latitude,
-          other.longitude,
-          zoom
-        );
-
-        if (distance < CLUSTER_RADIUS) {
-          cluster.incidents.push(other);
-          processed.add(otherIndex);
-        }
+const WHOLE_WORLD = [-180, -85, 180, 85];
+
+const buildIndex = (incidents) => {
+  const index = new Supercluster({
+    radius: CLUSTER_RADIUS,
+    maxZoom: MAX_CLUSTER_ZOOM,
+    // Clusters carry a count per type for the breakdown ring
+    map: (props) => ({ typeCounts: { [props.incident.type]: 1 }, ongoing: props.ongoing }),
+    reduce: (acc, props) => {
+      // Supercluster shallow-copies child properties into acc, so this object
+      // may still belong to a child cluster at the zoom below
+      acc.typeCounts = { ...acc.typeCounts };
+      Object.entries(props.typeCounts).forEach(([type, count]) => {
+        acc.typeCounts[type] = (acc.typeCounts[type] || 0) + count;
       });
+      acc.ongoing += props.ongoing;
+    },
+  });
 
-      processed.add(index);
-
-      // Calculate cluster center
-      if (cluster.incidents.length > 1) {
-        const avgLat = cluster.incidents.reduce((sum, i) => sum + i.latitude, 0) / cluster.incidents.length;
-        const avgLng = cluster.incidents.reduce((sum, i) => sum + i.longitude, 0) / cluster.incidents.length;
-        cluster.latitude = avgLat;
-        cluster.longitude = avgLng;
-
-        // Determine dominant type
-        const typeCounts = {};
-        cluster.incidents.forEach(i => {
-          typeCounts[i.type] = (typeCounts[i.type] || 0) + 1;
-        });
-        cluster.dominantType = Object.keys(typeCounts).reduce((a, b) => 
-          typeCounts[a] > typeCounts[b] ? a : b
-        );
-      }
-
-      clusters.push(cluster.incidents.length > 1 ? cluster : {
-        type: 'single',
-        incident: cluster.incidents[0],
-        latitude: cluster.incidents[0].latitude,
-        longitude: cluster.incidents[0].longitude
+  const points = incidents.reduce((acc, incident) => {
+    const coordinates = getIncidentCoordinates(incident);
+    if (coordinates) {
+      acc.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [coordinates.longitude, coordinates.latitude] },
+        properties: { incident, ongoing: isActiveOngoing(incident) ? 1 : 0 },
       });
+    }
+    return acc;
+  }, []);
+
+  return index.load(points);
+};
+
+// Visible area plus half a screen on each side, so markers don't pop in at the edges
+const regionToBBox = (region) => {
+  if (!region) return WHOLE_WORLD;
+  const { latitude, longitude, latitudeDelta, longitudeDelta } = region;
+  return [
+    Math.max(-180, longitude - longitudeDelta),
+    Math.max(-85, latitude - latitudeDelta),
+    Math.min(180, longitude + longitudeDelta),
+    Math.min(85, latitude + latitudeDelta),
+  ];
+};
+
+const toMarker = (feature) => {
+  const [longitude, latitude] = feature.geometry.coordinates;
+
+  if (!feature.properties.cluster) {
+    return { type: 'single', incident: feature.properties.incident, latitude, longitude };
+  }
+
+  const { cluster_id: id, point_count: count, typeCounts, ongoing } = feature.properties;
+  const dominantType = Object.keys(typeCounts).reduce((a, b) => (typeCounts[a] >= typeCounts[b] ? a : b));
+  return { type: 'cluster', id, count, typeCounts, dominantType, ongoing: ongoing > 0, latitude, longitude };
+};
+
+// Lay out a cluster's children on a small circle around its centre
+const spreadLeaves = (leaves, center, zoom) => {
+  const degreesPerPixel = 360 / (256 * Math.pow(2, zoom));
+  const radius = SPREAD_RADIUS_PX * degreesPerPixel;
+  const latitudeScale = Math.cos((center.latitude * Math.PI) / 180);
+
+  return leaves.map((leaf, i) => {
+    const angle = (2 * Math.PI * i) / leaves.length;
+    return {
+      type: 'single',
+      incident: leaf.properties.incident,
+      latitude: center.latitude + radius * latitudeScale * Math.sin(angle),
+      longitude: center.longitude + radius * Math.cos(angle),
+    };
+  });
+};
+
+/**
+ * Markers for the visible part of the map
+ * @param {Array} incidents
+ * @param {Object|null} region - Current map region
+ * @param {number} zoom - Current zoom level
+ * @returns {{markers: Array, expandCluster: Function}} `expandCluster(cluster)`
+ *   returns the zoom level that splits the cluster, or null if its children
+ *   share one spot and have been fanned out in place instead
+ */
+export const useMarkerClustering = (incidents, region, zoom) => {
+  const [spreadClusterId, setSpreadClusterId] = useState(null);
+
+  const index = useMemo(() => buildIndex(incidents || []), [incidents]);
+
+  // Cluster ids are only meaningful within one index
+  useEffect(() => setSpreadClusterId(null), [index]);
+
+  const markers = useMemo(() => {
+    const clusterZoom = Math.max(0, Math.min(Math.round(zoom), MAX_CLUSTER_ZOOM + 1));
+
+    return index.getClusters(regionToBBox(region), clusterZoom).flatMap((feature) => {
+      const marker = toMarker(feature);
+      return marker.type === 'cluster' && marker.id === spreadClusterId
+        ? spreadLeaves(index.getLeaves(marker.id, Infinity), marker, clusterZoom)
+        : [marker];
     });
+  }, [index, region, zoom, spreadClusterId]);
 
-    return clusters;
-  }, [incidents, zoom]);
+  const expandCluster = useCallback((cluster) => {
+    const expansionZoom = index.getClusterExpansionZoom(cluster.id);
+    if (expansionZoom <= MAX_CLUSTER_ZOOM) {
+      return expansionZoom;
+    }
+    // Zooming in further won't separate them
+    setSpreadClusterId(cluster.id);
+    return null;
+  }, [index]);
+
+  return { markers, expandCluster };
 };
 
-// Approximate pixel distance between two coordinates at given zoom level
-const calculatePixelDistance = (lat1, lng1, lat2, lng2, zoom) => {
-  const scale = 256 * Math.pow(2, zoom);
-  const x1 = (lng1 + 180) / 360 * scale;
-  const y1 = (1 - Math.log(Math.tan(lat1 * Math.PI / 180) + 1 / Math.cos(lat1 * Math.PI / 180)) / Math.PI) / 2 * scale;
-  const x2 = (lng2 + 180) / 360 * scale;
-  const y2 = (1 - Math.log(Math.tan(lat2 * Math.PI / 180) + 1 / Math.cos(lat2 * Math.PI / 180)) / Math.PI) / 2 * scale;
-  
-  return Math.sqrt(Math.pow(x2 - x1, 2) + Math.pow(y2 - y1, 2));
+const clusterSize = (count) => Math.min(64, 40 + Math.round(Math.log10(count) * 10));
+
+// Ring split into arcs per incident type, largest first
+const BreakdownRing = ({ typeCounts, total, size }) => {
+  const radius = (size - RING_WIDTH) / 2;
+  const circumference = 2 * Math.PI * radius;
+  let offset = 0;
+
+  const arcs = Object.entries(typeCounts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([type, count]) => {
+      const length = (count / total) * circumference;
+      const arc = (
+        <Circle
+          key={type}
+          cx={size / 2}
+          cy={size / 2}
+          r={radius}
+          fill="none"
+          stroke={incidentTypeService.getColor(type)}
+          strokeWidth={RING_WIDTH}
+          strokeDasharray={`${length} ${circumference - length}`}
+          strokeDashoffset={-offset}
+        />
+      );
+      offset += length;
+      return arc;
+    });
+
+  // Rotated so the first arc starts at twelve o'clock
+  return (
+    <Svg width={size} height={size} style={[StyleSheet.absoluteFill, styles.ring]}>
+      {arcs}
+    </Svg>
+  );
 };
 
 export const ClusterMarker = ({ cluster, onPress }) => {
   if (cluster.type === 'single') {
+    const { incident } = cluster;
+    const size = SEVERITY_SIZES[incident.severity] || DEFAULT_SIZE;
+
     return (
       <Marker
-        latitude={cluster.latitude}
-        longitude={cluster.longitude}
-        anchor="bottom"
-        onPress={() => onPress(cluster.incident)}
+        coordinate={{ latitude: cluster.latitude, longitude: cluster.longitude }}
+        anchor={{ x: 0.5, y: 1 }}
+        onPress={() => onPress(incident)}
       >
-        <View style={[styles.marker, styles[`marker${capitalize(cluster.incident.type)}`]]}>
-          <Text style={styles.markerIcon}>{getIncidentIcon(cluster.incident.type)}</Text>
+        <View
+          style={[
+            styles.marker,
+            {
+              width: size,
+              height: size,
+              borderRadius: size / 2,
+              backgroundColor: incidentTypeService.getColor(incident.type),
+            },
+            isActiveOngoing(incident) && styles.markerOngoing,
+            incident.status === 'resolved' && styles.markerResolved,
+          ]}
+        >
+          <Text style={[styles.markerIcon, { fontSize: size / 2 }]}>
+            {incidentTypeService.getIcon(incident.type)}
+          </Text>
+          {incident.has_injuries && (
+            <View style={styles.injuryBadge}>
+              <Text style={styles.injuryBadgeText}>+</Text>
+            </View>
+          )}
         </View>
       </Marker>
     );
   }
 
+  const size = clusterSize(cluster.count);
+
   return (
     <Marker
-      latitude={cluster.latitude}
-      longitude={cluster.longitude}
-      anchor="center"
-      onPress={() => onPress(cluster.incidents)}
+      coordinate={{ latitude: cluster.latitude, longitude: cluster.longitude }}
+      anchor={{ x: 0.5, y: 0.5 }}
+      onPress={() => onPress(cluster)}
     >
-      <View style={[styles.clusterMarker, styles[`cluster${capitalize(cluster.dominantType)}`]]}>
-        <Text style={styles.clusterCount}>{cluster.incidents.length}</Text>
+      <View style={[styles.clusterMarker, { width: size, height: size, borderRadius: size / 2 }]}>
+        <BreakdownRing typeCounts={cluster.typeCounts} total={cluster.count} size={size} />
+        <Text style={[styles.clusterCount, { color: incidentTypeService.getColor(cluster.dominantType) }]}>
+          {cluster.count}
+        </Text>
+        {cluster.ongoing && <View style={styles.ongoingDot} />}
       </View>
     </Marker>
   );
 };
 
-const getIncidentIcon = (type) => {
-  switch (type) {
-    case 'hijacking':
-      return '🚗';
-    case 'mugging':
-      return '👤';
-    case 'accident':
-      return '⚠️';
-    default:
-      return '📍';
-  }
-};
-
-const capitalize = (str) => str.charAt(0).toUpperCase() + str.slice(1);
-
 const styles = StyleSheet.create({
   marker: {
     width: 36,
@@ -157,14 +255,31 @@ const styles = StyleSheet.create({
     shadowRadius: 3.84,
     elevation: 5,
   },
-  markerHijacking: {
-    backgroundColor: '#EF4444',
+  markerOngoing: {
+    borderColor: '#DC2626',
+    borderWidth: 3,
+  },
+  markerResolved: {
+    opacity: 0.5,
   },
-  markerMugging: {
-    backgroundColor: '#F97316',
+  injuryBadge: {
+    position: 'absolute',
+    top: -4,
+    right: -4,
+    width: 16,
+    height: 16,
+    borderRadius: 8,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#DC2626',
+    justifyContent: 'center',
+    alignItems: 'center',
   },
-  markerAccident: {
-    backgroundColor: '#3B82F6',
+  injuryBadgeText: {
+    color: '#DC2626',
+    fontSize: 12,
+    fontWeight: 'bold',
+    lineHeight: 14,
   },
   markerIcon: {
     fontSize: 18,
@@ -175,25 +290,28 @@ const styles = StyleSheet.create({
     borderRadius: 24,
     justifyContent: 'center',
     alignItems: 'center',
-    borderWidth: 3,
-    borderColor: '#fff',
+    backgroundColor: '#fff',
     shadowColor: '#000',
     shadowOffset: { width: 0, height: 2 },
     shadowOpacity: 0.3,
     shadowRadius: 4,
     elevation: 6,
   },
-  clusterHijacking: {
+  ongoingDot: {
+    position: 'absolute',
+    top: 0,
+    right: 0,
+    width: 12,
+    height: 12,
+    borderRadius: 6,
     backgroundColor: '#DC2626',
+    borderWidth: 2,
+    borderColor: '#fff',
   },
-  clusterMugging: {
-    backgroundColor: '#EA580C',
-  },
-  clusterAccident: {
-    backgroundColor: '#2563EB',
+  ring: {
+    transform: [{ rotate: '-90deg' }],
   },
   clusterCount: {
-    color: '#fff',
     fontSize: 16,
     fontWeight: 'bold',
   },
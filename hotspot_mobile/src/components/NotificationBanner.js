@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { View, Text, StyleSheet, Animated, TouchableOpacity, Dimensions } from 'react-native';
+import incidentTypeService from '../services/incidentTypeService';
 
 const { width } = Dimensions.get('window');
 
@@ -54,27 +55,13 @@ const NotificationBanner = ({ notification, onPress, onDismiss, duration = 5000
   const { title, body, data } = notification.request?.content || notification;
   const incidentType = data?.incident_type || 'incident';
 
-  // Get color based on incident type
-  const getTypeColor = (type) => {
-    switch (type) {
-      case 'hijacking':
-        return '#EF4444'; // red
-      case 'mugging':
-        return '#F97316'; // orange
-      case 'accident':
-        return '#3B82F6'; // blue
-      default:
-        return '#6B7280'; // gray
-    }
-  };
-
   return (
     <Animated.View
       style={[
         styles.container,
         {
           transform: [{ translateY: slideAnim }],
-          borderLeftColor: getTypeColor(incidentType),
+          borderLeftColor: incidentTypeService.getColor(incidentType),
         },
       ]}
     >
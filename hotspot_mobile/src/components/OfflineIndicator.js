@@ -1,49 +1,105 @@
 import React, { useState, useEffect } from 'react';
-import { View, Text, StyleSheet, Animated } from 'react-native';
-import offlineService from '../services/offlineService';
+import { View, Text, StyleSheet, Animated, TouchableOpacity } from 'react-native';
+import offlineService, { OUTBOX_TYPES } from '../services/offlineService';
+import websocketService, { CONNECTION_STATES } from '../services/websocketService';
+import FailedSyncModal from './FailedSyncModal';
+
+// Singular/plural labels for each kind of queued action
+const PENDING_LABELS = [
+  { types: [OUTBOX_TYPES.INCIDENT_CREATE], label: ['report', 'reports'] },
+  { types: [OUTBOX_TYPES.INCIDENT_VERIFY], label: ['verification', 'verifications'] },
+  {
+    types: [OUTBOX_TYPES.INCIDENT_UPDATE, OUTBOX_TYPES.INCIDENT_RESOLVE, OUTBOX_TYPES.INCIDENT_RETRACT],
+    label: ['report follow-up', 'report follow-ups'],
+  },
+  { types: [OUTBOX_TYPES.GROUP_JOIN, OUTBOX_TYPES.GROUP_LEAVE], label: ['group action', 'group actions'] },
+  {
+    types: [OUTBOX_TYPES.CONTACT_CREATE, OUTBOX_TYPES.CONTACT_UPDATE, OUTBOX_TYPES.CONTACT_DELETE],
+    label: ['contact change', 'contact changes'],
+  },
+  { types: [OUTBOX_TYPES.PANIC_RESOLVE], label: ['panic update', 'panic updates'] },
+];
+
+const summarizeCounts = (counts) =>
+  PENDING_LABELS.map(({ types, label }) => {
+    const count = types.reduce((sum, type) => sum + (counts[type] || 0), 0);
+    return count > 0 ? `${count} ${count === 1 ? label[0] : label[1]}` : null;
+  }).filter(Boolean);
 
 const OfflineIndicator = () => {
   const [isOnline, setIsOnline] = useState(true);
-  const [queueCount, setQueueCount] = useState(0);
+  const [counts, setCounts] = useState({ dead: 0 });
+  const [connectionState, setConnectionState] = useState(websocketService.getConnectionState());
+  const [failedSyncVisible, setFailedSyncVisible] = useState(false);
   const slideAnim = useState(new Animated.Value(-100))[0];
 
+  const refreshCounts = async () => {
+    const pending = await offlineService.getPendingCountsByType();
+    setCounts(pending);
+  };
+
   useEffect(() => {
     // Subscribe to connectivity changes
     const unsubscribe = offlineService.onConnectivityChange(async (online) => {
       setIsOnline(online);
-      
-      if (!online) {
-        // Show offline banner
-        Animated.spring(slideAnim, {
-          toValue: 0,
-          useNativeDriver: true,
-          tension: 50,
-          friction: 7
-        }).start();
-      } else {
-        // Hide offline banner
-        Animated.timing(slideAnim, {
-          toValue: -100,
-          duration: 300,
-          useNativeDriver: true
-        }).start();
-      }
-
-      // Update queue count
-      const count = await offlineService.getQueueCount();
-      setQueueCount(count);
+      await refreshCounts();
     });
 
+    // Keep counts current as items are queued, replayed or dead-lettered
+    const unsubscribeQueue = offlineService.onQueueChange(refreshCounts);
+
+    // Live updates can stop while the network is fine
+    const unsubscribeConnection = websocketService.onConnectionStateChange(setConnectionState);
+
     // Initial check
     offlineService.checkConnectivity();
+    refreshCounts();
 
-    return unsubscribe;
+    return () => {
+      unsubscribe();
+      unsubscribeQueue();
+      unsubscribeConnection();
+    };
   }, []);
 
-  if (isOnline && queueCount === 0) {
+  const pendingSummary = summarizeCounts(counts);
+  const liveUpdatesPaused =
+    isOnline &&
+    (connectionState === CONNECTION_STATES.DEGRADED || connectionState === CONNECTION_STATES.AUTH_FAILED);
+  const visible = !isOnline || liveUpdatesPaused || pendingSummary.length > 0 || counts.dead > 0;
+
+  useEffect(() => {
+    if (visible) {
+      // Slide the banner in
+      slideAnim.setValue(-100);
+      Animated.spring(slideAnim, {
+        toValue: 0,
+        useNativeDriver: true,
+        tension: 50,
+        friction: 7
+      }).start();
+    }
+  }, [visible]);
+
+  if (!visible) {
     return null;
   }
 
+  const hasFailures = counts.dead > 0;
+
+  let title = 'You are offline';
+  let icon = '📡';
+  let bannerStyle = styles.offline;
+  if (liveUpdatesPaused) {
+    title = 'Live updates paused';
+    icon = '⏸️';
+    bannerStyle = styles.paused;
+  } else if (isOnline) {
+    title = pendingSummary.length > 0 ? 'Syncing...' : 'Sync problems';
+    icon = '🔄';
+    bannerStyle = styles.syncing;
+  }
+
   return (
     <Animated.View 
       style={[
@@ -51,19 +107,36 @@ const OfflineIndicator = () => {
         { transform: [{ translateY: slideAnim }] }
       ]}
     >
-      <View style={[styles.banner, isOnline ? styles.syncing : styles.offline]}>
-        <Text style={styles.icon}>{isOnline ? '🔄' : '📡'}</Text>
+      <TouchableOpacity
+        style={[styles.banner, bannerStyle]}
+        activeOpacity={0.8}
+        disabled={!hasFailures}
+        onPress={() => setFailedSyncVisible(true)}
+      >
+        <Text style={styles.icon}>{icon}</Text>
         <View style={styles.textContainer}>
-          <Text style={styles.title}>
-            {isOnline ? 'Syncing...' : 'You are offline'}
-          </Text>
-          {queueCount > 0 && (
+          <Text style={styles.title}>{title}</Text>
+          {liveUpdatesPaused && (
+            <Text style={styles.subtitle}>
+              {connectionState === CONNECTION_STATES.AUTH_FAILED
+                ? 'Sign in again to resume live updates'
+                : 'Reconnecting… the map may be out of date'}
+            </Text>
+          )}
+          {pendingSummary.length > 0 && (
             <Text style={styles.subtitle}>
-              {queueCount} report{queueCount > 1 ? 's' : ''} queued
+              {pendingSummary.join(', ')} queued
+            </Text>
+          )}
+          {hasFailures && (
+            <Text style={styles.subtitle}>
+              {counts.dead} action{counts.dead > 1 ? 's' : ''} failed to sync · Tap to review
             </Text>
           )}
         </View>
-      </View>
+      </TouchableOpacity>
+
+      <FailedSyncModal visible={failedSyncVisible} onClose={() => setFailedSyncVisible(false)} />
     </Animated.View>
   );
 };
@@ -89,6 +162,9 @@ const styles = StyleSheet.create({
   syncing: {
     backgroundColor: '#F59E0B',
   },
+  paused: {
+    backgroundColor: '#6B7280',
+  },
   icon: {
     fontSize: 20,
     marginRight: 12,
@@ -0,0 +1,157 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Alert } from 'react-native';
+import tilePackService, { PACK_STATUS } from '../services/tilePackService';
+import { formatBytes } from '../utils/format';
+
+const STATUS_LABELS = {
+  [PACK_STATUS.DOWNLOADING]: 'Downloading',
+  [PACK_STATUS.PAUSED]: 'Paused',
+  [PACK_STATUS.COMPLETE]: 'Ready offline',
+  [PACK_STATUS.INCOMPLETE]: 'Some tiles missing',
+};
+
+/**
+ * Settings section for managing downloaded offline map areas
+ */
+const OfflineMapsSection = () => {
+  const [packs, setPacks] = useState([]);
+
+  useEffect(() => {
+    tilePackService.getPacks().then(setPacks);
+    return tilePackService.onPacksChange(setPacks);
+  }, []);
+
+  const totalBytes = packs.reduce((sum, pack) => sum + pack.bytes, 0);
+
+  const handleDelete = (pack) => {
+    Alert.alert('Delete Offline Area', `Delete "${pack.name}" from this device?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: () => tilePackService.deletePack(pack.id),
+      },
+    ]);
+  };
+
+  const renderStatus = (pack) => {
+    if (pack.status === PACK_STATUS.DOWNLOADING) {
+      const percent = Math.round((pack.downloaded_tiles / pack.total_tiles) * 100);
+      return `${STATUS_LABELS[pack.status]} ${percent}%`;
+    }
+    if (tilePackService.isExpired(pack)) {
+      return 'Expired – refresh to update';
+    }
+    return STATUS_LABELS[pack.status];
+  };
+
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>Offline Maps</Text>
+      <Text style={styles.sectionDescription}>
+        Save areas from the map screen (⬇️) to see them without a connection.
+        {packs.length > 0 && ` Using ${formatBytes(totalBytes)}.`}
+      </Text>
+
+      {packs.length === 0 && (
+        <Text style={styles.emptyText}>No offline areas saved yet</Text>
+      )}
+
+      {packs.map((pack) => (
+        <View key={pack.id} style={styles.packRow}>
+          <View style={styles.packInfo}>
+            <Text style={styles.packName}>{pack.name}</Text>
+            <Text style={styles.packDetails}>
+              {renderStatus(pack)} · {formatBytes(pack.bytes)}
+            </Text>
+            {pack.expires_at && (
+              <Text style={styles.packDetails}>
+                {tilePackService.isExpired(pack) ? 'Expired' : 'Expires'}{' '}
+                {new Date(pack.expires_at).toLocaleDateString()}
+              </Text>
+            )}
+          </View>
+
+          <View style={styles.packActions}>
+            {pack.status === PACK_STATUS.DOWNLOADING ? (
+              <TouchableOpacity onPress={() => tilePackService.pausePack(pack.id)}>
+                <Text style={styles.actionText}>Pause</Text>
+              </TouchableOpacity>
+            ) : pack.status === PACK_STATUS.COMPLETE ? (
+              <TouchableOpacity onPress={() => tilePackService.refreshPack(pack.id)}>
+                <Text style={styles.actionText}>Refresh</Text>
+              </TouchableOpacity>
+            ) : (
+              <TouchableOpacity onPress={() => tilePackService.resumePack(pack.id)}>
+                <Text style={styles.actionText}>Resume</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity onPress={() => handleDelete(pack)}>
+              <Text style={[styles.actionText, styles.deleteText]}>Delete</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  section: {
+    backgroundColor: '#FFFFFF',
+    marginTop: 16,
+    paddingHorizontal: 16,
+    paddingVertical: 20,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#1F2937',
+    marginBottom: 8,
+  },
+  sectionDescription: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginBottom: 16,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#9CA3AF',
+  },
+  packRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F3F4F6',
+  },
+  packInfo: {
+    flex: 1,
+    marginRight: 16,
+  },
+  packName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginBottom: 4,
+  },
+  packDetails: {
+    fontSize: 13,
+    color: '#9CA3AF',
+  },
+  packActions: {
+    alignItems: 'flex-end',
+    gap: 8,
+  },
+  actionText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#007AFF',
+  },
+  deleteText: {
+    color: '#EF4444',
+  },
+});
+
+export default OfflineMapsSection;
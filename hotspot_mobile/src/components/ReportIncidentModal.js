@@ -11,24 +11,57 @@ import {
   Alert,
   ActivityIndicator,
 } from 'react-native';
-import * as Location from 'expo-location';
 import * as ImagePicker from 'expo-image-picker';
 import * as ImageManipulator from 'expo-image-manipulator';
 import NetInfo from '@react-native-community/netinfo';
 import { incidentService } from '../services/incidentService';
+import locationManager from '../services/locationManager';
+import { useIncidentTypes } from '../services/incidentTypeService';
+import { SEVERITY_LEVELS, asksForVehicle } from '../utils/incidentDetails';
+import { distanceInMeters } from '../utils/geo';
+import { formatDistance } from '../utils/format';
+import LocationPicker from './LocationPicker';
+
+const EMPTY_DETAILS = {
+  severity: null,
+  has_injuries: null,
+  suspect_count: null,
+  is_ongoing: null,
+  vehicle_make: '',
+  vehicle_color: '',
+  vehicle_plate: '',
+};
+
+const YES_NO = [
+  { key: true, label: 'Yes' },
+  { key: false, label: 'No' },
+];
 
-const INCIDENT_TYPES = [
-  { id: 'hijacking', label: 'Hijacking', color: '#EF4444', icon: '🚗' },
-  { id: 'mugging', label: 'Mugging', color: '#F97316', icon: '👤' },
-  { id: 'accident', label: 'Accident', color: '#3B82F6', icon: '💥' },
+// Minutes before now; "Just now" leaves the time to the server
+const WHEN_OPTIONS = [
+  { key: 0, label: 'Just now' },
+  { key: 15, label: '15 min ago' },
+  { key: 30, label: '30 min ago' },
+  { key: 60, label: '1 hour ago' },
+  { key: 120, label: '2 hours ago' },
+  { key: 240, label: '4 hours ago' },
 ];
 
+// Reports further than this from the reporter are double-checked; seeing
+// something a few kilometres back down the road is normal
+const FAR_FROM_USER_M = 5000;
+
 const ReportIncidentModal = ({ visible, onClose, onReportSuccess }) => {
-  const [step, setStep] = useState(1); // 1: type selection, 2: details
+  const [step, setStep] = useState(1); // 1: type selection, 2: what happened, 3: description and photo
+  const incidentTypes = useIncidentTypes();
   const [selectedType, setSelectedType] = useState(null);
+  const [subType, setSubType] = useState(null);
+  const [details, setDetails] = useState(EMPTY_DETAILS);
   const [description, setDescription] = useState('');
   const [photo, setPhoto] = useState(null);
   const [location, setLocation] = useState(null);
+  const [userLocation, setUserLocation] = useState(null);
+  const [minutesAgo, setMinutesAgo] = useState(0);
   const [loading, setLoading] = useState(false);
   const [isOnline, setIsOnline] = useState(true);
   const [validationError, setValidationError] = useState(null);
@@ -49,13 +82,14 @@ const ReportIncidentModal = ({ visible, onClose, onReportSuccess }) => {
 
   const captureLocation = async () => {
     try {
-      const currentLocation = await Location.getCurrentPositionAsync({
-        accuracy: Location.Accuracy.High,
-      });
-      setLocation({
-        latitude: currentLocation.coords.latitude,
-        longitude: currentLocation.coords.longitude,
-      });
+      const currentLocation = await locationManager.getCurrentPosition();
+      const coords = {
+        latitude: currentLocation.latitude,
+        longitude: currentLocation.longitude,
+      };
+      setUserLocation(coords);
+      // The pin starts where the reporter is and can be moved from there
+      setLocation(coords);
     } catch (error) {
       console.error('Error getting location:', error);
       Alert.alert('Error', 'Failed to get your current location');
@@ -64,9 +98,39 @@ const ReportIncidentModal = ({ visible, onClose, onReportSuccess }) => {
 
   const handleTypeSelect = (type) => {
     setSelectedType(type);
+    setSubType(null);
+    setDetails(EMPTY_DETAILS);
     setStep(2);
   };
 
+  const updateDetail = (field, value) => {
+    setDetails(prev => ({ ...prev, [field]: value }));
+  };
+
+  const changeSuspectCount = (delta) => {
+    const current = details.suspect_count;
+    // Below zero goes back to "not sure"
+    const next = current === null ? (delta > 0 ? 1 : null) : current + delta;
+    updateDetail('suspect_count', next === null || next < 0 ? null : Math.min(next, 50));
+  };
+
+  // Only what the reporter actually answered is sent
+  const buildDetails = () => {
+    const includeVehicle = asksForVehicle(selectedType.key, subType);
+    const data = {
+      severity: details.severity || undefined,
+      has_injuries: details.has_injuries ?? undefined,
+      suspect_count: details.suspect_count ?? undefined,
+      is_ongoing: details.is_ongoing ?? undefined,
+    };
+    if (includeVehicle) {
+      data.vehicle_make = details.vehicle_make.trim() || undefined;
+      data.vehicle_color = details.vehicle_color.trim() || undefined;
+      data.vehicle_plate = details.vehicle_plate.trim() || undefined;
+    }
+    return data;
+  };
+
   const handleTakePhoto = async () => {
     try {
       const { status } = await ImagePicker.requestCameraPermissionsAsync();
@@ -178,7 +242,7 @@ const ReportIncidentModal = ({ visible, onClose, onReportSuccess }) => {
     }
   };
 
-  const handleSubmit = async () => {
+  const handleSubmit = () => {
     if (!selectedType || !location) {
       Alert.alert('Error', 'Please select an incident type and ensure location is available');
       return;
@@ -195,6 +259,28 @@ const ReportIncidentModal = ({ visible, onClose, onReportSuccess }) => {
       return;
     }
 
+    const distance = distanceFromUser();
+    if (distance > FAR_FROM_USER_M) {
+      Alert.alert(
+        'Far From You',
+        `The pin is ${formatDistance(distance)} from where you are. Report the incident there anyway?`,
+        [
+          { text: 'Move Pin', style: 'cancel' },
+          { text: 'Report', onPress: submitReport },
+        ]
+      );
+      return;
+    }
+
+    submitReport();
+  };
+
+  const distanceFromUser = () => {
+    if (!location || !userLocation) return 0;
+    return distanceInMeters(userLocation.latitude, userLocation.longitude, location.latitude, location.longitude);
+  };
+
+  const submitReport = async () => {
     setLoading(true);
     setValidationError(null);
 
@@ -212,16 +298,16 @@ const ReportIncidentModal = ({ visible, onClose, onReportSuccess }) => {
           console.error('Photo upload failed:', error);
           
           // Check for specific error types
-          if (error.response?.status === 422) {
-            Alert.alert('Image Rejected', error.response?.data?.error || 'Invalid image');
+          if (error.status === 422) {
+            Alert.alert('Image Rejected', error.userMessage || 'Invalid image');
             setLoading(false);
             return;
-          } else if (error.response?.status === 409) {
+          } else if (error.status === 409) {
             Alert.alert('Duplicate Image', 'This image has already been uploaded');
             setLoading(false);
             return;
-          } else if (error.response?.status === 429) {
-            const retryAfter = error.response?.data?.retry_after || 3600;
+          } else if (error.status === 429) {
+            const retryAfter = error.retryAfter || 3600;
             Alert.alert(
               'Rate Limit Exceeded',
               `Too many uploads. Please try again in ${Math.ceil(retryAfter / 60)} minutes.`
@@ -234,43 +320,44 @@ const ReportIncidentModal = ({ visible, onClose, onReportSuccess }) => {
       }
 
       const incidentData = {
-        type: selectedType.id,
+        type: selectedType.key,
+        sub_type: subType || undefined,
+        ...buildDetails(),
         latitude: location.latitude,
         longitude: location.longitude,
         description: description.trim() || undefined,
         photo_url: photoUrl,
+        reported_at: minutesAgo > 0 ? new Date(Date.now() - minutesAgo * 60000).toISOString() : undefined,
       };
 
-      if (isOnline) {
-        // Submit directly if online
-        const incident = await incidentService.create(incidentData);
-        Alert.alert('Success', 'Incident reported successfully');
-        onReportSuccess(incident);
-      } else {
-        // Queue for later if offline
-        const queuedReport = await incidentService.queueOfflineReport(incidentData);
+      // A photo that was not uploaded yet is stored with the report if it gets queued
+      const incident = await incidentService.create(incidentData, photoUrl ? null : photo);
+
+      if (incident.queued) {
         Alert.alert(
           'Queued for Sync',
           'You are offline. Your report will be submitted when connection is restored.'
         );
-        onReportSuccess(queuedReport);
+      } else {
+        Alert.alert('Success', 'Incident reported successfully');
       }
+      onReportSuccess(incident);
 
       handleClose();
     } catch (error) {
       console.error('Error submitting report:', error);
       
       // Handle rate limiting
-      if (error.response?.status === 429) {
-        const retryAfter = error.response?.data?.retry_after || 3600;
+      if (error.status === 429) {
+        const retryAfter = error.retryAfter || 3600;
         Alert.alert(
           'Rate Limit Exceeded',
           `You can only create 5 incidents per hour. Please try again in ${Math.ceil(retryAfter / 60)} minutes.`
         );
-      } else if (error.response?.status === 403) {
-        Alert.alert('Account Flagged', error.response?.data?.message || 'Your account has been flagged. Please contact support.');
+      } else if (error.status === 403) {
+        Alert.alert('Account Flagged', error.userMessage || 'Your account has been flagged. Please contact support.');
       } else {
-        Alert.alert('Error', error.response?.data?.error || 'Failed to submit report');
+        Alert.alert('Error', error.userMessage || 'Failed to submit report');
       }
     } finally {
       setLoading(false);
@@ -281,12 +368,38 @@ const ReportIncidentModal = ({ visible, onClose, onReportSuccess }) => {
   const handleClose = () => {
     setStep(1);
     setSelectedType(null);
+    setSubType(null);
+    setDetails(EMPTY_DETAILS);
     setDescription('');
     setPhoto(null);
     setLocation(null);
+    setUserLocation(null);
+    setMinutesAgo(0);
     onClose();
   };
 
+  // Single-choice chips; tapping the selected chip clears it
+  const renderChoices = (options, value, onChange) => (
+    <View style={styles.subTypeChips}>
+      {options.map((option) => {
+        const selected = value === option.key;
+        const color = option.color || selectedType?.color;
+        return (
+          <TouchableOpacity
+            key={String(option.key)}
+            style={[styles.subTypeChip, selected && { backgroundColor: color, borderColor: color }]}
+            onPress={() => onChange(selected ? null : option.key)}
+            disabled={loading}
+          >
+            <Text style={[styles.subTypeChipText, selected && styles.subTypeChipTextSelected]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+
   return (
     <Modal
       visible={visible}
@@ -319,9 +432,9 @@ const ReportIncidentModal = ({ visible, onClose, onReportSuccess }) => {
               // Step 1: Type Selection
               <View style={styles.typeSelection}>
                 <Text style={styles.sectionTitle}>Select Incident Type</Text>
-                {INCIDENT_TYPES.map((type) => (
+                {incidentTypes.map((type) => (
                   <TouchableOpacity
-                    key={type.id}
+                    key={type.key}
                     style={[styles.typeButton, { borderColor: type.color }]}
                     onPress={() => handleTypeSelect(type)}
                   >
@@ -332,19 +445,121 @@ const ReportIncidentModal = ({ visible, onClose, onReportSuccess }) => {
                   </TouchableOpacity>
                 ))}
               </View>
-            ) : (
-              // Step 2: Details
+            ) : step === 2 ? (
+              // Step 2: What happened
               <View style={styles.detailsForm}>
-                {/* Location Info */}
-                <View style={styles.locationInfo}>
-                  <Text style={styles.locationLabel}>📍 Location captured</Text>
-                  {location && (
-                    <Text style={styles.locationCoords}>
-                      {location.latitude.toFixed(6)}, {location.longitude.toFixed(6)}
+                {selectedType?.sub_types?.length > 0 && (
+                  <View style={styles.inputGroup}>
+                    <Text style={styles.inputLabel}>What kind?</Text>
+                    {renderChoices(
+                      selectedType.sub_types.map(option => ({ key: option.key, label: option.label })),
+                      subType,
+                      setSubType
+                    )}
+                  </View>
+                )}
+
+                <View style={styles.inputGroup}>
+                  <Text style={styles.inputLabel}>How serious is it?</Text>
+                  {renderChoices(SEVERITY_LEVELS, details.severity, value => updateDetail('severity', value))}
+                </View>
+
+                <View style={styles.inputGroup}>
+                  <Text style={styles.inputLabel}>Is anyone injured?</Text>
+                  {renderChoices(YES_NO, details.has_injuries, value => updateDetail('has_injuries', value))}
+                </View>
+
+                <View style={styles.inputGroup}>
+                  <Text style={styles.inputLabel}>Is it still happening?</Text>
+                  {renderChoices(YES_NO, details.is_ongoing, value => updateDetail('is_ongoing', value))}
+                </View>
+
+                <View style={styles.inputGroup}>
+                  <Text style={styles.inputLabel}>Number of suspects</Text>
+                  <View style={styles.stepper}>
+                    <TouchableOpacity
+                      style={styles.stepperButton}
+                      onPress={() => changeSuspectCount(-1)}
+                      disabled={details.suspect_count === null}
+                    >
+                      <Text style={styles.stepperButtonText}>−</Text>
+                    </TouchableOpacity>
+                    <Text style={styles.stepperValue}>
+                      {details.suspect_count === null ? 'Not sure' : details.suspect_count}
                     </Text>
+                    <TouchableOpacity style={styles.stepperButton} onPress={() => changeSuspectCount(1)}>
+                      <Text style={styles.stepperButtonText}>+</Text>
+                    </TouchableOpacity>
+                  </View>
+                </View>
+
+                {asksForVehicle(selectedType?.key, subType) && (
+                  <View style={styles.inputGroup}>
+                    <Text style={styles.inputLabel}>Vehicle (Optional)</Text>
+                    <TextInput
+                      style={styles.singleLineInput}
+                      placeholder="Make and model, e.g. Toyota Hilux"
+                      value={details.vehicle_make}
+                      onChangeText={value => updateDetail('vehicle_make', value)}
+                      maxLength={40}
+                    />
+                    <TextInput
+                      style={styles.singleLineInput}
+                      placeholder="Colour"
+                      value={details.vehicle_color}
+                      onChangeText={value => updateDetail('vehicle_color', value)}
+                      maxLength={30}
+                    />
+                    <TextInput
+                      style={styles.singleLineInput}
+                      placeholder="Any part of the number plate"
+                      value={details.vehicle_plate}
+                      onChangeText={value => updateDetail('vehicle_plate', value)}
+                      autoCapitalize="characters"
+                      autoCorrect={false}
+                      maxLength={10}
+                    />
+                  </View>
+                )}
+
+                <View style={styles.actionButtons}>
+                  <TouchableOpacity style={styles.backButton} onPress={() => setStep(1)}>
+                    <Text style={styles.backButtonText}>Back</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={[styles.submitButton, { backgroundColor: selectedType?.color }]}
+                    onPress={() => setStep(3)}
+                  >
+                    <Text style={styles.submitButtonText}>Next</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            ) : (
+              // Step 3: Description and photo
+              <View style={styles.detailsForm}>
+                {/* Where and when */}
+                <View style={styles.inputGroup}>
+                  <Text style={styles.inputLabel}>Where did it happen?</Text>
+                  <LocationPicker
+                    value={location}
+                    userLocation={userLocation}
+                    onChange={setLocation}
+                    disabled={loading}
+                  />
+                  {distanceFromUser() > FAR_FROM_USER_M && (
+                    <View style={styles.warningBanner}>
+                      <Text style={styles.warningText}>
+                        ⚠️ This is {formatDistance(distanceFromUser())} from you. Check the pin is in the right place.
+                      </Text>
+                    </View>
                   )}
                 </View>
 
+                <View style={styles.inputGroup}>
+                  <Text style={styles.inputLabel}>When did it happen?</Text>
+                  {renderChoices(WHEN_OPTIONS, minutesAgo, value => setMinutesAgo(value ?? 0))}
+                </View>
+
                 {/* Description Input */}
                 <View style={styles.inputGroup}>
                   <Text style={styles.inputLabel}>
@@ -426,7 +641,7 @@ const ReportIncidentModal = ({ visible, onClose, onReportSuccess }) => {
                 <View style={styles.actionButtons}>
                   <TouchableOpacity
                     style={styles.backButton}
-                    onPress={() => setStep(1)}
+                    onPress={() => setStep(2)}
                     disabled={loading}
                   >
                     <Text style={styles.backButtonText}>Back</Text>
@@ -527,20 +742,57 @@ const styles = StyleSheet.create({
   detailsForm: {
     gap: 20,
   },
-  locationInfo: {
-    backgroundColor: '#F3F4F6',
-    padding: 12,
-    borderRadius: 8,
+  subTypeChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
   },
-  locationLabel: {
+  subTypeChip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+  },
+  subTypeChipText: {
     fontSize: 14,
+    color: '#374151',
+  },
+  subTypeChipTextSelected: {
+    color: '#fff',
     fontWeight: '600',
+  },
+  stepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 16,
+  },
+  stepperButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  stepperButtonText: {
+    fontSize: 20,
     color: '#374151',
-    marginBottom: 4,
   },
-  locationCoords: {
-    fontSize: 12,
-    color: '#6B7280',
+  stepperValue: {
+    minWidth: 72,
+    textAlign: 'center',
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  singleLineInput: {
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
   },
   inputGroup: {
     gap: 8,
@@ -12,6 +12,7 @@ import {
 import * as Location from 'expo-location';
 import * as Haptics from 'expo-haptics';
 import emergencyService from '../services/emergencyService';
+import locationManager from '../services/locationManager';
 
 const SOSButton = ({ user, navigation }) => {
   const [showModal, setShowModal] = useState(false);
@@ -87,10 +88,7 @@ const SOSButton = ({ user, navigation }) => {
         return;
       }
 
-      const location = await Location.getCurrentPositionAsync({
-        accuracy: Location.Accuracy.High,
-      });
-      const { latitude, longitude } = location.coords;
+      const { latitude, longitude } = await locationManager.getCurrentPosition();
 
       // Trigger panic button on backend (sends SMS and push notifications)
       await emergencyService.triggerPanicButton(latitude, longitude);
@@ -109,12 +107,7 @@ const SOSButton = ({ user, navigation }) => {
     } catch (error) {
       console.error('Panic button error:', error);
       
-      let errorMessage = 'Failed to send panic alert. Please try again.';
-      if (error.response?.data?.error) {
-        errorMessage = error.response.data.error;
-      }
-      
-      Alert.alert('Error', errorMessage);
+      Alert.alert('Error', error.userMessage || 'Failed to send panic alert. Please try again.');
     } finally {
       setSending(false);
     }
@@ -122,8 +115,12 @@ const SOSButton = ({ user, navigation }) => {
 
   const handleCancelAlert = async () => {
     try {
-      await emergencyService.resolvePanic('Cancelled by user');
+      const result = await emergencyService.resolvePanic('Cancelled by user');
       setHasActiveAlert(false);
+      if (result?.queued) {
+        Alert.alert('Cancellation Queued', 'Your panic alert will be cancelled as soon as you are back online.');
+        return;
+      }
       Alert.alert('Alert Cancelled', 'Your panic alert has been cancelled.');
     } catch (error) {
       console.error('Error cancelling alert:', error);
@@ -0,0 +1,187 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { geofenceService } from '../services/geofenceService';
+import incidentTypeService from '../services/incidentTypeService';
+import { formatTimeAgo } from '../utils/format';
+
+const TRENDS = {
+  rising: { icon: '↑', label: 'Rising', color: '#DC2626' },
+  falling: { icon: '↓', label: 'Falling', color: '#10B981' },
+  steady: { icon: '→', label: 'Steady', color: '#6B7280' },
+};
+
+const Stat = ({ label, value, valueStyle }) => (
+  <View style={styles.stat}>
+    <Text style={[styles.statValue, valueStyle]} numberOfLines={1}>{value}</Text>
+    <Text style={styles.statLabel}>{label}</Text>
+  </View>
+);
+
+/**
+ * Card shown when a hotspot zone is tapped on the map. The zone's own
+ * counts show straight away; the past week's breakdown and trend load in.
+ */
+const ZoneDetailsCard = ({ zone, color, onClose }) => {
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    setSummary(null);
+    setLoading(true);
+
+    geofenceService.getZoneSummary(zone.id)
+      .then((data) => {
+        if (!cancelled) setSummary(data);
+      })
+      .catch(() => {
+        // Offline or gone; the zone's own fields are still worth showing
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [zone.id]);
+
+  const dominantType = summary?.dominant_type || zone.zone_type;
+  const lastIncidentAt = summary ? summary.last_incident_at : zone.last_incident_at;
+  const trend = summary && TRENDS[summary.trend];
+  const typeCounts = summary
+    ? Object.entries(summary.type_counts).sort(([, a], [, b]) => b - a)
+    : [];
+
+  return (
+    <View style={[styles.card, { borderTopColor: color }]}>
+      <View style={styles.header}>
+        <View style={[styles.riskBadge, { backgroundColor: color }]}>
+          <Text style={styles.riskBadgeText}>{(zone.risk_level || '').toUpperCase()} RISK ZONE</Text>
+        </View>
+        <TouchableOpacity onPress={onClose}>
+          <Text style={styles.closeButton}>✕</Text>
+        </TouchableOpacity>
+      </View>
+
+      <Text style={styles.title}>
+        {incidentTypeService.getIcon(zone.zone_type)} {incidentTypeService.getLabel(zone.zone_type)} hotspot
+      </Text>
+
+      <View style={styles.stats}>
+        <Stat label="Past 7 days" value={String(summary ? summary.incident_count : zone.incident_count)} />
+        <Stat
+          label="Most common"
+          value={`${incidentTypeService.getIcon(dominantType)} ${incidentTypeService.getLabel(dominantType)}`}
+        />
+        <Stat label="Last incident" value={lastIncidentAt ? formatTimeAgo(lastIncidentAt) : '—'} />
+        {loading ? (
+          <View style={styles.stat}>
+            <ActivityIndicator size="small" color="#6B7280" />
+          </View>
+        ) : (
+          <Stat
+            label={summary ? `${summary.previous_incident_count} the week before` : 'Trend'}
+            value={trend ? `${trend.icon} ${trend.label}` : '—'}
+            valueStyle={trend && { color: trend.color }}
+          />
+        )}
+      </View>
+
+      {typeCounts.length > 1 && (
+        <View style={styles.types}>
+          {typeCounts.map(([type, count]) => (
+            <View key={type} style={styles.typeChip}>
+              <Text style={styles.typeChipText}>
+                {incidentTypeService.getIcon(type)} {count}
+              </Text>
+            </View>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    position: 'absolute',
+    bottom: 20,
+    left: 20,
+    right: 20,
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    borderTopWidth: 4,
+    padding: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  riskBadge: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+  },
+  riskBadgeText: {
+    color: '#fff',
+    fontSize: 11,
+    fontWeight: '700',
+  },
+  closeButton: {
+    fontSize: 20,
+    color: '#9CA3AF',
+    paddingLeft: 8,
+  },
+  title: {
+    fontSize: 17,
+    fontWeight: '700',
+    color: '#1F2937',
+    marginBottom: 12,
+  },
+  stats: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  stat: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  statValue: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#1F2937',
+  },
+  statLabel: {
+    fontSize: 11,
+    color: '#6B7280',
+    marginTop: 2,
+    textAlign: 'center',
+  },
+  types: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginTop: 12,
+  },
+  typeChip: {
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 10,
+    backgroundColor: '#F3F4F6',
+  },
+  typeChipText: {
+    fontSize: 12,
+    color: '#374151',
+  },
+});
+
+export default ZoneDetailsCard;
@@ -0,0 +1,77 @@
+import * as Linking from 'expo-linking';
+import { getStateFromPath } from '@react-navigation/native';
+import deepLinkService, { LINK_BASE_URL } from '../services/deepLinkService';
+import { ROUTES } from './routes';
+
+const parseCoordinate = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+/**
+ * Deep-link paths for every screen, e.g. hotspot://communities/42,
+ * hotspot://incidents/abc or hotspot://map?latitude=51.5&longitude=-0.12.
+ * Shareable links (https://hotspot.app/incidents/abc, /zones/:id, /groups/:id,
+ * /invite/:token) open the same screens; the deep link service rewrites the
+ * ones whose screen path differs.
+ */
+export const linking = {
+  prefixes: [Linking.createURL('/'), LINK_BASE_URL, LINK_BASE_URL.replace('://', '://www.')],
+  getInitialURL: () => deepLinkService.getInitialURL(),
+  subscribe: (listener) => deepLinkService.subscribe(listener),
+  getStateFromPath: (path, options) => getStateFromPath(deepLinkService.toAppPath(path), options),
+  config: {
+    screens: {
+      [ROUTES.PHONE_AUTH]: 'login',
+      // OTPVerification has no path: it needs the phone number PhoneAuth just submitted
+      [ROUTES.MAIN]: {
+        screens: {
+          [ROUTES.MAP_TAB]: {
+            // Back from a linked incident lands on the map
+            initialRouteName: ROUTES.MAP,
+            screens: {
+              [ROUTES.MAP]: {
+                path: 'map',
+                parse: {
+                  latitude: parseCoordinate,
+                  longitude: parseCoordinate,
+                },
+              },
+              [ROUTES.INCIDENT_DETAIL]: 'incidents/:incidentId',
+            },
+          },
+          [ROUTES.FEED_TAB]: {
+            screens: {
+              [ROUTES.FEED]: 'feed',
+            },
+          },
+          [ROUTES.COMMUNITIES_TAB]: {
+            screens: {
+              [ROUTES.COMMUNITIES]: 'communities',
+              [ROUTES.CREATE_GROUP]: 'communities/new',
+              [ROUTES.GROUP_INVITE]: 'communities/invite/:token',
+              [ROUTES.GROUP_DETAIL]: 'communities/:groupId',
+            },
+          },
+          [ROUTES.ANALYTICS_TAB]: {
+            screens: {
+              [ROUTES.ANALYTICS]: 'analytics',
+            },
+          },
+          [ROUTES.MORE_TAB]: {
+            screens: {
+              [ROUTES.MORE]: 'more',
+              [ROUTES.MY_REPORTS]: 'my-reports',
+              [ROUTES.SETTINGS]: 'settings',
+              [ROUTES.SUBSCRIPTION]: 'subscription',
+              [ROUTES.TRAVEL_MODE]: 'travel',
+              [ROUTES.EMERGENCY_CONTACTS]: 'emergency-contacts',
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+export default linking;
@@ -0,0 +1,95 @@
+/**
+ * Route names for every navigator in the app.
+ * Screens navigate with these names; the param lists below document what each route accepts.
+ */
+export const ROUTES = {
+  // Root stack
+  PHONE_AUTH: 'PhoneAuth',
+  OTP_VERIFICATION: 'OTPVerification',
+  MAIN: 'Main',
+
+  // Tabs
+  MAP_TAB: 'MapTab',
+  FEED_TAB: 'FeedTab',
+  COMMUNITIES_TAB: 'CommunitiesTab',
+  ANALYTICS_TAB: 'AnalyticsTab',
+  MORE_TAB: 'MoreTab',
+
+  // Screens inside the tab stacks
+  MAP: 'Map',
+  INCIDENT_DETAIL: 'IncidentDetail',
+  FEED: 'Feed',
+  COMMUNITIES: 'Communities',
+  GROUP_DETAIL: 'GroupDetail',
+  CREATE_GROUP: 'CreateGroup',
+  GROUP_INVITE: 'GroupInvite',
+  ANALYTICS: 'Analytics',
+  MORE: 'More',
+  MY_REPORTS: 'MyReports',
+  SETTINGS: 'Settings',
+  SUBSCRIPTION: 'Subscription',
+  TRAVEL_MODE: 'TravelMode',
+  EMERGENCY_CONTACTS: 'EmergencyContacts',
+};
+
+// Lets nested screens reach the root stack, e.g. to return to login
+export const ROOT_NAVIGATOR_ID = 'Root';
+
+/**
+ * @typedef {Object} RootStackParamList
+ * @property {undefined} PhoneAuth
+ * @property {{phoneNumber: string}} OTPVerification
+ * @property {import('@react-navigation/native').NavigatorScreenParams<MainTabParamList>|undefined} Main
+ */
+
+/**
+ * @typedef {Object} MainTabParamList
+ * @property {import('@react-navigation/native').NavigatorScreenParams<MapStackParamList>|undefined} MapTab
+ * @property {import('@react-navigation/native').NavigatorScreenParams<FeedStackParamList>|undefined} FeedTab
+ * @property {import('@react-navigation/native').NavigatorScreenParams<CommunitiesStackParamList>|undefined} CommunitiesTab
+ * @property {import('@react-navigation/native').NavigatorScreenParams<AnalyticsStackParamList>|undefined} AnalyticsTab
+ * @property {import('@react-navigation/native').NavigatorScreenParams<MoreStackParamList>|undefined} MoreTab
+ */
+
+/**
+ * @typedef {Object} MapStackParamList
+ * @property {{incidentId?: string, zoneId?: string, latitude?: number, longitude?: number}|undefined} Map
+ * @property {IncidentDetailParams} IncidentDetail
+ */
+
+/**
+ * @typedef {Object} IncidentDetailParams
+ * @property {string} incidentId
+ * @property {Object} [incident] - Already loaded copy to show while refreshing
+ */
+
+/**
+ * @typedef {Object} FeedStackParamList
+ * @property {undefined} Feed
+ * @property {IncidentDetailParams} IncidentDetail
+ */
+
+/**
+ * @typedef {Object} CommunitiesStackParamList
+ * @property {undefined} Communities
+ * @property {{groupId: string}} GroupDetail
+ * @property {undefined} CreateGroup
+ * @property {{token: string}} GroupInvite
+ * @property {IncidentDetailParams} IncidentDetail
+ */
+
+/**
+ * @typedef {Object} AnalyticsStackParamList
+ * @property {undefined} Analytics
+ */
+
+/**
+ * @typedef {Object} MoreStackParamList
+ * @property {undefined} More
+ * @property {undefined} MyReports
+ * @property {IncidentDetailParams} IncidentDetail
+ * @property {undefined} Settings
+ * @property {undefined} Subscription
+ * @property {undefined} TravelMode
+ * @property {undefined} EmergencyContacts
+ */
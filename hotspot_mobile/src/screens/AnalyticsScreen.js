@@ -9,12 +9,14 @@ import {
   Dimensions,
   Alert,
 } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { analyticsService } from '../services/analyticsService';
+import tokenStore from '../services/tokenStore';
+import incidentTypeService, { useIncidentTypes } from '../services/incidentTypeService';
 
 const { width } = Dimensions.get('window');
 
 export default function AnalyticsScreen() {
+  const incidentTypes = useIncidentTypes();
   const [activeTab, setActiveTab] = useState('hotspots');
   const [loading, setLoading] = useState(true);
   const [isPremium, setIsPremium] = useState(false);
@@ -35,9 +37,8 @@ export default function AnalyticsScreen() {
 
   const loadUserStatus = async () => {
     try {
-      const userStr = await AsyncStorage.getItem('user');
-      if (userStr) {
-        const user = JSON.parse(userStr);
+      const user = await tokenStore.getUser();
+      if (user) {
         setIsPremium(user.is_premium || false);
       }
     } catch (err) {
@@ -61,7 +62,7 @@ export default function AnalyticsScreen() {
             const hotspotsData = await analyticsService.getTopHotspots();
             setHotspots(hotspotsData);
           } catch (err) {
-            if (err.response?.status === 403) {
+            if (err.status === 403) {
               setError('premium_required');
             } else {
               throw err;
@@ -145,13 +146,13 @@ export default function AnalyticsScreen() {
             <View style={styles.hotspotInfo}>
               <Text style={styles.hotspotArea}>{hotspot.area_name}</Text>
               <Text style={styles.hotspotDetails}>
-                {hotspot.incident_count} incidents • {hotspot.dominant_type}
+                {hotspot.incident_count} incidents • {incidentTypeService.getLabel(hotspot.dominant_type)}
               </Text>
               <Text style={styles.hotspotCoords}>
                 {hotspot.center.latitude.toFixed(4)}, {hotspot.center.longitude.toFixed(4)}
               </Text>
             </View>
-            <View style={[styles.typeIndicator, getTypeColor(hotspot.dominant_type)]} />
+            <View style={[styles.typeIndicator, { backgroundColor: incidentTypeService.getColor(hotspot.dominant_type) }]} />
           </View>
         ))}
       </View>
@@ -168,13 +169,17 @@ export default function AnalyticsScreen() {
       );
     }
 
-    // Find peak hours for each type
-    const peakHijacking = timePatterns.reduce((max, p) => 
-      p.hijacking_count > max.hijacking_count ? p : max, timePatterns[0]);
-    const peakMugging = timePatterns.reduce((max, p) => 
-      p.mugging_count > max.mugging_count ? p : max, timePatterns[0]);
-    const peakAccident = timePatterns.reduce((max, p) => 
-      p.accident_count > max.accident_count ? p : max, timePatterns[0]);
+    // Peak hour for each of the three most reported types
+    const peakTypes = incidentTypes
+      .map(type => {
+        const peak = timePatterns.reduce((max, p) =>
+          countOf(p, type.key) > countOf(max, type.key) ? p : max, timePatterns[0]);
+        const total = timePatterns.reduce((sum, p) => sum + countOf(p, type.key), 0);
+        return { type, peak, total };
+      })
+      .filter(({ total }) => total > 0)
+      .sort((a, b) => b.total - a.total)
+      .slice(0, 3);
 
     // Get max count for scaling
     const maxCount = Math.max(...timePatterns.map(p => p.total_count));
@@ -184,32 +189,16 @@ export default function AnalyticsScreen() {
         <Text style={styles.sectionTitle}>Peak Hours by Type</Text>
         
         <View style={styles.peakHoursContainer}>
-          <View style={styles.peakHourCard}>
-            <View style={[styles.peakHourIcon, styles.hijackingBg]}>
-              <Text style={styles.peakHourEmoji}>🚗</Text>
-            </View>
-            <Text style={styles.peakHourType}>Hijacking</Text>
-            <Text style={styles.peakHourTime}>{formatHour(peakHijacking.hour)}</Text>
-            <Text style={styles.peakHourCount}>{peakHijacking.hijacking_count} incidents</Text>
-          </View>
-
-          <View style={styles.peakHourCard}>
-            <View style={[styles.peakHourIcon, styles.muggingBg]}>
-              <Text style={styles.peakHourEmoji}>👤</Text>
-            </View>
-            <Text style={styles.peakHourType}>Mugging</Text>
-            <Text style={styles.peakHourTime}>{formatHour(peakMugging.hour)}</Text>
-            <Text style={styles.peakHourCount}>{peakMugging.mugging_count} incidents</Text>
-          </View>
-
-          <View style={styles.peakHourCard}>
-            <View style={[styles.peakHourIcon, styles.accidentBg]}>
-              <Text style={styles.peakHourEmoji}>🚑</Text>
+          {peakTypes.map(({ type, peak }) => (
+            <View key={type.key} style={styles.peakHourCard}>
+              <View style={[styles.peakHourIcon, { backgroundColor: type.color }]}>
+                <Text style={styles.peakHourEmoji}>{type.icon}</Text>
+              </View>
+              <Text style={styles.peakHourType}>{type.label}</Text>
+              <Text style={styles.peakHourTime}>{formatHour(peak.hour)}</Text>
+              <Text style={styles.peakHourCount}>{countOf(peak, type.key)} incidents</Text>
             </View>
-            <Text style={styles.peakHourType}>Accident</Text>
-            <Text style={styles.peakHourTime}>{formatHour(peakAccident.hour)}</Text>
-            <Text style={styles.peakHourCount}>{peakAccident.accident_count} incidents</Text>
-          </View>
+          ))}
         </View>
 
         <Text style={styles.sectionTitle}>24-Hour Pattern</Text>
@@ -241,6 +230,7 @@ export default function AnalyticsScreen() {
     }
 
     const maxCount = Math.max(...trends.map(t => t.total_count));
+    const trendTypes = incidentTypes.filter(type => trends.some(week => countOf(week, type.key) > 0));
 
     return (
       <View style={styles.contentContainer}>
@@ -253,27 +243,18 @@ export default function AnalyticsScreen() {
               <View key={index} style={styles.trendBarContainer}>
                 <Text style={styles.trendCount}>{week.total_count}</Text>
                 <View style={styles.stackedBar}>
-                  <View 
-                    style={[
-                      styles.stackedBarSegment, 
-                      styles.hijackingBg,
-                      { height: (week.hijacking_count / week.total_count) * height }
-                    ]} 
-                  />
-                  <View 
-                    style={[
-                      styles.stackedBarSegment, 
-                      styles.muggingBg,
-                      { height: (week.mugging_count / week.total_count) * height }
-                    ]} 
-                  />
-                  <View 
-                    style={[
-                      styles.stackedBarSegment, 
-                      styles.accidentBg,
-                      { height: (week.accident_count / week.total_count) * height }
-                    ]} 
-                  />
+                  {incidentTypes.map(type => (
+                    <View
+                      key={type.key}
+                      style={[
+                        styles.stackedBarSegment,
+                        {
+                          backgroundColor: type.color,
+                          height: (countOf(week, type.key) / week.total_count) * height,
+                        },
+                      ]}
+                    />
+                  ))}
                 </View>
                 <Text style={styles.trendLabel}>{week.week_label}</Text>
               </View>
@@ -282,18 +263,12 @@ export default function AnalyticsScreen() {
         </View>
 
         <View style={styles.legendContainer}>
-          <View style={styles.legendItem}>
-            <View style={[styles.legendDot, styles.hijackingBg]} />
-            <Text style={styles.legendText}>Hijacking</Text>
-          </View>
-          <View style={styles.legendItem}>
-            <View style={[styles.legendDot, styles.muggingBg]} />
-            <Text style={styles.legendText}>Mugging</Text>
-          </View>
-          <View style={styles.legendItem}>
-            <View style={[styles.legendDot, styles.accidentBg]} />
-            <Text style={styles.legendText}>Accident</Text>
-          </View>
+          {trendTypes.map(type => (
+            <View key={type.key} style={styles.legendItem}>
+              <View style={[styles.legendDot, { backgroundColor: type.color }]} />
+              <Text style={styles.legendText}>{type.label}</Text>
+            </View>
+          ))}
         </View>
       </View>
     );
@@ -306,18 +281,9 @@ export default function AnalyticsScreen() {
     return `${hour - 12}:00 PM`;
   };
 
-  const getTypeColor = (type) => {
-    switch (type) {
-      case 'hijacking':
-        return styles.hijackingBg;
-      case 'mugging':
-        return styles.muggingBg;
-      case 'accident':
-        return styles.accidentBg;
-      default:
-        return styles.defaultBg;
-    }
-  };
+  // Per-type count for an hour or week; older servers only send the flat
+  // fields for the original three types
+  const countOf = (bucket, type) => bucket.counts_by_type?.[type] ?? bucket[`${type}_count`] ?? 0;
 
   return (
     <View style={styles.container}>
@@ -665,6 +631,7 @@ const styles = StyleSheet.create({
   },
   legendContainer: {
     flexDirection: 'row',
+    flexWrap: 'wrap',
     justifyContent: 'center',
     backgroundColor: '#FFF',
     padding: 12,
@@ -685,16 +652,4 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: '#666',
   },
-  hijackingBg: {
-    backgroundColor: '#FF3B30',
-  },
-  muggingBg: {
-    backgroundColor: '#FF9500',
-  },
-  accidentBg: {
-    backgroundColor: '#007AFF',
-  },
-  defaultBg: {
-    backgroundColor: '#999',
-  },
 });
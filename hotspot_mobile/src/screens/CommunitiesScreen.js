@@ -9,8 +9,8 @@ import {
   ActivityIndicator,
   Alert,
 } from 'react-native';
-import * as Location from 'expo-location';
 import { communityService } from '../services/communityService';
+import locationManager from '../services/locationManager';
 
 const CommunitiesScreen = ({ navigation }) => {
   const [myGroups, setMyGroups] = useState([]);
@@ -32,10 +32,10 @@ const CommunitiesScreen = ({ navigation }) => {
       setMyGroups(myGroupsData);
 
       // Load nearby groups
-      const location = await Location.getCurrentPositionAsync({});
+      const location = await locationManager.getCurrentPosition();
       const nearbyGroupsData = await communityService.getGroups(
-        location.coords.latitude,
-        location.coords.longitude,
+        location.latitude,
+        location.longitude,
         10000 // 10km radius
       );
       setNearbyGroups(nearbyGroupsData);
@@ -55,7 +55,11 @@ const CommunitiesScreen = ({ navigation }) => {
 
   const handleJoinGroup = async (groupId) => {
     try {
-      await communityService.joinGroup(groupId);
+      const result = await communityService.joinGroup(groupId);
+      if (result?.queued) {
+        Alert.alert('Join queued', 'You will join the group when you are back online.');
+        return;
+      }
       Alert.alert('Success', 'You have joined the group');
       loadGroups();
     } catch (error) {
@@ -11,6 +11,7 @@ import {
 } from 'react-native';
 import * as Location from 'expo-location';
 import { communityService } from '../services/communityService';
+import locationManager from '../services/locationManager';
 
 const CreateGroupScreen = ({ navigation }) => {
   const [name, setName] = useState('');
@@ -28,10 +29,10 @@ const CreateGroupScreen = ({ navigation }) => {
         return;
       }
 
-      const location = await Location.getCurrentPositionAsync({});
+      const location = await locationManager.getCurrentPosition();
       const address = await Location.reverseGeocodeAsync({
-        latitude: location.coords.latitude,
-        longitude: location.coords.longitude,
+        latitude: location.latitude,
+        longitude: location.longitude,
       });
 
       if (address.length > 0) {
@@ -74,9 +75,9 @@ const CreateGroupScreen = ({ navigation }) => {
 
       // Add location coordinates if using current location
       if (useCurrentLocation) {
-        const location = await Location.getCurrentPositionAsync({});
-        groupData.center_latitude = location.coords.latitude;
-        groupData.center_longitude = location.coords.longitude;
+        const location = await locationManager.getCurrentPosition();
+        groupData.center_latitude = location.latitude;
+        groupData.center_longitude = location.longitude;
         groupData.radius_meters = 5000; // Default 5km radius
       }
 
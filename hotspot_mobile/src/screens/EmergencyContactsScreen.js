@@ -89,16 +89,18 @@ const EmergencyContactsScreen = ({ navigation }) => {
 
     try {
       setSaving(true);
-      if (editingContact) {
-        await emergencyService.updateEmergencyContact(editingContact.id, formData);
-      } else {
-        await emergencyService.addEmergencyContact(formData);
-      }
+      const saved = editingContact
+        ? await emergencyService.updateEmergencyContact(editingContact.id, formData)
+        : await emergencyService.addEmergencyContact(formData);
       setShowAddModal(false);
+      if (saved?.queued) {
+        Alert.alert('Saved offline', 'This change will be synced when you are back online.');
+        return;
+      }
       loadContacts();
     } catch (error) {
       console.error('Error saving contact:', error);
-      const errorMessage = error.response?.data?.error || 'Failed to save contact';
+      const errorMessage = error.userMessage || 'Failed to save contact';
       Alert.alert('Error', errorMessage);
     } finally {
       setSaving(false);
@@ -116,7 +118,12 @@ const EmergencyContactsScreen = ({ navigation }) => {
           style: 'destructive',
           onPress: async () => {
             try {
-              await emergencyService.deleteEmergencyContact(contact.id);
+              const result = await emergencyService.deleteEmergencyContact(contact.id);
+              if (result.queued) {
+                setContacts((prev) => prev.filter((c) => c.id !== contact.id));
+                Alert.alert('Deleted offline', 'This change will be synced when you are back online.');
+                return;
+              }
               loadContacts();
             } catch (error) {
               console.error('Error deleting contact:', error);
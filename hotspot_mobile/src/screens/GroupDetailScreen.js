@@ -9,8 +9,11 @@ import {
   Alert,
   FlatList,
   Switch,
+  Share,
 } from 'react-native';
 import { communityService } from '../services/communityService';
+import { ROUTES } from '../navigation/routes';
+import incidentTypeService from '../services/incidentTypeService';
 
 const GroupDetailScreen = ({ route, navigation }) => {
   const { groupId } = route.params;
@@ -62,7 +65,10 @@ const GroupDetailScreen = ({ route, navigation }) => {
           style: 'destructive',
           onPress: async () => {
             try {
-              await communityService.leaveGroup(groupId);
+              const result = await communityService.leaveGroup(groupId);
+              if (result.queued) {
+                Alert.alert('Leave queued', 'You will leave the group when you are back online.');
+              }
               navigation.goBack();
             } catch (error) {
               Alert.alert('Error', 'Failed to leave group');
@@ -73,6 +79,17 @@ const GroupDetailScreen = ({ route, navigation }) => {
     );
   };
 
+  const handleInvite = async () => {
+    try {
+      const invite = await communityService.createInvite(groupId);
+      await Share.share({
+        message: `Join "${group.name}" on Hotspot: ${invite.url}`,
+      });
+    } catch (error) {
+      Alert.alert('Error', 'Failed to create invite link');
+    }
+  };
+
   const handleToggleNotifications = async (value) => {
     try {
       await communityService.updateNotificationPreferences(groupId, value);
@@ -83,10 +100,13 @@ const GroupDetailScreen = ({ route, navigation }) => {
   };
 
   const renderIncidentItem = ({ item }) => (
-    <TouchableOpacity style={styles.incidentCard}>
+    <TouchableOpacity
+      style={styles.incidentCard}
+      onPress={() => navigation.navigate(ROUTES.INCIDENT_DETAIL, { incidentId: item.id })}
+    >
       <View style={styles.incidentHeader}>
-        <View style={[styles.incidentTypeBadge, { backgroundColor: getIncidentColor(item.type) }]}>
-          <Text style={styles.incidentTypeText}>{item.type}</Text>
+        <View style={[styles.incidentTypeBadge, { backgroundColor: incidentTypeService.getColor(item.type) }]}>
+          <Text style={styles.incidentTypeText}>{incidentTypeService.getLabel(item.type)}</Text>
         </View>
         <Text style={styles.incidentTime}>{formatTime(item.inserted_at)}</Text>
       </View>
@@ -129,19 +149,6 @@ const GroupDetailScreen = ({ route, navigation }) => {
     </View>
   );
 
-  const getIncidentColor = (type) => {
-    switch (type) {
-      case 'hijacking':
-        return '#E53E3E';
-      case 'mugging':
-        return '#ED8936';
-      case 'accident':
-        return '#3182CE';
-      default:
-        return '#718096';
-    }
-  };
-
   const formatTime = (timestamp) => {
     const date = new Date(timestamp);
     const now = new Date();
@@ -203,6 +210,10 @@ const GroupDetailScreen = ({ route, navigation }) => {
             />
           </View>
 
+          <TouchableOpacity style={styles.inviteButton} onPress={handleInvite}>
+            <Text style={styles.inviteButtonText}>Invite People</Text>
+          </TouchableOpacity>
+
           <TouchableOpacity style={styles.leaveButton} onPress={handleLeaveGroup}>
             <Text style={styles.leaveButtonText}>Leave Group</Text>
           </TouchableOpacity>
@@ -328,6 +339,18 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: '#1A202C',
   },
+  inviteButton: {
+    backgroundColor: '#E53E3E',
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  inviteButtonText: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+    fontSize: 16,
+  },
   leaveButton: {
     backgroundColor: '#FFF5F5',
     paddingVertical: 12,
@@ -0,0 +1,181 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, ActivityIndicator, Alert } from 'react-native';
+import { communityService } from '../services/communityService';
+import { ROUTES } from '../navigation/routes';
+
+/**
+ * Landing screen for group invite links: previews the group and joins it
+ */
+const GroupInviteScreen = ({ route, navigation }) => {
+  const { token } = route.params;
+  const [group, setGroup] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [joining, setJoining] = useState(false);
+
+  useEffect(() => {
+    loadInvite();
+  }, [token]);
+
+  const loadInvite = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setGroup(await communityService.getInvite(token));
+    } catch (err) {
+      setError(
+        err.response?.status === 410
+          ? 'This invite has expired. Ask a member for a new link.'
+          : 'This invite link is not valid.'
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleJoin = async () => {
+    try {
+      setJoining(true);
+      const joined = await communityService.acceptInvite(token);
+      navigation.replace(ROUTES.GROUP_DETAIL, { groupId: joined.id });
+    } catch (err) {
+      Alert.alert('Error', err.response?.data?.error || 'Failed to join group');
+    } finally {
+      setJoining(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color="#E53E3E" />
+      </View>
+    );
+  }
+
+  if (error) {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.errorText}>{error}</Text>
+        <TouchableOpacity
+          style={styles.secondaryButton}
+          onPress={() => navigation.navigate(ROUTES.COMMUNITIES)}
+        >
+          <Text style={styles.secondaryButtonText}>Browse Communities</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.card}>
+        <Text style={styles.inviteLabel}>You've been invited to join</Text>
+        <Text style={styles.groupName}>{group.name}</Text>
+        {group.description && (
+          <Text style={styles.groupDescription}>{group.description}</Text>
+        )}
+        {group.location_name && (
+          <Text style={styles.locationName}>📍 {group.location_name}</Text>
+        )}
+        <Text style={styles.memberCount}>
+          {group.member_count} {group.member_count === 1 ? 'member' : 'members'}
+        </Text>
+
+        <TouchableOpacity
+          style={[styles.joinButton, joining && styles.joinButtonDisabled]}
+          onPress={handleJoin}
+          disabled={joining}
+        >
+          {joining ? (
+            <ActivityIndicator color="#FFFFFF" />
+          ) : (
+            <Text style={styles.joinButtonText}>Join Group</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F7FAFC',
+    padding: 16,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+    backgroundColor: '#F7FAFC',
+  },
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 20,
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+  },
+  inviteLabel: {
+    fontSize: 14,
+    color: '#718096',
+    marginBottom: 8,
+  },
+  groupName: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#1A202C',
+    marginBottom: 8,
+  },
+  groupDescription: {
+    fontSize: 16,
+    color: '#718096',
+    marginBottom: 8,
+  },
+  locationName: {
+    fontSize: 14,
+    color: '#4A5568',
+    marginBottom: 8,
+  },
+  memberCount: {
+    fontSize: 14,
+    color: '#4A5568',
+    marginBottom: 20,
+  },
+  joinButton: {
+    backgroundColor: '#E53E3E',
+    paddingVertical: 14,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  joinButtonDisabled: {
+    opacity: 0.6,
+  },
+  joinButtonText: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+    fontSize: 16,
+  },
+  errorText: {
+    fontSize: 16,
+    color: '#718096',
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  secondaryButton: {
+    paddingVertical: 12,
+    paddingHorizontal: 20,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#E53E3E',
+  },
+  secondaryButtonText: {
+    color: '#E53E3E',
+    fontWeight: '600',
+    fontSize: 16,
+  },
+});
+
+export default GroupInviteScreen;
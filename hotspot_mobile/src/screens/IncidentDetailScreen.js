@@ -0,0 +1,521 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator,
+  Alert,
+  Share,
+} from 'react-native';
+import MapView, { Marker, Circle, Polygon, PROVIDER_GOOGLE } from 'react-native-maps';
+import { incidentService } from '../services/incidentService';
+import websocketService from '../services/websocketService';
+import geofenceEngine from '../services/geofenceEngine';
+import deepLinkService from '../services/deepLinkService';
+import tokenStore from '../services/tokenStore';
+import { OptimizedImage } from '../components/OptimizedImage';
+import { formatTimeAgo } from '../utils/format';
+import { successHaptic, warningHaptic } from '../utils/haptics';
+import { ROUTES } from '../navigation/routes';
+import incidentTypeService from '../services/incidentTypeService';
+import { getSeverity, formatVehicle } from '../utils/incidentDetails';
+
+const ZONE_COLORS = {
+  low: '#F59E0B',
+  medium: '#F97316',
+  high: '#EF4444',
+  critical: '#DC2626',
+};
+
+// A report made this long after the incident also says when it happened
+const LATE_REPORT_MS = 10 * 60 * 1000;
+
+/**
+ * Everything about one incident: photo, description, where it is, the zone
+ * it falls in and who verified it. Verifications update live.
+ */
+const IncidentDetailScreen = ({ route, navigation }) => {
+  const { incidentId } = route.params;
+  const [incident, setIncident] = useState(route.params.incident || null);
+  const [verifications, setVerifications] = useState([]);
+  const [zone, setZone] = useState(null);
+  const [userId, setUserId] = useState(null);
+  const [loading, setLoading] = useState(!route.params.incident);
+  const [verifying, setVerifying] = useState(false);
+  const [verifyQueued, setVerifyQueued] = useState(false);
+
+  const location = incident?.location;
+
+  useEffect(() => {
+    loadIncident();
+    tokenStore.getUser().then(user => setUserId(user?.id || null));
+
+    const unsubscribers = [
+      websocketService.onIncidentVerified(handleVerified),
+      websocketService.onIncidentUpdated(handleUpdated),
+      websocketService.onIncidentRemoved(handleRemoved),
+    ];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [incidentId]);
+
+  // Stay subscribed to the incident's area while the screen is open
+  useEffect(() => {
+    if (!location) return undefined;
+
+    geofenceEngine.getZonesAt(location).then(zones => setZone(zones[0] || null));
+    return websocketService.watchIncidentCell(location.latitude, location.longitude);
+  }, [location?.latitude, location?.longitude]);
+
+  const loadIncident = async () => {
+    try {
+      const [fresh, verificationData] = await Promise.all([
+        incidentService.getIncident(incidentId),
+        incidentService.getVerifications(incidentId),
+      ]);
+      setIncident(fresh);
+      setVerifications(verificationData.verifications || []);
+    } catch (error) {
+      console.error('Error loading incident:', error);
+      if (!incident) {
+        Alert.alert('Not Found', 'This incident is no longer available.', [
+          { text: 'OK', onPress: () => navigation.goBack() },
+        ]);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleVerified = (data) => {
+    if (String(data.incident_id) !== String(incidentId)) return;
+
+    setIncident(prev =>
+      prev
+        ? { ...prev, verification_count: data.verification_count, is_verified: data.is_verified }
+        : prev
+    );
+    setVerifications(prev =>
+      prev.some(v => v.id === data.verification.id) ? prev : [...prev, data.verification]
+    );
+  };
+
+  // Reporter follow-ups
+  const handleUpdated = (update) => {
+    if (String(update.id) !== String(incidentId)) return;
+
+    setIncident(prev => (prev ? { ...prev, ...update } : prev));
+  };
+
+  const handleRemoved = (data) => {
+    if (String(data.incident_id) !== String(incidentId)) return;
+
+    Alert.alert('Report Retracted', 'The reporter has retracted this incident.', [
+      { text: 'OK', onPress: () => navigation.goBack() },
+    ]);
+  };
+
+  const handleVerify = async () => {
+    try {
+      setVerifying(true);
+      const result = await incidentService.verify(incidentId);
+
+      if (result.queued) {
+        setVerifyQueued(true);
+        Alert.alert('Verification queued', 'Your verification will be sent when you are back online.');
+        return;
+      }
+
+      setIncident(prev => ({
+        ...prev,
+        verification_count: result.verification_count,
+        is_verified: result.is_verified,
+      }));
+      // The live event fills in the verifier list; this covers a missing socket
+      incidentService
+        .getVerifications(incidentId)
+        .then(data => setVerifications(data.verifications || []))
+        .catch(() => {});
+      successHaptic();
+    } catch (error) {
+      warningHaptic();
+      Alert.alert('Error', error.userMessage || 'Failed to verify incident');
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  const handleShare = async () => {
+    try {
+      await Share.share({
+        message: `${incidentTypeService.getLabel(incident.type)} reported ${formatTimeAgo(incident.inserted_at).toLowerCase()} on Hotspot: ${deepLinkService.incidentLink(incident.id)}`,
+      });
+    } catch (error) {
+      console.error('Error sharing incident:', error);
+    }
+  };
+
+  const handleViewOnMap = () => {
+    navigation.navigate(ROUTES.MAP_TAB, {
+      screen: ROUTES.MAP,
+      params: { incidentId: incident.id, latitude: location.latitude, longitude: location.longitude },
+    });
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#007AFF" />
+      </View>
+    );
+  }
+
+  if (!incident) {
+    return (
+      <View style={styles.loadingContainer}>
+        <Text style={styles.emptyText}>Incident not found</Text>
+      </View>
+    );
+  }
+
+  const hasVerified = verifyQueued || verifications.some(v => v.user_id === userId);
+  const isResolved = incident.status === 'resolved';
+  const reportedLate = incident.reported_at &&
+    new Date(incident.inserted_at) - new Date(incident.reported_at) > LATE_REPORT_MS;
+  const yesNo = (value) => (value ? 'Yes' : 'No');
+  const detailRows = [
+    incident.severity && ['Severity', getSeverity(incident.severity)?.label || incident.severity],
+    incident.has_injuries != null && ['Injuries', yesNo(incident.has_injuries)],
+    incident.is_ongoing != null && ['Still happening', isResolved ? 'No' : yesNo(incident.is_ongoing)],
+    incident.suspect_count != null && ['Suspects', String(incident.suspect_count)],
+    formatVehicle(incident) && ['Vehicle', formatVehicle(incident)],
+  ].filter(Boolean);
+
+  return (
+    <ScrollView style={styles.container}>
+      {incident.photo_url && (
+        <OptimizedImage source={{ uri: incident.photo_url }} style={styles.photo} />
+      )}
+
+      <View style={styles.section}>
+        <View style={styles.headerRow}>
+          <View style={[styles.typeBadge, { backgroundColor: incidentTypeService.getColor(incident.type) }]}>
+            <Text style={styles.typeBadgeText}>
+              {incidentTypeService.getIcon(incident.type)} {incidentTypeService.getLabel(incident.type).toUpperCase()}
+            </Text>
+          </View>
+          {incident.is_verified && (
+            <View style={styles.verifiedBadge}>
+              <Text style={styles.verifiedBadgeText}>✓ Verified</Text>
+            </View>
+          )}
+          {isResolved && (
+            <View style={styles.resolvedBadge}>
+              <Text style={styles.verifiedBadgeText}>Resolved</Text>
+            </View>
+          )}
+        </View>
+        {incident.sub_type ? (
+          <Text style={styles.subTypeText}>
+            {incidentTypeService.getSubTypeLabel(incident.type, incident.sub_type)}
+          </Text>
+        ) : null}
+        <Text style={styles.timeText}>
+          {reportedLate ? `Happened ${formatTimeAgo(incident.reported_at).toLowerCase()} · reported ` : 'Reported '}
+          {formatTimeAgo(incident.inserted_at).toLowerCase()}
+          {isResolved && incident.resolved_at
+            ? ` · resolved ${formatTimeAgo(incident.resolved_at).toLowerCase()}`
+            : ''}
+        </Text>
+        {incident.description ? (
+          <Text style={styles.description}>{incident.description}</Text>
+        ) : (
+          <Text style={styles.emptyText}>No description provided</Text>
+        )}
+
+        <View style={styles.actionsRow}>
+          <TouchableOpacity
+            style={[styles.verifyButton, (hasVerified || isResolved || verifying) && styles.buttonDisabled]}
+            onPress={handleVerify}
+            disabled={hasVerified || isResolved || verifying}
+          >
+            {verifying ? (
+              <ActivityIndicator size="small" color="#FFFFFF" />
+            ) : (
+              <Text style={styles.verifyButtonText}>{hasVerified ? '✓ Verified' : 'Verify'}</Text>
+            )}
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.shareButton} onPress={handleShare}>
+            <Text style={styles.shareButtonText}>Share</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      {detailRows.length > 0 && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Details</Text>
+          {detailRows.map(([label, value]) => (
+            <View key={label} style={styles.verifierRow}>
+              <Text style={styles.verifierName}>{label}</Text>
+              <Text style={styles.detailValue}>{value}</Text>
+            </View>
+          ))}
+        </View>
+      )}
+
+      {location && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Location</Text>
+          <TouchableOpacity activeOpacity={0.8} onPress={handleViewOnMap}>
+            <MapView
+              style={styles.miniMap}
+              provider={PROVIDER_GOOGLE}
+              pointerEvents="none"
+              scrollEnabled={false}
+              zoomEnabled={false}
+              rotateEnabled={false}
+              pitchEnabled={false}
+              initialRegion={{
+                latitude: location.latitude,
+                longitude: location.longitude,
+                latitudeDelta: 0.01,
+                longitudeDelta: 0.01,
+              }}
+            >
+              {zone && (zone.polygons?.length > 0 ? (
+                zone.polygons.map((polygon, index) => (
+                  <Polygon
+                    key={index}
+                    coordinates={polygon.coordinates}
+                    holes={polygon.holes}
+                    strokeColor={ZONE_COLORS[zone.risk_level] || '#EF4444'}
+                    fillColor="rgba(239, 68, 68, 0.15)"
+                    strokeWidth={2}
+                  />
+                ))
+              ) : (
+                <Circle
+                  center={zone.center}
+                  radius={zone.radius_meters}
+                  strokeColor={ZONE_COLORS[zone.risk_level] || '#EF4444'}
+                  fillColor="rgba(239, 68, 68, 0.15)"
+                  strokeWidth={2}
+                />
+              ))}
+              <Marker coordinate={location} pinColor={incidentTypeService.getColor(incident.type)} />
+            </MapView>
+          </TouchableOpacity>
+          <Text style={styles.mapHint}>Tap the map to see it with nearby incidents</Text>
+
+          {zone ? (
+            <View style={[styles.zoneCard, { borderColor: ZONE_COLORS[zone.risk_level] || '#EF4444' }]}>
+              <Text style={styles.zoneTitle}>
+                ⚠️ In a {(zone.risk_level || '').toUpperCase()} risk hotspot zone
+              </Text>
+              <Text style={styles.zoneText}>
+                {zone.incident_count} {incidentTypeService.getLabel(zone.zone_type).toLowerCase()} reported in this area in the past 7 days
+              </Text>
+            </View>
+          ) : (
+            <Text style={styles.zoneNone}>Not inside a known hotspot zone</Text>
+          )}
+        </View>
+      )}
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>
+          Verifications ({incident.verification_count})
+        </Text>
+        {verifications.length === 0 ? (
+          <Text style={styles.emptyText}>Nobody has verified this incident yet</Text>
+        ) : (
+          [...verifications]
+            .sort((a, b) => new Date(b.verified_at) - new Date(a.verified_at))
+            .map(verification => (
+              <View key={verification.id} style={styles.verifierRow}>
+                <Text style={styles.verifierName}>
+                  {verification.user_id === userId ? 'You' : 'Community member'}
+                </Text>
+                <Text style={styles.verifierTime}>{formatTimeAgo(verification.verified_at)}</Text>
+              </View>
+            ))
+        )}
+      </View>
+
+      <View style={styles.bottomPadding} />
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F9FAFB',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#F9FAFB',
+  },
+  photo: {
+    width: '100%',
+    height: 240,
+  },
+  section: {
+    backgroundColor: '#FFFFFF',
+    marginTop: 16,
+    paddingHorizontal: 16,
+    paddingVertical: 20,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#1F2937',
+    marginBottom: 12,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  typeBadge: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 6,
+    marginRight: 8,
+  },
+  typeBadgeText: {
+    color: '#FFFFFF',
+    fontSize: 12,
+    fontWeight: '700',
+  },
+  verifiedBadge: {
+    backgroundColor: '#10B981',
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 4,
+  },
+  resolvedBadge: {
+    backgroundColor: '#6B7280',
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 4,
+    marginLeft: 8,
+  },
+  verifiedBadgeText: {
+    color: '#FFFFFF',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  subTypeText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#374151',
+    marginBottom: 4,
+  },
+  timeText: {
+    fontSize: 13,
+    color: '#9CA3AF',
+    marginBottom: 12,
+  },
+  description: {
+    fontSize: 16,
+    color: '#374151',
+    lineHeight: 22,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#9CA3AF',
+  },
+  actionsRow: {
+    flexDirection: 'row',
+    marginTop: 20,
+    gap: 12,
+  },
+  verifyButton: {
+    flex: 1,
+    backgroundColor: '#3B82F6',
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  buttonDisabled: {
+    backgroundColor: '#9CA3AF',
+  },
+  verifyButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  shareButton: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#3B82F6',
+  },
+  shareButtonText: {
+    color: '#3B82F6',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  miniMap: {
+    height: 180,
+    borderRadius: 8,
+  },
+  mapHint: {
+    fontSize: 12,
+    color: '#9CA3AF',
+    marginTop: 6,
+  },
+  zoneCard: {
+    marginTop: 12,
+    padding: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    backgroundColor: '#FEF2F2',
+  },
+  zoneTitle: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#991B1B',
+    marginBottom: 4,
+  },
+  zoneText: {
+    fontSize: 13,
+    color: '#7F1D1D',
+  },
+  zoneNone: {
+    marginTop: 12,
+    fontSize: 13,
+    color: '#6B7280',
+  },
+  verifierRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F3F4F6',
+  },
+  verifierName: {
+    fontSize: 15,
+    color: '#1F2937',
+  },
+  detailValue: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  verifierTime: {
+    fontSize: 13,
+    color: '#9CA3AF',
+  },
+  bottomPadding: {
+    height: 32,
+  },
+});
+
+export default IncidentDetailScreen;
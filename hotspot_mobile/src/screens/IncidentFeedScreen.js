@@ -11,8 +11,15 @@ import {
 } from 'react-native';
 import * as Location from 'expo-location';
 import { incidentService } from '../services/incidentService';
+import websocketService from '../services/websocketService';
+import locationManager from '../services/locationManager';
+import { distanceInMeters } from '../utils/geo';
+import { ROUTES } from '../navigation/routes';
+import incidentTypeService, { useIncidentTypes } from '../services/incidentTypeService';
+import { getSeverity, summarizeDetails, formatVehicle } from '../utils/incidentDetails';
 
 const IncidentFeedScreen = ({ navigation }) => {
+  const incidentTypes = useIncidentTypes();
   const [incidents, setIncidents] = useState([]);
   const [userLocation, setUserLocation] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -40,6 +47,21 @@ const IncidentFeedScreen = ({ navigation }) => {
     return () => clearInterval(locationInterval);
   }, []);
 
+  // Reporters' follow-ups change or remove items already in the feed
+  useEffect(() => {
+    const unsubscribeUpdated = websocketService.onIncidentUpdated((update) => {
+      setIncidents(prev => prev.map(item => (item.id === update.id ? { ...item, ...update } : item)));
+    });
+    const unsubscribeRemoved = websocketService.onIncidentRemoved(({ incident_id }) => {
+      setIncidents(prev => prev.filter(item => item.id !== incident_id));
+    });
+
+    return () => {
+      unsubscribeUpdated();
+      unsubscribeRemoved();
+    };
+  }, []);
+
   // Fetch incidents when location or filters change
   useEffect(() => {
     if (userLocation) {
@@ -55,10 +77,10 @@ const IncidentFeedScreen = ({ navigation }) => {
         return;
       }
 
-      const location = await Location.getCurrentPositionAsync({});
+      const location = await locationManager.getCurrentPosition();
       setUserLocation({
-        latitude: location.coords.latitude,
-        longitude: location.coords.longitude,
+        latitude: location.latitude,
+        longitude: location.longitude,
       });
     } catch (error) {
       console.error('Error getting location:', error);
@@ -68,15 +90,15 @@ const IncidentFeedScreen = ({ navigation }) => {
 
   const updateUserLocation = async () => {
     try {
-      const location = await Location.getCurrentPositionAsync({});
+      const location = await locationManager.getCurrentPosition();
       const newLocation = {
-        latitude: location.coords.latitude,
-        longitude: location.coords.longitude,
+        latitude: location.latitude,
+        longitude: location.longitude,
       };
 
       // Check if location changed significantly (more than 500 meters)
       if (userLocation) {
-        const distance = calculateDistance(
+        const distance = distanceInMeters(
           userLocation.latitude,
           userLocation.longitude,
           newLocation.latitude,
@@ -92,21 +114,6 @@ const IncidentFeedScreen = ({ navigation }) => {
     }
   };
 
-  const calculateDistance = (lat1, lon1, lat2, lon2) => {
-    const R = 6371000; // Earth's radius in meters
-    const φ1 = (lat1 * Math.PI) / 180;
-    const φ2 = (lat2 * Math.PI) / 180;
-    const Δφ = ((lat2 - lat1) * Math.PI) / 180;
-    const Δλ = ((lon2 - lon1) * Math.PI) / 180;
-
-    const a =
-      Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
-      Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-
-    return R * c;
-  };
-
   const fetchIncidents = async (page = 1, append = false) => {
     if (!userLocation) return;
 
@@ -158,19 +165,6 @@ const IncidentFeedScreen = ({ navigation }) => {
     }
   };
 
-  const getIncidentIcon = (type) => {
-    switch (type) {
-      case 'hijacking':
-        return '🚗';
-      case 'mugging':
-        return '👤';
-      case 'accident':
-        return '🚑';
-      default:
-        return '⚠️';
-    }
-  };
-
   const getTimeAgo = (timestamp) => {
     const now = new Date();
     const incidentTime = new Date(timestamp);
@@ -195,16 +189,17 @@ const IncidentFeedScreen = ({ navigation }) => {
   const renderIncidentItem = ({ item }) => (
     <TouchableOpacity
       style={styles.incidentCard}
-      onPress={() => navigation.navigate('Map', { focusIncident: item.id })}
+      onPress={() => navigation.navigate(ROUTES.INCIDENT_DETAIL, { incidentId: item.id, incident: item })}
     >
       <View style={styles.incidentHeader}>
-        <Text style={styles.incidentIcon}>{getIncidentIcon(item.type)}</Text>
+        <Text style={styles.incidentIcon}>{incidentTypeService.getIcon(item.type)}</Text>
         <View style={styles.incidentInfo}>
           <Text style={styles.incidentType}>
-            {item.type.charAt(0).toUpperCase() + item.type.slice(1)}
+            {incidentTypeService.getLabel(item.type)}
+            {item.sub_type ? ` · ${incidentTypeService.getSubTypeLabel(item.type, item.sub_type)}` : ''}
           </Text>
           <Text style={styles.incidentMeta}>
-            {item.distance ? formatDistance(item.distance) : 'Unknown'} • {getTimeAgo(item.inserted_at)}
+            {item.distance ? formatDistance(item.distance) : 'Unknown'} • {getTimeAgo(item.reported_at || item.inserted_at)}
           </Text>
         </View>
         {item.is_verified && (
@@ -212,7 +207,13 @@ const IncidentFeedScreen = ({ navigation }) => {
             <Text style={styles.verifiedText}>✓ Verified</Text>
           </View>
         )}
+        {item.status === 'resolved' && (
+          <View style={[styles.verifiedBadge, styles.resolvedBadge]}>
+            <Text style={styles.verifiedText}>Resolved</Text>
+          </View>
+        )}
       </View>
+      {renderDetails(item)}
       {item.description && (
         <Text style={styles.incidentDescription} numberOfLines={2}>
           {item.description}
@@ -226,6 +227,29 @@ const IncidentFeedScreen = ({ navigation }) => {
     </TouchableOpacity>
   );
 
+  const renderDetails = (item) => {
+    const severity = getSeverity(item.severity);
+    const facts = summarizeDetails(item);
+    const vehicle = formatVehicle(item);
+    if (!severity && facts.length === 0 && !vehicle) return null;
+
+    return (
+      <View style={styles.detailsRow}>
+        {severity && (
+          <View style={[styles.detailChip, { backgroundColor: severity.color }]}>
+            <Text style={styles.detailChipTextLight}>{severity.label}</Text>
+          </View>
+        )}
+        {facts.map(fact => (
+          <View key={fact} style={styles.detailChip}>
+            <Text style={styles.detailChipText}>{fact}</Text>
+          </View>
+        ))}
+        {vehicle && <Text style={styles.vehicleText}>🚘 {vehicle}</Text>}
+      </View>
+    );
+  };
+
   const renderFilterButton = (label, value, currentValue, onPress) => (
     <TouchableOpacity
       style={[
@@ -257,9 +281,11 @@ const IncidentFeedScreen = ({ navigation }) => {
         <Text style={styles.filterLabel}>Type</Text>
         <View style={styles.filterButtons}>
           {renderFilterButton('All', 'all', selectedType, setSelectedType)}
-          {renderFilterButton('Hijacking', 'hijacking', selectedType, setSelectedType)}
-          {renderFilterButton('Mugging', 'mugging', selectedType, setSelectedType)}
-          {renderFilterButton('Accident', 'accident', selectedType, setSelectedType)}
+          {incidentTypes.map(type => (
+            <React.Fragment key={type.key}>
+              {renderFilterButton(type.label, type.key, selectedType, setSelectedType)}
+            </React.Fragment>
+          ))}
         </View>
       </View>
 
@@ -433,11 +459,42 @@ const styles = StyleSheet.create({
     paddingVertical: 4,
     borderRadius: 12,
   },
+  resolvedBadge: {
+    backgroundColor: '#9E9E9E',
+    marginLeft: 6,
+  },
   verifiedText: {
     fontSize: 12,
     color: '#FFF',
     fontWeight: '600',
   },
+  detailsRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: 6,
+    marginBottom: 8,
+  },
+  detailChip: {
+    backgroundColor: '#F3F4F6',
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 10,
+  },
+  detailChipText: {
+    fontSize: 12,
+    color: '#374151',
+    fontWeight: '600',
+  },
+  detailChipTextLight: {
+    fontSize: 12,
+    color: '#FFF',
+    fontWeight: '600',
+  },
+  vehicleText: {
+    fontSize: 13,
+    color: '#555',
+  },
   incidentDescription: {
     fontSize: 14,
     color: '#666',
@@ -1,11 +1,118 @@
 import React from 'react';
 import { StyleSheet, Text } from 'react-native';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
+import { createStackNavigator } from '@react-navigation/stack';
 import MapScreen from './MapScreen';
 import IncidentFeedScreen from './IncidentFeedScreen';
 import AnalyticsScreen from './AnalyticsScreen';
+import CommunitiesScreen from './CommunitiesScreen';
+import GroupDetailScreen from './GroupDetailScreen';
+import CreateGroupScreen from './CreateGroupScreen';
+import GroupInviteScreen from './GroupInviteScreen';
+import IncidentDetailScreen from './IncidentDetailScreen';
+import MoreScreen from './MoreScreen';
+import MyReportsScreen from './MyReportsScreen';
+import SettingsScreen from './SettingsScreen';
+import SubscriptionScreen from './SubscriptionScreen';
+import TravelModeScreen from './TravelModeScreen';
+import EmergencyContactsScreen from './EmergencyContactsScreen';
+import { ROUTES } from '../navigation/routes';
 
 const Tab = createBottomTabNavigator();
+const MapStack = createStackNavigator();
+const FeedStack = createStackNavigator();
+const CommunitiesStack = createStackNavigator();
+const AnalyticsStack = createStackNavigator();
+const MoreStack = createStackNavigator();
+
+// Tab roots draw their own headers; pushed screens get the stack header and its back button
+const stackScreenOptions = {
+  headerShown: false,
+  headerTintColor: '#007AFF',
+  headerTitleStyle: {
+    fontWeight: '700',
+    color: '#1F2937',
+  },
+  headerBackTitleVisible: false,
+};
+
+// Incidents open from the map, the feed, group activity and My Reports, so each of those stacks has the detail screen
+const incidentDetailOptions = { headerShown: true, title: 'Incident' };
+
+const MapStackScreen = () => (
+  <MapStack.Navigator screenOptions={stackScreenOptions}>
+    <MapStack.Screen name={ROUTES.MAP} component={MapScreen} />
+    <MapStack.Screen
+      name={ROUTES.INCIDENT_DETAIL}
+      component={IncidentDetailScreen}
+      options={incidentDetailOptions}
+    />
+  </MapStack.Navigator>
+);
+
+const FeedStackScreen = () => (
+  <FeedStack.Navigator screenOptions={stackScreenOptions}>
+    <FeedStack.Screen name={ROUTES.FEED} component={IncidentFeedScreen} />
+    <FeedStack.Screen
+      name={ROUTES.INCIDENT_DETAIL}
+      component={IncidentDetailScreen}
+      options={incidentDetailOptions}
+    />
+  </FeedStack.Navigator>
+);
+
+const CommunitiesStackScreen = () => (
+  <CommunitiesStack.Navigator screenOptions={stackScreenOptions}>
+    <CommunitiesStack.Screen name={ROUTES.COMMUNITIES} component={CommunitiesScreen} />
+    <CommunitiesStack.Screen
+      name={ROUTES.GROUP_DETAIL}
+      component={GroupDetailScreen}
+      options={{ headerShown: true, title: 'Group' }}
+    />
+    <CommunitiesStack.Screen
+      name={ROUTES.CREATE_GROUP}
+      component={CreateGroupScreen}
+      options={{ headerShown: true, title: 'New Group' }}
+    />
+    <CommunitiesStack.Screen
+      name={ROUTES.GROUP_INVITE}
+      component={GroupInviteScreen}
+      options={{ headerShown: true, title: 'Group Invite' }}
+    />
+    <CommunitiesStack.Screen
+      name={ROUTES.INCIDENT_DETAIL}
+      component={IncidentDetailScreen}
+      options={incidentDetailOptions}
+    />
+  </CommunitiesStack.Navigator>
+);
+
+const AnalyticsStackScreen = () => (
+  <AnalyticsStack.Navigator screenOptions={stackScreenOptions}>
+    <AnalyticsStack.Screen name={ROUTES.ANALYTICS} component={AnalyticsScreen} />
+  </AnalyticsStack.Navigator>
+);
+
+const MoreStackScreen = () => (
+  <MoreStack.Navigator screenOptions={{ ...stackScreenOptions, headerShown: true }}>
+    <MoreStack.Screen name={ROUTES.MORE} component={MoreScreen} options={{ title: 'More' }} />
+    <MoreStack.Screen name={ROUTES.MY_REPORTS} component={MyReportsScreen} options={{ title: 'My Reports' }} />
+    <MoreStack.Screen
+      name={ROUTES.INCIDENT_DETAIL}
+      component={IncidentDetailScreen}
+      options={incidentDetailOptions}
+    />
+    <MoreStack.Screen name={ROUTES.TRAVEL_MODE} component={TravelModeScreen} options={{ title: 'Travel Mode' }} />
+    {/* Has its own header with a back button */}
+    <MoreStack.Screen
+      name={ROUTES.EMERGENCY_CONTACTS}
+      component={EmergencyContactsScreen}
+      options={{ headerShown: false }}
+    />
+    <MoreStack.Screen name={ROUTES.SETTINGS} component={SettingsScreen} options={{ title: 'Settings' }} />
+    <MoreStack.Screen name={ROUTES.SUBSCRIPTION} component={SubscriptionScreen} options={{ title: 'Subscription' }} />
+  </MoreStack.Navigator>
+);
 
 export default function MainScreen() {
   return (
@@ -19,29 +126,45 @@ export default function MainScreen() {
       }}
     >
       <Tab.Screen
-        name="Map"
-        component={MapScreen}
+        name={ROUTES.MAP_TAB}
+        component={MapStackScreen}
         options={{
           tabBarIcon: ({ color }) => <TabIcon icon="🗺️" color={color} />,
           tabBarLabel: 'Map',
         }}
       />
       <Tab.Screen
-        name="Feed"
-        component={IncidentFeedScreen}
+        name={ROUTES.FEED_TAB}
+        component={FeedStackScreen}
         options={{
           tabBarIcon: ({ color }) => <TabIcon icon="📋" color={color} />,
           tabBarLabel: 'Feed',
         }}
       />
       <Tab.Screen
-        name="Analytics"
-        component={AnalyticsScreen}
+        name={ROUTES.COMMUNITIES_TAB}
+        component={CommunitiesStackScreen}
+        options={{
+          tabBarIcon: ({ color }) => <TabIcon icon="👥" color={color} />,
+          tabBarLabel: 'Communities',
+        }}
+      />
+      <Tab.Screen
+        name={ROUTES.ANALYTICS_TAB}
+        component={AnalyticsStackScreen}
         options={{
           tabBarIcon: ({ color }) => <TabIcon icon="📊" color={color} />,
           tabBarLabel: 'Analytics',
         }}
       />
+      <Tab.Screen
+        name={ROUTES.MORE_TAB}
+        component={MoreStackScreen}
+        options={{
+          tabBarIcon: ({ color }) => <TabIcon icon="☰" color={color} />,
+          tabBarLabel: 'More',
+        }}
+      />
     </Tab.Navigator>
   );
 }
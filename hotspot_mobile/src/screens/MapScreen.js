@@ -7,33 +7,41 @@ import {
   Alert,
   ActivityIndicator,
 } from 'react-native';
-import MapView, { Marker, Circle, PROVIDER_GOOGLE } from 'react-native-maps';
+import MapView, { Marker, Circle, Polygon, LocalTile, PROVIDER_GOOGLE } from 'react-native-maps';
 import * as Location from 'expo-location';
 import NetInfo from '@react-native-community/netinfo';
-import geohash from 'ngeohash';
 import { incidentService } from '../services/incidentService';
 import { geofenceService } from '../services/geofenceService';
 import websocketService from '../services/websocketService';
+import geofenceEngine, { ZONE_ACTIONS } from '../services/geofenceEngine';
+import locationManager from '../services/locationManager';
+import { useShakeToReport } from '../services/voiceReportService';
+import reconciliationService, { SYNC_STATUS } from '../services/reconciliationService';
+import viewportLoader, { mergeLoadedArea, isRegionTooWide } from '../services/viewportLoader';
+import tilePackService, { PACK_STATUS } from '../services/tilePackService';
 import ReportIncidentModal from '../components/ReportIncidentModal';
+import HandsFreeReportModal from '../components/HandsFreeReportModal';
 import HotspotZoneBanner from '../components/HotspotZoneBanner';
 import OfflineIndicator from '../components/OfflineIndicator';
 import EmergencyServicesModal from '../components/EmergencyServicesModal';
+import DownloadAreaModal from '../components/DownloadAreaModal';
 import { useMarkerClustering, ClusterMarker } from '../components/MarkerCluster';
+import PlaybackPanel, { useIncidentPlayback } from '../components/IncidentPlayback';
+import MapFilterSheet from '../components/MapFilterSheet';
+import ZoneDetailsCard from '../components/ZoneDetailsCard';
+import {
+  useMapFilters,
+  filterIncidents,
+  toHeatmapParams,
+  countActiveFilters,
+} from '../services/mapFilterService';
 import { MapMarkerSkeleton } from '../components/LoadingSkeleton';
 import { lightHaptic, warningHaptic, successHaptic } from '../utils/haptics';
-import performanceMonitor from '../utils/performance';
-
-const INCIDENT_COLORS = {
-  hijacking: '#EF4444', // red
-  mugging: '#F97316', // orange
-  accident: '#3B82F6', // blue
-};
-
-const HEAT_ZONE_COLORS = {
-  hijacking: 'rgba(239, 68, 68, 0.3)', // red with transparency
-  mugging: 'rgba(249, 115, 22, 0.3)', // orange with transparency
-  accident: 'rgba(59, 130, 246, 0.3)', // blue with transparency
-};
+import { formatTimeAgo } from '../utils/format';
+import { circleToPolygon, geoJsonToPolygons, getIncidentCoordinates } from '../utils/geo';
+import { ROUTES } from '../navigation/routes';
+import incidentTypeService, { withAlpha } from '../services/incidentTypeService';
+import { getSeverity, summarizeDetails, formatVehicle } from '../utils/incidentDetails';
 
 const HOTSPOT_ZONE_COLORS = {
   low: 'rgba(251, 191, 36, 0.25)', // yellow
@@ -49,7 +57,20 @@ const HOTSPOT_ZONE_STROKE_COLORS = {
   critical: '#DC2626',
 };
 
-const MapScreen = () => {
+const HOTSPOT_ZONE_STROKE_WIDTHS = {
+  low: 2,
+  medium: 2,
+  high: 3,
+  critical: 4,
+};
+
+// Zones without a shape are drawn as a polygon too, so every zone can be tapped
+const zonePolygons = (zone) =>
+  zone.polygons?.length > 0
+    ? zone.polygons
+    : [{ coordinates: circleToPolygon(zone.center, zone.radius_meters), holes: [] }];
+
+const MapScreen = ({ route, navigation }) => {
   const [userLocation, setUserLocation] = useState(null);
   const [incidents, setIncidents] = useState([]);
   const [heatZones, setHeatZones] = useState([]);
@@ -57,76 +78,176 @@ const MapScreen = () => {
   const [showHeatZones, setShowHeatZones] = useState(true);
   const [showHotspotZones, setShowHotspotZones] = useState(true);
   const [selectedIncident, setSelectedIncident] = useState(null);
+  const [selectedZone, setSelectedZone] = useState(null);
   const [loading, setLoading] = useState(true);
   const [locationPermission, setLocationPermission] = useState(false);
   const [reportModalVisible, setReportModalVisible] = useState(false);
+  const [handsFreeVisible, setHandsFreeVisible] = useState(false);
   const [isOnline, setIsOnline] = useState(true);
   const [verifyingIncident, setVerifyingIncident] = useState(false);
   const [verifiedIncidents, setVerifiedIncidents] = useState(new Set());
   const [zoneAlert, setZoneAlert] = useState(null);
   const [mapZoom, setMapZoom] = useState(12);
   const [emergencyServicesModalVisible, setEmergencyServicesModalVisible] = useState(false);
+  const [mapRegion, setMapRegion] = useState(null);
+  const [downloadAreaModalVisible, setDownloadAreaModalVisible] = useState(false);
+  const [tilePacks, setTilePacks] = useState([]);
+  const [playbackVisible, setPlaybackVisible] = useState(false);
+  const [playbackPeriod, setPlaybackPeriod] = useState('24h');
+  const [playbackType, setPlaybackType] = useState('all');
+  const [filterSheetVisible, setFilterSheetVisible] = useState(false);
   const mapRef = useRef(null);
-  const locationWatchRef = useRef(null);
+  const mapRegionRef = useRef(null);
+  const locationSubscriptionRef = useRef(null);
+
+  // Saved map filters; the heat layer is fetched with the same filters
+  const { filters: mapFilters, groupAreas, setFilters: setMapFilters } = useMapFilters();
+  const filteredIncidents = useMemo(
+    () => filterIncidents(incidents, mapFilters, groupAreas),
+    [incidents, mapFilters, groupAreas]
+  );
+  const activeFilterCount = countActiveFilters(mapFilters);
+
+  // During playback the map shows the chosen frame instead of live incidents
+  const player = useIncidentPlayback(mapRegion, {
+    enabled: playbackVisible,
+    period: playbackPeriod,
+    type: playbackType,
+  });
+  const visibleIncidents = playbackVisible ? player.frameIncidents : filteredIncidents;
+  const visibleHeatZones = playbackVisible ? player.frameHeatZones : showHeatZones ? heatZones : [];
+  const heatZoneShapes = useMemo(
+    () => visibleHeatZones.map(zone => ({ zone, polygons: geoJsonToPolygons(zone.geometry) })),
+    [visibleHeatZones]
+  );
+  const hotspotZoneShapes = useMemo(
+    () => hotspotZones.map(zone => ({ zone, polygons: zonePolygons(zone) })),
+    [hotspotZones]
+  );
 
   // Use marker clustering for better performance
-  const clusteredMarkers = useMarkerClustering(incidents, mapZoom);
+  const { markers: clusteredMarkers, expandCluster } = useMarkerClustering(visibleIncidents, mapRegion, mapZoom);
+
+  // Shaking the phone starts a hands-free report, unless a report is already open
+  useShakeToReport(() => {
+    if (navigation.isFocused() && !reportModalVisible) {
+      setHandsFreeVisible(true);
+    }
+  });
+
+  const hasOfflineTiles = tilePacks.some(pack => pack.bytes > 0);
+  const downloadingPack = tilePacks.find(pack => pack.status === PACK_STATUS.DOWNLOADING);
 
   useEffect(() => {
     requestLocationPermission();
     setupConnectivityListener();
     initializeWebSocket();
 
+    // Zone alerts come from on-device checks and from the server, announced once
+    const unsubscribeZones = geofenceEngine.onZoneEvent(handleZoneEvent);
+
+    // Offline area packs back the map when there is no connection
+    tilePackService.getPacks().then(setTilePacks);
+    const unsubscribeTilePacks = tilePackService.onPacksChange(setTilePacks);
+
+    // Swap optimistic incidents for their server copies as queued reports sync
+    reconciliationService.loadMappings();
+    const unsubscribeReconcile = reconciliationService.onReconcile((changes) => {
+      setIncidents(prev => reconciliationService.applyChanges(prev, changes));
+      setSelectedIncident(prev =>
+        prev ? reconciliationService.applyChanges([prev], changes)[0] || null : prev
+      );
+    });
+
     // Cleanup on unmount
     return () => {
       websocketService.disconnect();
+      viewportLoader.cancel();
+      unsubscribeReconcile();
+      unsubscribeTilePacks();
+      unsubscribeZones();
       
       // Stop location tracking
-      if (locationWatchRef.current) {
-        locationWatchRef.current.remove();
+      if (locationSubscriptionRef.current) {
+        locationSubscriptionRef.current();
       }
     };
   }, []);
 
+  // Opened on an incident or zone from a notification, the feed or a link
+  useEffect(() => {
+    focusFromParams(route?.params);
+  }, [route?.params]);
+
   useEffect(() => {
     if (userLocation) {
-      fetchNearbyIncidents();
       fetchHeatmapData();
       fetchHotspotZones();
       updateWebSocketLocation(userLocation);
     }
   }, [userLocation]);
 
+  useEffect(() => {
+    if (userLocation) {
+      fetchHeatmapData();
+    }
+  }, [mapFilters]);
+
   const initializeWebSocket = async () => {
     try {
       const connected = await websocketService.connect();
       
       if (connected) {
         // Subscribe to new incident events
-        websocketService.onNewIncident((incident) => {
-          handleNewIncidentFromWebSocket(incident);
+        websocketService.onNewIncident((incident, meta) => {
+          handleNewIncidentFromWebSocket(incident, meta);
+        });
+
+        // Reports missed during a long disconnect come back as a single refetch
+        websocketService.onIncidentsBackfilled((backfilled) => {
+          setIncidents(prev =>
+            backfilled.reduce((list, incident) => reconciliationService.mergeIncident(list, incident), prev)
+          );
+        });
+
+        // Keep verification counts current while people verify nearby reports
+        websocketService.onIncidentVerified((data) => {
+          const counts = { verification_count: data.verification_count, is_verified: data.is_verified };
+          setIncidents(prev =>
+            prev.map(incident => (incident.id === data.incident_id ? { ...incident, ...counts } : incident))
+          );
+          setSelectedIncident(prev => (prev && prev.id === data.incident_id ? { ...prev, ...counts } : prev));
+        });
+
+        // Reporter follow-ups: new details or resolved, and retractions
+        websocketService.onIncidentUpdated((update) => {
+          setIncidents(prev =>
+            prev.map(incident => (incident.id === update.id ? { ...incident, ...update } : incident))
+          );
+          setSelectedIncident(prev => (prev && prev.id === update.id ? { ...prev, ...update } : prev));
+        });
+
+        websocketService.onIncidentRemoved(({ incident_id }) => {
+          setIncidents(prev => prev.filter(incident => incident.id !== incident_id));
+          setSelectedIncident(prev => (prev && prev.id === incident_id ? null : prev));
         });
 
         // Join geofence channel for zone alerts
         await websocketService.joinGeofenceChannel();
 
-        // Subscribe to zone entry events
+        // Server zone events go through the on-device engine so each is announced once
         websocketService.onZoneEntered((data) => {
-          handleZoneEntered(data);
+          geofenceEngine.handleServerEvent(data);
         });
 
-        // Subscribe to zone exit events
         websocketService.onZoneExited((data) => {
-          handleZoneExited(data);
+          geofenceEngine.handleServerEvent(data);
         });
 
-        // Subscribe to zone approaching events (premium users)
+        // Zone approaching events (premium users)
         websocketService.onZoneApproaching((data) => {
-          handleZoneApproaching(data);
+          geofenceEngine.handleServerEvent(data);
         });
-
-        // Start background location tracking
-        startBackgroundLocationTracking();
       }
     } catch (error) {
       console.error('Failed to initialize WebSocket:', error);
@@ -134,46 +255,49 @@ const MapScreen = () => {
   };
 
   const updateWebSocketLocation = (location) => {
-    // Calculate geohash for current location
-    const currentGeohash = geohash.encode(location.latitude, location.longitude, 6);
-    
-    // Join incident channel for this geohash
-    websocketService.joinIncidentChannel(currentGeohash);
-    
-    // Update location on the server
+    // Subscribe to the incident channels around the current location
     websocketService.updateLocation(location.latitude, location.longitude);
   };
 
-  const handleNewIncidentFromWebSocket = (incident) => {
+  const handleNewIncidentFromWebSocket = (incident, { replayed } = {}) => {
     console.log('Received new incident via WebSocket:', incident);
     
-    // Add the new incident to the map if not already present
+    // Our own queued report coming back from the server replaces its optimistic entry
+    const isOwnReport = reconciliationService.isOwnReport(incident.id);
+
     setIncidents(prev => {
-      const exists = prev.some(i => i.id === incident.id);
-      if (exists) return prev;
-      
       // Transform incident data to match expected format
       const newIncident = {
         id: incident.id,
         type: incident.type,
-        location: {
-          latitude: incident.latitude,
-          longitude: incident.longitude,
-        },
+        sub_type: incident.sub_type,
+        severity: incident.severity,
+        has_injuries: incident.has_injuries,
+        suspect_count: incident.suspect_count,
+        is_ongoing: incident.is_ongoing,
+        vehicle_make: incident.vehicle_make,
+        vehicle_color: incident.vehicle_color,
+        vehicle_plate: incident.vehicle_plate,
+        location: getIncidentCoordinates(incident),
         description: incident.description,
         photo_url: incident.photo_url,
         verification_count: incident.verification_count,
         is_verified: incident.is_verified,
+        status: incident.status,
         inserted_at: incident.inserted_at,
+        reported_at: incident.reported_at,
       };
       
-      return [newIncident, ...prev];
+      return reconciliationService.mergeIncident(prev, newIncident);
     });
+
+    // Missed while disconnected; alerting for each one now would be noise
+    if (isOwnReport || replayed) return;
     
     // Show a brief notification (optional)
     Alert.alert(
       'New Incident Nearby',
-      `A ${incident.type} was just reported in your area.`,
+      `A ${incidentTypeService.getLabel(incident.type).toLowerCase()} was just reported in your area.`,
       [{ text: 'OK' }],
       { cancelable: true }
     );
@@ -183,9 +307,11 @@ const MapScreen = () => {
     const unsubscribe = NetInfo.addEventListener(state => {
       setIsOnline(state.isConnected);
       
-      // Try to sync offline reports when connection is restored
+      // Try to sync offline reports when connection is restored, and replace
+      // anything shown from the offline cache
       if (state.isConnected) {
         syncOfflineReports();
+        refreshViewport();
       }
     });
 
@@ -195,12 +321,18 @@ const MapScreen = () => {
   const syncOfflineReports = async () => {
     try {
       const result = await incidentService.syncOfflineReports();
-      if (result.success > 0) {
+      if (result.synced > 0) {
         Alert.alert(
           'Reports Synced',
-          `${result.success} queued report(s) have been submitted successfully.`
+          `${result.synced} queued report(s) have been submitted successfully.`
+        );
+        refreshViewport(); // Refresh the map
+      }
+      if (result.failed > 0 && result.results) {
+        Alert.alert(
+          'Reports Rejected',
+          `${result.failed} queued report(s) could not be submitted. Tap them on the map for details.`
         );
-        fetchNearbyIncidents(); // Refresh the map
       }
     } catch (error) {
       console.error('Error syncing offline reports:', error);
@@ -222,6 +354,9 @@ const MapScreen = () => {
 
       setLocationPermission(true);
       getCurrentLocation();
+
+      // Background access can only be requested once foreground access is granted
+      startBackgroundLocationTracking();
     } catch (error) {
       console.error('Error requesting location permission:', error);
       setLoading(false);
@@ -230,25 +365,26 @@ const MapScreen = () => {
 
   const getCurrentLocation = async () => {
     try {
-      const location = await Location.getCurrentPositionAsync({
-        accuracy: Location.Accuracy.High,
-      });
+      const location = await locationManager.getCurrentPosition();
 
       const coords = {
-        latitude: location.coords.latitude,
-        longitude: location.coords.longitude,
+        latitude: location.latitude,
+        longitude: location.longitude,
       };
 
       setUserLocation(coords);
       setLoading(false);
 
+      const region = { ...coords, latitudeDelta: 0.05, longitudeDelta: 0.05 };
+
       // Center map on user location
       if (mapRef.current) {
-        mapRef.current.animateToRegion({
-          ...coords,
-          latitudeDelta: 0.05,
-          longitudeDelta: 0.05,
-        });
+        mapRef.current.animateToRegion(region);
+      }
+
+      // The map may not report its first region, so load around the user straight away
+      if (!mapRegionRef.current) {
+        loadViewport(region);
       }
     } catch (error) {
       console.error('Error getting current location:', error);
@@ -256,22 +392,19 @@ const MapScreen = () => {
     }
   };
 
-  const fetchNearbyIncidents = async () => {
-    if (!userLocation) return;
+  // Incidents follow the visible map area; the websocket fills in new ones as they arrive
+  const loadViewport = (region) => {
+    viewportLoader.request(region, {
+      onLoad: (loaded) => setIncidents(prev => mergeLoadedArea(prev, loaded)),
+      onError: () => Alert.alert('Error', 'Failed to load incidents for this area'),
+    });
+  };
 
-    try {
-      const data = await performanceMonitor.measureAsync(
-        'Fetch Nearby Incidents',
-        () => incidentService.getNearby(
-          userLocation.latitude,
-          userLocation.longitude,
-          5000 // 5km radius
-        )
-      );
-      setIncidents(data);
-    } catch (error) {
-      console.error('Error fetching incidents:', error);
-      Alert.alert('Error', 'Failed to load nearby incidents');
+  // Reload the whole viewport, e.g. once queued reports have synced
+  const refreshViewport = () => {
+    viewportLoader.invalidate();
+    if (mapRegionRef.current) {
+      loadViewport(mapRegionRef.current);
     }
   };
 
@@ -279,7 +412,7 @@ const MapScreen = () => {
     if (!isOnline) return;
 
     try {
-      const data = await incidentService.getHeatmap();
+      const data = await incidentService.getHeatmap(toHeatmapParams(mapFilters));
       setHeatZones(data.clusters || []);
     } catch (error) {
       console.error('Error fetching heatmap data:', error);
@@ -287,12 +420,83 @@ const MapScreen = () => {
     }
   };
 
+  const focusFromParams = async (params) => {
+    const { incidentId, zoneId, latitude, longitude } = params || {};
+    let target = Number.isFinite(latitude) && Number.isFinite(longitude)
+      ? { latitude, longitude, delta: 0.01 }
+      : null;
+
+    try {
+      if (incidentId) {
+        let incident = incidents.find(i => String(i.id) === String(incidentId));
+        if (!incident) {
+          // Links can point at incidents outside the loaded area
+          incident = await incidentService.getIncident(incidentId);
+          setIncidents(prev =>
+            prev.some(i => String(i.id) === String(incident.id)) ? prev : [...prev, incident]
+          );
+        }
+        setSelectedIncident(incident);
+        target = target || { ...incident.location, delta: 0.01 };
+      } else if (zoneId) {
+        let zone = hotspotZones.find(z => String(z.id) === String(zoneId));
+        if (!zone) {
+          zone = await geofenceService.getZone(zoneId);
+        }
+        setShowHotspotZones(true);
+        setSelectedIncident(null);
+        setSelectedZone(zone);
+        target = target || zoneTarget(zone);
+      }
+    } catch (error) {
+      console.error('Error opening linked item:', error);
+      Alert.alert('Not Found', incidentId
+        ? 'This incident is no longer available.'
+        : 'This hotspot zone is no longer available.');
+    }
+
+    if (target?.latitude != null && mapRef.current) {
+      mapRef.current.animateToRegion({
+        latitude: target.latitude,
+        longitude: target.longitude,
+        latitudeDelta: target.delta,
+        longitudeDelta: target.delta,
+      });
+    }
+  };
+
+  // Region that fits the whole zone on screen
+  const zoneTarget = (zone) => {
+    const points = zonePolygons(zone).flatMap(polygon => polygon.coordinates);
+    const latitudes = points.map(point => point.latitude);
+    const longitudes = points.map(point => point.longitude);
+    const minLat = Math.min(...latitudes);
+    const maxLat = Math.max(...latitudes);
+    const minLng = Math.min(...longitudes);
+    const maxLng = Math.max(...longitudes);
+
+    return {
+      latitude: (minLat + maxLat) / 2,
+      longitude: (minLng + maxLng) / 2,
+      delta: Math.max(0.01, (maxLat - minLat) * 2, (maxLng - minLng) * 2),
+    };
+  };
+
+  const handleZonePress = (zone) => {
+    lightHaptic();
+    setSelectedIncident(null);
+    setSelectedZone(zone);
+  };
+
   const fetchHotspotZones = async () => {
     if (!isOnline) return;
 
     try {
       const zones = await geofenceService.getZones();
       setHotspotZones(zones || []);
+
+      // Keep the on-device geofences in step with what the map shows
+      geofenceEngine.setZones(zones || []);
     } catch (error) {
       console.error('Error fetching hotspot zones:', error);
       // Don't show alert for zone errors - it's not critical
@@ -301,39 +505,43 @@ const MapScreen = () => {
 
   const startBackgroundLocationTracking = async () => {
     try {
-      // Request background location permission
+      // Background permission lets zone checks keep running while the app is closed
       const { status } = await Location.requestBackgroundPermissionsAsync();
-      
-      if (status !== 'granted') {
-        console.warn('Background location permission not granted');
-        return;
+
+      if (status === 'granted') {
+        await locationManager.setBackgroundEnabled(true);
+      } else {
+        console.warn('Background location permission not granted, zone alerts only work in the app');
       }
 
-      // Start watching location with high accuracy
-      locationWatchRef.current = await Location.watchPositionAsync(
-        {
-          accuracy: Location.Accuracy.High,
-          timeInterval: 10000, // Update every 10 seconds
-          distanceInterval: 50, // Or when user moves 50 meters
-        },
-        (location) => {
-          const coords = {
-            latitude: location.coords.latitude,
-            longitude: location.coords.longitude,
-          };
-
-          // Update user location state
-          setUserLocation(coords);
-
-          // Send location update to geofence channel
-          websocketService.updateGeofenceLocation(coords.latitude, coords.longitude);
-        }
-      );
+      // The location manager adapts sampling to speed, nearby zones and battery
+      locationSubscriptionRef.current = locationManager.subscribe((location) => {
+        const coords = {
+          latitude: location.latitude,
+          longitude: location.longitude,
+        };
+
+        // Update user location state
+        setUserLocation(coords);
+
+        // Send location update to geofence channel
+        websocketService.updateGeofenceLocation(coords.latitude, coords.longitude);
+      });
     } catch (error) {
       console.error('Error starting background location tracking:', error);
     }
   };
 
+  const handleZoneEvent = (event) => {
+    if (event.action === ZONE_ACTIONS.ENTERED) {
+      handleZoneEntered(event);
+    } else if (event.action === ZONE_ACTIONS.EXITED) {
+      handleZoneExited(event);
+    } else if (event.action === ZONE_ACTIONS.APPROACHING) {
+      handleZoneApproaching(event);
+    }
+  };
+
   const handleZoneEntered = (data) => {
     console.log('Entered hotspot zone:', data);
     
@@ -405,20 +613,6 @@ const MapScreen = () => {
     }
   };
 
-  const formatTimeAgo = (timestamp) => {
-    const now = new Date();
-    const incidentTime = new Date(timestamp);
-    const diffMs = now - incidentTime;
-    const diffMins = Math.floor(diffMs / 60000);
-    const diffHours = Math.floor(diffMins / 60);
-    const diffDays = Math.floor(diffHours / 24);
-
-    if (diffMins < 1) return 'Just now';
-    if (diffMins < 60) return `${diffMins}m ago`;
-    if (diffHours < 24) return `${diffHours}h ago`;
-    return `${diffDays}d ago`;
-  };
-
   const formatDistance = (meters) => {
     if (meters < 1000) {
       return `${Math.round(meters)}m away`;
@@ -426,13 +620,17 @@ const MapScreen = () => {
     return `${(meters / 1000).toFixed(1)}km away`;
   };
 
-  const handleReportSuccess = (incident) => {
+  const addReportedIncident = (incident) => {
     // Add the new incident to the map immediately
     setIncidents(prev => [incident, ...prev]);
     
     // Refresh heatmap data after a new incident is reported
     fetchHeatmapData();
-    
+  };
+
+  const handleReportSuccess = (incident) => {
+    addReportedIncident(incident);
+
     // Show success message
     Alert.alert(
       'Success',
@@ -440,23 +638,35 @@ const MapScreen = () => {
     );
   };
 
+  // Zoom in just far enough to split the cluster; children at the same
+  // spot are fanned out around it instead
+  const handleClusterPress = (cluster) => {
+    const zoom = expandCluster(cluster);
+    if (zoom !== null && mapRef.current) {
+      mapRef.current.animateCamera({
+        center: { latitude: cluster.latitude, longitude: cluster.longitude },
+        zoom,
+      });
+    }
+  };
+
   const toggleHeatZones = () => {
     lightHaptic();
     setShowHeatZones(prev => !prev);
   };
 
+  const togglePlayback = () => {
+    lightHaptic();
+    setSelectedIncident(null);
+    setPlaybackVisible(prev => !prev);
+  };
+
   const toggleHotspotZones = () => {
     lightHaptic();
     setShowHotspotZones(prev => !prev);
   };
 
   const handleVerifyIncident = async (incidentId) => {
-    if (!isOnline) {
-      warningHaptic();
-      Alert.alert('Offline', 'You need to be online to verify incidents.');
-      return;
-    }
-
     if (verifiedIncidents.has(incidentId)) {
       warningHaptic();
       Alert.alert('Already Verified', 'You have already verified this incident.');
@@ -468,7 +678,15 @@ const MapScreen = () => {
 
     try {
       const result = await incidentService.verify(incidentId);
-      
+
+      if (result.queued) {
+        // Sent from the outbox once we are back online
+        setVerifiedIncidents(prev => new Set([...prev, incidentId]));
+        successHaptic();
+        Alert.alert('Verification queued', 'Your verification will be sent when you are back online.');
+        return;
+      }
+
       // Update the incident in the list with new verification count
       setIncidents(prev =>
         prev.map(incident =>
@@ -498,7 +716,7 @@ const MapScreen = () => {
       Alert.alert('Success', result.message || 'Incident verified successfully!');
     } catch (error) {
       warningHaptic();
-      const errorMessage = error.response?.data?.error || 'Failed to verify incident';
+      const errorMessage = error.userMessage || 'Failed to verify incident';
       Alert.alert('Error', errorMessage);
     } finally {
       setVerifyingIncident(false);
@@ -527,6 +745,19 @@ const MapScreen = () => {
     );
   }
 
+  // Severity, injuries, suspects and vehicle on one line
+  const renderIncidentFacts = (incident) => {
+    const severity = getSeverity(incident.severity);
+    const facts = [severity?.label, ...summarizeDetails(incident), formatVehicle(incident)].filter(Boolean);
+    if (facts.length === 0) return null;
+
+    return (
+      <Text style={[styles.incidentFacts, severity && { color: severity.color }]}>
+        {facts.join(' · ')}
+      </Text>
+    );
+  };
+
   return (
     <View style={styles.container}>
       <MapView
@@ -542,63 +773,82 @@ const MapScreen = () => {
               }
             : undefined
         }
+        // Offline, draw only the downloaded area packs
+        mapType={!isOnline && hasOfflineTiles ? 'none' : 'standard'}
         showsUserLocation={true}
         showsMyLocationButton={false}
         onRegionChangeComplete={(region) => {
           // Estimate zoom level from latitudeDelta
           const zoom = Math.round(Math.log(360 / region.latitudeDelta) / Math.LN2);
           setMapZoom(zoom);
+          setMapRegion(region);
+          mapRegionRef.current = region;
+          loadViewport(region);
         }}
       >
-        {/* Hotspot zones - render first (geofenced areas) */}
-        {showHotspotZones && hotspotZones.map((zone) => (
-          <Circle
-            key={`hotspot-zone-${zone.id}`}
-            center={{
-              latitude: zone.center.latitude,
-              longitude: zone.center.longitude,
-            }}
-            radius={zone.radius_meters}
-            fillColor={HOTSPOT_ZONE_COLORS[zone.risk_level] || 'rgba(128, 128, 128, 0.25)'}
-            strokeColor={HOTSPOT_ZONE_STROKE_COLORS[zone.risk_level] || '#808080'}
-            strokeWidth={3}
-          />
-        ))}
+        {!isOnline && hasOfflineTiles && (
+          <LocalTile pathTemplate={tilePackService.getLocalPathTemplate()} tileSize={256} />
+        )}
 
-        {/* Heat zones - render second */}
-        {showHeatZones && heatZones.map((zone, index) => (
-          <Circle
-            key={`heat-zone-${index}`}
-            center={{
-              latitude: zone.center.latitude,
-              longitude: zone.center.longitude,
-            }}
-            radius={zone.radius}
-            fillColor={HEAT_ZONE_COLORS[zone.dominant_type] || 'rgba(128, 128, 128, 0.3)'}
-            strokeColor={INCIDENT_COLORS[zone.dominant_type] || '#808080'}
-            strokeWidth={2}
-          />
-        ))}
+        {/* Hotspot zones - render first (geofenced areas) */}
+        {showHotspotZones && hotspotZoneShapes.map(({ zone, polygons }) =>
+          polygons.map((polygon, index) => (
+            <Polygon
+              key={`hotspot-zone-${zone.id}-${index}`}
+              coordinates={polygon.coordinates}
+              holes={polygon.holes}
+              fillColor={HOTSPOT_ZONE_COLORS[zone.risk_level] || 'rgba(128, 128, 128, 0.25)'}
+              strokeColor={HOTSPOT_ZONE_STROKE_COLORS[zone.risk_level] || '#808080'}
+              strokeWidth={HOTSPOT_ZONE_STROKE_WIDTHS[zone.risk_level] || 2}
+              tappable={true}
+              onPress={() => handleZonePress(zone)}
+            />
+          ))
+        )}
+
+        {/* Heat zones - render second, shaped to their incidents */}
+        {heatZoneShapes.map(({ zone, polygons }, zoneIndex) =>
+          polygons.length > 0 ? (
+            polygons.map((polygon, index) => (
+              <Polygon
+                key={`heat-zone-${zoneIndex}-${index}`}
+                coordinates={polygon.coordinates}
+                holes={polygon.holes}
+                fillColor={withAlpha(incidentTypeService.getColor(zone.dominant_type), 0.3)}
+                strokeColor={incidentTypeService.getColor(zone.dominant_type)}
+                strokeWidth={2}
+              />
+            ))
+          ) : (
+            <Circle
+              key={`heat-zone-${zoneIndex}`}
+              center={{
+                latitude: zone.center.latitude,
+                longitude: zone.center.longitude,
+              }}
+              radius={zone.radius}
+              fillColor={withAlpha(incidentTypeService.getColor(zone.dominant_type), 0.3)}
+              strokeColor={incidentTypeService.getColor(zone.dominant_type)}
+              strokeWidth={2}
+            />
+          )
+        )}
 
         {/* Clustered incident markers for better performance */}
-        {clusteredMarkers.map((cluster, index) => (
+        {clusteredMarkers.map((cluster) => (
           <ClusterMarker
-            key={cluster.type === 'single' ? cluster.incident.id : `cluster-${index}`}
+            key={cluster.type === 'single' ? cluster.incident.id : `cluster-${cluster.id}`}
             cluster={cluster}
             onPress={(data) => {
               lightHaptic();
-              if (Array.isArray(data)) {
-                // Cluster tapped - zoom in
-                if (mapRef.current) {
-                  mapRef.current.animateToRegion({
-                    latitude: cluster.latitude,
-                    longitude: cluster.longitude,
-                    latitudeDelta: 0.01,
-                    longitudeDelta: 0.01,
-                  });
-                }
+              if (cluster.type === 'cluster') {
+                handleClusterPress(cluster);
+              } else if (playbackVisible) {
+                // Playback only carries a summary of each incident
+                navigation.navigate(ROUTES.INCIDENT_DETAIL, { incidentId: data.id });
               } else {
                 // Single incident tapped
+                setSelectedZone(null);
                 setSelectedIncident(data);
               }
             }}
@@ -641,54 +891,158 @@ const MapScreen = () => {
         </Text>
       </TouchableOpacity>
 
-      {/* Center on user location button */}
+      {/* Replay past incidents and heat zones */}
       <TouchableOpacity
-        style={styles.centerButton}
-        onPress={centerOnUserLocation}
+        style={[styles.playbackToggle, playbackVisible && styles.playbackToggleActive]}
+        onPress={togglePlayback}
       >
-        <Text style={styles.centerButtonText}>📍</Text>
+        <Text style={styles.playbackToggleText}>⏱</Text>
+        <Text style={[styles.playbackToggleLabel, playbackVisible && styles.playbackToggleLabelActive]}>
+          Playback
+        </Text>
       </TouchableOpacity>
 
-      {/* Zoom controls */}
-      <View style={styles.zoomControls}>
+      {/* Map filters */}
+      {!playbackVisible && (
         <TouchableOpacity
-          style={styles.zoomButton}
+          style={[styles.filterToggle, activeFilterCount > 0 && styles.filterToggleActive]}
           onPress={() => {
-            if (mapRef.current) {
-              mapRef.current.getCamera().then((camera) => {
-                camera.zoom += 1;
-                mapRef.current.animateCamera(camera);
-              });
-            }
+            lightHaptic();
+            setFilterSheetVisible(true);
           }}
         >
-          <Text style={styles.zoomButtonText}>+</Text>
+          <Text style={styles.filterToggleText}>⚙️</Text>
+          <Text style={[styles.filterToggleLabel, activeFilterCount > 0 && styles.filterToggleLabelActive]}>
+            {activeFilterCount > 0 ? `Filters (${activeFilterCount})` : 'Filters'}
+          </Text>
         </TouchableOpacity>
+      )}
+
+      {/* Save the visible area for offline use */}
+      {!playbackVisible && tilePackService.isAvailable() && (
         <TouchableOpacity
-          style={styles.zoomButton}
+          style={styles.downloadAreaButton}
           onPress={() => {
-            if (mapRef.current) {
-              mapRef.current.getCamera().then((camera) => {
-                camera.zoom -= 1;
-                mapRef.current.animateCamera(camera);
-              });
+            lightHaptic();
+            if (!isOnline) {
+              Alert.alert('Offline', 'Connect to the internet to download map areas.');
+              return;
             }
+            setDownloadAreaModalVisible(true);
           }}
         >
-          <Text style={styles.zoomButtonText}>−</Text>
+          <Text style={styles.centerButtonText}>⬇️</Text>
         </TouchableOpacity>
-      </View>
+      )}
 
-      {/* Floating Report Incident Button */}
-      <TouchableOpacity
-        style={styles.reportButton}
-        onPress={() => {
-          lightHaptic();
-          setReportModalVisible(true);
-        }}
-      >
-        <Text style={styles.reportButtonText}>+ Report Incident</Text>
-      </TouchableOpacity>
+      {!playbackVisible && mapRegion && isRegionTooWide(mapRegion) && (
+        <View style={styles.zoomHint} pointerEvents="none">
+          <Text style={styles.zoomHintText}>Zoom in to load incidents for this area</Text>
+        </View>
+      )}
+
+      {downloadingPack && (
+        <View style={styles.tileDownloadProgress}>
+          <Text style={styles.tileDownloadProgressText}>
+            Saving {downloadingPack.name}…{' '}
+            {Math.round((downloadingPack.downloaded_tiles / downloadingPack.total_tiles) * 100)}%
+          </Text>
+        </View>
+      )}
+
+      {/* Playback's panel takes the bottom of the screen */}
+      {!playbackVisible && (
+        <>
+          {/* Center on user location button */}
+          <TouchableOpacity
+            style={styles.centerButton}
+            onPress={centerOnUserLocation}
+          >
+            <Text style={styles.centerButtonText}>📍</Text>
+          </TouchableOpacity>
+
+          {/* Zoom controls */}
+          <View style={styles.zoomControls}>
+            <TouchableOpacity
+              style={styles.zoomButton}
+              onPress={() => {
+                if (mapRef.current) {
+                  mapRef.current.getCamera().then((camera) => {
+                    camera.zoom += 1;
+                    mapRef.current.animateCamera(camera);
+                  });
+                }
+              }}
+            >
+              <Text style={styles.zoomButtonText}>+</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.zoomButton}
+              onPress={() => {
+                if (mapRef.current) {
+                  mapRef.current.getCamera().then((camera) => {
+                    camera.zoom -= 1;
+                    mapRef.current.animateCamera(camera);
+                  });
+                }
+              }}
+            >
+              <Text style={styles.zoomButtonText}>−</Text>
+            </TouchableOpacity>
+          </View>
+        </>
+      )}
+
+      {playbackVisible ? (
+        <PlaybackPanel
+          player={player}
+          period={playbackPeriod}
+          onPeriodChange={setPlaybackPeriod}
+          type={playbackType}
+          onTypeChange={setPlaybackType}
+          onClose={togglePlayback}
+        />
+      ) : (
+        <>
+          {/* Floating Report Incident Button */}
+          <TouchableOpacity
+            style={styles.reportButton}
+            onPress={() => {
+              lightHaptic();
+              setReportModalVisible(true);
+            }}
+          >
+            <Text style={styles.reportButtonText}>+ Report Incident</Text>
+          </TouchableOpacity>
+
+          {/* Hands-free voice report */}
+          <TouchableOpacity
+            style={styles.voiceReportButton}
+            onPress={() => {
+              lightHaptic();
+              setHandsFreeVisible(true);
+            }}
+            accessibilityLabel="Report hands-free by voice"
+          >
+            <Text style={styles.voiceReportButtonText}>🎙️</Text>
+          </TouchableOpacity>
+        </>
+      )}
+
+      <MapFilterSheet
+        visible={filterSheetVisible}
+        onClose={() => setFilterSheetVisible(false)}
+        filters={mapFilters}
+        onChange={setMapFilters}
+        groupAreas={groupAreas}
+      />
+
+      <DownloadAreaModal
+        visible={downloadAreaModalVisible}
+        onClose={() => setDownloadAreaModalVisible(false)}
+        region={mapRegion}
+        zoom={mapZoom}
+      />
 
       {/* Offline Indicator */}
       <OfflineIndicator />
@@ -700,6 +1054,13 @@ const MapScreen = () => {
         onReportSuccess={handleReportSuccess}
       />
 
+      {/* Hands-free Report Modal; it confirms by voice, so no alert here */}
+      <HandsFreeReportModal
+        visible={handsFreeVisible}
+        onClose={() => setHandsFreeVisible(false)}
+        onReportSuccess={addReportedIncident}
+      />
+
       {/* Incident details card */}
       {selectedIncident && (
         <View style={styles.incidentCard}>
@@ -707,11 +1068,12 @@ const MapScreen = () => {
             <View
               style={[
                 styles.incidentTypeBadge,
-                { backgroundColor: INCIDENT_COLORS[selectedIncident.type] },
+                { backgroundColor: incidentTypeService.getColor(selectedIncident.type) },
               ]}
             >
               <Text style={styles.incidentTypeText}>
-                {selectedIncident.type.toUpperCase()}
+                {incidentTypeService.getIcon(selectedIncident.type)}{' '}
+                {incidentTypeService.getLabel(selectedIncident.type).toUpperCase()}
               </Text>
             </View>
             <TouchableOpacity onPress={() => setSelectedIncident(null)}>
@@ -721,7 +1083,7 @@ const MapScreen = () => {
 
           <View style={styles.incidentInfo}>
             <Text style={styles.incidentTime}>
-              {formatTimeAgo(selectedIncident.inserted_at)}
+              {formatTimeAgo(selectedIncident.reported_at || selectedIncident.inserted_at)}
             </Text>
             {selectedIncident.distance && (
               <Text style={styles.incidentDistance}>
@@ -730,12 +1092,20 @@ const MapScreen = () => {
             )}
           </View>
 
+          {renderIncidentFacts(selectedIncident)}
+
           {selectedIncident.description && (
             <Text style={styles.incidentDescription}>
               {selectedIncident.description}
             </Text>
           )}
 
+          {selectedIncident.sync_status === SYNC_STATUS.REJECTED && (
+            <Text style={styles.syncErrorText}>
+              Not published: {selectedIncident.sync_error}
+            </Text>
+          )}
+
           <View style={styles.verificationInfo}>
             <View style={styles.verificationStatus}>
               {selectedIncident.is_verified && (
@@ -743,6 +1113,11 @@ const MapScreen = () => {
                   <Text style={styles.verifiedBadgeText}>✓ Verified</Text>
                 </View>
               )}
+              {selectedIncident.status === 'resolved' && (
+                <View style={[styles.verifiedBadge, styles.resolvedBadge]}>
+                  <Text style={[styles.verifiedBadgeText, styles.resolvedBadgeText]}>Resolved</Text>
+                </View>
+              )}
               <Text style={styles.verificationCount}>
                 {selectedIncident.verification_count} upvote{selectedIncident.verification_count !== 1 ? 's' : ''}
               </Text>
@@ -766,6 +1141,20 @@ const MapScreen = () => {
             </TouchableOpacity>
           </View>
 
+          {!selectedIncident.queued && selectedIncident.sync_status !== SYNC_STATUS.REJECTED && (
+            <TouchableOpacity
+              style={styles.detailsButton}
+              onPress={() =>
+                navigation.navigate(ROUTES.INCIDENT_DETAIL, {
+                  incidentId: selectedIncident.id,
+                  incident: selectedIncident,
+                })
+              }
+            >
+              <Text style={styles.detailsButtonText}>View Details</Text>
+            </TouchableOpacity>
+          )}
+
           {/* Find Help Button */}
           <TouchableOpacity
             style={styles.findHelpButton}
@@ -779,6 +1168,15 @@ const MapScreen = () => {
         </View>
       )}
 
+      {/* Zone details card */}
+      {selectedZone && !selectedIncident && !playbackVisible && (
+        <ZoneDetailsCard
+          zone={selectedZone}
+          color={HOTSPOT_ZONE_STROKE_COLORS[selectedZone.risk_level] || '#808080'}
+          onClose={() => setSelectedZone(null)}
+        />
+      )}
+
       {/* Emergency Services Modal */}
       <EmergencyServicesModal
         visible={emergencyServicesModalVisible}
@@ -884,6 +1282,74 @@ const styles = StyleSheet.create({
     borderWidth: 2,
     borderColor: '#E5E7EB',
   },
+  playbackToggle: {
+    position: 'absolute',
+    top: 160,
+    right: 20,
+    backgroundColor: '#fff',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 20,
+    flexDirection: 'row',
+    alignItems: 'center',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 3.84,
+    elevation: 5,
+    borderWidth: 2,
+    borderColor: '#E5E7EB',
+  },
+  playbackToggleActive: {
+    backgroundColor: '#DBEAFE',
+    borderColor: '#3B82F6',
+  },
+  playbackToggleText: {
+    fontSize: 18,
+    marginRight: 6,
+  },
+  playbackToggleLabel: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#6B7280',
+  },
+  playbackToggleLabelActive: {
+    color: '#1E40AF',
+  },
+  filterToggle: {
+    position: 'absolute',
+    top: 210,
+    right: 20,
+    backgroundColor: '#fff',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 20,
+    flexDirection: 'row',
+    alignItems: 'center',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 3.84,
+    elevation: 5,
+    borderWidth: 2,
+    borderColor: '#E5E7EB',
+  },
+  filterToggleActive: {
+    backgroundColor: '#DBEAFE',
+    borderColor: '#007AFF',
+  },
+  filterToggleText: {
+    fontSize: 18,
+    marginRight: 6,
+  },
+  filterToggleLabel: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#6B7280',
+  },
+  filterToggleLabelActive: {
+    color: '#1E40AF',
+  },
   heatZoneToggleActive: {
     backgroundColor: '#FEF3C7',
     borderColor: '#F59E0B',
@@ -919,6 +1385,50 @@ const styles = StyleSheet.create({
   centerButtonText: {
     fontSize: 24,
   },
+  downloadAreaButton: {
+    position: 'absolute',
+    bottom: 310,
+    right: 20,
+    backgroundColor: '#fff',
+    width: 50,
+    height: 50,
+    borderRadius: 25,
+    justifyContent: 'center',
+    alignItems: 'center',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  tileDownloadProgress: {
+    position: 'absolute',
+    bottom: 190,
+    left: 20,
+    backgroundColor: 'rgba(31, 41, 55, 0.85)',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+  },
+  tileDownloadProgressText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  zoomHint: {
+    position: 'absolute',
+    top: 260,
+    alignSelf: 'center',
+    backgroundColor: 'rgba(31, 41, 55, 0.85)',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+  },
+  zoomHintText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: '600',
+  },
   zoomControls: {
     position: 'absolute',
     bottom: 200,
@@ -948,7 +1458,7 @@ const styles = StyleSheet.create({
     position: 'absolute',
     bottom: 20,
     left: 20,
-    right: 20,
+    right: 96,
     backgroundColor: '#EF4444',
     paddingVertical: 16,
     borderRadius: 12,
@@ -964,6 +1474,25 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: '700',
   },
+  voiceReportButton: {
+    position: 'absolute',
+    bottom: 20,
+    right: 20,
+    width: 64,
+    height: 56,
+    backgroundColor: '#B91C1C',
+    borderRadius: 12,
+    justifyContent: 'center',
+    alignItems: 'center',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.3,
+    shadowRadius: 4.65,
+    elevation: 8,
+  },
+  voiceReportButtonText: {
+    fontSize: 26,
+  },
   offlineIndicator: {
     position: 'absolute',
     top: 60,
@@ -1030,12 +1559,23 @@ const styles = StyleSheet.create({
     color: '#6B7280',
     fontWeight: '600',
   },
+  incidentFacts: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#374151',
+    marginBottom: 8,
+  },
   incidentDescription: {
     fontSize: 14,
     color: '#374151',
     marginBottom: 12,
     lineHeight: 20,
   },
+  syncErrorText: {
+    fontSize: 13,
+    color: '#DC2626',
+    marginBottom: 12,
+  },
   verificationInfo: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -1055,6 +1595,13 @@ const styles = StyleSheet.create({
     borderRadius: 4,
     alignSelf: 'flex-start',
   },
+  resolvedBadge: {
+    backgroundColor: '#E5E7EB',
+    marginLeft: 6,
+  },
+  resolvedBadgeText: {
+    color: '#374151',
+  },
   verifiedBadgeText: {
     fontSize: 12,
     color: '#065F46',
@@ -1080,6 +1627,19 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: '600',
   },
+  detailsButton: {
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 12,
+    borderWidth: 1,
+    borderColor: '#3B82F6',
+  },
+  detailsButtonText: {
+    color: '#3B82F6',
+    fontSize: 15,
+    fontWeight: '700',
+  },
   findHelpButton: {
     backgroundColor: '#DC2626',
     paddingVertical: 12,
@@ -0,0 +1,138 @@
+import React from 'react';
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity, Alert } from 'react-native';
+import { authService } from '../services/authService';
+import { ROUTES, ROOT_NAVIGATOR_ID } from '../navigation/routes';
+
+const ITEMS = [
+  {
+    route: ROUTES.MY_REPORTS,
+    icon: '📝',
+    label: 'My Reports',
+    description: 'Add updates, resolve or retract incidents you reported',
+  },
+  {
+    route: ROUTES.TRAVEL_MODE,
+    icon: '🧭',
+    label: 'Travel Mode',
+    description: 'Plan safer routes and get updates on the way',
+  },
+  {
+    route: ROUTES.EMERGENCY_CONTACTS,
+    icon: '🆘',
+    label: 'Emergency Contacts',
+    description: 'People to alert when you send an SOS',
+  },
+  {
+    route: ROUTES.SETTINGS,
+    icon: '⚙️',
+    label: 'Settings',
+    description: 'Notifications, alert radius and offline maps',
+  },
+  {
+    route: ROUTES.SUBSCRIPTION,
+    icon: '⭐',
+    label: 'Subscription',
+    description: 'Premium features and billing',
+  },
+];
+
+/**
+ * Menu for the screens that do not have a tab of their own
+ */
+const MoreScreen = ({ navigation }) => {
+  const handleLogout = () => {
+    Alert.alert('Sign Out', 'Are you sure you want to sign out?', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Sign Out',
+        style: 'destructive',
+        onPress: async () => {
+          await authService.logout();
+          navigation.getParent(ROOT_NAVIGATOR_ID)?.reset({
+            index: 0,
+            routes: [{ name: ROUTES.PHONE_AUTH }],
+          });
+        },
+      },
+    ]);
+  };
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.section}>
+        {ITEMS.map((item) => (
+          <TouchableOpacity
+            key={item.route}
+            style={styles.row}
+            onPress={() => navigation.navigate(item.route)}
+          >
+            <Text style={styles.icon}>{item.icon}</Text>
+            <View style={styles.rowInfo}>
+              <Text style={styles.rowLabel}>{item.label}</Text>
+              <Text style={styles.rowDescription}>{item.description}</Text>
+            </View>
+            <Text style={styles.chevron}>›</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <TouchableOpacity style={styles.logoutButton} onPress={handleLogout}>
+        <Text style={styles.logoutText}>Sign Out</Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F9FAFB',
+  },
+  section: {
+    backgroundColor: '#FFFFFF',
+    marginTop: 16,
+    paddingHorizontal: 16,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F3F4F6',
+  },
+  icon: {
+    fontSize: 24,
+    marginRight: 16,
+  },
+  rowInfo: {
+    flex: 1,
+  },
+  rowLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1F2937',
+    marginBottom: 4,
+  },
+  rowDescription: {
+    fontSize: 13,
+    color: '#9CA3AF',
+  },
+  chevron: {
+    fontSize: 24,
+    color: '#9CA3AF',
+    marginLeft: 8,
+  },
+  logoutButton: {
+    backgroundColor: '#FFFFFF',
+    marginTop: 24,
+    paddingVertical: 16,
+    alignItems: 'center',
+  },
+  logoutText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#EF4444',
+  },
+});
+
+export default MoreScreen;
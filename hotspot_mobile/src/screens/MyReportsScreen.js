@@ -0,0 +1,267 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator,
+  RefreshControl,
+  Alert,
+} from 'react-native';
+import { incidentService } from '../services/incidentService';
+import IncidentFollowUpModal from '../components/IncidentFollowUpModal';
+import { formatTimeAgo } from '../utils/format';
+import { ROUTES } from '../navigation/routes';
+import incidentTypeService from '../services/incidentTypeService';
+
+const STATUS_BADGES = {
+  active: { label: 'Active', color: '#10B981' },
+  resolved: { label: 'Resolved', color: '#6B7280' },
+  expired: { label: 'Expired', color: '#9CA3AF' },
+};
+
+const statusOf = (incident) => {
+  if (incident.status === 'resolved') return 'resolved';
+  if (incident.expires_at && new Date(incident.expires_at) < new Date()) return 'expired';
+  return 'active';
+};
+
+/**
+ * The user's own reports, with follow-ups: add details or a photo, mark
+ * resolved or retract
+ */
+const MyReportsScreen = ({ navigation }) => {
+  const [incidents, setIncidents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [editing, setEditing] = useState(null);
+
+  useEffect(() => {
+    loadIncidents();
+  }, []);
+
+  const loadIncidents = async () => {
+    try {
+      setIncidents(await incidentService.getMyIncidents());
+    } catch (error) {
+      Alert.alert('Error', error.userMessage || 'Failed to load your reports');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  const replaceIncident = (updated) => {
+    setIncidents(prev => prev.map(i => (i.id === updated.id ? { ...i, ...updated } : i)));
+  };
+
+  const handleResolve = (incident) => {
+    Alert.alert(
+      'Mark as Resolved',
+      'Others will see this incident as resolved, and it will leave the map within 2 hours.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Resolve',
+          onPress: async () => {
+            try {
+              const result = await incidentService.resolveIncident(incident.id);
+              replaceIncident(result.queued ? { id: incident.id, status: 'resolved' } : result);
+            } catch (error) {
+              Alert.alert('Error', error.userMessage || 'Failed to resolve incident');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleRetract = (incident) => {
+    Alert.alert(
+      'Retract Report',
+      'This removes the incident from everyone\'s map, along with its verifications. This cannot be undone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Retract',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await incidentService.retractIncident(incident.id);
+              setIncidents(prev => prev.filter(i => i.id !== incident.id));
+            } catch (error) {
+              Alert.alert('Error', error.userMessage || 'Failed to retract incident');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderIncident = ({ item }) => {
+    const status = statusOf(item);
+    const badge = STATUS_BADGES[status];
+
+    return (
+      <TouchableOpacity
+        style={styles.card}
+        onPress={() => navigation.navigate(ROUTES.INCIDENT_DETAIL, { incidentId: item.id, incident: item })}
+      >
+        <View style={styles.cardHeader}>
+          <Text style={styles.type}>{incidentTypeService.getIcon(item.type)} {incidentTypeService.getLabel(item.type)}</Text>
+          <View style={[styles.badge, { backgroundColor: badge.color }]}>
+            <Text style={styles.badgeText}>{badge.label}</Text>
+          </View>
+        </View>
+        <Text style={styles.time}>
+          Reported {formatTimeAgo(item.inserted_at).toLowerCase()} · {item.verification_count} verification
+          {item.verification_count !== 1 ? 's' : ''}
+        </Text>
+        {item.description ? (
+          <Text style={styles.description} numberOfLines={2}>{item.description}</Text>
+        ) : null}
+
+        {status === 'active' && (
+          <View style={styles.actions}>
+            <TouchableOpacity style={styles.actionButton} onPress={() => setEditing(item)}>
+              <Text style={styles.actionText}>Add Update</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.actionButton} onPress={() => handleResolve(item)}>
+              <Text style={styles.actionText}>Resolve</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.actionButton} onPress={() => handleRetract(item)}>
+              <Text style={[styles.actionText, styles.retractText]}>Retract</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color="#007AFF" />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <FlatList
+        data={incidents}
+        keyExtractor={item => item.id}
+        renderItem={renderIncident}
+        contentContainerStyle={incidents.length === 0 ? styles.emptyContainer : styles.list}
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            onRefresh={() => {
+              setRefreshing(true);
+              loadIncidents();
+            }}
+          />
+        }
+        ListEmptyComponent={
+          <Text style={styles.emptyText}>You haven't reported any incidents yet</Text>
+        }
+      />
+
+      <IncidentFollowUpModal
+        visible={!!editing}
+        incident={editing}
+        onClose={() => setEditing(null)}
+        onSaved={(updated) => {
+          replaceIncident(updated);
+          setEditing(null);
+        }}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F9FAFB',
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#F9FAFB',
+  },
+  list: {
+    padding: 16,
+  },
+  emptyContainer: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  emptyText: {
+    fontSize: 15,
+    color: '#9CA3AF',
+  },
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  type: {
+    fontSize: 17,
+    fontWeight: '700',
+    color: '#1F2937',
+  },
+  badge: {
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 4,
+  },
+  badgeText: {
+    color: '#FFFFFF',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  time: {
+    fontSize: 13,
+    color: '#9CA3AF',
+    marginBottom: 8,
+  },
+  description: {
+    fontSize: 15,
+    color: '#374151',
+  },
+  actions: {
+    flexDirection: 'row',
+    marginTop: 12,
+    paddingTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: '#F3F4F6',
+    justifyContent: 'space-between',
+  },
+  actionButton: {
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+  },
+  actionText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#3B82F6',
+  },
+  retractText: {
+    color: '#DC2626',
+  },
+});
+
+export default MyReportsScreen;
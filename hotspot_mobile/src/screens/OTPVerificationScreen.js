@@ -8,6 +8,8 @@ import {
   ActivityIndicator,
 } from 'react-native';
 import { authService } from '../services/authService';
+import deepLinkService from '../services/deepLinkService';
+import { ROUTES } from '../navigation/routes';
 
 export default function OTPVerificationScreen({ route, navigation }) {
   const { phoneNumber } = route.params;
@@ -60,13 +62,15 @@ export default function OTPVerificationScreen({ route, navigation }) {
       // Navigate to main app
       navigation.reset({
         index: 0,
-        routes: [{ name: 'Main' }],
+        routes: [{ name: ROUTES.MAIN }],
       });
+      // Carry on to a link that was opened while signed out
+      deepLinkService.resumePendingLink();
     } catch (err) {
-      if (err.response?.status === 401) {
+      if (err.status === 401) {
         setError('Invalid or expired OTP code');
-      } else if (err.response?.data?.error) {
-        setError(err.response.data.error.message);
+      } else if (err.userMessage) {
+        setError(err.userMessage);
       } else {
         setError('Verification failed. Please try again.');
       }
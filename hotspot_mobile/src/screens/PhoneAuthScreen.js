@@ -41,10 +41,10 @@ export default function PhoneAuthScreen({ navigation }) {
       // Navigate to OTP verification screen
       navigation.navigate('OTPVerification', { phoneNumber });
     } catch (err) {
-      if (err.response?.status === 429) {
+      if (err.status === 429) {
         setError('Too many requests. Please try again in an hour.');
-      } else if (err.response?.data?.error) {
-        setError(err.response.data.error.message);
+      } else if (err.userMessage) {
+        setError(err.userMessage);
       } else {
         setError('Failed to send OTP. Please try again.');
       }
@@ -11,25 +11,29 @@ import {
 } from 'react-native';
 import Slider from '@react-native-community/slider';
 import notificationService from '../services/notificationService';
+import OfflineMapsSection from '../components/OfflineMapsSection';
+import { useIncidentTypes } from '../services/incidentTypeService';
+import voiceReportService from '../services/voiceReportService';
 
 const SettingsScreen = ({ navigation }) => {
+  const incidentTypes = useIncidentTypes();
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [preferences, setPreferences] = useState({
     alert_radius: 2000,
     notification_config: {
-      enabled_types: {
-        hijacking: true,
-        mugging: true,
-        accident: true,
-      },
+      // Types missing from this map are enabled, matching the server
+      enabled_types: {},
       hotspot_zone_alerts: true,
     },
     is_premium: false,
   });
+  // Stored on this device only, so it applies as soon as it is toggled
+  const [shakeToReport, setShakeToReport] = useState(false);
 
   useEffect(() => {
     loadPreferences();
+    voiceReportService.isShakeEnabled().then(setShakeToReport);
   }, []);
 
   const loadPreferences = async () => {
@@ -65,6 +69,8 @@ const SettingsScreen = ({ navigation }) => {
     }
   };
 
+  const isTypeEnabled = (type) => preferences.notification_config.enabled_types?.[type] !== false;
+
   const toggleIncidentType = (type) => {
     setPreferences((prev) => ({
       ...prev,
@@ -72,7 +78,7 @@ const SettingsScreen = ({ navigation }) => {
         ...prev.notification_config,
         enabled_types: {
           ...prev.notification_config.enabled_types,
-          [type]: !prev.notification_config.enabled_types[type],
+          [type]: prev.notification_config.enabled_types?.[type] === false,
         },
       },
     }));
@@ -88,6 +94,16 @@ const SettingsScreen = ({ navigation }) => {
     }));
   };
 
+  const toggleShakeToReport = async (enabled) => {
+    setShakeToReport(enabled);
+    try {
+      await voiceReportService.setShakeEnabled(enabled);
+    } catch (error) {
+      setShakeToReport(!enabled);
+      Alert.alert('Error', 'Failed to save shake setting');
+    }
+  };
+
   const updateAlertRadius = (value) => {
     setPreferences((prev) => ({
       ...prev,
@@ -114,50 +130,22 @@ const SettingsScreen = ({ navigation }) => {
           Choose which types of incidents you want to be notified about
         </Text>
 
-        <View style={styles.settingRow}>
-          <View style={styles.settingInfo}>
-            <Text style={styles.settingLabel}>🚗 Hijacking Alerts</Text>
-            <Text style={styles.settingDescription}>
-              Get notified about hijacking incidents
-            </Text>
+        {incidentTypes.map((type) => (
+          <View key={type.key} style={styles.settingRow}>
+            <View style={styles.settingInfo}>
+              <Text style={styles.settingLabel}>{type.icon} {type.label} Alerts</Text>
+              <Text style={styles.settingDescription}>
+                Get notified about {type.label.toLowerCase()} incidents
+              </Text>
+            </View>
+            <Switch
+              value={isTypeEnabled(type.key)}
+              onValueChange={() => toggleIncidentType(type.key)}
+              trackColor={{ false: '#D1D5DB', true: type.color }}
+              thumbColor="#FFFFFF"
+            />
           </View>
-          <Switch
-            value={preferences.notification_config.enabled_types.hijacking}
-            onValueChange={() => toggleIncidentType('hijacking')}
-            trackColor={{ false: '#D1D5DB', true: '#EF4444' }}
-            thumbColor="#FFFFFF"
-          />
-        </View>
-
-        <View style={styles.settingRow}>
-          <View style={styles.settingInfo}>
-            <Text style={styles.settingLabel}>👤 Mugging Alerts</Text>
-            <Text style={styles.settingDescription}>
-              Get notified about mugging incidents
-            </Text>
-          </View>
-          <Switch
-            value={preferences.notification_config.enabled_types.mugging}
-            onValueChange={() => toggleIncidentType('mugging')}
-            trackColor={{ false: '#D1D5DB', true: '#F97316' }}
-            thumbColor="#FFFFFF"
-          />
-        </View>
-
-        <View style={styles.settingRow}>
-          <View style={styles.settingInfo}>
-            <Text style={styles.settingLabel}>🚑 Accident Alerts</Text>
-            <Text style={styles.settingDescription}>
-              Get notified about accident incidents
-            </Text>
-          </View>
-          <Switch
-            value={preferences.notification_config.enabled_types.accident}
-            onValueChange={() => toggleIncidentType('accident')}
-            trackColor={{ false: '#D1D5DB', true: '#3B82F6' }}
-            thumbColor="#FFFFFF"
-          />
-        </View>
+        ))}
 
         <View style={styles.settingRow}>
           <View style={styles.settingInfo}>
@@ -211,6 +199,30 @@ const SettingsScreen = ({ navigation }) => {
         )}
       </View>
 
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Hands-free Reporting</Text>
+        <Text style={styles.sectionDescription}>
+          Report by voice while driving using the 🎙️ button on the map or in Travel Mode
+        </Text>
+
+        <View style={styles.settingRow}>
+          <View style={styles.settingInfo}>
+            <Text style={styles.settingLabel}>📳 Shake to Report</Text>
+            <Text style={styles.settingDescription}>
+              Shake your phone twice to start a voice report
+            </Text>
+          </View>
+          <Switch
+            value={shakeToReport}
+            onValueChange={toggleShakeToReport}
+            trackColor={{ false: '#D1D5DB', true: '#EF4444' }}
+            thumbColor="#FFFFFF"
+          />
+        </View>
+      </View>
+
+      <OfflineMapsSection />
+
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Account</Text>
         <View style={styles.accountInfo}>
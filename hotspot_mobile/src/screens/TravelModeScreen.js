@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -13,8 +13,16 @@ import {
 } from 'react-native';
 import * as Location from 'expo-location';
 import { travelService } from '../services/travelService';
+import locationManager from '../services/locationManager';
+import incidentTypeService, { useIncidentTypes } from '../services/incidentTypeService';
+import { useShakeToReport } from '../services/voiceReportService';
+import HandsFreeReportModal from '../components/HandsFreeReportModal';
+
+// How often to ask the server for route updates during a journey
+const REALTIME_UPDATE_INTERVAL_MS = 30000;
 
 const TravelModeScreen = ({ navigation }) => {
+  const incidentTypes = useIncidentTypes();
   const [currentLocation, setCurrentLocation] = useState(null);
   const [destination, setDestination] = useState('');
   const [destinationCoords, setDestinationCoords] = useState(null);
@@ -26,9 +34,19 @@ const TravelModeScreen = ({ navigation }) => {
   const [showSegments, setShowSegments] = useState(false);
   const [isJourneyActive, setIsJourneyActive] = useState(false);
   const [realtimeUpdates, setRealtimeUpdates] = useState(null);
+  const [handsFreeVisible, setHandsFreeVisible] = useState(false);
+  const journeySubscriptionRef = useRef(null);
+
+  useShakeToReport(() => {
+    if (navigation.isFocused()) {
+      setHandsFreeVisible(true);
+    }
+  });
 
   useEffect(() => {
     getCurrentLocation();
+
+    return () => stopRealtimeUpdates();
   }, []);
 
   const getCurrentLocation = async () => {
@@ -40,10 +58,10 @@ const TravelModeScreen = ({ navigation }) => {
         return;
       }
 
-      const location = await Location.getCurrentPositionAsync({});
+      const location = await locationManager.getCurrentPosition();
       setCurrentLocation({
-        latitude: location.coords.latitude,
-        longitude: location.coords.longitude,
+        latitude: location.latitude,
+        longitude: location.longitude,
       });
     } catch (error) {
       console.error('Failed to get location:', error);
@@ -122,6 +140,7 @@ const TravelModeScreen = ({ navigation }) => {
   const handleStopJourney = () => {
     setIsJourneyActive(false);
     setRealtimeUpdates(null);
+    stopRealtimeUpdates();
   };
 
   const openGoogleMaps = () => {
@@ -172,23 +191,27 @@ const TravelModeScreen = ({ navigation }) => {
     Linking.openURL(url);
   };
 
-  const startRealtimeUpdates = async () => {
-    // Poll for updates every 30 seconds during active journey
-    const updateInterval = setInterval(async () => {
-      if (!isJourneyActive) {
-        clearInterval(updateInterval);
+  const startRealtimeUpdates = () => {
+    stopRealtimeUpdates();
+    locationManager.setTravelMode(true);
+
+    // Follow the shared location stream and refresh route updates at most every 30 seconds
+    let lastUpdateAt = 0;
+    journeySubscriptionRef.current = locationManager.subscribe(async (location) => {
+      const now = Date.now();
+      if (now - lastUpdateAt < REALTIME_UPDATE_INTERVAL_MS) {
         return;
       }
+      lastUpdateAt = now;
+
+      const coords = {
+        latitude: location.latitude,
+        longitude: location.longitude,
+      };
+      setCurrentLocation(coords);
 
       try {
-        const location = await Location.getCurrentPositionAsync({});
-        const updates = await travelService.getRealtimeUpdates(
-          {
-            latitude: location.coords.latitude,
-            longitude: location.coords.longitude,
-          },
-          destinationCoords
-        );
+        const updates = await travelService.getRealtimeUpdates(coords, destinationCoords);
         setRealtimeUpdates(updates);
 
         // Show alerts if any
@@ -201,9 +224,15 @@ const TravelModeScreen = ({ navigation }) => {
       } catch (error) {
         console.error('Failed to get realtime updates:', error);
       }
-    }, 30000); // Update every 30 seconds
+    });
+  };
 
-    return () => clearInterval(updateInterval);
+  const stopRealtimeUpdates = () => {
+    if (journeySubscriptionRef.current) {
+      journeySubscriptionRef.current();
+      journeySubscriptionRef.current = null;
+      locationManager.setTravelMode(false);
+    }
   };
 
   const getRiskColor = (riskLevel) => {
@@ -245,6 +274,9 @@ const TravelModeScreen = ({ navigation }) => {
     );
   }
 
+  // Older servers only send the original three types
+  const countsByType = safetyReport?.incident_counts_by_type || safetyReport?.incident_counts || {};
+
   return (
     <ScrollView style={styles.container}>
       <View style={styles.header}>
@@ -252,6 +284,16 @@ const TravelModeScreen = ({ navigation }) => {
         <Text style={styles.subtitle}>Plan your route and check safety conditions</Text>
       </View>
 
+      {/* Hands-free report, sized to hit without looking */}
+      <TouchableOpacity
+        style={styles.handsFreeButton}
+        onPress={() => setHandsFreeVisible(true)}
+        accessibilityLabel="Report an incident hands-free by voice"
+      >
+        <Text style={styles.handsFreeIcon}>🎙️</Text>
+        <Text style={styles.handsFreeText}>Report hands-free</Text>
+      </TouchableOpacity>
+
       {/* Origin */}
       <View style={styles.card}>
         <Text style={styles.label}>From (Current Location)</Text>
@@ -351,24 +393,16 @@ const TravelModeScreen = ({ navigation }) => {
                 <Text style={styles.statValue}>{safetyReport.total_incidents}</Text>
                 <Text style={styles.statLabel}>Total</Text>
               </View>
-              <View style={styles.statItem}>
-                <Text style={[styles.statValue, { color: '#DC3545' }]}>
-                  {safetyReport.incident_counts.hijacking}
-                </Text>
-                <Text style={styles.statLabel}>Hijackings</Text>
-              </View>
-              <View style={styles.statItem}>
-                <Text style={[styles.statValue, { color: '#FF9800' }]}>
-                  {safetyReport.incident_counts.mugging}
-                </Text>
-                <Text style={styles.statLabel}>Muggings</Text>
-              </View>
-              <View style={styles.statItem}>
-                <Text style={[styles.statValue, { color: '#2196F3' }]}>
-                  {safetyReport.incident_counts.accident}
-                </Text>
-                <Text style={styles.statLabel}>Accidents</Text>
-              </View>
+              {incidentTypes
+                .filter(type => countsByType[type.key] > 0)
+                .map(type => (
+                  <View key={type.key} style={styles.statItem}>
+                    <Text style={[styles.statValue, { color: type.color }]}>
+                      {countsByType[type.key]}
+                    </Text>
+                    <Text style={styles.statLabel}>{type.label}</Text>
+                  </View>
+                ))}
             </View>
           </View>
 
@@ -610,11 +644,11 @@ const TravelModeScreen = ({ navigation }) => {
                 {realtimeUpdates.recent_incidents.map((incident, index) => (
                   <View key={index} style={styles.recentIncidentItem}>
                     <Text style={styles.incidentType}>
-                      {incident.type === 'hijacking' ? '🚗' : incident.type === 'mugging' ? '👤' : '🚧'}
+                      {incidentTypeService.getIcon(incident.type)}
                     </Text>
                     <View style={styles.incidentDetails}>
                       <Text style={styles.incidentTypeText}>
-                        {incident.type.charAt(0).toUpperCase() + incident.type.slice(1)}
+                        {incidentTypeService.getLabel(incident.type)}
                       </Text>
                       <Text style={styles.incidentDistance}>
                         {(incident.distance_meters / 1000).toFixed(1)} km away • {incident.minutes_ago} min ago
@@ -640,7 +674,7 @@ const TravelModeScreen = ({ navigation }) => {
                     />
                     <View style={styles.zoneDetails}>
                       <Text style={styles.zoneType}>
-                        {zone.type.charAt(0).toUpperCase() + zone.type.slice(1)} Zone
+                        {incidentTypeService.getLabel(zone.type)} Zone
                       </Text>
                       <Text style={styles.zoneDistance}>
                         {(zone.distance_meters / 1000).toFixed(1)} km ahead • {zone.risk_level.toUpperCase()} risk
@@ -669,6 +703,11 @@ const TravelModeScreen = ({ navigation }) => {
           </View>
         </View>
       )}
+
+      <HandsFreeReportModal
+        visible={handsFreeVisible}
+        onClose={() => setHandsFreeVisible(false)}
+      />
     </ScrollView>
   );
 };
@@ -772,6 +811,25 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
   },
+  handsFreeButton: {
+    flexDirection: 'row',
+    marginHorizontal: 16,
+    marginBottom: 16,
+    paddingVertical: 24,
+    backgroundColor: '#1F2937',
+    borderRadius: 12,
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: 12,
+  },
+  handsFreeIcon: {
+    fontSize: 28,
+  },
+  handsFreeText: {
+    color: '#fff',
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
   analyzeButton: {
     marginHorizontal: 16,
     marginBottom: 16,
@@ -1,28 +1,4 @@
-import axios from 'axios';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { API_URL } from './config';
-
-// Create axios instance with default config
-const api = axios.create({
-  baseURL: API_URL,
-  headers: {
-    'Content-Type': 'application/json',
-  },
-});
-
-// Add auth token to requests
-api.interceptors.request.use(
-  async (config) => {
-    const token = await AsyncStorage.getItem('auth_token');
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
-    }
-    return config;
-  },
-  (error) => {
-    return Promise.reject(error);
-  }
-);
+import apiClient from './apiClient';
 
 export const analyticsService = {
   /**
@@ -32,10 +8,10 @@ export const analyticsService = {
    */
   async getTopHotspots() {
     try {
-      const response = await api.get('/analytics/hotspots');
+      const response = await apiClient.get('/analytics/hotspots');
       return response.data.data;
     } catch (error) {
-      console.error('Error fetching hotspots:', error.response?.data || error.message);
+      console.error('Error fetching hotspots:', error.message);
       throw error;
     }
   },
@@ -46,10 +22,10 @@ export const analyticsService = {
    */
   async getTimePatterns() {
     try {
-      const response = await api.get('/analytics/time-patterns');
+      const response = await apiClient.get('/analytics/time-patterns');
       return response.data.data;
     } catch (error) {
-      console.error('Error fetching time patterns:', error.response?.data || error.message);
+      console.error('Error fetching time patterns:', error.message);
       throw error;
     }
   },
@@ -61,12 +37,12 @@ export const analyticsService = {
    */
   async getWeeklyTrends(weeks = 4) {
     try {
-      const response = await api.get('/analytics/trends', {
+      const response = await apiClient.get('/analytics/trends', {
         params: { weeks },
       });
       return response.data.data;
     } catch (error) {
-      console.error('Error fetching trends:', error.response?.data || error.message);
+      console.error('Error fetching trends:', error.message);
       throw error;
     }
   },
@@ -77,10 +53,10 @@ export const analyticsService = {
    */
   async getSummary() {
     try {
-      const response = await api.get('/analytics/summary');
+      const response = await apiClient.get('/analytics/summary');
       return response.data.data;
     } catch (error) {
-      console.error('Error fetching summary:', error.response?.data || error.message);
+      console.error('Error fetching summary:', error.message);
       throw error;
     }
   },
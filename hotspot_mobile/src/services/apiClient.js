@@ -0,0 +1,253 @@
+import axios from 'axios';
+import { API_URL } from './config';
+import sessionService from './sessionService';
+import tokenStore from './tokenStore';
+
+/**
+ * Request timeouts in milliseconds
+ */
+export const TIMEOUTS = {
+  default: 10000,
+  upload: 30000,
+};
+
+/**
+ * Retry policy shared by every service.
+ * Only idempotent requests are retried unless a request opts in with `retry`.
+ */
+export const RETRY_POLICY = {
+  maxRetries: 2,
+  baseDelayMs: 500,
+  maxDelayMs: 5000,
+  // Longest server-requested wait (seconds) we will sit through before giving up
+  maxRetryAfter: 5,
+  retryableStatuses: [408, 429, 502, 503, 504],
+  idempotentMethods: ['get', 'head', 'options', 'put', 'delete'],
+};
+
+const DEFAULT_MESSAGES = {
+  network_error: 'No internet connection. Please check your network and try again.',
+  timeout: 'The server took too long to respond. Please try again.',
+  canceled: 'The request was cancelled.',
+  400: 'Please check your input and try again.',
+  401: 'Your session has expired. Please sign in again.',
+  403: "You don't have access to this feature.",
+  404: 'The requested item could not be found.',
+  409: 'This conflicts with an existing record.',
+  422: 'Please check your input and try again.',
+  429: 'Too many requests. Please try again later.',
+  500: 'Something went wrong on our side. Please try again later.',
+};
+
+/**
+ * Error thrown by every API call.
+ * `message` is always safe to show to the user.
+ */
+export class ApiError extends Error {
+  constructor({ status = null, code, userMessage, retryAfter = null, details = null, data = null }) {
+    super(userMessage);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.userMessage = userMessage;
+    this.retryAfter = retryAfter;
+    this.details = details;
+    this.data = data;
+  }
+
+  get isNetworkError() {
+    return this.code === 'network_error' || this.code === 'timeout';
+  }
+
+  get isCanceled() {
+    return this.code === 'canceled';
+  }
+
+  get isUnauthorized() {
+    return this.status === 401;
+  }
+
+  /**
+   * Build an ApiError from an axios error and the server's error body.
+   * The API returns either `{error: {code, message, retry_after}}` or
+   * `{error: "...", message: "..."}`.
+   * @param {Error} error - Axios error
+   * @returns {ApiError}
+   */
+  static fromAxiosError(error) {
+    if (error instanceof ApiError) {
+      return error;
+    }
+
+    // Aborted through an AbortController; nobody is waiting for the answer
+    if (axios.isCancel(error)) {
+      return new ApiError({ code: 'canceled', userMessage: DEFAULT_MESSAGES.canceled });
+    }
+
+    if (!error.response) {
+      const code = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' ? 'timeout' : 'network_error';
+      return new ApiError({ code, userMessage: DEFAULT_MESSAGES[code] });
+    }
+
+    const { status, data, headers } = error.response;
+    const body = data && typeof data === 'object' ? data : {};
+    const serverError = body.error && typeof body.error === 'object' ? body.error : null;
+
+    const retryAfter = parseRetryAfter(
+      serverError?.retry_after ?? body.retry_after ?? body.retry_after_seconds ?? headers?.['retry-after']
+    );
+
+    const code = serverError?.code || (typeof body.error === 'string' ? toCode(body.error) : `http_${status}`);
+
+    let userMessage =
+      serverError?.message ||
+      body.message ||
+      (typeof body.error === 'string' ? body.error : null) ||
+      DEFAULT_MESSAGES[status] ||
+      (status >= 500 ? DEFAULT_MESSAGES[500] : DEFAULT_MESSAGES[400]);
+
+    if (status === 429 && retryAfter) {
+      userMessage = `${userMessage} Please try again in ${formatWait(retryAfter)}.`;
+    }
+
+    return new ApiError({
+      status,
+      code,
+      userMessage,
+      retryAfter,
+      details: serverError?.details || body.details || null,
+      data,
+    });
+  }
+}
+
+/**
+ * Check whether an error means the request never reached the server
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isNetworkError = (error) => error instanceof ApiError && error.isNetworkError;
+
+/**
+ * Check whether an error comes from a request the caller aborted
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isCanceledError = (error) => error instanceof ApiError && error.isCanceled;
+
+const parseRetryAfter = (value) => {
+  if (value === undefined || value === null) return null;
+  const seconds = parseInt(value, 10);
+  return Number.isNaN(seconds) ? null : seconds;
+};
+
+const toCode = (message) => message.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+const formatWait = (seconds) => {
+  if (seconds < 60) return `${seconds} second${seconds !== 1 ? 's' : ''}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes !== 1 ? 's' : ''}`;
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const shouldRetry = (error, config) => {
+  const attempts = config.__retryCount || 0;
+  const maxRetries = typeof config.retry === 'number' ? config.retry : RETRY_POLICY.maxRetries;
+
+  if (config.retry === false || attempts >= maxRetries || axios.isCancel(error)) {
+    return false;
+  }
+
+  const method = (config.method || 'get').toLowerCase();
+  if (!RETRY_POLICY.idempotentMethods.includes(method) && typeof config.retry !== 'number') {
+    return false;
+  }
+
+  if (!error.response) {
+    return true;
+  }
+
+  const { status } = error.response;
+  if (status === 429) {
+    const retryAfter = parseRetryAfter(error.response.headers?.['retry-after']);
+    return retryAfter !== null && retryAfter <= RETRY_POLICY.maxRetryAfter;
+  }
+
+  return RETRY_POLICY.retryableStatuses.includes(status);
+};
+
+const getRetryDelay = (error, attempt) => {
+  const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+  if (retryAfter !== null) {
+    return retryAfter * 1000;
+  }
+
+  // Exponential backoff with jitter: ~500ms, ~1s, ~2s...
+  const delay = RETRY_POLICY.baseDelayMs * Math.pow(2, attempt - 1);
+  return Math.min(delay + Math.random() * RETRY_POLICY.baseDelayMs, RETRY_POLICY.maxDelayMs);
+};
+
+// Shared axios instance used by all services
+const apiClient = axios.create({
+  baseURL: API_URL,
+  timeout: TIMEOUTS.default,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+// Add auth token to requests, rotating it first if it is about to expire
+apiClient.interceptors.request.use(
+  async (config) => {
+    const token = await sessionService.getValidToken();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+  },
+  (error) => {
+    return Promise.reject(error);
+  }
+);
+
+// Refresh and replay on 401, retry transient failures,
+// then normalize every error into an ApiError
+apiClient.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const config = error.config;
+
+    // Only requests that carried a token can be fixed by refreshing it
+    if (error.response?.status === 401 && config?.headers?.Authorization) {
+      if (!config.__isRetryAfterRefresh && (await sessionService.canRefresh())) {
+        try {
+          // If another request already rotated the token, just replay with it.
+          // Otherwise concurrent 401s share one refresh and replay once it lands.
+          const sentToken = config.headers.Authorization.replace('Bearer ', '');
+          const storedToken = await tokenStore.getToken();
+          const token =
+            storedToken && storedToken !== sentToken ? storedToken : await sessionService.refresh();
+          config.__isRetryAfterRefresh = true;
+          config.headers.Authorization = `Bearer ${token}`;
+          return apiClient(config);
+        } catch (refreshError) {
+          return Promise.reject(ApiError.fromAxiosError(refreshError.response ? error : refreshError));
+        }
+      }
+
+      await sessionService.expireSession();
+      return Promise.reject(ApiError.fromAxiosError(error));
+    }
+
+    if (config && shouldRetry(error, config)) {
+      config.__retryCount = (config.__retryCount || 0) + 1;
+      await sleep(getRetryDelay(error, config.__retryCount));
+      return apiClient(config);
+    }
+
+    return Promise.reject(ApiError.fromAxiosError(error));
+  }
+);
+
+export default apiClient;
@@ -1,68 +1,33 @@
-import axios from 'axios';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { API_URL } from './config';
-
-// Create axios instance
-const api = axios.create({
-  baseURL: API_URL,
-  timeout: 10000,
-  headers: {
-    'Content-Type': 'application/json',
-  },
-});
-
-// Add token to requests if available
-api.interceptors.request.use(
-  async (config) => {
-    const token = await AsyncStorage.getItem('auth_token');
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
-    }
-    return config;
-  },
-  (error) => {
-    return Promise.reject(error);
-  }
-);
-
-// Handle token expiration
-api.interceptors.response.use(
-  (response) => response,
-  async (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid - clear storage
-      await AsyncStorage.removeItem('auth_token');
-      await AsyncStorage.removeItem('user_data');
-    }
-    return Promise.reject(error);
-  }
-);
+import apiClient from './apiClient';
+import sessionService from './sessionService';
+import tokenStore from './tokenStore';
+import geofenceEngine from './geofenceEngine';
 
 export const authService = {
   /**
    * Send OTP to phone number
    */
   async sendOTP(phoneNumber) {
-    const response = await api.post('/auth/send-otp', {
+    const response = await apiClient.post('/auth/send-otp', {
       phone_number: phoneNumber,
     });
     return response.data;
   },
 
   /**
-   * Verify OTP and get JWT token
+   * Verify OTP and get access and refresh tokens
    */
   async verifyOTP(phoneNumber, code) {
-    const response = await api.post('/auth/verify-otp', {
+    const response = await apiClient.post('/auth/verify-otp', {
       phone_number: phoneNumber,
       code: code,
     });
 
-    const { token, user } = response.data;
+    const { user } = response.data;
 
-    // Store token and user data
-    await AsyncStorage.setItem('auth_token', token);
-    await AsyncStorage.setItem('user_data', JSON.stringify(user));
+    // Store tokens and user data
+    await sessionService.startSession(response.data);
+    await tokenStore.setUser(user);
 
     return response.data;
   },
@@ -71,11 +36,11 @@ export const authService = {
    * Get current user info
    */
   async getCurrentUser() {
-    const response = await api.get('/auth/me');
+    const response = await apiClient.get('/auth/me');
     const { user } = response.data;
 
     // Update stored user data
-    await AsyncStorage.setItem('user_data', JSON.stringify(user));
+    await tokenStore.setUser(user);
 
     return user;
   },
@@ -84,15 +49,30 @@ export const authService = {
    * Get stored token
    */
   async getToken() {
-    return await AsyncStorage.getItem('auth_token');
+    return await tokenStore.getToken();
   },
 
   /**
    * Get stored user data
    */
   async getUserData() {
-    const userData = await AsyncStorage.getItem('user_data');
-    return userData ? JSON.parse(userData) : null;
+    return await tokenStore.getUser();
+  },
+
+  /**
+   * Rotate the access token now instead of waiting for it to near expiry
+   */
+  async refreshSession() {
+    return await sessionService.refresh();
+  },
+
+  /**
+   * Subscribe to session expiry (refresh token rejected or missing)
+   * @param {Function} callback
+   * @returns {Function} Unsubscribe function
+   */
+  onSessionExpired(callback) {
+    return sessionService.onSessionExpired(callback);
   },
 
   /**
@@ -107,9 +87,10 @@ export const authService = {
    * Logout user
    */
   async logout() {
-    await AsyncStorage.removeItem('auth_token');
-    await AsyncStorage.removeItem('user_data');
+    // Zone state belongs to this user; the next one starts outside every zone
+    await geofenceEngine.reset();
+    await tokenStore.clear();
   },
 };
 
-export default api;
+export default authService;
@@ -1,20 +1,5 @@
-import axios from 'axios';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { API_BASE_URL } from './config';
-
-const api = axios.create({
-  baseURL: API_BASE_URL,
-  timeout: 10000,
-});
-
-// Add auth token to requests
-api.interceptors.request.use(async (config) => {
-  const token = await AsyncStorage.getItem('authToken');
-  if (token) {
-    config.headers.Authorization = `Bearer ${token}`;
-  }
-  return config;
-});
+import apiClient from './apiClient';
+import offlineService, { OUTBOX_TYPES } from './offlineService';
 
 /**
  * Get all public groups or groups near a location
@@ -28,7 +13,7 @@ export const getGroups = async (latitude = null, longitude = null, radius = 1000
       params.radius = radius;
     }
 
-    const response = await api.get('/communities', { params });
+    const response = await apiClient.get('/communities', { params });
     return response.data.data;
   } catch (error) {
     console.error('Error fetching groups:', error);
@@ -41,7 +26,7 @@ export const getGroups = async (latitude = null, longitude = null, radius = 1000
  */
 export const getMyGroups = async () => {
   try {
-    const response = await api.get('/communities/my-groups');
+    const response = await apiClient.get('/communities/my-groups');
     return response.data.data;
   } catch (error) {
     console.error('Error fetching my groups:', error);
@@ -54,7 +39,7 @@ export const getMyGroups = async () => {
  */
 export const getGroup = async (groupId) => {
   try {
-    const response = await api.get(`/communities/${groupId}`);
+    const response = await apiClient.get(`/communities/${groupId}`);
     return response.data.data;
   } catch (error) {
     console.error('Error fetching group:', error);
@@ -67,7 +52,7 @@ export const getGroup = async (groupId) => {
  */
 export const createGroup = async (groupData) => {
   try {
-    const response = await api.post('/communities', { group: groupData });
+    const response = await apiClient.post('/communities', { group: groupData });
     return response.data.data;
   } catch (error) {
     console.error('Error creating group:', error);
@@ -80,7 +65,7 @@ export const createGroup = async (groupData) => {
  */
 export const updateGroup = async (groupId, groupData) => {
   try {
-    const response = await api.put(`/communities/${groupId}`, { group: groupData });
+    const response = await apiClient.put(`/communities/${groupId}`, { group: groupData });
     return response.data.data;
   } catch (error) {
     console.error('Error updating group:', error);
@@ -93,7 +78,7 @@ export const updateGroup = async (groupId, groupData) => {
  */
 export const deleteGroup = async (groupId) => {
   try {
-    await api.delete(`/communities/${groupId}`);
+    await apiClient.delete(`/communities/${groupId}`);
   } catch (error) {
     console.error('Error deleting group:', error);
     throw error;
@@ -101,12 +86,16 @@ export const deleteGroup = async (groupId) => {
 };
 
 /**
- * Join a group
+ * Join a group. Queued in the offline outbox when there is no connection.
  */
 export const joinGroup = async (groupId) => {
   try {
-    const response = await api.post(`/communities/${groupId}/join`);
-    return response.data.data;
+    const result = await offlineService.sendOrQueue({
+      type: OUTBOX_TYPES.GROUP_JOIN,
+      method: 'post',
+      url: `/communities/${groupId}/join`,
+    });
+    return result.queued ? { queued: true } : result.data.data;
   } catch (error) {
     console.error('Error joining group:', error);
     throw error;
@@ -114,11 +103,16 @@ export const joinGroup = async (groupId) => {
 };
 
 /**
- * Leave a group
+ * Leave a group. Queued in the offline outbox when there is no connection.
  */
 export const leaveGroup = async (groupId) => {
   try {
-    await api.delete(`/communities/${groupId}/leave`);
+    const result = await offlineService.sendOrQueue({
+      type: OUTBOX_TYPES.GROUP_LEAVE,
+      method: 'delete',
+      url: `/communities/${groupId}/leave`,
+    });
+    return { queued: result.queued };
   } catch (error) {
     console.error('Error leaving group:', error);
     throw error;
@@ -130,7 +124,7 @@ export const leaveGroup = async (groupId) => {
  */
 export const getGroupMembers = async (groupId) => {
   try {
-    const response = await api.get(`/communities/${groupId}/members`);
+    const response = await apiClient.get(`/communities/${groupId}/members`);
     return response.data.data;
   } catch (error) {
     console.error('Error fetching group members:', error);
@@ -143,7 +137,7 @@ export const getGroupMembers = async (groupId) => {
  */
 export const updateMemberRole = async (groupId, userId, role) => {
   try {
-    const response = await api.put(`/communities/${groupId}/members/${userId}/role`, { role });
+    const response = await apiClient.put(`/communities/${groupId}/members/${userId}/role`, { role });
     return response.data.data;
   } catch (error) {
     console.error('Error updating member role:', error);
@@ -156,7 +150,7 @@ export const updateMemberRole = async (groupId, userId, role) => {
  */
 export const updateNotificationPreferences = async (groupId, enabled) => {
   try {
-    const response = await api.put(`/communities/${groupId}/notifications`, { enabled });
+    const response = await apiClient.put(`/communities/${groupId}/notifications`, { enabled });
     return response.data.data;
   } catch (error) {
     console.error('Error updating notification preferences:', error);
@@ -174,7 +168,7 @@ export const getGroupIncidents = async (groupId, page = 1, pageSize = 20, type =
       params.type = type;
     }
 
-    const response = await api.get(`/communities/${groupId}/incidents`, { params });
+    const response = await apiClient.get(`/communities/${groupId}/incidents`, { params });
     return response.data;
   } catch (error) {
     console.error('Error fetching group incidents:', error);
@@ -182,7 +176,47 @@ export const getGroupIncidents = async (groupId, page = 1, pageSize = 20, type =
   }
 };
 
-export default {
+/**
+ * Create an invite link for a group (members only)
+ * @returns {Promise<{token: string, url: string, expires_at: string}>}
+ */
+export const createInvite = async (groupId) => {
+  try {
+    const response = await apiClient.post(`/communities/${groupId}/invites`);
+    return response.data.data;
+  } catch (error) {
+    console.error('Error creating group invite:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the group an invite token points at
+ */
+export const getInvite = async (token) => {
+  try {
+    const response = await apiClient.get(`/communities/invites/${encodeURIComponent(token)}`);
+    return response.data.data;
+  } catch (error) {
+    console.error('Error fetching group invite:', error);
+    throw error;
+  }
+};
+
+/**
+ * Join the group an invite token points at
+ */
+export const acceptInvite = async (token) => {
+  try {
+    const response = await apiClient.post(`/communities/invites/${encodeURIComponent(token)}/accept`);
+    return response.data.data;
+  } catch (error) {
+    console.error('Error accepting group invite:', error);
+    throw error;
+  }
+};
+
+export const communityService = {
   getGroups,
   getMyGroups,
   getGroup,
@@ -195,4 +229,9 @@ export default {
   updateMemberRole,
   updateNotificationPreferences,
   getGroupIncidents,
+  createInvite,
+  getInvite,
+  acceptInvite,
 };
+
+export default communityService;
@@ -1,3 +1,9 @@
 // API Configuration
 export const API_URL = process.env.EXPO_PUBLIC_API_URL || 'http://localhost:4000/api';
 export const WS_URL = API_URL.replace('http://', 'ws://').replace('https://', 'wss://').replace('/api', '');
+
+// Raster tiles used for offline area packs. Bulk downloads need a provider whose
+// terms allow offline use (the public OSM servers do not), so there is no default;
+// `{key}` in the URL is replaced with the API key.
+export const MAP_TILE_URL = process.env.EXPO_PUBLIC_MAP_TILE_URL || null;
+export const MAP_TILE_API_KEY = process.env.EXPO_PUBLIC_MAP_TILE_API_KEY || null;
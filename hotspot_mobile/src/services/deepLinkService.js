@@ -0,0 +1,194 @@
+import * as Linking from 'expo-linking';
+import { authService } from './authService';
+
+// Web domain for shareable links; the app opens them via universal links / app links
+export const LINK_BASE_URL = 'https://hotspot.app';
+
+// Links that make sense while signed out
+const PUBLIC_PATHS = /^login(\/|\?|$)/;
+
+// Shareable entity paths that differ from the screen paths in the linking config
+const ENTITY_PATHS = [
+  { pattern: /^zones\/([^/]+)$/, toPath: (id) => `map?zoneId=${id}` },
+  { pattern: /^groups\/([^/]+)$/, toPath: (id) => `communities/${id}` },
+  { pattern: /^invite\/([^/]+)$/, toPath: (token) => `communities/invite/${token}` },
+];
+
+/**
+ * Path part of an app or https link, e.g. "groups/42" for both
+ * hotspot://groups/42 and https://hotspot.app/groups/42
+ */
+const pathOf = (url) => {
+  const rest = url.replace(/^[a-z][\w+.-]*:\/\//i, '');
+
+  // Expo Go links carry the path after "/--/"
+  if (rest.includes('/--/')) {
+    return rest.split('/--/')[1];
+  }
+  // Web links start with the host; app scheme links start with the path
+  return /^https?:/i.test(url) ? rest.replace(/^[^/]*\/?/, '') : rest;
+};
+
+/**
+ * Turns app and https links into navigation, holding links that arrive while
+ * signed out until the user has logged in.
+ * React Navigation's linking config hands its URL source to this service, so
+ * notification taps can go through the same path as external links.
+ */
+class DeepLinkService {
+  constructor() {
+    this.listener = null;
+    this.pendingUrl = null;
+  }
+
+  /**
+   * Map a shareable entity path onto the screen path that shows it.
+   * Other paths are returned unchanged.
+   * @param {string} path - Path without prefix, e.g. "zones/abc"
+   * @returns {string}
+   */
+  toAppPath(path) {
+    const [pathname, query] = path.replace(/^\//, '').split('?');
+    const trimmed = pathname.replace(/\/$/, '');
+
+    for (const { pattern, toPath } of ENTITY_PATHS) {
+      const match = trimmed.match(pattern);
+      if (match) {
+        const appPath = toPath(match[1]);
+        if (!query) return appPath;
+        return `${appPath}${appPath.includes('?') ? '&' : '?'}${query}`;
+      }
+    }
+
+    return path;
+  }
+
+  /**
+   * @param {string} incidentId
+   * @returns {string} Shareable link to an incident
+   */
+  incidentLink(incidentId) {
+    return `${LINK_BASE_URL}/incidents/${incidentId}`;
+  }
+
+  /**
+   * @param {string} zoneId
+   * @returns {string} Shareable link to a hotspot zone
+   */
+  zoneLink(zoneId) {
+    return `${LINK_BASE_URL}/zones/${zoneId}`;
+  }
+
+  /**
+   * @param {string} groupId
+   * @returns {string} Shareable link to a community group
+   */
+  groupLink(groupId) {
+    return `${LINK_BASE_URL}/groups/${groupId}`;
+  }
+
+  /**
+   * Build the in-app link for a notification's data payload
+   * @param {Object} data - Notification data
+   * @returns {string|null}
+   */
+  linkForNotification(data) {
+    if (!data) return null;
+
+    if (data.url) {
+      return data.url;
+    }
+    if (data.incident_id) {
+      return Linking.createURL(`incidents/${data.incident_id}`);
+    }
+    if (data.zone_id) {
+      return Linking.createURL(`zones/${data.zone_id}`);
+    }
+    if (data.group_id) {
+      return Linking.createURL(`groups/${data.group_id}`);
+    }
+    return null;
+  }
+
+  /**
+   * Link the app was launched with, unless it has to wait for login
+   * @returns {Promise<string|null>}
+   */
+  async getInitialURL() {
+    try {
+      return await this.admit(await Linking.getInitialURL());
+    } catch (error) {
+      console.error('Error reading initial link:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Feed incoming links to React Navigation
+   * @param {Function} listener - Called with each URL to navigate to
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listener = listener;
+    const subscription = Linking.addEventListener('url', ({ url }) => this.open(url));
+
+    return () => {
+      if (this.listener === listener) {
+        this.listener = null;
+      }
+      subscription.remove();
+    };
+  }
+
+  /**
+   * Navigate to a link from inside the app, e.g. a notification tap
+   * @param {string} url
+   */
+  async open(url) {
+    const admitted = await this.admit(url);
+    if (admitted && this.listener) {
+      this.listener(admitted);
+    }
+  }
+
+  /**
+   * Open a notification's target
+   * @param {Object} data - Notification data
+   */
+  openNotification(data) {
+    const url = this.linkForNotification(data);
+    if (url) {
+      this.open(url);
+    }
+  }
+
+  /**
+   * Continue to the link that arrived while signed out. Call after login.
+   */
+  resumePendingLink() {
+    const url = this.pendingUrl;
+    this.pendingUrl = null;
+
+    if (url && this.listener) {
+      this.listener(url);
+    }
+  }
+
+  /**
+   * Let a link through now, or hold it until login
+   * @returns {Promise<string|null>} The URL to navigate to now, if any
+   */
+  async admit(url) {
+    if (!url) return null;
+
+    const path = pathOf(url);
+    if (!path || PUBLIC_PATHS.test(path) || (await authService.isAuthenticated())) {
+      return url;
+    }
+
+    this.pendingUrl = url;
+    return null;
+  }
+}
+
+export default new DeepLinkService();
@@ -1,27 +1,12 @@
-import axios from 'axios';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { API_BASE_URL } from './config';
-
-const api = axios.create({
-  baseURL: API_BASE_URL,
-  timeout: 10000,
-});
-
-// Add auth token to requests
-api.interceptors.request.use(async (config) => {
-  const token = await AsyncStorage.getItem('authToken');
-  if (token) {
-    config.headers.Authorization = `Bearer ${token}`;
-  }
-  return config;
-});
+import apiClient from './apiClient';
+import offlineService, { OUTBOX_TYPES } from './offlineService';
 
 /**
  * Get all emergency contacts for the current user
  */
 export const getEmergencyContacts = async () => {
   try {
-    const response = await api.get('/emergency-contacts');
+    const response = await apiClient.get('/emergency-contacts');
     return response.data.data;
   } catch (error) {
     console.error('Error fetching emergency contacts:', error);
@@ -30,14 +15,17 @@ export const getEmergencyContacts = async () => {
 };
 
 /**
- * Add a new emergency contact
+ * Add a new emergency contact. Queued in the offline outbox when there is no connection.
  */
 export const addEmergencyContact = async (contactData) => {
   try {
-    const response = await api.post('/emergency-contacts', {
-      emergency_contact: contactData,
+    const result = await offlineService.sendOrQueue({
+      type: OUTBOX_TYPES.CONTACT_CREATE,
+      method: 'post',
+      url: '/emergency-contacts',
+      data: { emergency_contact: contactData },
     });
-    return response.data.data;
+    return result.queued ? { ...contactData, queued: true } : result.data.data;
   } catch (error) {
     console.error('Error adding emergency contact:', error);
     throw error;
@@ -45,14 +33,17 @@ export const addEmergencyContact = async (contactData) => {
 };
 
 /**
- * Update an emergency contact
+ * Update an emergency contact. Queued in the offline outbox when there is no connection.
  */
 export const updateEmergencyContact = async (contactId, contactData) => {
   try {
-    const response = await api.put(`/emergency-contacts/${contactId}`, {
-      emergency_contact: contactData,
+    const result = await offlineService.sendOrQueue({
+      type: OUTBOX_TYPES.CONTACT_UPDATE,
+      method: 'put',
+      url: `/emergency-contacts/${contactId}`,
+      data: { emergency_contact: contactData },
     });
-    return response.data.data;
+    return result.queued ? { id: contactId, ...contactData, queued: true } : result.data.data;
   } catch (error) {
     console.error('Error updating emergency contact:', error);
     throw error;
@@ -60,12 +51,16 @@ export const updateEmergencyContact = async (contactId, contactData) => {
 };
 
 /**
- * Delete an emergency contact
+ * Delete an emergency contact. Queued in the offline outbox when there is no connection.
  */
 export const deleteEmergencyContact = async (contactId) => {
   try {
-    await api.delete(`/emergency-contacts/${contactId}`);
-    return true;
+    const result = await offlineService.sendOrQueue({
+      type: OUTBOX_TYPES.CONTACT_DELETE,
+      method: 'delete',
+      url: `/emergency-contacts/${contactId}`,
+    });
+    return { queued: result.queued };
   } catch (error) {
     console.error('Error deleting emergency contact:', error);
     throw error;
@@ -77,7 +72,7 @@ export const deleteEmergencyContact = async (contactId) => {
  */
 export const triggerPanicButton = async (latitude, longitude) => {
   try {
-    const response = await api.post('/emergency/panic', {
+    const response = await apiClient.post('/emergency/panic', {
       latitude,
       longitude,
     });
@@ -93,7 +88,7 @@ export const triggerPanicButton = async (latitude, longitude) => {
  */
 export const getPanicStatus = async () => {
   try {
-    const response = await api.get('/emergency/panic/status');
+    const response = await apiClient.get('/emergency/panic/status');
     return response.data;
   } catch (error) {
     console.error('Error getting panic status:', error);
@@ -102,14 +97,17 @@ export const getPanicStatus = async () => {
 };
 
 /**
- * Resolve/cancel active panic event
+ * Resolve/cancel active panic event. Queued in the offline outbox when there is no connection.
  */
 export const resolvePanic = async (notes = null) => {
   try {
-    const response = await api.post('/emergency/panic/resolve', {
-      notes,
+    const result = await offlineService.sendOrQueue({
+      type: OUTBOX_TYPES.PANIC_RESOLVE,
+      method: 'post',
+      url: '/emergency/panic/resolve',
+      data: { notes },
     });
-    return response.data.data;
+    return result.queued ? { queued: true } : result.data.data;
   } catch (error) {
     console.error('Error resolving panic:', error);
     throw error;
@@ -121,7 +119,7 @@ export const resolvePanic = async (notes = null) => {
  */
 export const findNearbyEmergencyServices = async (latitude, longitude, radius = 5000) => {
   try {
-    const response = await api.get('/emergency-services/nearby', {
+    const response = await apiClient.get('/emergency-services/nearby', {
       params: {
         lat: latitude,
         lng: longitude,
@@ -140,7 +138,7 @@ export const findNearbyEmergencyServices = async (latitude, longitude, radius =
  */
 export const findNearbyPoliceStations = async (latitude, longitude, radius = 5000) => {
   try {
-    const response = await api.get('/emergency-services/police', {
+    const response = await apiClient.get('/emergency-services/police', {
       params: {
         lat: latitude,
         lng: longitude,
@@ -159,7 +157,7 @@ export const findNearbyPoliceStations = async (latitude, longitude, radius = 500
  */
 export const findNearbyHospitals = async (latitude, longitude, radius = 5000) => {
   try {
-    const response = await api.get('/emergency-services/hospitals', {
+    const response = await apiClient.get('/emergency-services/hospitals', {
       params: {
         lat: latitude,
         lng: longitude,
@@ -173,7 +171,7 @@ export const findNearbyHospitals = async (latitude, longitude, radius = 5000) =>
   }
 };
 
-export default {
+export const emergencyService = {
   getEmergencyContacts,
   addEmergencyContact,
   updateEmergencyContact,
@@ -185,3 +183,5 @@ export default {
   findNearbyPoliceStations,
   findNearbyHospitals,
 };
+
+export default emergencyService;
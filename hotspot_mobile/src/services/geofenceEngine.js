@@ -0,0 +1,343 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AppState } from 'react-native';
+import { geofenceService } from './geofenceService';
+import notificationService from './notificationService';
+import offlineService from './offlineService';
+import tokenStore from './tokenStore';
+import locationManager from './locationManager';
+import { distanceInMeters, distanceToPolygonsEdge, isPointInPolygons } from '../utils/geo';
+import incidentTypeService from './incidentTypeService';
+
+export const ZONE_ACTIONS = {
+  ENTERED: 'entered',
+  EXITED: 'exited',
+  APPROACHING: 'approaching',
+};
+
+const ZONES_KEY = '@hotspot_geofence_zones';
+const STATE_KEY = '@hotspot_geofence_state';
+const ZONES_MAX_AGE_MS = 60 * 60 * 1000;
+
+// Hysteresis: be clearly inside to enter and clearly outside to leave,
+// so GPS jitter at a boundary does not flap between the two
+const ENTER_MARGIN_M = 20;
+const EXIT_MARGIN_M = 50;
+// Matches the server's premium approach alerts
+const APPROACH_DISTANCE_M = 500;
+const APPROACH_RESET_M = 650;
+// Re-entering the same zone soon after leaving it is not worth a second alert
+const REALERT_COOLDOWN_MS = 15 * 60 * 1000;
+// Fixes this inaccurate cannot place the user either side of a boundary
+const MAX_ACCURACY_M = 150;
+
+const ZONE_STATES = {
+  OUTSIDE: 'outside',
+  APPROACHING: 'approaching',
+  INSIDE: 'inside',
+};
+
+/**
+ * Signed distance to a zone boundary: negative inside, positive outside
+ * @returns {number} Meters
+ */
+const distanceToBoundary = (zone, point) => {
+  if (zone.polygons?.length > 0) {
+    const edge = distanceToPolygonsEdge(point, zone.polygons);
+    return isPointInPolygons(point, zone.polygons) ? -edge : edge;
+  }
+
+  const { latitude, longitude } = zone.center;
+  return distanceInMeters(point.latitude, point.longitude, latitude, longitude) - zone.radius_meters;
+};
+
+/**
+ * Same payload and wording as the server's zone events
+ */
+const formatZoneEvent = (zone, action) => {
+  const riskLevel = (zone.risk_level || '').toUpperCase();
+  const messages = {
+    [ZONE_ACTIONS.ENTERED]: `⚠️ Entering ${riskLevel} RISK zone - ${zone.incident_count} ${incidentTypeService.getLabel(zone.zone_type).toLowerCase()} reported in this area in the past 7 days. Stay alert.`,
+    [ZONE_ACTIONS.EXITED]: '✓ You have left the hotspot zone. Stay safe.',
+    [ZONE_ACTIONS.APPROACHING]: `⚠️ Approaching ${riskLevel} RISK zone ahead - ${zone.incident_count} ${incidentTypeService.getLabel(zone.zone_type).toLowerCase()} reported`,
+  };
+
+  return {
+    zone_id: zone.id,
+    zone_type: zone.zone_type,
+    risk_level: zone.risk_level,
+    incident_count: zone.incident_count,
+    center: zone.center,
+    radius_meters: zone.radius_meters,
+    geometry: zone.geometry,
+    action,
+    message: messages[action],
+  };
+};
+
+/**
+ * On-device zone detection.
+ * Evaluates cached hotspot zones against every location fix, in the
+ * foreground or from a background location task, so zone alerts keep working
+ * without a live socket. Server zone events are folded into the same state,
+ * so each transition is announced once whichever side notices it first.
+ */
+class GeofenceEngine {
+  constructor() {
+    this.zones = null;
+    this.zonesFetchedAt = 0;
+    this.state = null; // zone id -> { status, alerted_at }
+    this.listeners = [];
+    // Foreground and background fixes can overlap; evaluate one at a time
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Replace the cached zones, e.g. after the map fetched them
+   * @param {Array} zones
+   * @returns {Promise<void>}
+   */
+  async setZones(zones) {
+    this.zones = zones.filter(zone => zone.is_active !== false);
+    this.zonesFetchedAt = Date.now();
+
+    try {
+      await AsyncStorage.setItem(
+        ZONES_KEY,
+        JSON.stringify({ zones: this.zones, fetched_at: this.zonesFetchedAt })
+      );
+    } catch (error) {
+      console.error('Error caching geofence zones:', error);
+    }
+  }
+
+  /**
+   * Get cached zones, refetching them when stale and online
+   * @returns {Promise<Array>}
+   */
+  async getZones() {
+    if (!this.zones) {
+      try {
+        const json = await AsyncStorage.getItem(ZONES_KEY);
+        const cached = json ? JSON.parse(json) : null;
+        this.zones = cached?.zones || [];
+        this.zonesFetchedAt = cached?.fetched_at || 0;
+      } catch (error) {
+        console.error('Error reading geofence zones:', error);
+        this.zones = [];
+      }
+    }
+
+    if (Date.now() - this.zonesFetchedAt > ZONES_MAX_AGE_MS && (await offlineService.checkConnectivity())) {
+      try {
+        await this.setZones(await geofenceService.getZones());
+      } catch (error) {
+        // Keep using the cached zones
+      }
+    }
+
+    return this.zones;
+  }
+
+  /**
+   * Cached zones that contain a point, e.g. the zone an incident falls in
+   * @param {Object} point - { latitude, longitude }
+   * @returns {Promise<Array>}
+   */
+  async getZonesAt(point) {
+    const zones = await this.getZones();
+    return zones.filter(zone => distanceToBoundary(zone, point) <= 0);
+  }
+
+  async getState() {
+    if (!this.state) {
+      try {
+        const json = await AsyncStorage.getItem(STATE_KEY);
+        this.state = json ? JSON.parse(json) : {};
+      } catch (error) {
+        console.error('Error reading geofence state:', error);
+        this.state = {};
+      }
+    }
+    return this.state;
+  }
+
+  async saveState() {
+    try {
+      await AsyncStorage.setItem(STATE_KEY, JSON.stringify(this.state || {}));
+    } catch (error) {
+      console.error('Error saving geofence state:', error);
+    }
+  }
+
+  /**
+   * Evaluate a location fix against every cached zone and announce transitions
+   * @param {Object} coords - { latitude, longitude, accuracy }
+   * @returns {Promise<Array>} The zone events fired
+   */
+  handleLocation(coords) {
+    const run = this.pending.then(() => this.evaluate(coords));
+    this.pending = run.catch(error => console.error('Error evaluating geofences:', error));
+    return run;
+  }
+
+  async evaluate(coords) {
+    if (coords.accuracy && coords.accuracy > MAX_ACCURACY_M) {
+      return [];
+    }
+
+    const [zones, state, user] = await Promise.all([this.getZones(), this.getState(), tokenStore.getUser()]);
+    const now = Date.now();
+    const events = [];
+    let nearest = null;
+
+    zones.forEach(zone => {
+      const distance = distanceToBoundary(zone, coords);
+      nearest = nearest == null ? Math.max(distance, 0) : Math.min(nearest, Math.max(distance, 0));
+      const previous = state[zone.id] || { status: ZONE_STATES.OUTSIDE, alerted_at: 0 };
+      let status = previous.status;
+      let action = null;
+
+      if (previous.status !== ZONE_STATES.INSIDE && distance <= -ENTER_MARGIN_M) {
+        status = ZONE_STATES.INSIDE;
+        action = ZONE_ACTIONS.ENTERED;
+      } else if (previous.status === ZONE_STATES.INSIDE && distance >= EXIT_MARGIN_M) {
+        status = ZONE_STATES.OUTSIDE;
+        action = ZONE_ACTIONS.EXITED;
+      } else if (
+        previous.status === ZONE_STATES.OUTSIDE &&
+        distance > 0 &&
+        distance <= APPROACH_DISTANCE_M &&
+        user?.is_premium
+      ) {
+        status = ZONE_STATES.APPROACHING;
+        action = ZONE_ACTIONS.APPROACHING;
+      } else if (previous.status === ZONE_STATES.APPROACHING && distance > APPROACH_RESET_M) {
+        status = ZONE_STATES.OUTSIDE;
+      }
+
+      state[zone.id] = { ...previous, status };
+
+      if (action && this.shouldAlert(previous, action, now)) {
+        if (action !== ZONE_ACTIONS.EXITED) {
+          state[zone.id].alerted_at = now;
+        }
+        events.push(formatZoneEvent(zone, action));
+      }
+    });
+
+    // Forget zones that no longer exist
+    Object.keys(state).forEach(zoneId => {
+      if (!zones.some(zone => String(zone.id) === zoneId)) {
+        delete state[zoneId];
+      }
+    });
+
+    // Sampling tightens up near zone boundaries
+    locationManager.setNearestZoneDistance(nearest);
+
+    await this.saveState();
+    await Promise.all(events.map(event => this.announce(event)));
+    return events;
+  }
+
+  shouldAlert(previous, action, now) {
+    if (action === ZONE_ACTIONS.EXITED) {
+      return true;
+    }
+    return now - (previous.alerted_at || 0) > REALERT_COOLDOWN_MS;
+  }
+
+  /**
+   * Fold a server `zone:*` event into the local state.
+   * It is only announced if the engine has not already reported the same transition.
+   * @param {Object} data - Server zone event payload
+   * @returns {Promise<boolean>} Whether the event was announced
+   */
+  handleServerEvent(data) {
+    const run = this.pending.then(() => this.applyServerEvent(data));
+    this.pending = run.catch(error => console.error('Error applying zone event:', error));
+    return run;
+  }
+
+  async applyServerEvent(data) {
+    const state = await this.getState();
+    const previous = state[data.zone_id] || { status: ZONE_STATES.OUTSIDE, alerted_at: 0 };
+    const statusByAction = {
+      [ZONE_ACTIONS.ENTERED]: ZONE_STATES.INSIDE,
+      [ZONE_ACTIONS.EXITED]: ZONE_STATES.OUTSIDE,
+      [ZONE_ACTIONS.APPROACHING]: ZONE_STATES.APPROACHING,
+    };
+    const status = statusByAction[data.action];
+
+    if (!status || previous.status === status) {
+      return false;
+    }
+
+    const now = Date.now();
+    const alert = this.shouldAlert(previous, data.action, now);
+    state[data.zone_id] = {
+      status,
+      alerted_at: alert && data.action !== ZONE_ACTIONS.EXITED ? now : previous.alerted_at,
+    };
+    await this.saveState();
+
+    if (alert) {
+      await this.announce(data);
+    }
+    return alert;
+  }
+
+  /**
+   * Tell in-app listeners, or raise a local notification when nobody is looking
+   */
+  async announce(event) {
+    const inForeground = AppState.currentState === 'active' && this.listeners.length > 0;
+
+    if (inForeground) {
+      this.listeners.forEach(listener => {
+        try {
+          listener(event);
+        } catch (error) {
+          console.error('Error in zone event callback:', error);
+        }
+      });
+    } else {
+      await notificationService.showLocalNotification('Hotspot Zone Alert', event.message, {
+        type: 'hotspot_zone',
+        zone_id: event.zone_id,
+        action: event.action,
+      });
+    }
+  }
+
+  /**
+   * Subscribe to zone transitions while the app is in the foreground
+   * @param {Function} callback - Called with a zone event ({ action, message, risk_level, ... })
+   * @returns {Function} Unsubscribe function
+   */
+  onZoneEvent(callback) {
+    this.listeners.push(callback);
+
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== callback);
+    };
+  }
+
+  /**
+   * Forget zone state, e.g. on logout
+   * @returns {Promise<void>}
+   */
+  async reset() {
+    this.state = {};
+    this.zones = null;
+    this.zonesFetchedAt = 0;
+    await AsyncStorage.multiRemove([STATE_KEY, ZONES_KEY]);
+  }
+}
+
+const geofenceEngine = new GeofenceEngine();
+
+// Check every fix, including those the background task delivers with the app closed
+locationManager.subscribe(coords => geofenceEngine.handleLocation(coords), { passive: true });
+
+export default geofenceEngine;
@@ -1,4 +1,14 @@
-import api from './config';
+import apiClient from './apiClient';
+import { geoJsonToPolygons } from '../utils/geo';
+
+/**
+ * Adds `polygons` (from geoJsonToPolygons) to a zone from the API. Zones
+ * without a drawn or clustered shape get none and are a circle of
+ * `radius_meters` around `center`.
+ * @param {Object} zone
+ * @returns {Object}
+ */
+export const withPolygons = (zone) => ({ ...zone, polygons: geoJsonToPolygons(zone.geometry) });
 
 export const geofenceService = {
   /**
@@ -6,8 +16,8 @@ export const geofenceService = {
    */
   async getZones() {
     try {
-      const response = await api.get('/geofence/zones');
-      return response.data.data;
+      const response = await apiClient.get('/geofence/zones');
+      return response.data.data.map(withPolygons);
     } catch (error) {
       console.error('Error fetching zones:', error);
       throw error;
@@ -19,24 +29,39 @@ export const geofenceService = {
    */
   async getZone(zoneId) {
     try {
-      const response = await api.get(`/geofence/zones/${zoneId}`);
-      return response.data.data;
+      const response = await apiClient.get(`/geofence/zones/${zoneId}`);
+      return withPolygons(response.data.data);
     } catch (error) {
       console.error('Error fetching zone:', error);
       throw error;
     }
   },
 
+  /**
+   * Get what happened in a zone: incidents in the past 7 days by type, the
+   * last incident and whether it's getting worse than the week before
+   * @returns {Promise<Object>} `{incident_count, previous_incident_count, type_counts, dominant_type, last_incident_at, trend}`
+   */
+  async getZoneSummary(zoneId) {
+    try {
+      const response = await apiClient.get(`/geofence/zones/${zoneId}/summary`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching zone summary:', error);
+      throw error;
+    }
+  },
+
   /**
    * Check if a location is within any hotspot zones
    */
   async checkLocation(latitude, longitude) {
     try {
-      const response = await api.post('/geofence/check-location', {
+      const response = await apiClient.post('/geofence/check-location', {
         latitude,
         longitude,
       });
-      return response.data.data;
+      return response.data.data.map(withPolygons);
     } catch (error) {
       console.error('Error checking location:', error);
       throw error;
@@ -48,8 +73,8 @@ export const geofenceService = {
    */
   async getUserZones() {
     try {
-      const response = await api.get('/geofence/user-zones');
-      return response.data.data;
+      const response = await apiClient.get('/geofence/user-zones');
+      return response.data.data.map(withPolygons);
     } catch (error) {
       console.error('Error fetching user zones:', error);
       throw error;
@@ -0,0 +1,344 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import geohash from 'ngeohash';
+import { boundingBox, distanceInMeters, getIncidentCoordinates } from '../utils/geo';
+
+const CELL_KEY_PREFIX = '@hotspot_incident_cell:';
+const CELL_INDEX_KEY = '@hotspot_incident_cells';
+
+// Single-blob cache written by older builds
+const LEGACY_CACHED_INCIDENTS_KEY = '@hotspot_cached_incidents';
+
+// Precision 5 cells are roughly 5km x 5km, about one default nearby query
+export const CELL_PRECISION = 5;
+const CELL_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_CELLS = 300;
+// Precision 5 cell size in degrees
+const CELL_HEIGHT_DEG = 180 / 4096;
+const CELL_WIDTH_DEG = 360 / 8192;
+// Wider areas, like a zoomed-out map, are not enumerated cell by cell
+const MAX_COVERING_CELLS = 25;
+
+/**
+ * Offline incident store, indexed by geohash cell.
+ * Each cell is its own AsyncStorage entry with its own TTL, so caching one
+ * area never wipes another and queries only read the cells they cover.
+ * The least recently used cells are evicted once MAX_CELLS is reached.
+ */
+class IncidentCache {
+  constructor() {
+    // cell -> { cached_at, accessed_at, count }
+    this.index = null;
+    this.migration = null;
+  }
+
+  /**
+   * Cache the result of a nearby or map viewport query
+   * @param {Array} incidents - Incidents returned by the server
+   * @param {Object} area - The query that produced them: a circle
+   *   `{latitude, longitude, radius}` (radius in meters) or a box
+   *   `{minLat, minLng, maxLat, maxLng}`
+   * @param {Object} [options]
+   * @param {boolean} [options.truncated=false] - The server capped the list, so
+   *   incidents in the area may be missing from it
+   * @returns {Promise<void>}
+   */
+  async put(incidents, area, { truncated = false } = {}) {
+    await this.migrateLegacyCache();
+
+    const now = Date.now();
+    const grouped = this.groupByCell(incidents);
+    // Across a wide area most cells are empty, so only the ones with incidents are written
+    const cells = this.coversFewCells(area)
+      ? [...new Set([...this.getCoveringCells(area), ...Object.keys(grouped)])]
+      : Object.keys(grouped);
+    const existing = await this.readCells(cells);
+    const incomingIds = new Set(incidents.map(incident => incident.id));
+
+    const writes = cells.map(cell => {
+      // The server only answered for the query area, so keep anything this
+      // cell already knew about outside of it, and inside it too when the
+      // answer was capped
+      const kept = this.isFresh(existing[cell], now)
+        ? existing[cell].incidents.filter(incident => {
+            const coords = getIncidentCoordinates(incident);
+            return coords && !incomingIds.has(incident.id) && (truncated || !this.contains(area, coords));
+          })
+        : [];
+
+      return { cell, incidents: [...kept, ...(grouped[cell] || [])] };
+    });
+
+    await this.writeCells(writes, now);
+  }
+
+  /**
+   * Get cached incidents within an area, from every fresh cell that covers it
+   * @param {Object} area - A circle or box, as for put()
+   * @returns {Promise<Array|null>} Incidents, or null when no covering cell is cached
+   */
+  async query(area) {
+    await this.migrateLegacyCache();
+
+    const now = Date.now();
+    const index = await this.getIndex();
+    const candidates = this.coversFewCells(area)
+      ? this.getCoveringCells(area)
+      : this.getIndexedCellsIn(area, index);
+    const cells = candidates.filter(cell => this.isFresh(index[cell], now));
+
+    if (cells.length === 0) {
+      return null;
+    }
+
+    const stored = await this.readCells(cells);
+    const seen = new Set();
+    const results = [];
+
+    cells.forEach(cell => {
+      (stored[cell]?.incidents || []).forEach(incident => {
+        const coords = getIncidentCoordinates(incident);
+        if (!coords || seen.has(incident.id)) return;
+        if (incident.expires_at && new Date(incident.expires_at).getTime() < now) return;
+        if (!this.contains(area, coords)) return;
+
+        seen.add(incident.id);
+        results.push(incident);
+      });
+
+      index[cell].accessed_at = now;
+    });
+
+    await this.saveIndex();
+    return results;
+  }
+
+  /**
+   * Rewrite every cached cell, e.g. to swap client IDs for server IDs
+   * @param {Function} transform - Receives and returns an array of incidents
+   * @returns {Promise<void>}
+   */
+  async updateAll(transform) {
+    await this.migrateLegacyCache();
+
+    const index = await this.getIndex();
+    const cells = Object.keys(index);
+    if (cells.length === 0) return;
+
+    const stored = await this.readCells(cells);
+    const writes = cells
+      .filter(cell => stored[cell])
+      .map(cell => {
+        const incidents = transform(stored[cell].incidents);
+        index[cell].count = incidents.length;
+        return [CELL_KEY_PREFIX + cell, JSON.stringify({ ...stored[cell], incidents })];
+      });
+
+    await AsyncStorage.multiSet(writes);
+    await this.saveIndex();
+  }
+
+  /**
+   * Remove every cached cell
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const index = await this.getIndex();
+    await AsyncStorage.multiRemove([
+      ...Object.keys(index).map(cell => CELL_KEY_PREFIX + cell),
+      CELL_INDEX_KEY,
+      LEGACY_CACHED_INCIDENTS_KEY,
+    ]);
+    this.index = {};
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Promise<Object>} Cell and incident counts
+   */
+  async getStats() {
+    const index = await this.getIndex();
+    const entries = Object.values(index);
+    return {
+      cells: entries.length,
+      incidents: entries.reduce((sum, entry) => sum + entry.count, 0),
+    };
+  }
+
+  /**
+   * Geohash cells that cover a circle or box
+   * @returns {Array<string>}
+   */
+  getCoveringCells(area) {
+    const { minLat, minLng, maxLat, maxLng } = this.toBox(area);
+    return geohash.bboxes(minLat, minLng, maxLat, maxLng, CELL_PRECISION);
+  }
+
+  /**
+   * Cached cells that overlap a circle or box, without enumerating the whole area
+   * @returns {Array<string>}
+   */
+  getIndexedCellsIn(area, index) {
+    const box = this.toBox(area);
+    return Object.keys(index).filter(cell => {
+      const [minLat, minLng, maxLat, maxLng] = geohash.decode_bbox(cell);
+      return minLat <= box.maxLat && maxLat >= box.minLat && minLng <= box.maxLng && maxLng >= box.minLng;
+    });
+  }
+
+  coversFewCells(area) {
+    const { minLat, minLng, maxLat, maxLng } = this.toBox(area);
+    const rows = Math.ceil((maxLat - minLat) / CELL_HEIGHT_DEG) + 1;
+    const columns = Math.ceil((maxLng - minLng) / CELL_WIDTH_DEG) + 1;
+    return rows * columns <= MAX_COVERING_CELLS;
+  }
+
+  toBox(area) {
+    return this.isCircle(area) ? boundingBox(area.latitude, area.longitude, area.radius) : area;
+  }
+
+  contains(area, { latitude, longitude }) {
+    if (this.isCircle(area)) {
+      return distanceInMeters(area.latitude, area.longitude, latitude, longitude) <= area.radius;
+    }
+    return (
+      latitude >= area.minLat && latitude <= area.maxLat &&
+      longitude >= area.minLng && longitude <= area.maxLng
+    );
+  }
+
+  isCircle(area) {
+    return area.radius !== undefined;
+  }
+
+  groupByCell(incidents) {
+    return incidents.reduce((grouped, incident) => {
+      const coords = getIncidentCoordinates(incident);
+      if (coords) {
+        const cell = geohash.encode(coords.latitude, coords.longitude, CELL_PRECISION);
+        (grouped[cell] = grouped[cell] || []).push(incident);
+      }
+      return grouped;
+    }, {});
+  }
+
+  isFresh(entry, now = Date.now()) {
+    return !!entry && now - entry.cached_at < CELL_TTL_MS;
+  }
+
+  async getIndex() {
+    if (this.index) {
+      return this.index;
+    }
+
+    try {
+      const json = await AsyncStorage.getItem(CELL_INDEX_KEY);
+      this.index = json ? JSON.parse(json) : {};
+    } catch (error) {
+      console.error('Error reading incident cache index:', error);
+      this.index = {};
+    }
+    return this.index;
+  }
+
+  async saveIndex() {
+    try {
+      await AsyncStorage.setItem(CELL_INDEX_KEY, JSON.stringify(this.index || {}));
+    } catch (error) {
+      console.error('Error saving incident cache index:', error);
+    }
+  }
+
+  async readCells(cells) {
+    try {
+      const pairs = await AsyncStorage.multiGet(cells.map(cell => CELL_KEY_PREFIX + cell));
+      return pairs.reduce((stored, [key, value]) => {
+        if (value) {
+          stored[key.slice(CELL_KEY_PREFIX.length)] = JSON.parse(value);
+        }
+        return stored;
+      }, {});
+    } catch (error) {
+      console.error('Error reading incident cache cells:', error);
+      return {};
+    }
+  }
+
+  async writeCells(writes, cachedAt) {
+    const index = await this.getIndex();
+
+    try {
+      await AsyncStorage.multiSet(
+        writes.map(({ cell, incidents }) => [
+          CELL_KEY_PREFIX + cell,
+          JSON.stringify({ incidents, cached_at: cachedAt }),
+        ])
+      );
+    } catch (error) {
+      console.error('Error writing incident cache cells:', error);
+      return;
+    }
+
+    writes.forEach(({ cell, incidents }) => {
+      index[cell] = { cached_at: cachedAt, accessed_at: Date.now(), count: incidents.length };
+    });
+
+    await this.evict();
+  }
+
+  /**
+   * Drop expired cells, then least recently used cells over the size cap
+   */
+  async evict() {
+    const index = await this.getIndex();
+    const now = Date.now();
+
+    const byAccess = Object.keys(index).sort((a, b) => index[b].accessed_at - index[a].accessed_at);
+    const evicted = byAccess.filter((cell, i) => i >= MAX_CELLS || !this.isFresh(index[cell], now));
+
+    if (evicted.length > 0) {
+      evicted.forEach(cell => delete index[cell]);
+      try {
+        await AsyncStorage.multiRemove(evicted.map(cell => CELL_KEY_PREFIX + cell));
+      } catch (error) {
+        console.error('Error evicting incident cache cells:', error);
+      }
+    }
+
+    await this.saveIndex();
+  }
+
+  /**
+   * Move the old single-blob cache into cells, once
+   * @returns {Promise<void>}
+   */
+  migrateLegacyCache() {
+    if (!this.migration) {
+      this.migration = this.performMigration();
+    }
+    return this.migration;
+  }
+
+  async performMigration() {
+    try {
+      const json = await AsyncStorage.getItem(LEGACY_CACHED_INCIDENTS_KEY);
+      if (!json) return;
+
+      const legacy = JSON.parse(json);
+      const cachedAt = new Date(legacy.cached_at).getTime();
+
+      if (Array.isArray(legacy.incidents) && this.isFresh({ cached_at: cachedAt })) {
+        const grouped = this.groupByCell(legacy.incidents);
+        await this.writeCells(
+          Object.keys(grouped).map(cell => ({ cell, incidents: grouped[cell] })),
+          cachedAt
+        );
+      }
+
+      await AsyncStorage.removeItem(LEGACY_CACHED_INCIDENTS_KEY);
+    } catch (error) {
+      console.error('Error migrating legacy incident cache:', error);
+    }
+  }
+}
+
+export default new IncidentCache();
@@ -1,29 +1,5 @@
-import axios from 'axios';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { API_URL } from './config';
-import offlineService from './offlineService';
-
-// Create axios instance with default config
-const api = axios.create({
-  baseURL: API_URL,
-  headers: {
-    'Content-Type': 'application/json',
-  },
-});
-
-// Add auth token to requests
-api.interceptors.request.use(
-  async (config) => {
-    const token = await AsyncStorage.getItem('auth_token');
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
-    }
-    return config;
-  },
-  (error) => {
-    return Promise.reject(error);
-  }
-);
+import apiClient, { TIMEOUTS, isNetworkError, isCanceledError } from './apiClient';
+import offlineService, { OUTBOX_TYPES } from './offlineService';
 
 export const incidentService = {
   /**
@@ -43,14 +19,15 @@ export const incidentService = {
         name: photo.fileName || 'incident_photo.jpg',
       });
 
-      const response = await api.post('/incidents/upload-photo', formData, {
+      const response = await apiClient.post('/incidents/upload-photo', formData, {
         headers: {
           'Content-Type': 'multipart/form-data',
         },
+        timeout: TIMEOUTS.upload,
       });
       return response.data;
     } catch (error) {
-      console.error('Error uploading photo:', error.response?.data || error.message);
+      console.error('Error uploading photo:', error.message);
       throw error;
     }
   },
@@ -58,20 +35,30 @@ export const incidentService = {
   /**
    * Create a new incident report
    * @param {Object} incidentData - The incident data
-   * @param {string} incidentData.type - Type of incident (hijacking, mugging, accident)
+   * @param {string} incidentData.type - Incident type key from incidentTypeService
+   * @param {string} [incidentData.sub_type] - Optional sub-type key of that type
+   * @param {string} [incidentData.severity] - minor, moderate, serious or life_threatening
+   * @param {boolean} [incidentData.has_injuries] - Whether anyone is injured
+   * @param {number} [incidentData.suspect_count] - Number of suspects
+   * @param {boolean} [incidentData.is_ongoing] - Whether it is still happening
+   * @param {string} [incidentData.vehicle_make] - Vehicle make and model
+   * @param {string} [incidentData.vehicle_color] - Vehicle colour
+   * @param {string} [incidentData.vehicle_plate] - Any part of the number plate
    * @param {number} incidentData.latitude - Latitude coordinate
    * @param {number} incidentData.longitude - Longitude coordinate
    * @param {string} [incidentData.description] - Optional description
    * @param {string} [incidentData.photo_url] - Optional photo URL
+   * @param {string} [incidentData.reported_at] - ISO time it happened, when reported after the fact
+   * @param {Object} [photo] - Local photo that has not been uploaded yet; kept with the report if it gets queued
    * @returns {Promise<Object>} The created incident or queued report
    */
-  async create(incidentData) {
+  async create(incidentData, photo = null) {
     // Check if online
     const isOnline = await offlineService.checkConnectivity();
     
     if (!isOnline) {
       // Queue for later submission
-      const clientId = await offlineService.queueReport(incidentData);
+      const clientId = await offlineService.queueReport(incidentData, photo);
       return {
         ...incidentData,
         id: clientId,
@@ -81,14 +68,14 @@ export const incidentService = {
     }
 
     try {
-      const response = await api.post('/incidents', {
+      const response = await apiClient.post('/incidents', {
         incident: incidentData,
       });
       return response.data.data;
     } catch (error) {
       // If network error, queue the report
-      if (error.code === 'ECONNABORTED' || error.code === 'ERR_NETWORK' || !error.response) {
-        const clientId = await offlineService.queueReport(incidentData);
+      if (isNetworkError(error)) {
+        const clientId = await offlineService.queueReport(incidentData, photo);
         return {
           ...incidentData,
           id: clientId,
@@ -96,7 +83,22 @@ export const incidentService = {
           status: 'pending_sync'
         };
       }
-      console.error('Error creating incident:', error.response?.data || error.message);
+      console.error('Error creating incident:', error.message);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a single incident, e.g. one opened from a link
+   * @param {string} incidentId - Incident ID
+   * @returns {Promise<Object>} The incident
+   */
+  async getIncident(incidentId) {
+    try {
+      const response = await apiClient.get(`/incidents/${incidentId}`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching incident:', error.message);
       throw error;
     }
   },
@@ -110,7 +112,7 @@ export const incidentService = {
    */
   async getNearby(latitude, longitude, radius = 5000) {
     try {
-      const response = await api.get('/incidents/nearby', {
+      const response = await apiClient.get('/incidents/nearby', {
         params: {
           lat: latitude,
           lng: longitude,
@@ -119,14 +121,14 @@ export const incidentService = {
       });
       
       // Cache incidents for offline viewing
-      await offlineService.cacheIncidents(response.data.data);
+      await offlineService.cacheIncidents(response.data.data, { latitude, longitude, radius });
       
       return response.data.data;
     } catch (error) {
-      console.error('Error fetching nearby incidents:', error.response?.data || error.message);
+      console.error('Error fetching nearby incidents:', error.message);
       
       // Try to return cached incidents if offline
-      const cached = await offlineService.getCachedIncidents();
+      const cached = await offlineService.getCachedIncidents({ latitude, longitude, radius });
       if (cached) {
         console.log('Returning cached incidents (offline mode)');
         return cached.map(incident => ({ ...incident, cached: true }));
@@ -136,13 +138,59 @@ export const incidentService = {
     }
   },
 
+  /**
+   * Get incidents inside a map area
+   * @param {Object} bounds - Area to load
+   * @param {number} bounds.minLat
+   * @param {number} bounds.minLng
+   * @param {number} bounds.maxLat
+   * @param {number} bounds.maxLng
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the request when the area is no longer wanted
+   * @returns {Promise<{incidents: Array, truncated: boolean}>} Incidents in the area, newest first;
+   *   `truncated` when the server capped the list and left older ones out
+   */
+  async getInBounds(bounds, { signal } = {}) {
+    try {
+      const response = await apiClient.get('/incidents/in-bounds', {
+        params: {
+          min_lat: bounds.minLat,
+          min_lng: bounds.minLng,
+          max_lat: bounds.maxLat,
+          max_lng: bounds.maxLng,
+        },
+        signal,
+      });
+
+      const truncated = !!response.data.truncated;
+
+      // Cache incidents for offline viewing
+      await offlineService.cacheIncidents(response.data.data, bounds, { truncated });
+
+      return { incidents: response.data.data, truncated };
+    } catch (error) {
+      if (isCanceledError(error)) {
+        throw error;
+      }
+      console.error('Error fetching incidents in bounds:', error.message);
+
+      // Try to return cached incidents if offline
+      const cached = await offlineService.getCachedIncidents(bounds);
+      if (cached) {
+        return { incidents: cached.map(incident => ({ ...incident, cached: true })), truncated: false };
+      }
+
+      throw error;
+    }
+  },
+
   /**
    * Get paginated incident feed with filtering
    * @param {number} latitude - Latitude coordinate
    * @param {number} longitude - Longitude coordinate
    * @param {Object} options - Filter and pagination options
    * @param {number} [options.radius=5000] - Search radius in meters
-   * @param {string} [options.type] - Filter by incident type (hijacking, mugging, accident, all)
+   * @param {string} [options.type] - Filter by incident type key, or 'all'
    * @param {string} [options.timeRange='all'] - Filter by time range (24h, 7d, all)
    * @param {number} [options.page=1] - Page number
    * @param {number} [options.pageSize=20] - Items per page
@@ -158,7 +206,7 @@ export const incidentService = {
         pageSize = 20,
       } = options;
 
-      const response = await api.get('/incidents/feed', {
+      const response = await apiClient.get('/incidents/feed', {
         params: {
           lat: latitude,
           lng: longitude,
@@ -171,22 +219,101 @@ export const incidentService = {
       });
       return response.data;
     } catch (error) {
-      console.error('Error fetching incident feed:', error.response?.data || error.message);
+      console.error('Error fetching incident feed:', error.message);
       throw error;
     }
   },
 
   /**
-   * Verify/upvote an incident
+   * Verify/upvote an incident. Queued in the offline outbox when there is no connection.
    * @param {string} incidentId - The incident ID
-   * @returns {Promise<Object>} The verification result with updated counts
+   * @returns {Promise<Object>} The verification result with updated counts, or `{ queued: true }`
    */
   async verify(incidentId) {
     try {
-      const response = await api.post(`/incidents/${incidentId}/verify`);
-      return response.data;
+      const result = await offlineService.sendOrQueue({
+        type: OUTBOX_TYPES.INCIDENT_VERIFY,
+        method: 'post',
+        url: `/incidents/${incidentId}/verify`,
+      });
+      return result.queued ? { queued: true } : result.data;
+    } catch (error) {
+      console.error('Error verifying incident:', error.message);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the current user's own reports, newest first
+   * @returns {Promise<Array>} The user's incidents, including resolved and expired ones
+   */
+  async getMyIncidents() {
+    try {
+      const response = await apiClient.get('/incidents/mine');
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching my incidents:', error.message);
+      throw error;
+    }
+  },
+
+  /**
+   * Add a follow-up to the user's own report. Queued in the offline outbox when there is no connection.
+   * @param {string} incidentId - The incident ID
+   * @param {Object} changes
+   * @param {string} [changes.description] - New description
+   * @param {string} [changes.photo_url] - URL of a photo uploaded with `uploadPhoto`
+   * @returns {Promise<Object>} The updated incident, or `{ queued: true }`
+   */
+  async updateIncident(incidentId, changes) {
+    try {
+      const result = await offlineService.sendOrQueue({
+        type: OUTBOX_TYPES.INCIDENT_UPDATE,
+        method: 'patch',
+        url: `/incidents/${incidentId}`,
+        data: { incident: changes },
+      });
+      return result.queued ? { queued: true } : result.data.data;
     } catch (error) {
-      console.error('Error verifying incident:', error.response?.data || error.message);
+      console.error('Error updating incident:', error.message);
+      throw error;
+    }
+  },
+
+  /**
+   * Mark the user's own report as resolved, e.g. an accident that has been cleared
+   * @param {string} incidentId - The incident ID
+   * @returns {Promise<Object>} The resolved incident, or `{ queued: true }`
+   */
+  async resolveIncident(incidentId) {
+    try {
+      const result = await offlineService.sendOrQueue({
+        type: OUTBOX_TYPES.INCIDENT_RESOLVE,
+        method: 'post',
+        url: `/incidents/${incidentId}/resolve`,
+      });
+      return result.queued ? { queued: true } : result.data.data;
+    } catch (error) {
+      console.error('Error resolving incident:', error.message);
+      throw error;
+    }
+  },
+
+  /**
+   * Retract the user's own report, removing it from everyone's map
+   * @param {string} incidentId - The incident ID
+   * @returns {Promise<Object>} `{ queued: boolean }`
+   */
+  async retractIncident(incidentId) {
+    try {
+      const result = await offlineService.sendOrQueue({
+        type: OUTBOX_TYPES.INCIDENT_RETRACT,
+        method: 'delete',
+        url: `/incidents/${incidentId}`,
+      });
+      return { queued: result.queued };
+    } catch (error) {
+      console.error('Error retracting incident:', error.message);
       throw error;
     }
   },
@@ -198,10 +325,10 @@ export const incidentService = {
    */
   async getVerifications(incidentId) {
     try {
-      const response = await api.get(`/incidents/${incidentId}/verifications`);
+      const response = await apiClient.get(`/incidents/${incidentId}/verifications`);
       return response.data;
     } catch (error) {
-      console.error('Error fetching verifications:', error.response?.data || error.message);
+      console.error('Error fetching verifications:', error.message);
       throw error;
     }
   },
@@ -212,7 +339,7 @@ export const incidentService = {
    */
   async syncOfflineReports() {
     try {
-      const result = await offlineService.syncQueuedReports(api);
+      const result = await offlineService.syncQueuedReports(apiClient);
       return result;
     } catch (error) {
       console.error('Error syncing offline reports:', error);
@@ -230,15 +357,47 @@ export const incidentService = {
 
   /**
    * Get heatmap data showing incident clusters from the past 7 days
+   * @param {Object} [filters] - Map filters as query params, from mapFilterService.toHeatmapParams
    * @returns {Promise<Object>} Object containing clusters array and generated_at timestamp
    */
-  async getHeatmap() {
+  async getHeatmap(filters = {}) {
     try {
-      const response = await api.get('/incidents/heatmap');
+      const response = await apiClient.get('/incidents/heatmap', { params: filters });
       return response.data;
     } catch (error) {
-      console.error('Error fetching heatmap data:', error.response?.data || error.message);
+      console.error('Error fetching heatmap data:', error.message);
+      throw error;
+    }
+  },
+
+  /**
+   * Get past incidents and heat zones in a map area for time-slider playback
+   * @param {Object} bounds - Area as for getInBounds
+   * @param {Object} [options]
+   * @param {string} [options.period='24h'] - 24h, 7d or 30d
+   * @param {string} [options.type] - Only replay this incident type key, or 'all'
+   * @returns {Promise<Object>} `{period, frame_seconds, starts_at, ends_at, frames, incidents, truncated}`;
+   *   each frame has its `starts_at` and `heat_zones`, incidents carry `reported_at`;
+   *   `truncated` when a busy area had more incidents than the server returns, leaving out the oldest
+   */
+  async getPlayback(bounds, { period = '24h', type = 'all' } = {}) {
+    try {
+      const response = await apiClient.get('/incidents/playback', {
+        params: {
+          min_lat: bounds.minLat,
+          min_lng: bounds.minLng,
+          max_lat: bounds.maxLat,
+          max_lng: bounds.maxLng,
+          period,
+          type: type !== 'all' ? type : undefined,
+        },
+      });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching incident playback:', error.message);
       throw error;
     }
   },
 };
+
+export default incidentService;
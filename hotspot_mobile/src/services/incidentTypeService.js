@@ -0,0 +1,178 @@
+import { useEffect, useState } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import apiClient from './apiClient';
+
+const CACHE_KEY = '@hotspot_incident_types';
+
+// Shipped with the app so a fresh install works offline; replaced by the
+// server's list as soon as it has been fetched once
+const DEFAULT_TYPES = [
+  { key: 'hijacking', label: 'Hijacking', icon: '🚗', color: '#EF4444', severity: 'critical', sub_types: [] },
+  { key: 'mugging', label: 'Mugging', icon: '👤', color: '#F97316', severity: 'high', sub_types: [] },
+  { key: 'accident', label: 'Accident', icon: '⚠️', color: '#3B82F6', severity: 'medium', sub_types: [] },
+];
+
+const FALLBACK_ICON = '📍';
+const FALLBACK_COLOR = '#6B7280';
+
+const humanize = (key) => {
+  const words = String(key || 'incident').replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+/**
+ * Registry of reportable incident types (label, icon, colour, severity and
+ * sub-types), loaded from the API and cached for offline use.
+ * Lookups are synchronous so render code can call them directly; unknown
+ * types, e.g. one added on the server since the last fetch, get a neutral style.
+ */
+class IncidentTypeService {
+  constructor() {
+    this.types = DEFAULT_TYPES;
+    this.byKey = this.index(DEFAULT_TYPES);
+    this.listeners = [];
+    this.loading = null;
+  }
+
+  /**
+   * Load the cached list, then refresh it from the server.
+   * Safe to call more than once; concurrent calls share one request.
+   * @returns {Promise<Array>} The current types
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.loadCached()
+        .then(() => this.refresh())
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Fetch the latest list from the server and cache it
+   * @returns {Promise<Array>} The current types; the cached ones if offline
+   */
+  async refresh() {
+    try {
+      const response = await apiClient.get('/incident-types');
+      const types = response.data?.data;
+      if (Array.isArray(types) && types.length > 0) {
+        this.setTypes(types);
+        await AsyncStorage.setItem(CACHE_KEY, JSON.stringify(types));
+      }
+    } catch (error) {
+      console.error('Error refreshing incident types:', error.message);
+    }
+    return this.types;
+  }
+
+  async loadCached() {
+    try {
+      const cached = await AsyncStorage.getItem(CACHE_KEY);
+      if (cached) {
+        this.setTypes(JSON.parse(cached));
+      }
+    } catch (error) {
+      console.error('Error reading cached incident types:', error);
+    }
+  }
+
+  setTypes(types) {
+    this.types = types;
+    this.byKey = this.index(types);
+    this.listeners.forEach(callback => callback(types));
+  }
+
+  index(types) {
+    return types.reduce((acc, type) => ({ ...acc, [type.key]: type }), {});
+  }
+
+  /**
+   * Active types in display order
+   * @returns {Array<{key: string, label: string, icon: string, color: string, severity: string, sub_types: Array}>}
+   */
+  getTypes() {
+    return this.types;
+  }
+
+  /**
+   * Look up a type, with a neutral fallback for unknown keys
+   * @param {string} key
+   * @returns {Object}
+   */
+  getType(key) {
+    return this.byKey[key] || {
+      key,
+      label: humanize(key),
+      icon: FALLBACK_ICON,
+      color: FALLBACK_COLOR,
+      severity: 'medium',
+      sub_types: [],
+    };
+  }
+
+  getLabel(key) {
+    return this.getType(key).label;
+  }
+
+  getIcon(key) {
+    return this.getType(key).icon;
+  }
+
+  getColor(key) {
+    return this.getType(key).color;
+  }
+
+  /**
+   * Look up a sub-type label, e.g. "Smash and grab"
+   * @param {string} typeKey
+   * @param {string} subTypeKey
+   * @returns {string|null}
+   */
+  getSubTypeLabel(typeKey, subTypeKey) {
+    if (!subTypeKey) return null;
+    const subType = (this.getType(typeKey).sub_types || []).find(s => s.key === subTypeKey);
+    return subType ? subType.label : humanize(subTypeKey);
+  }
+
+  /**
+   * Subscribe to changes in the type list
+   * @param {Function} callback - Called with the new list
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(callback) {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter(cb => cb !== callback);
+    };
+  }
+}
+
+const incidentTypeService = new IncidentTypeService();
+
+/**
+ * The current incident types, re-rendering when the server list arrives
+ * @returns {Array}
+ */
+export const useIncidentTypes = () => {
+  const [types, setTypes] = useState(incidentTypeService.getTypes());
+
+  useEffect(() => incidentTypeService.onChange(setTypes), []);
+
+  return types;
+};
+
+/**
+ * Translucent version of a type colour, for zone fills
+ * @param {string} hex - e.g. '#EF4444'
+ * @param {number} alpha
+ * @returns {string}
+ */
+export const withAlpha = (hex, alpha) => {
+  const value = parseInt(hex.slice(1), 16);
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+};
+
+export default incidentTypeService;
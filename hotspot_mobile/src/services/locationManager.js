@@ -0,0 +1,413 @@
+import * as Location from 'expo-location';
+import * as TaskManager from 'expo-task-manager';
+import * as Battery from 'expo-battery';
+import { distanceInMeters } from '../utils/geo';
+
+export const LOCATION_TASK = 'hotspot-location-updates';
+
+// A cached fix younger than this answers getCurrentPosition without the GPS
+const FRESH_FIX_MS = 30000;
+
+const WALKING_SPEED_MS = 1;
+const DRIVING_SPEED_MS = 5;
+const NEAR_ZONE_M = 1000;
+const FAR_FROM_ZONES_M = 5000;
+const LOW_BATTERY = 0.2;
+const CRITICAL_BATTERY = 0.1;
+// Restarting updates is costly (and visible on Android), so a policy change
+// waits until this long after the last start, unless a zone is now close
+const MIN_RESTART_INTERVAL_MS = 60000;
+
+/**
+ * Work out how often and how precisely to sample location.
+ * Starts from movement speed, then tightens near hotspot zones and in
+ * Travel Mode, and backs off when the battery is low.
+ * @param {Object} inputs
+ * @param {number|null} inputs.speed - Meters per second
+ * @param {number|null} inputs.nearestZoneDistance - Meters to the closest zone boundary
+ * @param {number|null} inputs.batteryLevel - 0 to 1
+ * @param {boolean} inputs.lowPowerMode
+ * @param {boolean} inputs.charging
+ * @param {boolean} inputs.travelMode
+ * @returns {{accuracy: number, timeInterval: number, distanceInterval: number}}
+ */
+export const computeSamplingPolicy = ({
+  speed,
+  nearestZoneDistance,
+  batteryLevel,
+  lowPowerMode,
+  charging,
+  travelMode,
+}) => {
+  let policy;
+
+  // Movement sets the baseline; faster travel needs fewer, further-apart fixes per meter
+  if (speed == null || speed < WALKING_SPEED_MS) {
+    policy = { accuracy: Location.Accuracy.Balanced, timeInterval: 60000, distanceInterval: 50 };
+  } else if (speed < DRIVING_SPEED_MS) {
+    policy = { accuracy: Location.Accuracy.Balanced, timeInterval: 20000, distanceInterval: 25 };
+  } else {
+    policy = {
+      accuracy: Location.Accuracy.Balanced,
+      timeInterval: 10000,
+      // About ten seconds of travel, in 50m steps so small speed changes keep the same policy
+      distanceInterval: Math.min(300, Math.ceil((speed * 10) / 50) * 50),
+    };
+  }
+
+  // Nothing to detect nearby, so precision buys nothing
+  if (!travelMode && nearestZoneDistance != null && nearestZoneDistance > FAR_FROM_ZONES_M) {
+    policy = {
+      accuracy: Location.Accuracy.Low,
+      timeInterval: policy.timeInterval * 2,
+      distanceInterval: Math.max(policy.distanceInterval, 200),
+    };
+  }
+
+  // Close to a zone boundary, entry and exit need precise, frequent fixes
+  if (nearestZoneDistance != null && nearestZoneDistance <= NEAR_ZONE_M) {
+    policy = {
+      accuracy: Location.Accuracy.High,
+      timeInterval: Math.min(policy.timeInterval, 5000),
+      distanceInterval: Math.min(policy.distanceInterval, 20),
+    };
+  }
+
+  if (travelMode) {
+    policy = {
+      accuracy: Math.max(policy.accuracy, Location.Accuracy.Balanced),
+      timeInterval: Math.min(policy.timeInterval, 15000),
+      distanceInterval: policy.distanceInterval,
+    };
+  }
+
+  if (!charging && batteryLevel != null) {
+    if (batteryLevel <= CRITICAL_BATTERY) {
+      // Keep zone alerts alive, nothing more
+      policy = {
+        accuracy: Location.Accuracy.Low,
+        timeInterval: Math.max(policy.timeInterval * 3, 60000),
+        distanceInterval: Math.max(policy.distanceInterval, 100),
+      };
+    } else if (batteryLevel <= LOW_BATTERY || lowPowerMode) {
+      policy = {
+        accuracy: Math.min(policy.accuracy, Location.Accuracy.Balanced),
+        timeInterval: policy.timeInterval * 2,
+        distanceInterval: policy.distanceInterval * 2,
+      };
+    }
+  }
+
+  return policy;
+};
+
+const samePolicy = (a, b) =>
+  !!a &&
+  !!b &&
+  a.accuracy === b.accuracy &&
+  a.timeInterval === b.timeInterval &&
+  a.distanceInterval === b.distanceInterval;
+
+/**
+ * The app's one source of location fixes.
+ * Consumers subscribe instead of calling expo-location themselves, and the
+ * manager picks a sampling policy that fits the current situation. Fixes come
+ * from a background location task when background permission was granted,
+ * otherwise from a foreground watch.
+ */
+class LocationManager {
+  constructor() {
+    this.listeners = []; // { callback, passive }
+    this.lastFix = null;
+    this.policy = null;
+    this.watch = null;
+    this.backgroundEnabled = false;
+    this.running = false;
+    this.lastStartedAt = 0;
+    this.restartTimer = null;
+    this.queue = Promise.resolve();
+    this.batterySubscriptions = [];
+    this.inputs = {
+      speed: null,
+      nearestZoneDistance: null,
+      batteryLevel: null,
+      lowPowerMode: false,
+      charging: false,
+      travelMode: false,
+    };
+  }
+
+  /**
+   * Subscribe to location fixes
+   * @param {Function} callback - Called with expo-location `coords` ({ latitude, longitude, accuracy, speed, ... })
+   * @param {Object} [options]
+   * @param {boolean} [options.passive=false] - Receive fixes without keeping location running
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(callback, { passive = false } = {}) {
+    const listener = { callback, passive };
+    this.listeners.push(listener);
+    this.updateRunning();
+
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+      this.updateRunning();
+    };
+  }
+
+  /**
+   * Deliver fixes from the background task, which keeps running with the app closed.
+   * Only call once background permission has been granted.
+   * @param {boolean} enabled
+   */
+  async setBackgroundEnabled(enabled) {
+    if (this.backgroundEnabled === enabled) {
+      return;
+    }
+
+    this.backgroundEnabled = enabled;
+    if (this.running) {
+      await this.restart();
+    }
+  }
+
+  /**
+   * Travel Mode wants steadier fixes for route updates
+   * @param {boolean} active
+   */
+  setTravelMode(active) {
+    this.updateInputs({ travelMode: active });
+  }
+
+  /**
+   * Report how far the user is from the closest hotspot zone boundary
+   * @param {number|null} distance - Meters
+   */
+  setNearestZoneDistance(distance) {
+    this.updateInputs({ nearestZoneDistance: distance });
+  }
+
+  /**
+   * Get the most recent fix, if any
+   * @returns {Object|null} expo-location coords
+   */
+  getLastLocation() {
+    return this.lastFix?.coords || null;
+  }
+
+  /**
+   * One-off position, answered from the stream when it has a fresh fix
+   * @param {Object} [options] - expo-location options for a new fix
+   * @returns {Promise<Object>} expo-location coords
+   */
+  async getCurrentPosition(options = { accuracy: Location.Accuracy.High }) {
+    if (this.lastFix && Date.now() - this.lastFix.timestamp < FRESH_FIX_MS) {
+      return this.lastFix.coords;
+    }
+
+    const location = await Location.getCurrentPositionAsync(options);
+    this.handleFix(location);
+    return location.coords;
+  }
+
+  /**
+   * Handle fixes from either source
+   * @param {Object} location - expo-location LocationObject
+   */
+  handleFix(location) {
+    const speed = this.estimateSpeed(location);
+    this.lastFix = location;
+
+    this.listeners.forEach(({ callback }) => {
+      try {
+        callback(location.coords);
+      } catch (error) {
+        console.error('Error in location callback:', error);
+      }
+    });
+
+    this.updateInputs({ speed });
+  }
+
+  /**
+   * GPS speed when the platform reports it, otherwise distance over time since the last fix
+   */
+  estimateSpeed(location) {
+    if (location.coords.speed != null && location.coords.speed >= 0) {
+      return location.coords.speed;
+    }
+    if (!this.lastFix) {
+      return null;
+    }
+
+    const seconds = (location.timestamp - this.lastFix.timestamp) / 1000;
+    if (seconds <= 0) {
+      return this.inputs.speed;
+    }
+
+    const meters = distanceInMeters(
+      this.lastFix.coords.latitude,
+      this.lastFix.coords.longitude,
+      location.coords.latitude,
+      location.coords.longitude
+    );
+    return meters / seconds;
+  }
+
+  updateInputs(changes) {
+    this.inputs = { ...this.inputs, ...changes };
+    if (!this.running) return;
+
+    const next = computeSamplingPolicy(this.inputs);
+    if (samePolicy(this.policy, next)) {
+      // Whatever was pending has settled back to the running policy
+      this.cancelPendingRestart();
+      return;
+    }
+
+    const nearZone = next.accuracy === Location.Accuracy.High && this.policy?.accuracy !== Location.Accuracy.High;
+    const wait = this.lastStartedAt + MIN_RESTART_INTERVAL_MS - Date.now();
+
+    if (nearZone || wait <= 0) {
+      this.cancelPendingRestart();
+      this.restart();
+    } else if (!this.restartTimer) {
+      // Look again once the interval is up, with whatever the inputs are by then
+      this.restartTimer = setTimeout(() => {
+        this.restartTimer = null;
+        this.updateInputs({});
+      }, wait);
+    }
+  }
+
+  cancelPendingRestart() {
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+  }
+
+  updateRunning() {
+    const wanted = this.listeners.some(l => !l.passive);
+
+    if (wanted && !this.running) {
+      this.running = true;
+      this.startBattery();
+      this.restart();
+    } else if (!wanted && this.running) {
+      this.running = false;
+      this.cancelPendingRestart();
+      this.stopBattery();
+      this.enqueue(() => this.stopUpdates());
+    }
+  }
+
+  /**
+   * (Re)start updates with the current policy
+   * @returns {Promise<void>}
+   */
+  restart() {
+    return this.enqueue(async () => {
+      if (!this.running) return;
+      await this.stopUpdates();
+      await this.startUpdates();
+    });
+  }
+
+  // Starting and stopping are async, so run them one at a time
+  enqueue(operation) {
+    this.queue = this.queue
+      .then(operation)
+      .catch(error => console.error('Error applying location policy:', error));
+    return this.queue;
+  }
+
+  async startUpdates() {
+    this.policy = computeSamplingPolicy(this.inputs);
+    this.lastStartedAt = Date.now();
+
+    try {
+      if (this.backgroundEnabled) {
+        await Location.startLocationUpdatesAsync(LOCATION_TASK, {
+          ...this.policy,
+          deferredUpdatesInterval: this.policy.timeInterval,
+          pausesUpdatesAutomatically: !this.inputs.travelMode,
+          activityType: this.inputs.travelMode
+            ? Location.ActivityType.AutomotiveNavigation
+            : Location.ActivityType.Other,
+          showsBackgroundLocationIndicator: false,
+          foregroundService: {
+            notificationTitle: 'Hotspot zone alerts are on',
+            notificationBody: 'Watching for hotspot zones near you',
+            notificationColor: '#EF4444',
+          },
+        });
+      } else {
+        this.watch = await Location.watchPositionAsync(this.policy, location => this.handleFix(location));
+      }
+    } catch (error) {
+      console.error('Error starting location updates:', error);
+    }
+  }
+
+  async stopUpdates() {
+    try {
+      if (this.watch) {
+        this.watch.remove();
+        this.watch = null;
+      }
+      if (await Location.hasStartedLocationUpdatesAsync(LOCATION_TASK)) {
+        await Location.stopLocationUpdatesAsync(LOCATION_TASK);
+      }
+    } catch (error) {
+      console.error('Error stopping location updates:', error);
+    }
+  }
+
+  async startBattery() {
+    try {
+      const { batteryLevel, batteryState, lowPowerMode } = await Battery.getPowerStateAsync();
+      if (!this.running) return;
+
+      this.updateInputs({
+        batteryLevel: batteryLevel >= 0 ? batteryLevel : null,
+        charging: batteryState === Battery.BatteryState.CHARGING || batteryState === Battery.BatteryState.FULL,
+        lowPowerMode,
+      });
+
+      this.batterySubscriptions = [
+        Battery.addBatteryLevelListener(({ batteryLevel: level }) => {
+          this.updateInputs({ batteryLevel: level >= 0 ? level : null });
+        }),
+        Battery.addBatteryStateListener(({ batteryState: state }) => {
+          this.updateInputs({
+            charging: state === Battery.BatteryState.CHARGING || state === Battery.BatteryState.FULL,
+          });
+        }),
+        Battery.addLowPowerModeListener(({ lowPowerMode: enabled }) => {
+          this.updateInputs({ lowPowerMode: enabled });
+        }),
+      ];
+    } catch (error) {
+      // Without battery info the policy just ignores it
+      console.error('Error reading battery state:', error);
+    }
+  }
+
+  stopBattery() {
+    this.batterySubscriptions.forEach(subscription => subscription.remove());
+    this.batterySubscriptions = [];
+  }
+}
+
+const locationManager = new LocationManager();
+
+// Background tasks must be defined when the JS bundle loads, before any UI mounts
+TaskManager.defineTask(LOCATION_TASK, async ({ data, error }) => {
+  if (error) {
+    console.error('Background location task error:', error);
+    return;
+  }
+
+  (data?.locations || []).forEach(location => locationManager.handleFix(location));
+});
+
+export default locationManager;
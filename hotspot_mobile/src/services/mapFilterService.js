@@ -0,0 +1,215 @@
+import { useEffect, useState } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getMyGroups } from './communityService';
+import { SYNC_STATUS } from './reconciliationService';
+import { distanceInMeters, getIncidentCoordinates } from '../utils/geo';
+
+const MAP_FILTERS_KEY = '@hotspot_map_filters';
+
+export const AGE_OPTIONS = [
+  { hours: null, label: 'Any time' },
+  { hours: 1, label: 'Last hour' },
+  { hours: 6, label: '6 hours' },
+  { hours: 24, label: '24 hours' },
+  { hours: 168, label: '7 days' },
+];
+
+export const MIN_VERIFICATION_OPTIONS = [0, 1, 3, 5];
+
+export const DEFAULT_MAP_FILTERS = {
+  types: [], // empty means every type
+  maxAgeHours: null,
+  verifiedOnly: false,
+  minVerifications: 0,
+  myGroupsOnly: false,
+};
+
+/**
+ * Number of filters that differ from the defaults, for the filter button badge
+ * @param {Object} filters
+ * @returns {number}
+ */
+export const countActiveFilters = (filters) =>
+  (filters.types.length > 0 ? 1 : 0) +
+  (filters.maxAgeHours ? 1 : 0) +
+  (filters.verifiedOnly ? 1 : 0) +
+  (filters.minVerifications > 0 ? 1 : 0) +
+  (filters.myGroupsOnly ? 1 : 0);
+
+/**
+ * Apply map filters to incidents. The server applies the same rules to the
+ * heat layer (see toHeatmapParams), so markers and heat zones agree.
+ * Our own queued or rejected reports always stay visible.
+ * @param {Array} incidents
+ * @param {Object} filters
+ * @param {Array} groupAreas - The user's groups, as from getGroupAreas
+ * @returns {Array}
+ */
+export const filterIncidents = (incidents, filters, groupAreas = []) => {
+  if (countActiveFilters(filters) === 0) return incidents;
+
+  const now = Date.now();
+  const types = new Set(filters.types);
+
+  return incidents.filter((incident) => {
+    if (incident.queued || incident.sync_status === SYNC_STATUS.REJECTED) return true;
+
+    if (types.size > 0 && !types.has(incident.type)) return false;
+
+    if (filters.maxAgeHours) {
+      const happenedAt = new Date(incident.reported_at || incident.inserted_at).getTime();
+      if (now - happenedAt > filters.maxAgeHours * 60 * 60 * 1000) return false;
+    }
+
+    if (filters.verifiedOnly && !incident.is_verified) return false;
+    if ((incident.verification_count || 0) < filters.minVerifications) return false;
+
+    // Same rule as the server: linked to one of the groups, or inside its area
+    if (filters.myGroupsOnly) {
+      const coords = getIncidentCoordinates(incident);
+      return groupAreas.some(area =>
+        area.incidentIds.includes(incident.id) ||
+        (!!coords && area.latitude != null &&
+          distanceInMeters(area.latitude, area.longitude, coords.latitude, coords.longitude) <= area.radius)
+      );
+    }
+
+    return true;
+  });
+};
+
+/**
+ * Query params for incidentService.getHeatmap
+ * @param {Object} filters
+ * @returns {Object}
+ */
+export const toHeatmapParams = (filters) => ({
+  types: filters.types.length > 0 ? filters.types.join(',') : undefined,
+  max_age_hours: filters.maxAgeHours || undefined,
+  verified_only: filters.verifiedOnly || undefined,
+  min_verifications: filters.minVerifications || undefined,
+  my_groups: filters.myGroupsOnly || undefined,
+});
+
+/**
+ * Map filters, kept between sessions
+ */
+class MapFilterService {
+  constructor() {
+    this.filters = DEFAULT_MAP_FILTERS;
+    this.loading = null;
+    this.listeners = [];
+  }
+
+  /**
+   * Read the saved filters, once
+   * @returns {Promise<Object>}
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = AsyncStorage.getItem(MAP_FILTERS_KEY)
+        .then((json) => {
+          // Merged over the defaults so filters added later start switched off
+          this.filters = json ? { ...DEFAULT_MAP_FILTERS, ...JSON.parse(json) } : DEFAULT_MAP_FILTERS;
+          return this.filters;
+        })
+        .catch((error) => {
+          console.error('Error reading map filters:', error);
+          return this.filters;
+        });
+    }
+    return this.loading;
+  }
+
+  getFilters() {
+    return this.filters;
+  }
+
+  /**
+   * @param {Object} filters - The complete filter set
+   */
+  async setFilters(filters) {
+    this.filters = filters;
+    this.listeners.forEach(callback => callback(filters));
+
+    try {
+      await AsyncStorage.setItem(MAP_FILTERS_KEY, JSON.stringify(filters));
+    } catch (error) {
+      console.error('Error saving map filters:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Subscribe to filter changes
+   * @param {Function} callback - Called with the new filters
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(callback) {
+    this.listeners.push(callback);
+    return () => {
+      this.listeners = this.listeners.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Areas of the groups the user belongs to, for the "my groups only" filter,
+   * with the incidents linked to each. Groups without a location have only those.
+   * @returns {Promise<Array>} `{latitude, longitude, radius, incidentIds}` per group
+   */
+  async getGroupAreas() {
+    const groups = await getMyGroups();
+    return (groups || [])
+      .map(group => {
+        const hasArea = group.center_latitude != null && group.center_longitude != null;
+        return {
+          latitude: hasArea ? group.center_latitude : null,
+          longitude: hasArea ? group.center_longitude : null,
+          radius: group.radius_meters,
+          incidentIds: group.linked_incident_ids || [],
+        };
+      })
+      .filter(area => area.latitude != null || area.incidentIds.length > 0);
+  }
+}
+
+const mapFilterService = new MapFilterService();
+
+/**
+ * Current map filters, plus the user's group areas while "my groups only" is on
+ * @returns {{filters: Object, groupAreas: Array, setFilters: Function}}
+ */
+export const useMapFilters = () => {
+  const [filters, setFilters] = useState(mapFilterService.getFilters());
+  const [groupAreas, setGroupAreas] = useState([]);
+
+  useEffect(() => {
+    mapFilterService.load().then(setFilters);
+    return mapFilterService.onChange(setFilters);
+  }, []);
+
+  useEffect(() => {
+    if (!filters.myGroupsOnly) return undefined;
+
+    let cancelled = false;
+    mapFilterService.getGroupAreas()
+      .then((areas) => {
+        if (!cancelled) setGroupAreas(areas);
+      })
+      .catch((error) => {
+        console.error('Error loading group areas:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [filters.myGroupsOnly]);
+
+  return {
+    filters,
+    groupAreas,
+    setFilters: (next) => mapFilterService.setFilters(next).catch(() => {}),
+  };
+};
+
+export default mapFilterService;
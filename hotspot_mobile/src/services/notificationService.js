@@ -2,7 +2,11 @@ import * as Notifications from 'expo-notifications';
 import * as Device from 'expo-device';
 import { Platform } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { API_URL } from './config';
+import apiClient from './apiClient';
+import tokenStore from './tokenStore';
+
+const ALERT_RADIUS_KEY = '@hotspot_alert_radius';
+export const DEFAULT_ALERT_RADIUS = 2000;
 
 // Configure notification behavior
 Notifications.setNotificationHandler({
@@ -17,6 +21,8 @@ class NotificationService {
   constructor() {
     this.notificationListener = null;
     this.responseListener = null;
+    this.alertRadius = null;
+    this.alertRadiusListeners = [];
   }
 
   /**
@@ -80,8 +86,8 @@ class NotificationService {
         return { success: false, error: 'Failed to get token' };
       }
 
-      // Get auth token
-      const authToken = await AsyncStorage.getItem('authToken');
+      // Make sure we are signed in
+      const authToken = await tokenStore.getToken();
       if (!authToken) {
         return { success: false, error: 'Not authenticated' };
       }
@@ -90,27 +96,14 @@ class NotificationService {
       const platform = Platform.OS === 'ios' ? 'ios' : 'android';
 
       // Register with backend
-      const response = await fetch(`${API_URL}/notifications/register-token`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${authToken}`,
-        },
-        body: JSON.stringify({
-          token,
-          platform,
-        }),
+      const response = await apiClient.post('/notifications/register-token', {
+        token,
+        platform,
       });
 
-      const data = await response.json();
-
-      if (response.ok) {
-        // Store token locally
-        await AsyncStorage.setItem('fcmToken', token);
-        return { success: true, data };
-      } else {
-        return { success: false, error: data.error || 'Failed to register token' };
-      }
+      // Store token locally
+      await AsyncStorage.setItem('fcmToken', token);
+      return { success: true, data: response.data };
     } catch (error) {
       console.error('Error registering token:', error);
       return { success: false, error: error.message };
@@ -122,25 +115,9 @@ class NotificationService {
    */
   async getPreferences() {
     try {
-      const authToken = await AsyncStorage.getItem('authToken');
-      if (!authToken) {
-        throw new Error('Not authenticated');
-      }
-
-      const response = await fetch(`${API_URL}/notifications/preferences`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${authToken}`,
-        },
-      });
-
-      const data = await response.json();
-
-      if (response.ok) {
-        return { success: true, data: data.data };
-      } else {
-        return { success: false, error: data.error };
-      }
+      const response = await apiClient.get('/notifications/preferences');
+      await this.setAlertRadius(response.data.data.alert_radius);
+      return { success: true, data: response.data.data };
     } catch (error) {
       console.error('Error getting preferences:', error);
       return { success: false, error: error.message };
@@ -152,33 +129,69 @@ class NotificationService {
    */
   async updatePreferences(preferences) {
     try {
-      const authToken = await AsyncStorage.getItem('authToken');
-      if (!authToken) {
-        throw new Error('Not authenticated');
-      }
+      const response = await apiClient.put('/notifications/preferences', preferences);
+      await this.setAlertRadius(response.data.data.alert_radius);
+      return { success: true, data: response.data.data };
+    } catch (error) {
+      console.error('Error updating preferences:', error);
+      return { success: false, error: error.message };
+    }
+  }
 
-      const response = await fetch(`${API_URL}/notifications/preferences`, {
-        method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${authToken}`,
-        },
-        body: JSON.stringify(preferences),
-      });
+  /**
+   * Get the alert radius last loaded from or saved to the backend
+   * @returns {Promise<number>} Radius in meters
+   */
+  async getAlertRadius() {
+    if (this.alertRadius == null) {
+      try {
+        const stored = await AsyncStorage.getItem(ALERT_RADIUS_KEY);
+        this.alertRadius = stored ? Number(stored) : DEFAULT_ALERT_RADIUS;
+      } catch (error) {
+        console.error('Error reading alert radius:', error);
+        this.alertRadius = DEFAULT_ALERT_RADIUS;
+      }
+    }
+    return this.alertRadius;
+  }
 
-      const data = await response.json();
+  /**
+   * Remember the alert radius locally so it is available offline and at startup
+   */
+  async setAlertRadius(radius) {
+    if (!radius || radius === this.alertRadius) {
+      return;
+    }
 
-      if (response.ok) {
-        return { success: true, data: data.data };
-      } else {
-        return { success: false, error: data.error };
+    this.alertRadius = radius;
+    this.alertRadiusListeners.forEach(listener => {
+      try {
+        listener(radius);
+      } catch (error) {
+        console.error('Error in alert radius callback:', error);
       }
+    });
+
+    try {
+      await AsyncStorage.setItem(ALERT_RADIUS_KEY, String(radius));
     } catch (error) {
-      console.error('Error updating preferences:', error);
-      return { success: false, error: error.message };
+      console.error('Error saving alert radius:', error);
     }
   }
 
+  /**
+   * Subscribe to alert radius changes
+   * @param {Function} callback - Called with the new radius in meters
+   * @returns {Function} Unsubscribe function
+   */
+  onAlertRadiusChange(callback) {
+    this.alertRadiusListeners.push(callback);
+
+    return () => {
+      this.alertRadiusListeners = this.alertRadiusListeners.filter(cb => cb !== callback);
+    };
+  }
+
   /**
    * Set up notification listeners
    */
@@ -1,16 +1,71 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import NetInfo from '@react-native-community/netinfo';
-import { v4 as uuidv4 } from 'uuid';
+import * as Crypto from 'expo-crypto';
+import * as FileSystem from 'expo-file-system/legacy';
+import apiClient, { RETRY_POLICY, isNetworkError } from './apiClient';
+import incidentCache from './incidentCache';
+import incidentService from './incidentService';
+import reconciliationService from './reconciliationService';
+import sessionService from './sessionService';
+import tilePackService from './tilePackService';
 
 const OFFLINE_QUEUE_KEY = '@hotspot_offline_queue';
-const CACHED_INCIDENTS_KEY = '@hotspot_cached_incidents';
-const CACHED_TILES_KEY = '@hotspot_cached_tiles';
+const OUTBOX_KEY = '@hotspot_outbox';
+// Tile URL list written by older builds; tiles now live in tile packs
+const LEGACY_CACHED_TILES_KEY = '@hotspot_cached_tiles';
+
+// Photos for queued reports live in app storage so the OS cannot purge them
+const QUEUED_PHOTOS_DIR = `${FileSystem.documentDirectory}queued_photos/`;
+const PHOTO_MAX_ATTEMPTS = 3;
+
+/**
+ * Upload state of a queued report's photo.
+ * A report with `status: 'synced'` and `photo_status: 'rejected'` was
+ * accepted by the server without its photo.
+ */
+export const PHOTO_STATUS = {
+  PENDING: 'pending',
+  UPLOADED: 'uploaded',
+  REJECTED: 'rejected',
+  FAILED: 'failed',
+};
+
+/**
+ * Mutating API calls that can be held in the outbox while offline.
+ * Incident reports keep their own queue and batch endpoint (`/sync/reports`).
+ */
+export const OUTBOX_TYPES = {
+  INCIDENT_CREATE: 'incident:create',
+  INCIDENT_VERIFY: 'incident:verify',
+  INCIDENT_UPDATE: 'incident:update',
+  INCIDENT_RESOLVE: 'incident:resolve',
+  INCIDENT_RETRACT: 'incident:retract',
+  GROUP_JOIN: 'group:join',
+  GROUP_LEAVE: 'group:leave',
+  CONTACT_CREATE: 'emergency_contact:create',
+  CONTACT_UPDATE: 'emergency_contact:update',
+  CONTACT_DELETE: 'emergency_contact:delete',
+  PANIC_RESOLVE: 'panic:resolve',
+};
+
+// Outbox replay: 5s, 10s, 20s... capped at 30 minutes, dead-lettered after 6 attempts
+const OUTBOX_MAX_ATTEMPTS = 6;
+const OUTBOX_BASE_DELAY_MS = 5000;
+const OUTBOX_MAX_DELAY_MS = 30 * 60 * 1000;
 
 class OfflineService {
   constructor() {
     this.isOnline = true;
     this.listeners = [];
+    this.queueListeners = [];
+    this.isProcessingOutbox = false;
+    this.outboxTimer = null;
     this.setupNetworkListener();
+
+    // A 401 holds the queue until the user signs in again
+    sessionService.onSessionStarted(() => {
+      this.syncAll();
+    });
   }
 
   setupNetworkListener() {
@@ -23,11 +78,21 @@ class OfflineService {
       
       // If we just came back online, trigger sync
       if (wasOffline && this.isOnline) {
-        this.syncQueuedReports();
+        this.syncAll();
       }
     });
   }
 
+  /**
+   * Replay everything held offline: queued reports first, then the outbox
+   * @returns {Promise<Object>} Report sync and outbox results
+   */
+  async syncAll() {
+    const reports = await this.syncQueuedReports();
+    const outbox = await this.processOutbox();
+    return { reports, outbox };
+  }
+
   /**
    * Subscribe to connectivity changes
    * @param {Function} callback - Called with boolean indicating online status
@@ -56,11 +121,12 @@ class OfflineService {
   /**
    * Queue an incident report for later submission when online
    * @param {Object} report - Incident report data
+   * @param {Object} [photo] - Compressed photo from the image picker, uploaded before the report on sync
    * @returns {Promise<string>} Client ID for tracking
    */
-  async queueReport(report) {
-    const clientId = uuidv4();
-    const idempotencyKey = uuidv4();
+  async queueReport(report, photo = null) {
+    const clientId = Crypto.randomUUID();
+    const idempotencyKey = Crypto.randomUUID();
     
     const queuedReport = {
       ...report,
@@ -70,9 +136,23 @@ class OfflineService {
       status: 'pending'
     };
 
+    if (photo) {
+      try {
+        queuedReport.photo = await this.storeQueuedPhoto(clientId, photo);
+        queuedReport.photo_status = PHOTO_STATUS.PENDING;
+        queuedReport.photo_attempts = 0;
+      } catch (error) {
+        // Still queue the report; losing the photo is better than losing the report
+        console.error('Error storing photo for queued report:', error);
+        queuedReport.photo_status = PHOTO_STATUS.FAILED;
+        queuedReport.photo_error = 'Photo could not be saved on this device';
+      }
+    }
+
     const queue = await this.getQueue();
     queue.push(queuedReport);
     await AsyncStorage.setItem(OFFLINE_QUEUE_KEY, JSON.stringify(queue));
+    this.notifyQueueListeners();
     
     return clientId;
   }
@@ -102,26 +182,44 @@ class OfflineService {
 
   /**
    * Sync all queued reports to the server
-   * @param {Function} apiClient - Function to make API call
+   * @param {Object} [client] - Axios instance to send with (defaults to the shared client)
    * @returns {Promise<Object>} Sync results
    */
-  async syncQueuedReports(apiClient) {
+  async syncQueuedReports(client = apiClient) {
     if (!this.isOnline) {
       return { synced: 0, failed: 0, message: 'Device is offline' };
     }
 
-    const queue = await this.getQueue();
-    const pendingReports = queue.filter(r => r.status === 'pending');
-    
-    if (pendingReports.length === 0) {
+    let queue = await this.getQueue();
+    if (queue.filter(r => r.status === 'pending').length === 0) {
       return { synced: 0, failed: 0, message: 'No reports to sync' };
     }
 
+    // Photos go first so each report can be created with its photo_url
+    queue = await this.uploadQueuedPhotos(queue);
+
+    // Reports whose photo is still waiting to upload stay queued until the next sync
+    const pendingReports = queue.filter(
+      r => r.status === 'pending' && r.photo_status !== PHOTO_STATUS.PENDING
+    );
+
+    if (pendingReports.length === 0) {
+      return { synced: 0, failed: 0, message: 'Waiting for photo uploads' };
+    }
+
     try {
       // Call sync API endpoint
-      const response = await apiClient.post('/sync/reports', {
+      const response = await client.post('/sync/reports', {
         reports: pendingReports.map(r => ({
           type: r.type,
+          sub_type: r.sub_type,
+          severity: r.severity,
+          has_injuries: r.has_injuries,
+          suspect_count: r.suspect_count,
+          is_ongoing: r.is_ongoing,
+          vehicle_make: r.vehicle_make,
+          vehicle_color: r.vehicle_color,
+          vehicle_plate: r.vehicle_plate,
           latitude: r.latitude,
           longitude: r.longitude,
           description: r.description,
@@ -156,6 +254,11 @@ class OfflineService {
       );
 
       await AsyncStorage.setItem(OFFLINE_QUEUE_KEY, JSON.stringify(cleanedQueue));
+      this.notifyQueueListeners();
+
+      // Swap client IDs for server IDs everywhere the reports may already be shown
+      await reconciliationService.recordSyncResults(results);
+      await this.reconcileCachedIncidents();
       
       return { synced, failed, results };
     } catch (error) {
@@ -164,6 +267,101 @@ class OfflineService {
     }
   }
 
+  /**
+   * Upload the photos of pending reports and record the outcome on each report.
+   * 422/409 mean the server will never take the photo, so the report goes
+   * ahead without it. Other failures keep the report back for another attempt.
+   * @param {Array} queue - The full report queue
+   * @returns {Promise<Array>} The queue with photo states updated (also persisted)
+   */
+  async uploadQueuedPhotos(queue) {
+    const updatedQueue = [];
+    let offline = false;
+
+    for (const report of queue) {
+      if (offline || report.status !== 'pending' || report.photo_status !== PHOTO_STATUS.PENDING) {
+        updatedQueue.push(report);
+        continue;
+      }
+
+      try {
+        const result = await incidentService.uploadPhoto(report.photo);
+        await this.deleteQueuedPhoto(report.photo);
+        updatedQueue.push({
+          ...report,
+          photo: null,
+          photo_url: result.photo_url,
+          photo_status: PHOTO_STATUS.UPLOADED,
+          photo_error: null
+        });
+      } catch (error) {
+        if (isNetworkError(error)) {
+          offline = true;
+          updatedQueue.push(report);
+        } else if (error.status === 422 || error.status === 409) {
+          await this.deleteQueuedPhoto(report.photo);
+          updatedQueue.push({
+            ...report,
+            photo: null,
+            photo_status: PHOTO_STATUS.REJECTED,
+            photo_error: error.userMessage
+          });
+        } else {
+          const attempts = (report.photo_attempts || 0) + 1;
+          const exhausted = attempts >= PHOTO_MAX_ATTEMPTS;
+          if (exhausted) {
+            await this.deleteQueuedPhoto(report.photo);
+          }
+          updatedQueue.push({
+            ...report,
+            photo: exhausted ? null : report.photo,
+            photo_attempts: attempts,
+            photo_status: exhausted ? PHOTO_STATUS.FAILED : PHOTO_STATUS.PENDING,
+            photo_error: error.userMessage
+          });
+        }
+      }
+    }
+
+    await AsyncStorage.setItem(OFFLINE_QUEUE_KEY, JSON.stringify(updatedQueue));
+    this.notifyQueueListeners();
+    return updatedQueue;
+  }
+
+  /**
+   * Copy a photo into app storage so it survives until the report syncs
+   * @param {string} clientId - Client ID of the queued report
+   * @param {Object} photo - Photo from the image picker
+   * @returns {Promise<Object>} Photo object pointing at the stored copy
+   */
+  async storeQueuedPhoto(clientId, photo) {
+    await FileSystem.makeDirectoryAsync(QUEUED_PHOTOS_DIR, { intermediates: true }).catch(() => {});
+    const uri = `${QUEUED_PHOTOS_DIR}${clientId}.jpg`;
+    await FileSystem.copyAsync({ from: photo.uri, to: uri });
+
+    return {
+      uri,
+      type: photo.type || 'image/jpeg',
+      fileName: photo.fileName || `${clientId}.jpg`,
+    };
+  }
+
+  /**
+   * Remove a stored photo once it is no longer needed
+   * @param {Object} photo - Stored photo object
+   * @returns {Promise<void>}
+   */
+  async deleteQueuedPhoto(photo) {
+    if (!photo?.uri) {
+      return;
+    }
+    try {
+      await FileSystem.deleteAsync(photo.uri, { idempotent: true });
+    } catch (error) {
+      console.error('Error deleting queued photo:', error);
+    }
+  }
+
   /**
    * Clear all synced reports from queue
    * @returns {Promise<void>}
@@ -172,81 +370,330 @@ class OfflineService {
     const queue = await this.getQueue();
     const pendingQueue = queue.filter(r => r.status !== 'synced');
     await AsyncStorage.setItem(OFFLINE_QUEUE_KEY, JSON.stringify(pendingQueue));
+    this.notifyQueueListeners();
   }
 
   /**
-   * Cache incidents for offline viewing
-   * @param {Array} incidents - Array of incident objects
-   * @returns {Promise<void>}
+   * Send a mutating request now, or hold it in the outbox if we are offline.
+   * The same idempotency key is used for the live attempt and every replay.
+   * @param {Object} request
+   * @param {string} request.type - One of OUTBOX_TYPES
+   * @param {string} request.method - HTTP method
+   * @param {string} request.url - Path relative to the API base URL
+   * @param {Object} [request.data] - Request body
+   * @returns {Promise<Object>} `{ queued: false, data }` or `{ queued: true, item }`
    */
-  async cacheIncidents(incidents) {
+  async sendOrQueue({ type, method, url, data }) {
+    const idempotencyKey = Crypto.randomUUID();
+    const isOnline = await this.checkConnectivity();
+
+    if (isOnline) {
+      try {
+        const response = await apiClient.request({
+          method,
+          url,
+          data,
+          headers: { 'Idempotency-Key': idempotencyKey },
+        });
+        return { queued: false, data: response.data };
+      } catch (error) {
+        // Queue when there was no answer; if the request did land, the server
+        // answers the replayed key with its stored response
+        if (!isNetworkError(error)) {
+          throw error;
+        }
+      }
+    }
+
+    const item = await this.enqueue({ type, method, url, data, idempotencyKey });
+    return { queued: true, item };
+  }
+
+  /**
+   * Add a mutating request to the durable outbox
+   * @param {Object} request
+   * @param {string} request.type - One of OUTBOX_TYPES
+   * @param {string} request.method - HTTP method
+   * @param {string} request.url - Path relative to the API base URL
+   * @param {Object} [request.data] - Request body
+   * @param {string} [request.idempotencyKey] - Reused on every replay
+   * @returns {Promise<Object>} The stored outbox item
+   */
+  async enqueue({ type, method, url, data = null, idempotencyKey = Crypto.randomUUID() }) {
+    const item = {
+      id: Crypto.randomUUID(),
+      type,
+      method,
+      url,
+      data,
+      idempotency_key: idempotencyKey,
+      queued_at: new Date().toISOString(),
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: null,
+      last_error: null,
+    };
+
+    const outbox = await this.getOutbox();
+    outbox.push(item);
+    await this.saveOutbox(outbox);
+
+    return item;
+  }
+
+  /**
+   * Get all outbox items, including dead-lettered ones
+   * @returns {Promise<Array>}
+   */
+  async getOutbox() {
     try {
-      const cached = {
-        incidents,
-        cached_at: new Date().toISOString()
-      };
-      await AsyncStorage.setItem(CACHED_INCIDENTS_KEY, JSON.stringify(cached));
+      const outboxJson = await AsyncStorage.getItem(OUTBOX_KEY);
+      return outboxJson ? JSON.parse(outboxJson) : [];
     } catch (error) {
-      console.error('Error caching incidents:', error);
+      console.error('Error reading outbox:', error);
+      return [];
     }
   }
 
+  async saveOutbox(outbox) {
+    await AsyncStorage.setItem(OUTBOX_KEY, JSON.stringify(outbox));
+    this.notifyQueueListeners();
+  }
+
   /**
-   * Get cached incidents
-   * @param {number} maxAgeHours - Maximum age of cache in hours (default: 24)
-   * @returns {Promise<Array|null>}
+   * Replay pending outbox items in the order they were queued.
+   * A failing item backs off exponentially and holds back the items behind it,
+   * so later calls never overtake earlier ones. Items that keep failing, or that
+   * the server rejects outright, move to the dead-letter state.
+   * @returns {Promise<Object>} Counts of sent, dead-lettered and remaining items
    */
-  async getCachedIncidents(maxAgeHours = 24) {
+  async processOutbox() {
+    if (this.isProcessingOutbox || !this.isOnline) {
+      return { sent: 0, dead: 0, remaining: await this.getOutboxPendingCount() };
+    }
+
+    this.isProcessingOutbox = true;
+    clearTimeout(this.outboxTimer);
+    let sent = 0;
+    let dead = 0;
+
+    try {
+      let outbox = await this.getOutbox();
+
+      for (const item of outbox.filter(i => i.status === 'pending')) {
+        if (item.next_attempt_at && new Date(item.next_attempt_at).getTime() > Date.now()) {
+          // Head of the line is still backing off; try again when it is due
+          this.scheduleOutbox(new Date(item.next_attempt_at).getTime() - Date.now());
+          break;
+        }
+
+        const outcome = await this.replayOutboxItem(item);
+        outbox = await this.getOutbox();
+
+        if (outcome.status === 'sent') {
+          outbox = outbox.filter(i => i.id !== item.id);
+          sent++;
+        } else {
+          outbox = outbox.map(i => (i.id === item.id ? { ...i, ...outcome.update } : i));
+          if (outcome.status === 'dead') dead++;
+        }
+        await this.saveOutbox(outbox);
+
+        if (outcome.status === 'retry') {
+          this.scheduleOutbox(new Date(outcome.update.next_attempt_at).getTime() - Date.now());
+          break;
+        }
+        if (outcome.status === 'halt') {
+          break;
+        }
+      }
+    } catch (error) {
+      console.error('Error processing outbox:', error);
+    } finally {
+      this.isProcessingOutbox = false;
+    }
+
+    return { sent, dead, remaining: await this.getOutboxPendingCount() };
+  }
+
+  async replayOutboxItem(item) {
     try {
-      const cachedJson = await AsyncStorage.getItem(CACHED_INCIDENTS_KEY);
-      if (!cachedJson) return null;
+      await apiClient.request({
+        method: item.method,
+        url: item.url,
+        data: item.data,
+        headers: { 'Idempotency-Key': item.idempotency_key },
+        // The outbox owns retry timing for queued calls
+        retry: false,
+      });
+      return { status: 'sent' };
+    } catch (error) {
+      const lastError = { status: error.status || null, code: error.code, message: error.message };
+
+      // Session problems are resolved by signing in again, not by retrying
+      if (error.status === 401) {
+        return { status: 'halt', update: { last_error: lastError } };
+      }
+
+      const isTransient =
+        isNetworkError(error) || error.status >= 500 || RETRY_POLICY.retryableStatuses.includes(error.status);
+      const attempts = item.attempts + 1;
+
+      if (!isTransient || attempts >= OUTBOX_MAX_ATTEMPTS) {
+        return {
+          status: 'dead',
+          update: { status: 'dead', attempts, last_error: lastError, dead_at: new Date().toISOString() },
+        };
+      }
+
+      const delay = Math.min(OUTBOX_BASE_DELAY_MS * Math.pow(2, attempts - 1), OUTBOX_MAX_DELAY_MS);
+      return {
+        status: 'retry',
+        update: {
+          attempts,
+          last_error: lastError,
+          next_attempt_at: new Date(Date.now() + delay).toISOString(),
+        },
+      };
+    }
+  }
+
+  scheduleOutbox(delayMs) {
+    clearTimeout(this.outboxTimer);
+    this.outboxTimer = setTimeout(() => {
+      this.processOutbox();
+    }, Math.max(delayMs, 0));
+  }
+
+  /**
+   * Get outbox items that gave up after repeated or permanent failures
+   * @returns {Promise<Array>}
+   */
+  async getDeadLetters() {
+    const outbox = await this.getOutbox();
+    return outbox.filter(i => i.status === 'dead');
+  }
+
+  /**
+   * Move a dead-lettered item back into the outbox and replay it
+   * @param {string} itemId
+   * @returns {Promise<void>}
+   */
+  async retryDeadLetter(itemId) {
+    const outbox = await this.getOutbox();
+    await this.saveOutbox(
+      outbox.map(i =>
+        i.id === itemId ? { ...i, status: 'pending', attempts: 0, next_attempt_at: null } : i
+      )
+    );
+    await this.processOutbox();
+  }
+
+  /**
+   * Drop a dead-lettered item
+   * @param {string} itemId
+   * @returns {Promise<void>}
+   */
+  async discardDeadLetter(itemId) {
+    const outbox = await this.getOutbox();
+    await this.saveOutbox(outbox.filter(i => i.id !== itemId));
+  }
+
+  /**
+   * Get count of outbox items still waiting to be sent
+   * @returns {Promise<number>}
+   */
+  async getOutboxPendingCount() {
+    const outbox = await this.getOutbox();
+    return outbox.filter(i => i.status === 'pending').length;
+  }
 
-      const cached = JSON.parse(cachedJson);
-      const cacheAge = Date.now() - new Date(cached.cached_at).getTime();
-      const maxAge = maxAgeHours * 60 * 60 * 1000;
+  /**
+   * Get pending counts per outbox type, with queued reports as `incident:create`
+   * @returns {Promise<Object>} e.g. `{ 'incident:create': 2, 'incident:verify': 1, dead: 0 }`
+   */
+  async getPendingCountsByType() {
+    const queue = await this.getQueue();
+    const outbox = await this.getOutbox();
+    const counts = { dead: 0 };
+
+    const pendingReports = queue.filter(r => r.status === 'pending').length;
+    if (pendingReports > 0) {
+      counts[OUTBOX_TYPES.INCIDENT_CREATE] = pendingReports;
+    }
 
-      if (cacheAge > maxAge) {
-        // Cache is too old
-        return null;
+    outbox.forEach(item => {
+      if (item.status === 'dead') {
+        counts.dead++;
+      } else {
+        counts[item.type] = (counts[item.type] || 0) + 1;
       }
+    });
+
+    return counts;
+  }
+
+  /**
+   * Subscribe to changes in the report queue or outbox
+   * @param {Function} callback - Called with no arguments when anything is queued or replayed
+   * @returns {Function} Unsubscribe function
+   */
+  onQueueChange(callback) {
+    this.queueListeners.push(callback);
 
-      return cached.incidents;
+    return () => {
+      this.queueListeners = this.queueListeners.filter(l => l !== callback);
+    };
+  }
+
+  notifyQueueListeners() {
+    this.queueListeners.forEach(listener => {
+      try {
+        listener();
+      } catch (error) {
+        console.error('Error in queue change callback:', error);
+      }
+    });
+  }
+
+  /**
+   * Cache incidents for offline viewing
+   * @param {Array} incidents - Array of incident objects
+   * @param {Object} area - The query area that returned them, a circle or a box as for getCachedIncidents
+   * @param {Object} [options] - As for incidentCache.put, e.g. `{ truncated: true }`
+   * @returns {Promise<void>}
+   */
+  async cacheIncidents(incidents, area, options) {
+    try {
+      await incidentCache.put(incidents, area, options);
     } catch (error) {
-      console.error('Error reading cached incidents:', error);
-      return null;
+      console.error('Error caching incidents:', error);
     }
   }
 
   /**
-   * Cache map tile URLs for offline viewing
-   * @param {Array} tileUrls - Array of tile URLs
+   * Apply client_id -> server_id mappings to the cached incidents
    * @returns {Promise<void>}
    */
-  async cacheMapTiles(tileUrls) {
+  async reconcileCachedIncidents() {
     try {
-      const existing = await this.getCachedTiles();
-      const combined = [...new Set([...existing, ...tileUrls])];
-      
-      // Limit cache size to 1000 tiles
-      const limited = combined.slice(-1000);
-      
-      await AsyncStorage.setItem(CACHED_TILES_KEY, JSON.stringify(limited));
+      await incidentCache.updateAll(incidents => reconciliationService.reconcileIncidents(incidents));
     } catch (error) {
-      console.error('Error caching map tiles:', error);
+      console.error('Error reconciling cached incidents:', error);
     }
   }
 
   /**
-   * Get cached map tile URLs
-   * @returns {Promise<Array>}
+   * Get cached incidents in an area
+   * @param {Object} area - Circle `{latitude, longitude, radius}` or box `{minLat, minLng, maxLat, maxLng}`
+   * @returns {Promise<Array|null>} Null when nothing is cached for the area
    */
-  async getCachedTiles() {
+  async getCachedIncidents(area) {
     try {
-      const tilesJson = await AsyncStorage.getItem(CACHED_TILES_KEY);
-      return tilesJson ? JSON.parse(tilesJson) : [];
+      return await incidentCache.query(area);
     } catch (error) {
-      console.error('Error reading cached tiles:', error);
-      return [];
+      console.error('Error reading cached incidents:', error);
+      return null;
     }
   }
 
@@ -258,9 +705,11 @@ class OfflineService {
     try {
       await AsyncStorage.multiRemove([
         OFFLINE_QUEUE_KEY,
-        CACHED_INCIDENTS_KEY,
-        CACHED_TILES_KEY
+        OUTBOX_KEY,
+        LEGACY_CACHED_TILES_KEY
       ]);
+      await incidentCache.clear();
+      await FileSystem.deleteAsync(QUEUED_PHOTOS_DIR, { idempotent: true });
     } catch (error) {
       console.error('Error clearing cache:', error);
     }
@@ -272,14 +721,18 @@ class OfflineService {
    */
   async getStorageStats() {
     const queue = await this.getQueue();
-    const incidents = await this.getCachedIncidents();
-    const tiles = await this.getCachedTiles();
+    const outbox = await this.getOutbox();
+    const incidents = await incidentCache.getStats();
+    const tileBytes = await tilePackService.getStorageUsage();
 
     return {
       queuedReports: queue.length,
       pendingReports: queue.filter(r => r.status === 'pending').length,
-      cachedIncidents: incidents ? incidents.length : 0,
-      cachedTiles: tiles.length,
+      pendingOutbox: outbox.filter(i => i.status === 'pending').length,
+      deadLetters: outbox.filter(i => i.status === 'dead').length,
+      cachedIncidents: incidents.incidents,
+      cachedIncidentCells: incidents.cells,
+      tilePackBytes: tileBytes,
       isOnline: this.isOnline
     };
   }
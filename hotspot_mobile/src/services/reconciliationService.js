@@ -0,0 +1,221 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const REPORT_MAPPINGS_KEY = '@hotspot_report_mappings';
+
+// Mappings only matter until the optimistic incident has been replaced everywhere
+const MAPPING_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Sync state of a report that was queued offline
+ */
+export const SYNC_STATUS = {
+  SYNCED: 'synced',
+  REJECTED: 'rejected',
+};
+
+/**
+ * Ties offline-queued reports (identified by their client UUID) to the
+ * incidents the server created for them, so optimistic map entries,
+ * the offline cache and websocket events all agree on one incident.
+ */
+class ReconciliationService {
+  constructor() {
+    // client_id -> { server_id, status, reason, reconciled_at }
+    this.mappings = {};
+    this.loaded = false;
+    this.listeners = [];
+  }
+
+  /**
+   * Load persisted mappings, dropping ones older than the TTL
+   * @returns {Promise<Object>}
+   */
+  async loadMappings() {
+    if (this.loaded) {
+      return this.mappings;
+    }
+
+    try {
+      const json = await AsyncStorage.getItem(REPORT_MAPPINGS_KEY);
+      const stored = json ? JSON.parse(json) : {};
+      const cutoff = Date.now() - MAPPING_TTL_MS;
+
+      this.mappings = Object.fromEntries(
+        Object.entries(stored).filter(([, mapping]) => mapping.reconciled_at > cutoff)
+      );
+    } catch (error) {
+      console.error('Error loading report mappings:', error);
+    }
+
+    this.loaded = true;
+    return this.mappings;
+  }
+
+  /**
+   * Record the per-report results of a `/sync/reports` call
+   * @param {Array} results - `{ status, id, client_id, reason }` per report
+   * @returns {Promise<Array>} The changes that were recorded
+   */
+  async recordSyncResults(results = []) {
+    await this.loadMappings();
+
+    const changes = results
+      .filter(result => result.client_id)
+      .map(result => ({
+        client_id: result.client_id,
+        server_id: result.status === 'success' ? result.id : null,
+        status: result.status === 'success' ? SYNC_STATUS.SYNCED : SYNC_STATUS.REJECTED,
+        reason: result.status === 'success' ? null : result.reason,
+        reconciled_at: Date.now(),
+      }));
+
+    if (changes.length === 0) {
+      return changes;
+    }
+
+    changes.forEach(change => {
+      this.mappings[change.client_id] = change;
+    });
+
+    try {
+      await AsyncStorage.setItem(REPORT_MAPPINGS_KEY, JSON.stringify(this.mappings));
+    } catch (error) {
+      console.error('Error saving report mappings:', error);
+    }
+
+    this.notifyListeners(changes);
+    return changes;
+  }
+
+  /**
+   * Get the server ID assigned to a queued report
+   * @param {string} clientId
+   * @returns {string|null}
+   */
+  getServerId(clientId) {
+    return this.mappings[clientId]?.server_id || null;
+  }
+
+  /**
+   * Check whether a server incident was created from one of this device's queued reports
+   * @param {string} serverId
+   * @returns {boolean}
+   */
+  isOwnReport(serverId) {
+    return Object.values(this.mappings).some(mapping => mapping.server_id === serverId);
+  }
+
+  /**
+   * Apply known mappings to a list of incidents.
+   * Optimistic entries take their server ID, or are dropped when the server
+   * incident is already in the list; rejected reports are flagged with the reason.
+   * @param {Array} incidents
+   * @returns {Array} A new, de-duplicated list
+   */
+  reconcileIncidents(incidents) {
+    return this.applyChanges(incidents, Object.values(this.mappings));
+  }
+
+  /**
+   * Apply a set of sync changes to a list of incidents
+   * @param {Array} incidents
+   * @param {Array} changes - Changes as returned by recordSyncResults
+   * @returns {Array} A new, de-duplicated list
+   */
+  applyChanges(incidents, changes) {
+    const byClientId = new Map(changes.map(change => [change.client_id, change]));
+    const seen = new Set();
+    const reconciled = [];
+
+    // Server entries win over optimistic ones, so index them first
+    incidents.forEach(incident => {
+      if (!byClientId.has(incident.id)) {
+        seen.add(incident.id);
+      }
+    });
+
+    incidents.forEach(incident => {
+      const change = byClientId.get(incident.id);
+
+      if (!change) {
+        reconciled.push(incident);
+        return;
+      }
+
+      if (change.status === SYNC_STATUS.REJECTED) {
+        reconciled.push({
+          ...incident,
+          queued: false,
+          status: SYNC_STATUS.REJECTED,
+          sync_status: SYNC_STATUS.REJECTED,
+          sync_error: change.reason || 'Report was rejected by the server',
+        });
+        return;
+      }
+
+      if (seen.has(change.server_id)) {
+        return;
+      }
+
+      seen.add(change.server_id);
+      reconciled.push({
+        ...incident,
+        id: change.server_id,
+        client_id: change.client_id,
+        queued: false,
+        status: undefined,
+        sync_status: SYNC_STATUS.SYNCED,
+      });
+    });
+
+    return reconciled;
+  }
+
+  /**
+   * Merge an incident received from the server (e.g. a websocket `incident:new`)
+   * into a list, replacing the optimistic entry for the same report if there is one
+   * @param {Array} incidents
+   * @param {Object} incoming - Incident with a server ID
+   * @returns {Array} A new list
+   */
+  mergeIncident(incidents, incoming) {
+    const clientId = Object.keys(this.mappings).find(
+      id => this.mappings[id].server_id === incoming.id
+    );
+
+    const rest = incidents.filter(
+      incident => incident.id !== incoming.id && (!clientId || incident.id !== clientId)
+    );
+    const existing = incidents.find(
+      incident => incident.id === incoming.id || (clientId && incident.id === clientId)
+    );
+
+    const merged = existing ? { ...existing, ...incoming, queued: false, status: undefined } : incoming;
+    return [merged, ...rest];
+  }
+
+  /**
+   * Subscribe to reconciled sync results
+   * @param {Function} callback - Called with the array of changes
+   * @returns {Function} Unsubscribe function
+   */
+  onReconcile(callback) {
+    this.listeners.push(callback);
+
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== callback);
+    };
+  }
+
+  notifyListeners(changes) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(changes);
+      } catch (error) {
+        console.error('Error in reconcile callback:', error);
+      }
+    });
+  }
+}
+
+export default new ReconciliationService();
@@ -0,0 +1,195 @@
+import axios from 'axios';
+import { API_URL } from './config';
+import tokenStore from './tokenStore';
+
+// Rotate the access token this long before it actually expires
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+const REFRESH_TIMEOUT_MS = 10000;
+
+/**
+ * Keeps the access token fresh and announces when the session is gone.
+ * Refreshes are single-flight: concurrent callers share one request.
+ */
+class SessionService {
+  constructor() {
+    this.refreshPromise = null;
+    // Set once the session has been announced as expired, until the next sign-in
+    this.expired = false;
+    this.sessionExpiredListeners = [];
+    this.sessionStartedListeners = [];
+    this.tokenRefreshedListeners = [];
+  }
+
+  /**
+   * Get an access token, rotating it first if it is about to expire
+   * @returns {Promise<string|null>}
+   */
+  async getValidToken() {
+    // Requests issued while a refresh is running wait for the new token
+    if (this.refreshPromise) {
+      try {
+        return await this.refreshPromise;
+      } catch (error) {
+        return null;
+      }
+    }
+
+    const token = await tokenStore.getToken();
+    if (!token) {
+      return null;
+    }
+
+    const expiresAt = await tokenStore.getTokenExpiresAt();
+    if (expiresAt && Date.now() >= expiresAt - REFRESH_MARGIN_MS) {
+      try {
+        return await this.refresh();
+      } catch (error) {
+        // Fall back to the current token; a 401 will trigger another attempt
+        return token;
+      }
+    }
+
+    return token;
+  }
+
+  /**
+   * Exchange the refresh token for a new token pair
+   * @returns {Promise<string>} The new access token
+   */
+  refresh() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.performRefresh().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  /**
+   * Store the tokens from a sign-in and start a new session
+   * @param {Object} session - `{ token, refresh_token, expires_in }`
+   * @returns {Promise<void>}
+   */
+  async startSession(session) {
+    await tokenStore.setSession(session);
+    this.expired = false;
+
+    this.sessionStartedListeners.forEach((listener) => {
+      try {
+        listener();
+      } catch (error) {
+        console.error('Error in session started callback:', error);
+      }
+    });
+  }
+
+  /**
+   * Check whether the session can be refreshed
+   * @returns {Promise<boolean>}
+   */
+  async canRefresh() {
+    const refreshToken = await tokenStore.getRefreshToken();
+    return !!refreshToken;
+  }
+
+  async performRefresh() {
+    const refreshToken = await tokenStore.getRefreshToken();
+    if (!refreshToken) {
+      await this.expireSession();
+      throw new Error('No refresh token available');
+    }
+
+    try {
+      // Plain axios so the refresh call never goes through the auth interceptors
+      const response = await axios.post(
+        `${API_URL}/auth/refresh`,
+        { refresh_token: refreshToken },
+        { timeout: REFRESH_TIMEOUT_MS }
+      );
+
+      await tokenStore.setSession(response.data);
+      this.notifyTokenRefreshed(response.data.token);
+      return response.data.token;
+    } catch (error) {
+      // Only a rejected refresh token ends the session; network errors do not
+      const status = error.response?.status;
+      if (status === 400 || status === 401 || status === 403) {
+        await this.expireSession();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Clear credentials and notify listeners that the user must sign in again.
+   * Several requests failing at once only announce it once.
+   * @returns {Promise<void>}
+   */
+  async expireSession() {
+    if (this.expired) {
+      return;
+    }
+    this.expired = true;
+
+    await tokenStore.clear();
+
+    this.sessionExpiredListeners.forEach((listener) => {
+      try {
+        listener();
+      } catch (error) {
+        console.error('Error in session expired callback:', error);
+      }
+    });
+  }
+
+  /**
+   * Subscribe to access token rotation
+   * @param {Function} callback - Called with the new access token
+   * @returns {Function} Unsubscribe function
+   */
+  onTokenRefreshed(callback) {
+    this.tokenRefreshedListeners.push(callback);
+
+    return () => {
+      this.tokenRefreshedListeners = this.tokenRefreshedListeners.filter((l) => l !== callback);
+    };
+  }
+
+  notifyTokenRefreshed(token) {
+    this.tokenRefreshedListeners.forEach((listener) => {
+      try {
+        listener(token);
+      } catch (error) {
+        console.error('Error in token refreshed callback:', error);
+      }
+    });
+  }
+
+  /**
+   * Subscribe to sign-ins
+   * @param {Function} callback - Called once a new session's tokens are stored
+   * @returns {Function} Unsubscribe function
+   */
+  onSessionStarted(callback) {
+    this.sessionStartedListeners.push(callback);
+
+    return () => {
+      this.sessionStartedListeners = this.sessionStartedListeners.filter((l) => l !== callback);
+    };
+  }
+
+  /**
+   * Subscribe to session expiry
+   * @param {Function} callback - Called when the session cannot be renewed
+   * @returns {Function} Unsubscribe function
+   */
+  onSessionExpired(callback) {
+    this.sessionExpiredListeners.push(callback);
+
+    return () => {
+      this.sessionExpiredListeners = this.sessionExpiredListeners.filter((l) => l !== callback);
+    };
+  }
+}
+
+export default new SessionService();
@@ -10,7 +10,7 @@ class SubscriptionService {
       return response.data.data;
     } catch (error) {
       console.error('Get plans error:', error);
-      throw new Error(error.response?.data?.error || 'Failed to load subscription plans');
+      throw error;
     }
   }
 
@@ -23,7 +23,7 @@ class SubscriptionService {
       return response.data.data;
     } catch (error) {
       console.error('Get status error:', error);
-      throw new Error(error.response?.data?.error || 'Failed to load subscription status');
+      throw error;
     }
   }
 
@@ -39,7 +39,7 @@ class SubscriptionService {
       return response.data.data;
     } catch (error) {
       console.error('Initialize subscription error:', error);
-      throw new Error(error.response?.data?.error || 'Failed to initialize subscription');
+      throw error;
     }
   }
 
@@ -55,7 +55,7 @@ class SubscriptionService {
       return response.data;
     } catch (error) {
       console.error('Cancel subscription error:', error);
-      throw new Error(error.response?.data?.error || 'Failed to cancel subscription');
+      throw error;
     }
   }
 }
@@ -0,0 +1,462 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Crypto from 'expo-crypto';
+import * as FileSystem from 'expo-file-system/legacy';
+import { MAP_TILE_URL, MAP_TILE_API_KEY } from './config';
+
+const TILE_PACKS_KEY = '@hotspot_tile_packs';
+
+// Tiles are shared between packs, laid out as {z}/{x}/{y}.png for LocalTile
+const TILES_DIR = `${FileSystem.documentDirectory}tiles/`;
+
+export const MAX_TILES_PER_PACK = 5000;
+export const MAX_PACK_ZOOM = 17;
+const TILE_PACK_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const DOWNLOAD_CONCURRENCY = 4;
+const SAVE_EVERY_TILES = 50;
+// Rough average used for estimates before anything is downloaded
+const ESTIMATED_TILE_BYTES = 15 * 1024;
+
+export const PACK_STATUS = {
+  DOWNLOADING: 'downloading',
+  PAUSED: 'paused',
+  COMPLETE: 'complete',
+  INCOMPLETE: 'incomplete',
+};
+
+const lngToTileX = (lng, zoom) => Math.floor(((lng + 180) / 360) * Math.pow(2, zoom));
+
+const latToTileY = (lat, zoom) => {
+  const rad = (lat * Math.PI) / 180;
+  return Math.floor(
+    ((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * Math.pow(2, zoom)
+  );
+};
+
+/**
+ * Tile ranges covering a region at each zoom level
+ * @param {Object} bounds - { minLat, minLng, maxLat, maxLng }
+ * @returns {Array<Object>} `{ z, minX, maxX, minY, maxY }` per zoom
+ */
+const getTileRanges = (bounds, minZoom, maxZoom) => {
+  const ranges = [];
+  for (let z = minZoom; z <= maxZoom; z++) {
+    ranges.push({
+      z,
+      minX: lngToTileX(bounds.minLng, z),
+      maxX: lngToTileX(bounds.maxLng, z),
+      // Tile Y grows southwards
+      minY: latToTileY(bounds.maxLat, z),
+      maxY: latToTileY(bounds.minLat, z),
+    });
+  }
+  return ranges;
+};
+
+const listTiles = (bounds, minZoom, maxZoom) => {
+  const tiles = [];
+  getTileRanges(bounds, minZoom, maxZoom).forEach(({ z, minX, maxX, minY, maxY }) => {
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        tiles.push({ z, x, y });
+      }
+    }
+  });
+  return tiles;
+};
+
+const tilePath = ({ z, x, y }) => `${TILES_DIR}${z}/${x}/${y}.png`;
+
+const tileUrl = ({ z, x, y }) =>
+  MAP_TILE_URL.replace('{z}', z).replace('{x}', x).replace('{y}', y).replace('{key}', MAP_TILE_API_KEY);
+
+/**
+ * Downloadable offline map "area packs".
+ * A pack is a region plus a zoom range; its tiles are written to the
+ * filesystem so the map can render them through a LocalTile overlay
+ * when there is no connection. Downloads report progress and resume
+ * from where they stopped.
+ */
+class TilePackService {
+  constructor() {
+    this.packs = null;
+    this.listeners = [];
+    // packId -> { paused: boolean, cancelled: boolean, finished: Promise }
+    this.activeDownloads = {};
+    this.createdDirs = new Set();
+  }
+
+  /**
+   * Check whether a tile provider is configured for offline downloads
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return !!MAP_TILE_URL && !!MAP_TILE_API_KEY;
+  }
+
+  /**
+   * Estimate the size of a pack before downloading it
+   * @param {Object} bounds - { minLat, minLng, maxLat, maxLng }
+   * @param {number} minZoom
+   * @param {number} maxZoom
+   * @returns {{tiles: number, bytes: number}}
+   */
+  estimate(bounds, minZoom, maxZoom) {
+    const tiles = getTileRanges(bounds, minZoom, maxZoom).reduce(
+      (sum, { minX, maxX, minY, maxY }) => sum + (maxX - minX + 1) * (maxY - minY + 1),
+      0
+    );
+    return { tiles, bytes: tiles * ESTIMATED_TILE_BYTES };
+  }
+
+  /**
+   * Create a pack and start downloading it
+   * @param {Object} options
+   * @param {string} options.name - Shown in Settings
+   * @param {Object} options.bounds - { minLat, minLng, maxLat, maxLng }
+   * @param {number} options.minZoom
+   * @param {number} options.maxZoom
+   * @returns {Promise<Object>} The new pack
+   */
+  async createPack({ name, bounds, minZoom, maxZoom }) {
+    if (!this.isAvailable()) {
+      throw new Error('Offline map areas are not available in this build.');
+    }
+
+    const { tiles } = this.estimate(bounds, minZoom, maxZoom);
+    if (tiles > MAX_TILES_PER_PACK) {
+      throw new Error(
+        `This area needs ${tiles} tiles. Zoom in or reduce the zoom range to stay under ${MAX_TILES_PER_PACK}.`
+      );
+    }
+    if (maxZoom > MAX_PACK_ZOOM) {
+      throw new Error(`Packs can include zoom levels up to ${MAX_PACK_ZOOM}.`);
+    }
+
+    const now = new Date().toISOString();
+    const pack = {
+      id: Crypto.randomUUID(),
+      name,
+      bounds,
+      min_zoom: minZoom,
+      max_zoom: maxZoom,
+      status: PACK_STATUS.DOWNLOADING,
+      total_tiles: tiles,
+      downloaded_tiles: 0,
+      failed_tiles: 0,
+      bytes: 0,
+      created_at: now,
+      updated_at: now,
+      expires_at: null,
+    };
+
+    const packs = await this.getPacks();
+    await this.savePacks([...packs, pack]);
+
+    this.download(pack.id);
+    return pack;
+  }
+
+  /**
+   * Get all packs
+   * @returns {Promise<Array>}
+   */
+  async getPacks() {
+    if (this.packs) {
+      return this.packs;
+    }
+
+    try {
+      const json = await AsyncStorage.getItem(TILE_PACKS_KEY);
+      const stored = json ? JSON.parse(json) : [];
+      // A download that was running when the app was killed is resumable
+      this.packs = stored.map(pack =>
+        pack.status === PACK_STATUS.DOWNLOADING ? { ...pack, status: PACK_STATUS.PAUSED } : pack
+      );
+    } catch (error) {
+      console.error('Error reading tile packs:', error);
+      this.packs = [];
+    }
+    return this.packs;
+  }
+
+  /**
+   * Check whether a pack's tiles are past their refresh date
+   * @param {Object} pack
+   * @returns {boolean}
+   */
+  isExpired(pack) {
+    return !!pack.expires_at && new Date(pack.expires_at).getTime() < Date.now();
+  }
+
+  /**
+   * Check whether any downloaded pack can back the offline map
+   * @returns {Promise<boolean>}
+   */
+  async hasOfflineTiles() {
+    const packs = await this.getPacks();
+    return packs.some(pack => pack.bytes > 0);
+  }
+
+  /**
+   * Path template for react-native-maps' LocalTile
+   * @returns {string}
+   */
+  getLocalPathTemplate() {
+    return `${TILES_DIR.replace('file://', '')}{z}/{x}/{y}.png`;
+  }
+
+  /**
+   * Resume a paused or incomplete pack
+   * @param {string} packId
+   * @returns {Promise<void>}
+   */
+  async resumePack(packId) {
+    const pack = (await this.getPacks()).find(p => p.id === packId);
+    if (!pack) return;
+
+    // An incomplete pack is walked again from the start, skipping tiles already on disk
+    const restart =
+      pack.status === PACK_STATUS.INCOMPLETE ? { downloaded_tiles: 0, failed_tiles: 0, bytes: 0 } : {};
+
+    await this.updatePack(packId, { ...restart, status: PACK_STATUS.DOWNLOADING });
+    this.download(packId);
+  }
+
+  /**
+   * Pause a running download; it can be resumed later
+   * @param {string} packId
+   */
+  pausePack(packId) {
+    if (this.activeDownloads[packId]) {
+      this.activeDownloads[packId].paused = true;
+    }
+  }
+
+  /**
+   * Re-download every tile of a pack and push its expiry out
+   * @param {string} packId
+   * @returns {Promise<void>}
+   */
+  async refreshPack(packId) {
+    await this.updatePack(packId, {
+      status: PACK_STATUS.DOWNLOADING,
+      downloaded_tiles: 0,
+      failed_tiles: 0,
+      bytes: 0,
+    });
+    this.download(packId, { force: true });
+  }
+
+  /**
+   * Delete a pack and any tiles no other pack needs
+   * @param {string} packId
+   * @returns {Promise<void>}
+   */
+  async deletePack(packId) {
+    // Let the batch in flight land first, or its tiles are written after we clean up
+    const control = this.activeDownloads[packId];
+    if (control) {
+      control.cancelled = true;
+      await control.finished;
+    }
+
+    const packs = await this.getPacks();
+    const pack = packs.find(p => p.id === packId);
+    if (!pack) return;
+
+    const others = packs.filter(p => p.id !== packId);
+    const otherRanges = others.flatMap(p => getTileRanges(p.bounds, p.min_zoom, p.max_zoom));
+    const isShared = ({ z, x, y }) =>
+      otherRanges.some(r => r.z === z && x >= r.minX && x <= r.maxX && y >= r.minY && y <= r.maxY);
+
+    const tiles = listTiles(pack.bounds, pack.min_zoom, pack.max_zoom).filter(tile => !isShared(tile));
+    for (const tile of tiles) {
+      await FileSystem.deleteAsync(tilePath(tile), { idempotent: true }).catch(() => {});
+    }
+
+    await this.savePacks(others);
+  }
+
+  /**
+   * Total storage used by all packs
+   * @returns {Promise<number>} Bytes (tiles shared between packs are counted once per pack)
+   */
+  async getStorageUsage() {
+    const packs = await this.getPacks();
+    return packs.reduce((sum, pack) => sum + pack.bytes, 0);
+  }
+
+  /**
+   * Subscribe to pack changes, including download progress
+   * @param {Function} callback - Called with the array of packs
+   * @returns {Function} Unsubscribe function
+   */
+  onPacksChange(callback) {
+    this.listeners.push(callback);
+
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== callback);
+    };
+  }
+
+  /**
+   * Download a pack's tiles from its saved position
+   * @param {string} packId
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Overwrite tiles that already exist
+   * @returns {Promise<void>}
+   */
+  async download(packId, { force = false } = {}) {
+    if (this.activeDownloads[packId]) {
+      return;
+    }
+
+    let finish;
+    const control = { paused: false, cancelled: false, finished: new Promise(resolve => (finish = resolve)) };
+    this.activeDownloads[packId] = control;
+
+    try {
+      if (!this.isAvailable()) {
+        throw new Error('No tile provider configured');
+      }
+
+      const pack = (await this.getPacks()).find(p => p.id === packId);
+      if (!pack) return;
+
+      const tiles = listTiles(pack.bounds, pack.min_zoom, pack.max_zoom);
+      let { downloaded_tiles: cursor, failed_tiles: failed, bytes } = pack;
+      let lastSaved = cursor;
+
+      while (cursor < tiles.length) {
+        if (control.cancelled) {
+          return;
+        }
+
+        if (control.paused) {
+          await this.updatePack(packId, {
+            status: PACK_STATUS.PAUSED,
+            downloaded_tiles: cursor,
+            failed_tiles: failed,
+            bytes,
+          });
+          return;
+        }
+
+        const batch = tiles.slice(cursor, cursor + DOWNLOAD_CONCURRENCY);
+        const results = await Promise.all(batch.map(tile => this.downloadTile(tile, force)));
+
+        // A whole batch failing almost always means we lost the connection
+        if (results.every(result => !result.ok)) {
+          control.paused = true;
+          continue;
+        }
+
+        results.forEach(result => {
+          if (result.ok) {
+            bytes += result.bytes;
+          } else {
+            failed++;
+          }
+        });
+        cursor += batch.length;
+
+        const progress = { downloaded_tiles: cursor, failed_tiles: failed, bytes };
+        if (cursor - lastSaved >= SAVE_EVERY_TILES) {
+          await this.updatePack(packId, progress);
+          lastSaved = cursor;
+        } else {
+          this.updatePackInMemory(packId, progress);
+        }
+      }
+
+      if (control.cancelled) {
+        return;
+      }
+
+      const now = Date.now();
+      await this.updatePack(packId, {
+        status: failed > 0 ? PACK_STATUS.INCOMPLETE : PACK_STATUS.COMPLETE,
+        downloaded_tiles: cursor,
+        failed_tiles: failed,
+        bytes,
+        expires_at: new Date(now + TILE_PACK_TTL_MS).toISOString(),
+      });
+    } catch (error) {
+      console.error('Error downloading tile pack:', error);
+      if (!control.cancelled) {
+        await this.updatePack(packId, { status: PACK_STATUS.INCOMPLETE });
+      }
+    } finally {
+      delete this.activeDownloads[packId];
+      finish();
+    }
+  }
+
+  async downloadTile(tile, force) {
+    const path = tilePath(tile);
+
+    try {
+      if (!force) {
+        const info = await FileSystem.getInfoAsync(path, { size: true });
+        if (info.exists) {
+          return { ok: true, bytes: info.size || 0 };
+        }
+      }
+
+      const dir = `${TILES_DIR}${tile.z}/${tile.x}/`;
+      if (!this.createdDirs.has(dir)) {
+        await FileSystem.makeDirectoryAsync(dir, { intermediates: true }).catch(() => {});
+        this.createdDirs.add(dir);
+      }
+
+      const result = await FileSystem.downloadAsync(tileUrl(tile), path, {
+        headers: { 'User-Agent': 'HotspotMobile' },
+      });
+
+      if (result.status !== 200) {
+        await FileSystem.deleteAsync(path, { idempotent: true });
+        return { ok: false };
+      }
+
+      const info = await FileSystem.getInfoAsync(path, { size: true });
+      return { ok: true, bytes: info.size || 0 };
+    } catch (error) {
+      return { ok: false };
+    }
+  }
+
+  async updatePack(packId, changes) {
+    await this.getPacks();
+    this.updatePackInMemory(packId, changes);
+    await this.savePacks(this.packs);
+  }
+
+  updatePackInMemory(packId, changes) {
+    this.packs = (this.packs || []).map(pack =>
+      pack.id === packId ? { ...pack, ...changes, updated_at: new Date().toISOString() } : pack
+    );
+    this.notifyListeners();
+  }
+
+  async savePacks(packs) {
+    this.packs = packs;
+    try {
+      await AsyncStorage.setItem(TILE_PACKS_KEY, JSON.stringify(packs));
+    } catch (error) {
+      console.error('Error saving tile packs:', error);
+    }
+    this.notifyListeners();
+  }
+
+  notifyListeners() {
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.packs);
+      } catch (error) {
+        console.error('Error in tile pack callback:', error);
+      }
+    });
+  }
+}
+
+export default new TilePackService();
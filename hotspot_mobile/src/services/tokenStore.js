@@ -0,0 +1,137 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+
+const TOKEN_KEY = 'auth_token';
+const TOKEN_EXPIRES_AT_KEY = 'auth_token_expires_at';
+const USER_KEY = 'user_data';
+
+// Refresh tokens are long-lived, so they live in the device keychain/keystore
+const REFRESH_TOKEN_KEY = 'hotspot_refresh_token';
+
+// Keys written by older builds of the Communities/Emergency/Notification
+// services. Read once so existing sessions keep working, then removed.
+const LEGACY_TOKEN_KEYS = ['authToken'];
+const LEGACY_USER_KEYS = ['user'];
+
+/**
+ * Single source of truth for the signed-in session.
+ * Every service (HTTP and WebSocket) reads credentials from here.
+ */
+export const tokenStore = {
+  /**
+   * Get the stored JWT
+   * @returns {Promise<string|null>}
+   */
+  async getToken() {
+    const token = await AsyncStorage.getItem(TOKEN_KEY);
+    if (token) {
+      return token;
+    }
+    return await this.migrateLegacyKey(LEGACY_TOKEN_KEYS, TOKEN_KEY);
+  },
+
+  /**
+   * Store a JWT
+   * @param {string} token
+   * @returns {Promise<void>}
+   */
+  async setToken(token) {
+    await AsyncStorage.setItem(TOKEN_KEY, token);
+  },
+
+  /**
+   * Get the stored refresh token
+   * @returns {Promise<string|null>}
+   */
+  async getRefreshToken() {
+    return await SecureStore.getItemAsync(REFRESH_TOKEN_KEY);
+  },
+
+  /**
+   * Get the access token expiry time
+   * @returns {Promise<number|null>} Epoch milliseconds
+   */
+  async getTokenExpiresAt() {
+    const expiresAt = await AsyncStorage.getItem(TOKEN_EXPIRES_AT_KEY);
+    return expiresAt ? parseInt(expiresAt, 10) : null;
+  },
+
+  /**
+   * Store a token pair returned by /auth/verify-otp or /auth/refresh
+   * @param {Object} session
+   * @param {string} session.token - Access token
+   * @param {string} [session.refresh_token] - Refresh token
+   * @param {number} [session.expires_in] - Access token lifetime in seconds
+   * @returns {Promise<void>}
+   */
+  async setSession({ token, refresh_token, expires_in }) {
+    await this.setToken(token);
+
+    if (refresh_token) {
+      await SecureStore.setItemAsync(REFRESH_TOKEN_KEY, refresh_token);
+    }
+
+    if (expires_in) {
+      const expiresAt = Date.now() + expires_in * 1000;
+      await AsyncStorage.setItem(TOKEN_EXPIRES_AT_KEY, String(expiresAt));
+    } else {
+      await AsyncStorage.removeItem(TOKEN_EXPIRES_AT_KEY);
+    }
+  },
+
+  /**
+   * Get the stored user profile
+   * @returns {Promise<Object|null>}
+   */
+  async getUser() {
+    let userJson = await AsyncStorage.getItem(USER_KEY);
+    if (!userJson) {
+      userJson = await this.migrateLegacyKey(LEGACY_USER_KEYS, USER_KEY);
+    }
+    return userJson ? JSON.parse(userJson) : null;
+  },
+
+  /**
+   * Store the user profile
+   * @param {Object} user
+   * @returns {Promise<void>}
+   */
+  async setUser(user) {
+    await AsyncStorage.setItem(USER_KEY, JSON.stringify(user));
+  },
+
+  /**
+   * Remove all session data
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await AsyncStorage.multiRemove([
+      TOKEN_KEY,
+      TOKEN_EXPIRES_AT_KEY,
+      USER_KEY,
+      ...LEGACY_TOKEN_KEYS,
+      ...LEGACY_USER_KEYS,
+    ]);
+    await SecureStore.deleteItemAsync(REFRESH_TOKEN_KEY);
+  },
+
+  /**
+   * Move a value stored under a legacy key to its current key
+   * @param {Array<string>} legacyKeys - Keys to check, in order
+   * @param {string} currentKey - Key the value should live under
+   * @returns {Promise<string|null>} The migrated value, if any
+   */
+  async migrateLegacyKey(legacyKeys, currentKey) {
+    for (const legacyKey of legacyKeys) {
+      const value = await AsyncStorage.getItem(legacyKey);
+      if (value) {
+        await AsyncStorage.setItem(currentKey, value);
+        await AsyncStorage.removeItem(legacyKey);
+        return value;
+      }
+    }
+    return null;
+  },
+};
+
+export default tokenStore;
@@ -1,4 +1,4 @@
-import apiClient from './apiClient';
+import apiClient, { ApiError } from './apiClient';
 
 class TravelService {
   /**
@@ -25,11 +25,11 @@ class TravelService {
       console.error('Analyze route error:', error);
       
       // Check if it's a premium feature error
-      if (error.response?.status === 403) {
-        throw new Error('Travel Mode is a premium feature. Please upgrade your subscription.');
+      if (error.status === 403) {
+        throw new ApiError({ ...error, userMessage: 'Travel Mode is a premium feature. Please upgrade your subscription.' });
       }
       
-      throw new Error(error.response?.data?.error || 'Failed to analyze route');
+      throw error;
     }
   }
 
@@ -56,11 +56,11 @@ class TravelService {
     } catch (error) {
       console.error('Get alternative routes error:', error);
       
-      if (error.response?.status === 403) {
-        throw new Error('Alternative routes is a premium feature. Please upgrade your subscription.');
+      if (error.status === 403) {
+        throw new ApiError({ ...error, userMessage: 'Alternative routes is a premium feature. Please upgrade your subscription.' });
       }
       
-      throw new Error(error.response?.data?.error || 'Failed to get alternative routes');
+      throw error;
     }
   }
 
@@ -87,11 +87,11 @@ class TravelService {
     } catch (error) {
       console.error('Get realtime updates error:', error);
       
-      if (error.response?.status === 403) {
-        throw new Error('Real-time updates is a premium feature. Please upgrade your subscription.');
+      if (error.status === 403) {
+        throw new ApiError({ ...error, userMessage: 'Real-time updates is a premium feature. Please upgrade your subscription.' });
       }
       
-      throw new Error(error.response?.data?.error || 'Failed to get realtime updates');
+      throw error;
     }
   }
 }
@@ -0,0 +1,197 @@
+import geohash from 'ngeohash';
+import { incidentService } from './incidentService';
+import { isCanceledError } from './apiClient';
+import reconciliationService, { SYNC_STATUS } from './reconciliationService';
+import { getIncidentCoordinates } from '../utils/geo';
+
+// A pan or pinch fires several region changes; only load once the map settles
+const DEBOUNCE_MS = 400;
+// Loaded tiles are trusted this long; the websocket keeps them current in between
+const TILE_TTL_MS = 2 * 60 * 1000;
+// Zoomed out further than this (in degrees) the map keeps what it already has
+export const MAX_VIEWPORT_SPAN = 2;
+// Finest first; coarser tiles keep a zoomed-out viewport to a handful of tiles
+const TILE_PRECISIONS = [5, 4, 3];
+const MAX_TILES = 16;
+
+/**
+ * Bounding box of a map region
+ * @param {Object} region - Map region `{latitude, longitude, latitudeDelta, longitudeDelta}`
+ * @returns {{minLat: number, minLng: number, maxLat: number, maxLng: number}}
+ */
+export const regionToBounds = ({ latitude, longitude, latitudeDelta, longitudeDelta }) => ({
+  minLat: Math.max(latitude - latitudeDelta / 2, -90),
+  minLng: Math.max(longitude - longitudeDelta / 2, -180),
+  maxLat: Math.min(latitude + latitudeDelta / 2, 90),
+  maxLng: Math.min(longitude + longitudeDelta / 2, 180),
+});
+
+const tilesToBounds = (tiles) =>
+  tiles.map(tile => geohash.decode_bbox(tile)).reduce(
+    (bounds, [minLat, minLng, maxLat, maxLng]) => ({
+      minLat: Math.min(bounds.minLat, minLat),
+      minLng: Math.min(bounds.minLng, minLng),
+      maxLat: Math.max(bounds.maxLat, maxLat),
+      maxLng: Math.max(bounds.maxLng, maxLng),
+    }),
+    { minLat: 90, minLng: 180, maxLat: -90, maxLng: -180 }
+  );
+
+const inBounds = (bounds, { latitude, longitude }) =>
+  latitude >= bounds.minLat && latitude <= bounds.maxLat &&
+  longitude >= bounds.minLng && longitude <= bounds.maxLng;
+
+/**
+ * Whether a map region is too wide to load incidents for
+ * @param {Object} region - Map region
+ * @returns {boolean}
+ */
+export const isRegionTooWide = (region) =>
+  region.latitudeDelta > MAX_VIEWPORT_SPAN || region.longitudeDelta > MAX_VIEWPORT_SPAN;
+
+/**
+ * Fold a loaded area into the incidents already on the map.
+ * Incidents inside the area that the server no longer returned have expired
+ * or been removed, unless they are our own unsynced reports or arrived over
+ * the websocket after the request went out. A truncated answer only adds:
+ * what it left out may still be live.
+ * @param {Array} current - Incidents on the map
+ * @param {{incidents: Array, truncated: boolean, area: Object, requestedAt: number}} loaded - Result passed to onLoad
+ * @returns {Array} A new, de-duplicated list
+ */
+export const mergeLoadedArea = (current, { incidents, truncated, area, requestedAt }) => {
+  const loadedIds = new Set(incidents.map(incident => incident.id));
+
+  const kept = current.filter(incident => {
+    if (loadedIds.has(incident.id)) return false;
+    if (truncated) return true;
+    if (incident.queued || incident.sync_status === SYNC_STATUS.REJECTED) return true;
+
+    const coords = getIncidentCoordinates(incident);
+    if (!coords || !inBounds(area, coords)) return true;
+
+    return new Date(incident.inserted_at).getTime() > requestedAt;
+  });
+
+  return reconciliationService.reconcileIncidents([...incidents, ...kept]);
+};
+
+/**
+ * Loads incidents for the visible map area.
+ * The viewport is split into geohash tiles and only tiles not loaded within
+ * TILE_TTL_MS are fetched, as a single bounding-box request. Moving the map
+ * again aborts a request that is still in flight.
+ */
+class ViewportLoader {
+  constructor() {
+    this.tileLoadedAt = {}; // tile -> ms
+    this.timer = null;
+    this.controller = null;
+  }
+
+  /**
+   * Load a map region once the map stops moving
+   * @param {Object} region - Map region `{latitude, longitude, latitudeDelta, longitudeDelta}`
+   * @param {Object} callbacks
+   * @param {Function} callbacks.onLoad - Called with `{incidents, truncated, area, requestedAt}`
+   * @param {Function} [callbacks.onError] - Called when the area could not be loaded or read from the cache
+   */
+  request(region, { onLoad, onError }) {
+    clearTimeout(this.timer);
+    if (isRegionTooWide(region)) return;
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.load(regionToBounds(region), onLoad, onError);
+    }, DEBOUNCE_MS);
+  }
+
+  async load(bounds, onLoad, onError) {
+    const requestedAt = Date.now();
+    this.pruneTiles(requestedAt);
+
+    const tiles = this.getTiles(bounds).filter(tile => !this.isFresh(tile, requestedAt));
+    if (tiles.length === 0) return;
+
+    if (this.controller) {
+      this.controller.abort();
+    }
+    const controller = new AbortController();
+    this.controller = controller;
+
+    const area = tilesToBounds(tiles);
+
+    try {
+      const { incidents, truncated } = await incidentService.getInBounds(area, { signal: controller.signal });
+
+      // Offline cache answers are shown, but the tiles are asked for again once back online.
+      // So are capped answers, which may have left some of the area out.
+      if (!truncated && !incidents.some(incident => incident.cached)) {
+        tiles.forEach(tile => {
+          this.tileLoadedAt[tile] = requestedAt;
+        });
+      }
+
+      onLoad({ incidents, truncated, area, requestedAt });
+    } catch (error) {
+      if (isCanceledError(error)) return;
+      console.error('Error loading incidents for viewport:', error.message);
+      if (onError) onError(error);
+    } finally {
+      if (this.controller === controller) {
+        this.controller = null;
+      }
+    }
+  }
+
+  /**
+   * Forget which tiles are loaded, e.g. after reconnecting or syncing reports,
+   * so the next request fetches the whole viewport
+   */
+  invalidate() {
+    this.tileLoadedAt = {};
+  }
+
+  /**
+   * Drop any pending or in-flight load
+   */
+  cancel() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.controller) {
+      this.controller.abort();
+      this.controller = null;
+    }
+  }
+
+  // Finest tiling that covers the bounds in at most MAX_TILES tiles
+  getTiles(bounds) {
+    const { minLat, minLng, maxLat, maxLng } = bounds;
+    let tiles = [];
+    for (const precision of TILE_PRECISIONS) {
+      tiles = geohash.bboxes(minLat, minLng, maxLat, maxLng, precision);
+      if (tiles.length <= MAX_TILES) break;
+    }
+    return tiles;
+  }
+
+  // A tile is also covered by any coarser tile containing it
+  isFresh(tile, now) {
+    const coarsest = TILE_PRECISIONS[TILE_PRECISIONS.length - 1];
+    for (let length = tile.length; length >= coarsest; length -= 1) {
+      const loadedAt = this.tileLoadedAt[tile.slice(0, length)];
+      if (loadedAt && now - loadedAt < TILE_TTL_MS) return true;
+    }
+    return false;
+  }
+
+  pruneTiles(now) {
+    Object.keys(this.tileLoadedAt).forEach(tile => {
+      if (now - this.tileLoadedAt[tile] >= TILE_TTL_MS) {
+        delete this.tileLoadedAt[tile];
+      }
+    });
+  }
+}
+
+export default new ViewportLoader();
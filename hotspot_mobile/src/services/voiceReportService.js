@@ -0,0 +1,235 @@
+import { useEffect, useRef, useState } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Speech from 'expo-speech';
+import { Accelerometer } from 'expo-sensors';
+import { ExpoSpeechRecognitionModule } from 'expo-speech-recognition';
+
+const SHAKE_ENABLED_KEY = '@hotspot_shake_to_report';
+
+// A deliberate shake is two hard jolts close together; single bumps from
+// potholes or a phone dropped into a cradle should not start a report
+const SHAKE_THRESHOLD_G = 2.3;
+const SHAKE_WINDOW_MS = 800;
+const SHAKE_COOLDOWN_MS = 3000;
+const SHAKE_SAMPLE_MS = 100;
+
+// Stop listening if nothing final arrives, so a silent car doesn't hang the flow
+const LISTEN_TIMEOUT_MS = 10000;
+
+/**
+ * Speech in and out for hands-free reporting, plus the shake gesture that
+ * starts it. Recognition runs on-device where the platform supports it.
+ */
+class VoiceReportService {
+  constructor() {
+    this.shakeListeners = [];
+    this.settingListeners = [];
+    this.accelerometerSubscription = null;
+    this.lastPeakAt = 0;
+    this.lastShakeAt = 0;
+  }
+
+  /**
+   * Ask for microphone and speech recognition access
+   * @returns {Promise<boolean>} Whether both were granted
+   */
+  async requestPermissions() {
+    try {
+      const result = await ExpoSpeechRecognitionModule.requestPermissionsAsync();
+      return result.granted;
+    } catch (error) {
+      console.error('Error requesting speech permissions:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Listen for one utterance
+   * @param {Object} [options]
+   * @param {Function} [options.onPartial] - Called with the transcript so far
+   * @returns {Promise<string>} The final transcript; empty if nothing was heard
+   */
+  listen({ onPartial } = {}) {
+    return new Promise((resolve, reject) => {
+      let transcript = '';
+      let settled = false;
+      const subscriptions = [];
+      const timeout = setTimeout(() => ExpoSpeechRecognitionModule.stop(), LISTEN_TIMEOUT_MS);
+
+      const finish = (error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeout);
+        subscriptions.forEach(subscription => subscription.remove());
+        if (error) {
+          reject(error);
+        } else {
+          resolve(transcript.trim());
+        }
+      };
+
+      subscriptions.push(
+        ExpoSpeechRecognitionModule.addListener('result', (event) => {
+          transcript = event.results[0]?.transcript || transcript;
+          if (onPartial) onPartial(transcript);
+          if (event.isFinal) ExpoSpeechRecognitionModule.stop();
+        }),
+        ExpoSpeechRecognitionModule.addListener('error', (event) => {
+          // Silence is an empty answer, not a failure
+          if (event.error === 'no-speech' || event.error === 'speech-timeout') {
+            finish();
+          } else {
+            console.error('Speech recognition error:', event.error, event.message);
+            finish(new Error(event.message || event.error));
+          }
+        }),
+        ExpoSpeechRecognitionModule.addListener('end', () => finish())
+      );
+
+      try {
+        ExpoSpeechRecognitionModule.start({
+          lang: 'en-US',
+          interimResults: true,
+          requiresOnDeviceRecognition: ExpoSpeechRecognitionModule.supportsOnDeviceRecognition(),
+          addsPunctuation: false,
+        });
+      } catch (error) {
+        console.error('Error starting speech recognition:', error);
+        finish(error);
+      }
+    });
+  }
+
+  /**
+   * Stop listening early; the pending listen() resolves with what was heard
+   */
+  stopListening() {
+    ExpoSpeechRecognitionModule.stop();
+  }
+
+  /**
+   * Speak a prompt and wait for it to finish
+   * @param {string} text
+   * @returns {Promise<void>}
+   */
+  say(text) {
+    return new Promise((resolve) => {
+      Speech.speak(text, {
+        language: 'en-US',
+        onDone: resolve,
+        onStopped: resolve,
+        onError: (error) => {
+          console.error('Error speaking prompt:', error);
+          resolve();
+        },
+      });
+    });
+  }
+
+  /**
+   * Interrupt any prompt being spoken
+   */
+  stopSpeaking() {
+    Speech.stop();
+  }
+
+  /**
+   * Whether shaking the phone starts a hands-free report
+   * @returns {Promise<boolean>}
+   */
+  async isShakeEnabled() {
+    try {
+      return (await AsyncStorage.getItem(SHAKE_ENABLED_KEY)) === 'true';
+    } catch (error) {
+      console.error('Error reading shake setting:', error);
+      return false;
+    }
+  }
+
+  /**
+   * @param {boolean} enabled
+   */
+  async setShakeEnabled(enabled) {
+    try {
+      await AsyncStorage.setItem(SHAKE_ENABLED_KEY, String(enabled));
+      this.settingListeners.forEach(callback => callback(enabled));
+    } catch (error) {
+      console.error('Error saving shake setting:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Subscribe to changes of the shake setting
+   * @param {Function} callback - Called with the new value
+   * @returns {Function} Unsubscribe function
+   */
+  onShakeSettingChange(callback) {
+    this.settingListeners.push(callback);
+    return () => {
+      this.settingListeners = this.settingListeners.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Subscribe to shake gestures. The accelerometer only runs while
+   * someone is listening.
+   * @param {Function} callback
+   * @returns {Function} Unsubscribe function
+   */
+  onShake(callback) {
+    this.shakeListeners.push(callback);
+    if (!this.accelerometerSubscription) {
+      Accelerometer.setUpdateInterval(SHAKE_SAMPLE_MS);
+      this.accelerometerSubscription = Accelerometer.addListener(reading => this.handleReading(reading));
+    }
+
+    return () => {
+      this.shakeListeners = this.shakeListeners.filter(cb => cb !== callback);
+      if (this.shakeListeners.length === 0 && this.accelerometerSubscription) {
+        this.accelerometerSubscription.remove();
+        this.accelerometerSubscription = null;
+      }
+    };
+  }
+
+  handleReading({ x, y, z }) {
+    const force = Math.sqrt(x * x + y * y + z * z);
+    if (force < SHAKE_THRESHOLD_G) return;
+
+    const now = Date.now();
+    if (now - this.lastShakeAt < SHAKE_COOLDOWN_MS) return;
+
+    if (now - this.lastPeakAt <= SHAKE_WINDOW_MS) {
+      this.lastShakeAt = now;
+      this.lastPeakAt = 0;
+      this.shakeListeners.forEach(callback => callback());
+    } else {
+      this.lastPeakAt = now;
+    }
+  }
+}
+
+const voiceReportService = new VoiceReportService();
+
+/**
+ * Call back on a shake while the shake-to-report setting is on
+ * @param {Function} callback
+ */
+export const useShakeToReport = (callback) => {
+  const [enabled, setEnabled] = useState(false);
+  const callbackRef = useRef(callback);
+  callbackRef.current = callback;
+
+  useEffect(() => {
+    voiceReportService.isShakeEnabled().then(setEnabled);
+    return voiceReportService.onShakeSettingChange(setEnabled);
+  }, []);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    return voiceReportService.onShake(() => callbackRef.current());
+  }, [enabled]);
+};
+
+export default voiceReportService;
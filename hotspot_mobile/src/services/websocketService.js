@@ -1,17 +1,81 @@
 import { Socket } from 'phoenix';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import geohash from 'ngeohash';
-import { API_URL } from './config';
+import * as Crypto from 'expo-crypto';
+import { WS_URL } from './config';
+import offlineService from './offlineService';
+import sessionService from './sessionService';
+import tokenStore from './tokenStore';
+import incidentService from './incidentService';
+import communityService from './communityService';
+import notificationService from './notificationService';
+import { boundingBox } from '../utils/geo';
+
+/**
+ * Realtime connection states, from the user's point of view
+ */
+export const CONNECTION_STATES = {
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  LIVE: 'live',
+  DEGRADED: 'degraded',
+  OFFLINE: 'offline',
+  AUTH_FAILED: 'auth_failed',
+};
+
+const CHANNEL_HEALTH = {
+  JOINING: 'joining',
+  JOINED: 'joined',
+  ERRORED: 'errored',
+};
+
+// Failed connects (with the network up) before we suspect the token
+const AUTH_CHECK_AFTER_FAILURES = 2;
+// Failed connects (with the network up) before live updates count as degraded
+const DEGRADED_AFTER_FAILURES = 3;
+const CONNECT_TIMEOUT_MS = 10000;
+// Matches the map's nearby query, so a backfill also refreshes the offline cache
+const BACKFILL_RADIUS = 5000;
+// Precision 6 cells are about 1.2km x 0.6km; precision 5 about 4.9km x 4.9km
+const INCIDENT_CELL_PRECISION = 6;
+const WIDE_INCIDENT_CELL_PRECISION = 5;
+const MAX_INCIDENT_CELLS = 49;
+const MAX_SEEN_IDS = 500;
 
 class WebSocketService {
   constructor() {
     this.socket = null;
-    this.incidentChannel = null;
+    this.token = null;
+    this.connectionState = CONNECTION_STATES.IDLE;
+    this.connectionStateListeners = [];
+    this.channelHealth = {}; // Map of topic -> CHANNEL_HEALTH
+    this.cursors = {}; // Map of topic -> cursor of the last event seen
+    this.eventHandlers = {}; // Map of topic -> { event: handler }
+    this.replayBuffers = {}; // Map of topic -> live events held back during a replay
+    this.failedAttempts = 0;
+    this.authFailed = false;
+    this.isNetworkOnline = true;
+    this.unsubscribeNetwork = null;
+    this.unsubscribeTokenRefreshed = null;
+    this.unsubscribeAlertRadius = null;
+    this.incidentChannels = {}; // Map of geohash -> channel
+    this.seenIncidentIds = new Set();
+    this.seenVerificationIds = new Set();
+    this.seenFollowUpKeys = new Set();
+    this.watchedIncidentCells = {}; // Map of geohash -> number of watchers
+    this.incidentBackfill = null;
+    this.alertRadius = null;
     this.geofenceChannel = null;
+    // Zone events on the shared user topic only come back to the device that sent the location
+    this.deviceId = Crypto.randomUUID();
     this.communityChannels = {}; // Map of groupId -> channel
-    this.currentGeohash = null;
+    this.lastLocation = null;
     this.userId = null;
+    this.lastGeofenceLocation = null;
     this.onIncidentCallbacks = [];
+    this.onIncidentVerifiedCallbacks = [];
+    this.onIncidentUpdatedCallbacks = [];
+    this.onIncidentRemovedCallbacks = [];
+    this.onIncidentsBackfilledCallbacks = [];
     this.onZoneEnteredCallbacks = [];
     this.onZoneExitedCallbacks = [];
     this.onZoneApproachingCallbacks = [];
@@ -21,110 +85,554 @@ class WebSocketService {
   }
 
   /**
-   * Connect to Phoenix WebSocket with JWT token
+   * Connect to Phoenix WebSocket with JWT token.
+   * Resolves once the first connection attempt opens or fails; after that
+   * the socket keeps reconnecting and channels rejoin on their own.
+   * @returns {Promise<boolean>} False if there is no usable session
    */
   async connect() {
+    if (this.socket) {
+      return !this.authFailed;
+    }
+
     try {
       // Get JWT token from storage
-      const token = await AsyncStorage.getItem('auth_token');
+      this.token = await sessionService.getValidToken();
       
-      if (!token) {
+      if (!this.token) {
         console.warn('No auth token found, cannot connect to WebSocket');
+        this.authFailed = true;
+        this.setConnectionState(CONNECTION_STATES.AUTH_FAILED);
         return false;
       }
 
+      this.authFailed = false;
+      this.failedAttempts = 0;
+      this.setConnectionState(CONNECTION_STATES.CONNECTING);
+
       // Create socket connection
-      const wsUrl = API_URL.replace('http://', 'ws://').replace('https://', 'wss://');
-      this.socket = new Socket(`${wsUrl}/socket`, {
-        params: { token },
+      this.socket = new Socket(`${WS_URL}/socket`, {
+        // Read on every (re)connect so a refreshed token is picked up
+        params: () => ({ token: this.token }),
         reconnectAfterMs: (tries) => {
           // Exponential backoff: 1s, 2s, 5s, 10s, 10s...
           return [1000, 2000, 5000, 10000][tries - 1] || 10000;
         },
       });
 
-      // Connect to socket
-      this.socket.connect();
-
       // Handle connection events
       this.socket.onOpen(() => {
         console.log('WebSocket connected');
+        this.failedAttempts = 0;
+
+        // Errored channels rejoin automatically once the socket is back
+        Object.keys(this.channelHealth).forEach((topic) => {
+          if (this.channelHealth[topic] === CHANNEL_HEALTH.ERRORED) {
+            this.channelHealth[topic] = CHANNEL_HEALTH.JOINING;
+          }
+        });
+        this.updateConnectionState();
       });
 
       this.socket.onError((error) => {
         console.error('WebSocket error:', error);
+        this.handleSocketFailure();
       });
 
       this.socket.onClose(() => {
         console.log('WebSocket disconnected');
+        this.updateConnectionState();
+      });
+
+      this.unsubscribeNetwork = offlineService.onConnectivityChange((online) => {
+        this.isNetworkOnline = online;
+        this.updateConnectionState();
+      });
+
+      this.unsubscribeTokenRefreshed = sessionService.onTokenRefreshed((token) => {
+        this.handleTokenRefreshed(token);
+      });
+
+      this.alertRadius = await notificationService.getAlertRadius();
+      this.unsubscribeAlertRadius = notificationService.onAlertRadiusChange((radius) => {
+        this.setAlertRadius(radius);
       });
 
-      return true;
+      const firstAttempt = this.waitForFirstAttempt();
+      this.socket.connect();
+      await firstAttempt;
+
+      return !this.authFailed;
     } catch (error) {
       console.error('Failed to connect to WebSocket:', error);
       return false;
     }
   }
 
+  waitForFirstAttempt() {
+    return new Promise((resolve) => {
+      const refs = [];
+      const done = () => {
+        clearTimeout(timer);
+        if (this.socket) {
+          this.socket.off(refs);
+        }
+        resolve();
+      };
+      const timer = setTimeout(done, CONNECT_TIMEOUT_MS);
+      refs.push(this.socket.onOpen(done), this.socket.onError(done));
+    });
+  }
+
   /**
-   * Join incident channel for a specific geohash
+   * The socket handshake does not say why it was refused, so after a couple
+   * of failures with the network up we check the session ourselves
    */
-  joinIncidentChannel(geohash) {
-    if (!this.socket) {
-      console.warn('Socket not connected');
-      return;
+  async handleSocketFailure() {
+    this.failedAttempts += 1;
+
+    if (this.isNetworkOnline && this.failedAttempts === AUTH_CHECK_AFTER_FAILURES) {
+      try {
+        // A successful refresh reconnects through handleTokenRefreshed
+        await sessionService.refresh();
+      } catch (error) {
+        const token = await tokenStore.getToken();
+        if (!token) {
+          // The session is gone; stop retrying until the user signs in again
+          this.authFailed = true;
+          if (this.socket) {
+            this.socket.disconnect();
+          }
+        }
+      }
+    }
+
+    this.updateConnectionState();
+  }
+
+  /**
+   * Reconnect with a rotated token if the socket is not currently live
+   */
+  handleTokenRefreshed(token) {
+    this.token = token;
+    this.authFailed = false;
+
+    if (this.socket && !this.socket.isConnected()) {
+      this.failedAttempts = 0;
+      this.socket.disconnect(() => {
+        if (this.socket) {
+          this.socket.connect();
+        }
+      });
     }
+    this.updateConnectionState();
+  }
 
-    // Leave previous channel if exists
-    if (this.incidentChannel && this.currentGeohash !== geohash) {
-      this.incidentChannel.leave();
+  /**
+   * Work out the connection state from the socket, network and channels
+   */
+  updateConnectionState() {
+    if (this.authFailed) {
+      this.setConnectionState(CONNECTION_STATES.AUTH_FAILED);
+    } else if (!this.socket) {
+      this.setConnectionState(CONNECTION_STATES.IDLE);
+    } else if (!this.isNetworkOnline) {
+      this.setConnectionState(CONNECTION_STATES.OFFLINE);
+    } else if (!this.socket.isConnected()) {
+      this.setConnectionState(
+        this.failedAttempts >= DEGRADED_AFTER_FAILURES
+          ? CONNECTION_STATES.DEGRADED
+          : CONNECTION_STATES.CONNECTING
+      );
+    } else {
+      const health = Object.values(this.channelHealth);
+      if (health.includes(CHANNEL_HEALTH.ERRORED)) {
+        this.setConnectionState(CONNECTION_STATES.DEGRADED);
+      } else if (health.includes(CHANNEL_HEALTH.JOINING)) {
+        this.setConnectionState(CONNECTION_STATES.CONNECTING);
+      } else {
+        this.setConnectionState(CONNECTION_STATES.LIVE);
+      }
     }
+  }
 
-    // Join new channel
-    this.currentGeohash = geohash;
-    this.incidentChannel = this.socket.channel(`incidents:${geohash}`, {});
+  setConnectionState(state) {
+    if (this.connectionState === state) {
+      return;
+    }
 
-    // Handle channel events
-    this.incidentChannel.on('incident:new', (incident) => {
-      console.log('New incident received:', incident);
-      this.notifyIncidentCallbacks(incident);
+    this.connectionState = state;
+    this.connectionStateListeners.forEach((listener) => {
+      try {
+        listener(state);
+      } catch (error) {
+        console.error('Error in connection state callback:', error);
+      }
+    });
+  }
+
+  /**
+   * Get the current connection state
+   * @returns {string} One of CONNECTION_STATES
+   */
+  getConnectionState() {
+    return this.connectionState;
+  }
+
+  /**
+   * Get the join state of every channel
+   * @returns {Object} Map of topic -> 'joining' | 'joined' | 'errored'
+   */
+  getChannelHealth() {
+    return { ...this.channelHealth };
+  }
+
+  /**
+   * Subscribe to connection state changes
+   * @param {Function} callback - Called with one of CONNECTION_STATES, immediately and on every change
+   * @returns {Function} Unsubscribe function
+   */
+  onConnectionStateChange(callback) {
+    this.connectionStateListeners.push(callback);
+    callback(this.connectionState);
+
+    return () => {
+      this.connectionStateListeners = this.connectionStateListeners.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Join a channel and keep its health up to date across errors and rejoins.
+   * Every rejoin asks the server for the events missed while disconnected.
+   * @param {Object} channel - Phoenix channel
+   * @param {string} description - Used in log messages
+   * @param {Function} [onJoined] - Called after every successful join or rejoin
+   */
+  joinChannel(channel, description, onJoined) {
+    const { topic } = channel;
+    this.channelHealth[topic] = CHANNEL_HEALTH.JOINING;
+    this.updateConnectionState();
+
+    channel.onError(() => this.setChannelHealth(topic, CHANNEL_HEALTH.ERRORED));
+    channel.onClose(() => {
+      delete this.channelHealth[topic];
+      delete this.cursors[topic];
+      delete this.eventHandlers[topic];
+      delete this.replayBuffers[topic];
+      this.updateConnectionState();
     });
 
-    this.incidentChannel
+    channel
       .join()
-      .receive('ok', () => {
-        console.log(`Joined incident channel for geohash: ${geohash}`);
+      .receive('ok', (resp) => {
+        console.log(`Joined ${description}`);
+        this.setChannelHealth(topic, CHANNEL_HEALTH.JOINED);
+        this.catchUp(channel, resp);
+        if (onJoined) {
+          onJoined();
+        }
       })
       .receive('error', (resp) => {
-        console.error('Failed to join incident channel:', resp);
+        console.error(`Failed to join ${description}:`, resp);
+        this.setChannelHealth(topic, CHANNEL_HEALTH.ERRORED);
+      })
+      .receive('timeout', () => {
+        console.error(`Timed out joining ${description}`);
+        this.setChannelHealth(topic, CHANNEL_HEALTH.ERRORED);
       });
   }
 
   /**
-   * Update user location and rejoin channel if geohash changed
+   * Handle a channel event, skipping anything at or before the last cursor seen
+   * @param {Object} channel - Phoenix channel
+   * @param {string} event - Event name
+   * @param {Function} handler - Called with the payload and { replayed }
    */
-  updateLocation(latitude, longitude) {
-    if (!this.incidentChannel) {
+  onChannelEvent(channel, event, handler) {
+    const { topic } = channel;
+    this.eventHandlers[topic] = { ...this.eventHandlers[topic], [event]: handler };
+
+    channel.on(event, (payload) => {
+      // Hold live events until the replay is in, so the cursor does not skip past it
+      if (this.replayBuffers[topic]) {
+        this.replayBuffers[topic].push({ event, payload });
+        return;
+      }
+      this.dispatchChannelEvent(topic, event, payload, false);
+    });
+  }
+
+  dispatchChannelEvent(topic, event, payload, replayed) {
+    const cursor = payload.cursor;
+    if (cursor != null) {
+      if (this.cursors[topic] != null && cursor <= this.cursors[topic]) {
+        return;
+      }
+      this.cursors[topic] = cursor;
+    }
+
+    const handler = this.eventHandlers[topic]?.[event];
+    if (handler) {
+      handler(payload, { replayed });
+    }
+  }
+
+  /**
+   * After a first join, start tracking from the server's cursor. After a rejoin,
+   * replay what was missed, or backfill over REST if the gap is too large.
+   */
+  catchUp(channel, resp) {
+    const { topic } = channel;
+    const since = this.cursors[topic];
+
+    if (since == null) {
+      this.cursors[topic] = resp?.cursor;
       return;
     }
 
-    // Send location update to server
-    this.incidentChannel
-      .push('location:update', { latitude, longitude })
-      .receive('ok', (resp) => {
-        const newGeohash = resp.geohash;
-        
-        // Rejoin channel if geohash changed
-        if (newGeohash && newGeohash !== this.currentGeohash) {
-          console.log(`Geohash changed from ${this.currentGeohash} to ${newGeohash}`);
-          this.joinIncidentChannel(newGeohash);
-        }
+    this.replayBuffers[topic] = [];
+    const finish = () => {
+      const buffered = this.replayBuffers[topic] || [];
+      delete this.replayBuffers[topic];
+      buffered.forEach(({ event, payload }) => this.dispatchChannelEvent(topic, event, payload, false));
+    };
+
+    channel
+      .push('events:replay', { since })
+      .receive('ok', ({ events }) => {
+        console.log(`Replaying ${events.length} missed events on ${topic}`);
+        events.forEach(({ event, payload }) => this.dispatchChannelEvent(topic, event, payload, true));
+        finish();
       })
       .receive('error', (resp) => {
-        console.error('Failed to update location:', resp);
+        if (resp.reason === 'gap_too_large') {
+          console.log(`Missed too many events on ${topic}, backfilling`);
+          this.cursors[topic] = resp.cursor;
+          this.backfill(topic);
+        } else {
+          console.error(`Failed to replay events on ${topic}:`, resp);
+        }
+        finish();
+      })
+      .receive('timeout', () => {
+        console.error(`Timed out replaying events on ${topic}`);
+        finish();
       });
   }
 
+  /**
+   * Refetch what a channel covers when its events can no longer be replayed
+   */
+  async backfill(topic) {
+    const [kind, ...rest] = topic.split(':');
+
+    try {
+      if (kind === 'incidents') {
+        await this.backfillIncidents();
+      } else if (kind === 'geofence') {
+        // The server works out zone entries and exits from the current location
+        if (this.lastGeofenceLocation) {
+          this.updateGeofenceLocation(this.lastGeofenceLocation.latitude, this.lastGeofenceLocation.longitude);
+        }
+      } else if (kind === 'community') {
+        const groupId = rest[0];
+        const response = await communityService.getGroupIncidents(groupId);
+        (response.data || []).forEach((incident) => {
+          this.notifyGroupIncidentCallbacks(groupId, incident, { replayed: true });
+        });
+      }
+    } catch (error) {
+      console.error(`Failed to backfill ${topic}:`, error);
+    }
+  }
+
+  /**
+   * One nearby refetch covers every incident cell, however many of them hit a gap
+   */
+  backfillIncidents() {
+    if (!this.incidentBackfill && this.lastLocation) {
+      const { latitude, longitude } = this.lastLocation;
+      const radius = Math.max(BACKFILL_RADIUS, this.alertRadius || 0);
+
+      this.incidentBackfill = incidentService
+        .getNearby(latitude, longitude, radius)
+        .then((incidents) => {
+          incidents.forEach((incident) => this.markIncidentSeen(incident.id));
+          this.notifyIncidentsBackfilledCallbacks(incidents);
+        })
+        .finally(() => {
+          this.incidentBackfill = null;
+        });
+    }
+    return this.incidentBackfill;
+  }
+
+  setChannelHealth(topic, health) {
+    // Ignore late replies for channels we have already left
+    if (this.channelHealth[topic] !== undefined) {
+      this.channelHealth[topic] = health;
+      this.updateConnectionState();
+    }
+  }
+
+  /**
+   * Geohash cells to subscribe to around a location: the current precision 6
+   * cell and its neighbours, widened to cover the alert radius. Wide radii
+   * switch to coarser precision 5 cells to keep the channel count down.
+   * @returns {Array<string>}
+   */
+  getIncidentCells(latitude, longitude) {
+    const center = geohash.encode(latitude, longitude, INCIDENT_CELL_PRECISION);
+    const cells = new Set([center, ...geohash.neighbors(center)]);
+
+    if (this.alertRadius) {
+      const { minLat, minLng, maxLat, maxLng } = boundingBox(latitude, longitude, this.alertRadius);
+      const cover = geohash.bboxes(minLat, minLng, maxLat, maxLng, INCIDENT_CELL_PRECISION);
+
+      if (cover.length > MAX_INCIDENT_CELLS) {
+        return geohash.bboxes(minLat, minLng, maxLat, maxLng, WIDE_INCIDENT_CELL_PRECISION);
+      }
+      cover.forEach((cell) => cells.add(cell));
+    }
+
+    return [...cells];
+  }
+
+  /**
+   * Subscribe to the incident channels around a location, joining new cells
+   * before leaving old ones so nothing is missed while moving
+   */
+  updateLocation(latitude, longitude) {
+    if (!this.socket) {
+      console.warn('Socket not connected');
+      return;
+    }
+
+    this.lastLocation = { latitude, longitude };
+    const wanted = [
+      ...new Set([...this.getIncidentCells(latitude, longitude), ...Object.keys(this.watchedIncidentCells)]),
+    ];
+    const current = Object.keys(this.incidentChannels);
+
+    wanted
+      .filter((cell) => !this.incidentChannels[cell])
+      .forEach((cell) => this.joinIncidentChannel(cell));
+
+    current
+      .filter((cell) => !wanted.includes(cell))
+      .forEach((cell) => this.leaveIncidentChannel(cell));
+  }
+
+  /**
+   * Widen or narrow the incident subscriptions to a new alert radius
+   * @param {number} radius - Radius in meters
+   */
+  setAlertRadius(radius) {
+    this.alertRadius = radius;
+    if (this.lastLocation) {
+      this.updateLocation(this.lastLocation.latitude, this.lastLocation.longitude);
+    }
+  }
+
+  /**
+   * Join incident channel for a specific geohash
+   */
+  joinIncidentChannel(cell) {
+    const channel = this.socket.channel(`incidents:${cell}`, {});
+
+    // Handle channel events
+    this.onChannelEvent(channel, 'incident:new', (incident, meta) => {
+      // The server also sends each incident to neighbouring cells we may be in
+      if (this.seenIncidentIds.has(incident.id)) {
+        return;
+      }
+      this.markIncidentSeen(incident.id);
+
+      console.log('New incident received:', incident);
+      this.notifyIncidentCallbacks(incident, meta);
+    });
+
+    this.onChannelEvent(channel, 'incident:verified', (data, meta) => {
+      if (this.seenVerificationIds.has(data.verification.id)) {
+        return;
+      }
+      this.markSeen(this.seenVerificationIds, data.verification.id);
+      this.notifyIncidentVerifiedCallbacks(data, meta);
+    });
+
+    // Reporter follow-ups; each version of an incident is delivered once
+    this.onChannelEvent(channel, 'incident:updated', (incident, meta) => {
+      const key = `${incident.id}@${incident.updated_at}`;
+      if (this.seenFollowUpKeys.has(key)) {
+        return;
+      }
+      this.markSeen(this.seenFollowUpKeys, key);
+      this.notifyIncidentUpdatedCallbacks(incident, meta);
+    });
+
+    this.onChannelEvent(channel, 'incident:removed', (data, meta) => {
+      const key = `${data.incident_id}@removed`;
+      if (this.seenFollowUpKeys.has(key)) {
+        return;
+      }
+      this.markSeen(this.seenFollowUpKeys, key);
+      this.notifyIncidentRemovedCallbacks(data, meta);
+    });
+
+    this.incidentChannels[cell] = channel;
+    this.joinChannel(channel, `incident channel for geohash: ${cell}`);
+  }
+
+  leaveIncidentChannel(cell) {
+    const channel = this.incidentChannels[cell];
+    if (channel) {
+      channel.leave();
+      delete this.incidentChannels[cell];
+    }
+  }
+
+  markIncidentSeen(id) {
+    this.markSeen(this.seenIncidentIds, id);
+  }
+
+  markSeen(seen, id) {
+    seen.add(id);
+    if (seen.size > MAX_SEEN_IDS) {
+      // Sets iterate in insertion order, so this drops the oldest
+      seen.delete(seen.values().next().value);
+    }
+  }
+
+  /**
+   * Keep an incident's cell subscribed, e.g. while its detail screen is open,
+   * even when it is outside the area around the user
+   * @returns {Function} Release function
+   */
+  watchIncidentCell(latitude, longitude) {
+    const cell = geohash.encode(latitude, longitude, INCIDENT_CELL_PRECISION);
+    this.watchedIncidentCells[cell] = (this.watchedIncidentCells[cell] || 0) + 1;
+
+    if (this.socket && !this.incidentChannels[cell]) {
+      this.joinIncidentChannel(cell);
+    }
+
+    return () => {
+      const watchers = (this.watchedIncidentCells[cell] || 1) - 1;
+      if (watchers > 0) {
+        this.watchedIncidentCells[cell] = watchers;
+        return;
+      }
+      delete this.watchedIncidentCells[cell];
+
+      const wanted = this.lastLocation
+        ? this.getIncidentCells(this.lastLocation.latitude, this.lastLocation.longitude)
+        : [];
+      if (!wanted.includes(cell)) {
+        this.leaveIncidentChannel(cell);
+      }
+    };
+  }
+
   /**
    * Subscribe to new incident events
    */
@@ -140,16 +648,109 @@ class WebSocketService {
   /**
    * Notify all callbacks about new incident
    */
-  notifyIncidentCallbacks(incident) {
+  notifyIncidentCallbacks(incident, meta = { replayed: false }) {
     this.onIncidentCallbacks.forEach(callback => {
       try {
-        callback(incident);
+        callback(incident, meta);
       } catch (error) {
         console.error('Error in incident callback:', error);
       }
     });
   }
 
+  /**
+   * Subscribe to new verifications of incidents in the subscribed cells
+   * @param {Function} callback - Called with ({ incident_id, verification_count, is_verified, verification }, meta)
+   * @returns {Function} Unsubscribe function
+   */
+  onIncidentVerified(callback) {
+    this.onIncidentVerifiedCallbacks.push(callback);
+
+    return () => {
+      this.onIncidentVerifiedCallbacks = this.onIncidentVerifiedCallbacks.filter(cb => cb !== callback);
+    };
+  }
+
+  notifyIncidentVerifiedCallbacks(data, meta = { replayed: false }) {
+    this.onIncidentVerifiedCallbacks.forEach(callback => {
+      try {
+        callback(data, meta);
+      } catch (error) {
+        console.error('Error in incident verified callback:', error);
+      }
+    });
+  }
+
+  /**
+   * Subscribe to reporters' follow-ups on incidents in the subscribed cells:
+   * a new description or photo, or the incident being resolved
+   * @param {Function} callback - Called with (incident, meta); the incident is in the REST API's shape, like `incident:new`
+   * @returns {Function} Unsubscribe function
+   */
+  onIncidentUpdated(callback) {
+    this.onIncidentUpdatedCallbacks.push(callback);
+
+    return () => {
+      this.onIncidentUpdatedCallbacks = this.onIncidentUpdatedCallbacks.filter(cb => cb !== callback);
+    };
+  }
+
+  notifyIncidentUpdatedCallbacks(incident, meta = { replayed: false }) {
+    this.onIncidentUpdatedCallbacks.forEach(callback => {
+      try {
+        callback(incident, meta);
+      } catch (error) {
+        console.error('Error in incident updated callback:', error);
+      }
+    });
+  }
+
+  /**
+   * Subscribe to incidents being taken off the map, e.g. retracted by their reporter
+   * @param {Function} callback - Called with ({ incident_id, reason }, meta)
+   * @returns {Function} Unsubscribe function
+   */
+  onIncidentRemoved(callback) {
+    this.onIncidentRemovedCallbacks.push(callback);
+
+    return () => {
+      this.onIncidentRemovedCallbacks = this.onIncidentRemovedCallbacks.filter(cb => cb !== callback);
+    };
+  }
+
+  notifyIncidentRemovedCallbacks(data, meta = { replayed: false }) {
+    this.onIncidentRemovedCallbacks.forEach(callback => {
+      try {
+        callback(data, meta);
+      } catch (error) {
+        console.error('Error in incident removed callback:', error);
+      }
+    });
+  }
+
+  /**
+   * Subscribe to incidents refetched over REST after missing too many live events
+   * @param {Function} callback - Called with the array of nearby incidents
+   * @returns {Function} Unsubscribe function
+   */
+  onIncidentsBackfilled(callback) {
+    this.onIncidentsBackfilledCallbacks.push(callback);
+
+    return () => {
+      this.onIncidentsBackfilledCallbacks = this.onIncidentsBackfilledCallbacks.filter(cb => cb !== callback);
+    };
+  }
+
+  notifyIncidentsBackfilledCallbacks(incidents) {
+    this.onIncidentsBackfilledCallbacks.forEach(callback => {
+      try {
+        callback(incidents);
+      } catch (error) {
+        console.error('Error in incidents backfilled callback:', error);
+      }
+    });
+  }
+
   /**
    * Join geofence channel for zone entry/exit detection
    */
@@ -159,45 +760,43 @@ class WebSocketService {
       return;
     }
 
+    if (this.geofenceChannel) {
+      return;
+    }
+
     // Get user ID from storage
-    const userDataStr = await AsyncStorage.getItem('user_data');
-    if (!userDataStr) {
+    const userData = await tokenStore.getUser();
+    if (!userData) {
       console.warn('No user data found');
       return;
     }
 
-    const userData = JSON.parse(userDataStr);
     this.userId = userData.id;
 
     // Join geofence channel
-    this.geofenceChannel = this.socket.channel(`geofence:user:${this.userId}`, {});
+    this.geofenceChannel = this.socket.channel(`geofence:user:${this.userId}`, {
+      device_id: this.deviceId,
+    });
 
     // Handle zone entry events
-    this.geofenceChannel.on('zone:entered', (data) => {
+    this.onChannelEvent(this.geofenceChannel, 'zone:entered', (data, meta) => {
       console.log('Entered hotspot zone:', data);
-      this.notifyZoneEnteredCallbacks(data);
+      this.notifyZoneEnteredCallbacks(data, meta);
     });
 
     // Handle zone exit events
-    this.geofenceChannel.on('zone:exited', (data) => {
+    this.onChannelEvent(this.geofenceChannel, 'zone:exited', (data, meta) => {
       console.log('Exited hotspot zone:', data);
-      this.notifyZoneExitedCallbacks(data);
+      this.notifyZoneExitedCallbacks(data, meta);
     });
 
     // Handle zone approaching events (premium users)
-    this.geofenceChannel.on('zone:approaching', (data) => {
+    this.onChannelEvent(this.geofenceChannel, 'zone:approaching', (data, meta) => {
       console.log('Approaching hotspot zone:', data);
-      this.notifyZoneApproachingCallbacks(data);
+      this.notifyZoneApproachingCallbacks(data, meta);
     });
 
-    this.geofenceChannel
-      .join()
-      .receive('ok', () => {
-        console.log('Joined geofence channel');
-      })
-      .receive('error', (resp) => {
-        console.error('Failed to join geofence channel:', resp);
-      });
+    this.joinChannel(this.geofenceChannel, 'geofence channel');
   }
 
   /**
@@ -208,6 +807,8 @@ class WebSocketService {
       return;
     }
 
+    this.lastGeofenceLocation = { latitude, longitude };
+
     this.geofenceChannel
       .push('location:update', { latitude, longitude })
       .receive('ok', (resp) => {
@@ -254,10 +855,10 @@ class WebSocketService {
   /**
    * Notify callbacks about zone entry
    */
-  notifyZoneEnteredCallbacks(data) {
+  notifyZoneEnteredCallbacks(data, meta = { replayed: false }) {
     this.onZoneEnteredCallbacks.forEach(callback => {
       try {
-        callback(data);
+        callback(data, meta);
       } catch (error) {
         console.error('Error in zone entered callback:', error);
       }
@@ -267,10 +868,10 @@ class WebSocketService {
   /**
    * Notify callbacks about zone exit
    */
-  notifyZoneExitedCallbacks(data) {
+  notifyZoneExitedCallbacks(data, meta = { replayed: false }) {
     this.onZoneExitedCallbacks.forEach(callback => {
       try {
-        callback(data);
+        callback(data, meta);
       } catch (error) {
         console.error('Error in zone exited callback:', error);
       }
@@ -280,10 +881,10 @@ class WebSocketService {
   /**
    * Notify callbacks about zone approaching
    */
-  notifyZoneApproachingCallbacks(data) {
+  notifyZoneApproachingCallbacks(data, meta = { replayed: false }) {
     this.onZoneApproachingCallbacks.forEach(callback => {
       try {
-        callback(data);
+        callback(data, meta);
       } catch (error) {
         console.error('Error in zone approaching callback:', error);
       }
@@ -308,32 +909,26 @@ class WebSocketService {
     const channel = this.socket.channel(`community:${groupId}`, {});
 
     // Handle new incident in group
-    channel.on('incident:new', (data) => {
+    this.onChannelEvent(channel, 'incident:new', (data, meta) => {
       console.log('New group incident:', data);
-      this.notifyGroupIncidentCallbacks(groupId, data.incident);
+      this.notifyGroupIncidentCallbacks(groupId, data.incident, meta);
     });
 
     // Handle member joined
-    channel.on('member:joined', (data) => {
+    this.onChannelEvent(channel, 'member:joined', (data) => {
       console.log('Member joined group:', data);
       this.notifyMemberJoinedCallbacks(groupId, data.member);
     });
 
     // Handle member left
-    channel.on('member:left', (data) => {
+    this.onChannelEvent(channel, 'member:left', (data) => {
       console.log('Member left group:', data);
       this.notifyMemberLeftCallbacks(groupId, data.user_id);
     });
 
-    channel
-      .join()
-      .receive('ok', () => {
-        console.log(`Joined community channel for group: ${groupId}`);
-        this.communityChannels[groupId] = channel;
-      })
-      .receive('error', (resp) => {
-        console.error('Failed to join community channel:', resp);
-      });
+    // Track it right away so a failed join is not joined a second time
+    this.communityChannels[groupId] = channel;
+    this.joinChannel(channel, `community channel for group: ${groupId}`);
   }
 
   /**
@@ -407,11 +1002,11 @@ class WebSocketService {
   /**
    * Notify callbacks about new group incident
    */
-  notifyGroupIncidentCallbacks(groupId, incident) {
+  notifyGroupIncidentCallbacks(groupId, incident, meta = { replayed: false }) {
     const callbacks = this.onGroupIncidentCallbacks[groupId] || [];
     callbacks.forEach((callback) => {
       try {
-        callback(incident);
+        callback(incident, meta);
       } catch (error) {
         console.error('Error in group incident callback:', error);
       }
@@ -450,10 +1045,9 @@ class WebSocketService {
    * Disconnect from WebSocket
    */
   disconnect() {
-    if (this.incidentChannel) {
-      this.incidentChannel.leave();
-      this.incidentChannel = null;
-    }
+    Object.keys(this.incidentChannels).forEach((cell) => {
+      this.leaveIncidentChannel(cell);
+    });
 
     if (this.geofenceChannel) {
       this.geofenceChannel.leave();
@@ -465,14 +1059,47 @@ class WebSocketService {
       this.leaveCommunityChannel(groupId);
     });
 
+    if (this.unsubscribeNetwork) {
+      this.unsubscribeNetwork();
+      this.unsubscribeNetwork = null;
+    }
+
+    if (this.unsubscribeTokenRefreshed) {
+      this.unsubscribeTokenRefreshed();
+      this.unsubscribeTokenRefreshed = null;
+    }
+
+    if (this.unsubscribeAlertRadius) {
+      this.unsubscribeAlertRadius();
+      this.unsubscribeAlertRadius = null;
+    }
+
     if (this.socket) {
       this.socket.disconnect();
       this.socket = null;
     }
 
-    this.currentGeohash = null;
+    this.token = null;
+    this.channelHealth = {};
+    this.cursors = {};
+    this.eventHandlers = {};
+    this.replayBuffers = {};
+    this.failedAttempts = 0;
+    this.authFailed = false;
+    this.setConnectionState(CONNECTION_STATES.IDLE);
+    this.seenIncidentIds = new Set();
+    this.seenVerificationIds = new Set();
+    this.seenFollowUpKeys = new Set();
+    this.watchedIncidentCells = {};
+    this.alertRadius = null;
+    this.lastLocation = null;
     this.userId = null;
+    this.lastGeofenceLocation = null;
     this.onIncidentCallbacks = [];
+    this.onIncidentVerifiedCallbacks = [];
+    this.onIncidentUpdatedCallbacks = [];
+    this.onIncidentRemovedCallbacks = [];
+    this.onIncidentsBackfilledCallbacks = [];
     this.onZoneEnteredCallbacks = [];
     this.onZoneExitedCallbacks = [];
     this.onZoneApproachingCallbacks = [];
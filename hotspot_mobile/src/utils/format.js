@@ -0,0 +1,43 @@
+/**
+ * Display formatting helpers.
+ */
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes
+ * @returns {string} e.g. "850 KB" or "12.4 MB"
+ */
+export const formatBytes = (bytes) => {
+  if (bytes < 1024 * 1024) {
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Format a distance for display
+ * @param {number} meters
+ * @returns {string} e.g. "350 m" or "2.4 km"
+ */
+export const formatDistance = (meters) => {
+  if (meters < 1000) {
+    return `${Math.round(meters)} m`;
+  }
+  return `${(meters / 1000).toFixed(1)} km`;
+};
+
+/**
+ * Format a timestamp relative to now
+ * @param {string|number|Date} timestamp
+ * @returns {string} e.g. "Just now", "5m ago", "3h ago" or "2d ago"
+ */
+export const formatTimeAgo = (timestamp) => {
+  const diffMins = Math.floor((Date.now() - new Date(timestamp).getTime()) / 60000);
+  const diffHours = Math.floor(diffMins / 60);
+  const diffDays = Math.floor(diffHours / 24);
+
+  if (diffMins < 1) return 'Just now';
+  if (diffMins < 60) return `${diffMins}m ago`;
+  if (diffHours < 24) return `${diffHours}h ago`;
+  return `${diffDays}d ago`;
+};
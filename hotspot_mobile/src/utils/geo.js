@@ -0,0 +1,169 @@
+/**
+ * Geographic helpers shared by the map, caches and geofencing.
+ */
+
+const EARTH_RADIUS_M = 6371000;
+
+/**
+ * Great-circle distance between two points (haversine)
+ * @returns {number} Distance in meters
+ */
+export const distanceInMeters = (lat1, lon1, lat2, lon2) => {
+  const φ1 = (lat1 * Math.PI) / 180;
+  const φ2 = (lat2 * Math.PI) / 180;
+  const Δφ = ((lat2 - lat1) * Math.PI) / 180;
+  const Δλ = ((lon2 - lon1) * Math.PI) / 180;
+
+  const a =
+    Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+    Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+  return EARTH_RADIUS_M * c;
+};
+
+/**
+ * Bounding box around a circle
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {number} radius - Radius in meters
+ * @returns {{minLat: number, minLng: number, maxLat: number, maxLng: number}}
+ */
+export const boundingBox = (latitude, longitude, radius) => {
+  const latDelta = (radius / EARTH_RADIUS_M) * (180 / Math.PI);
+  const lngDelta = latDelta / Math.max(Math.cos((latitude * Math.PI) / 180), 0.01);
+
+  return {
+    minLat: Math.max(latitude - latDelta, -90),
+    minLng: Math.max(longitude - lngDelta, -180),
+    maxLat: Math.min(latitude + latDelta, 90),
+    maxLng: Math.min(longitude + lngDelta, 180),
+  };
+};
+
+/**
+ * Read coordinates from an incident in either API shape
+ * (`location: {latitude, longitude}` or top-level `latitude`/`longitude`)
+ * @param {Object} incident
+ * @returns {{latitude: number, longitude: number}|null}
+ */
+export const getIncidentCoordinates = (incident) => {
+  const latitude = incident.location?.latitude ?? incident.latitude;
+  const longitude = incident.location?.longitude ?? incident.longitude;
+
+  if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+    return null;
+  }
+  return { latitude, longitude };
+};
+
+/**
+ * Ray-casting point-in-polygon test
+ * @param {{latitude: number, longitude: number}} point
+ * @param {Array<{latitude: number, longitude: number}>} polygon - Ring of vertices
+ * @returns {boolean}
+ */
+export const isPointInPolygon = (point, polygon) => {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    const crosses =
+      a.latitude > point.latitude !== b.latitude > point.latitude &&
+      point.longitude <
+        ((b.longitude - a.longitude) * (point.latitude - a.latitude)) / (b.latitude - a.latitude) +
+          a.longitude;
+
+    if (crosses) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Distance from a point to the nearest edge of a polygon.
+ * Uses a flat projection around the point, which is accurate at zone scale.
+ * @returns {number} Distance in meters
+ */
+export const distanceToPolygonEdge = (point, polygon) => {
+  const metersPerDegLat = (Math.PI / 180) * EARTH_RADIUS_M;
+  const metersPerDegLng = metersPerDegLat * Math.cos((point.latitude * Math.PI) / 180);
+  const project = ({ latitude, longitude }) => ({
+    x: (longitude - point.longitude) * metersPerDegLng,
+    y: (latitude - point.latitude) * metersPerDegLat,
+  });
+
+  let nearest = Infinity;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = project(polygon[j]);
+    const b = project(polygon[i]);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    // Closest point on the segment to the origin (our point)
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+    nearest = Math.min(nearest, Math.hypot(a.x + t * dx, a.y + t * dy));
+  }
+  return nearest;
+};
+
+const toRing = (positions) => positions.map(([longitude, latitude]) => ({ latitude, longitude }));
+
+/**
+ * Convert a GeoJSON Polygon or MultiPolygon into rings the map can draw
+ * @param {Object|null} geometry - GeoJSON geometry with `[lng, lat]` positions
+ * @returns {Array<{coordinates: Array, holes: Array<Array>}>} One entry per polygon; empty for anything else
+ */
+export const geoJsonToPolygons = (geometry) => {
+  if (!geometry || !Array.isArray(geometry.coordinates)) return [];
+
+  const polygons = geometry.type === 'Polygon'
+    ? [geometry.coordinates]
+    : geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+
+  return polygons
+    .filter(rings => rings.length > 0 && rings[0].length >= 3)
+    .map(([outer, ...holes]) => ({ coordinates: toRing(outer), holes: holes.map(toRing) }));
+};
+
+/**
+ * Whether a point is inside any of the polygons and not in one of its holes
+ * @param {{latitude: number, longitude: number}} point
+ * @param {Array} polygons - From geoJsonToPolygons
+ * @returns {boolean}
+ */
+export const isPointInPolygons = (point, polygons) =>
+  polygons.some(({ coordinates, holes }) =>
+    isPointInPolygon(point, coordinates) && !holes.some(hole => isPointInPolygon(point, hole))
+  );
+
+/**
+ * Distance from a point to the nearest edge of any of the polygons, holes included
+ * @returns {number} Distance in meters
+ */
+export const distanceToPolygonsEdge = (point, polygons) =>
+  Math.min(...polygons.flatMap(({ coordinates, holes }) => [coordinates, ...holes])
+    .map(ring => distanceToPolygonEdge(point, ring)));
+
+/**
+ * Approximate a circle as a polygon, so circular zones can be drawn and
+ * tapped like shaped ones
+ * @param {{latitude: number, longitude: number}} center
+ * @param {number} radius - Radius in meters
+ * @param {number} [points=48]
+ * @returns {Array<{latitude: number, longitude: number}>}
+ */
+export const circleToPolygon = ({ latitude, longitude }, radius, points = 48) => {
+  const latDelta = (radius / EARTH_RADIUS_M) * (180 / Math.PI);
+  const lngDelta = latDelta / Math.max(Math.cos((latitude * Math.PI) / 180), 0.01);
+
+  return Array.from({ length: points }, (_, index) => {
+    const angle = (2 * Math.PI * index) / points;
+    return {
+      latitude: latitude + latDelta * Math.sin(angle),
+      longitude: longitude + lngDelta * Math.cos(angle),
+    };
+  });
+};
@@ -0,0 +1,58 @@
+/**
+ * Structured report details: severity, injuries, suspects, whether it is
+ * still happening and the vehicle involved.
+ */
+
+export const SEVERITY_LEVELS = [
+  { key: 'minor', label: 'Minor', color: '#10B981' },
+  { key: 'moderate', label: 'Moderate', color: '#F59E0B' },
+  { key: 'serious', label: 'Serious', color: '#F97316' },
+  { key: 'life_threatening', label: 'Life-threatening', color: '#DC2626' },
+];
+
+// Types and sub-types where a vehicle description helps others spot it
+const VEHICLE_TYPES = ['hijacking'];
+const VEHICLE_SUB_TYPES = ['vehicle', 'smash_and_grab'];
+
+/**
+ * Look up a severity level
+ * @param {string} key
+ * @returns {Object|null}
+ */
+export const getSeverity = (key) => SEVERITY_LEVELS.find(level => level.key === key) || null;
+
+/**
+ * Whether the report form should ask about a vehicle
+ * @param {string} type
+ * @param {string} [subType]
+ * @returns {boolean}
+ */
+export const asksForVehicle = (type, subType) =>
+  VEHICLE_TYPES.includes(type) || VEHICLE_SUB_TYPES.includes(subType);
+
+/**
+ * Describe the vehicle in one line
+ * @param {Object} incident
+ * @returns {string|null} e.g. "White Toyota Hilux · plate CA1234"
+ */
+export const formatVehicle = (incident) => {
+  const vehicle = [incident.vehicle_color, incident.vehicle_make].filter(Boolean).join(' ');
+  const plate = incident.vehicle_plate ? `plate ${incident.vehicle_plate}` : null;
+  const parts = [vehicle, plate].filter(Boolean);
+  return parts.length > 0 ? parts.join(' · ') : null;
+};
+
+/**
+ * Short facts for list rows, in the order people scan for them
+ * @param {Object} incident
+ * @returns {string[]} e.g. ["Ongoing", "Injuries", "3 suspects"]
+ */
+export const summarizeDetails = (incident) => {
+  const facts = [];
+  if (incident.is_ongoing && incident.status !== 'resolved') facts.push('Ongoing');
+  if (incident.has_injuries) facts.push('Injuries');
+  if (incident.suspect_count > 0) {
+    facts.push(`${incident.suspect_count} suspect${incident.suspect_count === 1 ? '' : 's'}`);
+  }
+  return facts;
+};
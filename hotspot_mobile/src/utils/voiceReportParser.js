@@ -0,0 +1,125 @@
+/**
+ * On-device keyword matcher for hands-free reports.
+ * Turns a spoken transcript into an incident type, sub-type and the
+ * structured details it mentions. Nothing leaves the device.
+ */
+
+// Phrases people actually say, per type key. Types added on the server
+// without an entry here still match on their label and sub-type labels.
+const TYPE_KEYWORDS = {
+  hijacking: ['hijack', 'hijacked', 'hijacking', 'carjack', 'car jacking', 'took the car', 'took his car', 'took her car'],
+  mugging: ['mugged', 'mugging', 'robbed', 'robbery', 'snatched', 'pickpocket', 'held up', 'at gunpoint', 'at knifepoint'],
+  accident: ['accident', 'crash', 'crashed', 'collision', 'hit by a car', 'knocked down', 'overturned', 'pile up', 'pothole'],
+  break_in: ['break in', 'broke into', 'breaking into', 'burglary', 'burglar', 'burgled'],
+  protest: ['protest', 'march', 'strike', 'riot', 'burning tyres', 'burning tires', 'blockade'],
+  road_closure: ['road closed', 'road closure', 'roadblock', 'road block', 'roadworks', 'road works', 'flooded', 'flooding'],
+  load_shedding: ['load shedding', 'loadshedding', 'power outage', 'power cut', 'no power', 'blackout', 'robots are out', 'traffic lights out'],
+};
+
+const SUB_TYPE_KEYWORDS = {
+  hijacking: { smash_and_grab: ['smash and grab', 'broke the window'], attempted: ['tried to hijack', 'attempted'] },
+  mugging: { armed_robbery: ['gun', 'knife', 'armed'], bag_snatching: ['snatched', 'bag'], pickpocketing: ['pickpocket'] },
+  accident: { pedestrian: ['pedestrian', 'knocked down', 'hit by a car'], collision: ['collision', 'crash', 'crashed'] },
+  road_closure: { roadblock: ['roadblock', 'road block', 'police'], flooding: ['flooded', 'flooding'] },
+  load_shedding: { traffic_lights: ['robots', 'traffic lights'] },
+};
+
+const INJURY_WORDS = ['injured', 'hurt', 'bleeding', 'shot', 'stabbed', 'ambulance', 'wounded', 'unconscious'];
+const NO_INJURY_PHRASES = ['no one hurt', 'no one injured', 'nobody hurt', 'nobody injured', 'no injuries', 'not injured', 'not hurt'];
+const ONGOING_PHRASES = ['happening now', 'right now', 'still happening', 'in progress', 'ongoing', 'still there', 'busy'];
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+const SUSPECT_PATTERN = /\b(\d+|one|two|three|four|five|six|seven|eight|nine|ten)\s+(?:armed\s+)?(?:guys|men|suspects|people|robbers|attackers|males)\b/;
+
+const YES_WORDS = ['yes', 'yeah', 'yep', 'send', 'send it', 'confirm', 'correct', 'report it'];
+const NO_WORDS = ['no', 'nope', 'cancel', 'stop', 'don\'t', 'wrong'];
+
+const MAX_DESCRIPTION_LENGTH = 280;
+
+const normalize = (text) =>
+  ` ${String(text || '').toLowerCase().replace(/[^a-z0-9' ]+/g, ' ').replace(/\s+/g, ' ').trim()} `;
+
+const phraseIndex = (text, phrase) => text.indexOf(` ${normalize(phrase).trim()} `);
+
+const includesPhrase = (text, phrase) => phraseIndex(text, phrase) !== -1;
+
+// Where the first of the phrases appears, or Infinity
+const firstPhraseIndex = (text, phrases) =>
+  Math.min(...phrases.map(phrase => phraseIndex(text, phrase)).filter(index => index !== -1), Infinity);
+
+// Longer phrases are stronger evidence than single words
+const scorePhrases = (text, phrases) =>
+  phrases.reduce((score, phrase) => (includesPhrase(text, phrase) ? score + phrase.split(' ').length : score), 0);
+
+const phrasesForType = (type) => [
+  ...(TYPE_KEYWORDS[type.key] || []),
+  type.label,
+  type.key.replace(/_/g, ' '),
+  ...(type.sub_types || []).map(subType => subType.label),
+];
+
+const matchSubType = (text, type) => {
+  const candidates = (type.sub_types || []).map(subType => ({
+    key: subType.key,
+    score: scorePhrases(text, [subType.label, ...((SUB_TYPE_KEYWORDS[type.key] || {})[subType.key] || [])]),
+  }));
+  const best = candidates.sort((a, b) => b.score - a.score)[0];
+  return best && best.score > 0 ? best.key : null;
+};
+
+const matchInjuries = (text) => {
+  if (NO_INJURY_PHRASES.some(phrase => includesPhrase(text, phrase))) return false;
+  if (INJURY_WORDS.some(word => includesPhrase(text, word))) return true;
+  return undefined;
+};
+
+const matchSuspectCount = (text) => {
+  const match = text.match(SUSPECT_PATTERN);
+  if (!match) return undefined;
+  const count = NUMBER_WORDS[match[1]] ?? parseInt(match[1], 10);
+  return Number.isFinite(count) ? Math.min(count, 50) : undefined;
+};
+
+/**
+ * Parse a spoken report
+ * @param {string} transcript - What the reporter said
+ * @param {Array} types - Incident types from incidentTypeService
+ * @returns {{type: Object|null, subType: string|null, details: Object, description: string}}
+ */
+export const parseVoiceReport = (transcript, types) => {
+  const text = normalize(transcript);
+
+  const ranked = types
+    .map(type => ({ type, score: scorePhrases(text, phrasesForType(type)) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score);
+  const type = ranked.length > 0 ? ranked[0].type : null;
+
+  const details = {
+    has_injuries: matchInjuries(text),
+    suspect_count: matchSuspectCount(text),
+    is_ongoing: ONGOING_PHRASES.some(phrase => includesPhrase(text, phrase)) || undefined,
+  };
+
+  return {
+    type,
+    subType: type ? matchSubType(text, type) : null,
+    details,
+    description: String(transcript || '').trim().slice(0, MAX_DESCRIPTION_LENGTH),
+  };
+};
+
+/**
+ * Read a yes/no answer to the spoken confirmation. Whichever comes first is
+ * the answer, so "yes, no one is hurt" is a yes.
+ * @param {string} transcript
+ * @returns {'yes'|'no'|null}
+ */
+export const parseConfirmation = (transcript) => {
+  const text = normalize(transcript);
+  const yes = firstPhraseIndex(text, YES_WORDS);
+  const no = firstPhraseIndex(text, NO_WORDS);
+
+  if (yes === Infinity && no === Infinity) return null;
+  return yes < no ? 'yes' : 'no';
+};